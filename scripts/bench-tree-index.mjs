@@ -0,0 +1,107 @@
+// Compares treeEngine's indexed edge lookups against the linear edge scans
+// they replaced, on a synthetic story tree.
+//
+//   node scripts/bench-tree-index.mjs [nodeCount=5000]
+
+import { performance } from 'node:perf_hooks';
+import * as tree from '../src/core/treeEngine.js';
+
+const NODE_COUNT = Number(process.argv[2]) || 5000;
+const OPTIONS_PER_NODE = 3;
+
+function buildSyntheticSession(nodeCount) {
+  const session = { rootNodeId: 'n0', currentNodeId: 'n0', nodesById: {}, edges: [] };
+  const makeNode = (id, parentId, depth) => ({
+    id,
+    parentId,
+    depth,
+    options: Array.from({ length: OPTIONS_PER_NODE }, (_, i) => ({ id: `opt_${i}`, text: `선택 ${i}` })),
+    meta: { title: `Turn ${depth}` },
+    visited: true,
+  });
+
+  tree.addNode(session, makeNode('n0', null, 0));
+  const queue = ['n0'];
+  let next = 1;
+  while (next < nodeCount && queue.length > 0) {
+    const parentId = queue.shift();
+    const parent = session.nodesById[parentId];
+    for (const opt of parent.options) {
+      if (next >= nodeCount) break;
+      const id = `n${next++}`;
+      tree.addNode(session, makeNode(id, parentId, parent.depth + 1));
+      tree.addEdge(session, parentId, opt.id, id);
+      queue.push(id);
+    }
+  }
+  session.currentNodeId = `n${nodeCount - 1}`;
+  return session;
+}
+
+// The pre-index implementations, kept here as the baseline
+const linear = {
+  getChild(session, parentId, optionId) {
+    const edge = session.edges.find((e) => e.from === parentId && e.optionId === optionId);
+    return edge ? session.nodesById[edge.to] || null : null;
+  },
+  getChildren(session, parentId) {
+    return session.edges
+      .filter((e) => e.from === parentId)
+      .map((e) => ({ optionId: e.optionId, node: session.nodesById[e.to] }));
+  },
+  buildTreeViewModel(session) {
+    const build = (nodeId) => {
+      const node = session.nodesById[nodeId];
+      if (!node) return null;
+      const children = session.edges.filter((e) => e.from === nodeId).map((e) => build(e.to)).filter(Boolean);
+      return { id: node.id, children };
+    };
+    return build(session.rootNodeId);
+  },
+};
+
+function time(label, fn) {
+  const start = performance.now();
+  const result = fn();
+  const ms = performance.now() - start;
+  return { label, ms, result };
+}
+
+function runSuite(impl, session) {
+  const nodes = Object.values(session.nodesById);
+  return [
+    time('getChild × every option', () => {
+      let hits = 0;
+      for (const node of nodes) {
+        for (const opt of node.options) if (impl.getChild(session, node.id, opt.id)) hits++;
+      }
+      return hits;
+    }),
+    time('getChildren × every node', () => nodes.reduce((sum, node) => sum + impl.getChildren(session, node.id).length, 0)),
+    time('buildTreeViewModel', () => {
+      let count = 0;
+      const walk = (vm) => { count++; vm.children.forEach(walk); };
+      walk(impl.buildTreeViewModel(session));
+      return count;
+    }),
+  ];
+}
+
+const session = buildSyntheticSession(NODE_COUNT);
+console.log(`Synthetic tree: ${Object.keys(session.nodesById).length} nodes, ${session.edges.length} edges\n`);
+
+const indexBuild = time('rebuildEdgeIndex', () => tree.rebuildEdgeIndex(session));
+const baseline = runSuite(linear, session);
+const indexed = runSuite(tree, session);
+
+console.log(`${'operation'.padEnd(28)}${'linear scan'.padStart(14)}${'indexed'.padStart(12)}${'speedup'.padStart(10)}`);
+baseline.forEach((row, i) => {
+  const fast = indexed[i];
+  if (row.result !== fast.result) {
+    console.error(`Result mismatch for ${row.label}: ${row.result} vs ${fast.result}`);
+    process.exit(1);
+  }
+  const speedup = fast.ms > 0 ? `${(row.ms / fast.ms).toFixed(0)}×` : '∞';
+  console.log(`${row.label.padEnd(28)}${`${row.ms.toFixed(1)} ms`.padStart(14)}${`${fast.ms.toFixed(1)} ms`.padStart(12)}${speedup.padStart(10)}`);
+});
+console.log(`\nIndex build: ${indexBuild.ms.toFixed(1)} ms (once per load)`);
@@ -1,6 +1,30 @@
 import { readFile } from 'node:fs/promises';
-import { createSession, getPrefetchSnapshot } from '../src/core/gameEngine.js';
-import { buildPrompt3Messages } from '../src/llm/prompts.js';
+import { addCustomOption, applyStatePatch, createSession, discardTake, pruneSession, summarizeChapters, getPrefetchSnapshot, getPrefetchUsage, generateInitialOptions, progressTurn, rerollNode, rollbackToNode, schedulePrefetch, switchTake } from '../src/core/gameEngine.js';
+import { buildTreeViewModel, getChild, getTakes, pruneUnvisited, removeSubtree } from '../src/core/treeEngine.js';
+import { assemblePrompt3, buildPrompt3Messages, callPrompt1, callPrompt2, callPrompt3 } from '../src/llm/prompts.js';
+import { getSettings, resolveProvider, saveSettings } from '../src/llm/apiClient.js';
+import { findProviderForModel, getProvider } from '../src/llm/providerRegistry.js';
+import { resolveChatEndpoint } from '../src/llm/providers/openaiCompatible.js';
+import { getMockCalls, resetMock, setMockScript } from '../src/llm/mockProvider.js';
+import { validatePrompt3Response } from '../src/llm/responseSchema.js';
+import { CURRENT_SCHEMA_VERSION, checkSessionStructure, migrateSession } from '../src/storage/migrations.js';
+import { parseSessionFile } from '../src/storage/sessionTransfer.js';
+import { planSessionWrite } from '../src/storage/sessionRepo.js';
+import { estimateCost } from '../src/llm/pricing.js';
+import { estimateTokens } from '../src/llm/tokens.js';
+import { summarizeUsage } from '../src/core/usageTracker.js';
+import { CHAPTER_TURNS, getChapters, getPendingChapters } from '../src/core/chapterEngine.js';
+import { findTriggeredCondition } from '../src/core/conditionEngine.js';
+import { getMilestoneProgress } from '../src/core/milestoneEngine.js';
+import { getCarriedItems, getItemsAt, INVENTORY } from '../src/core/inventoryEngine.js';
+import { rollD20, rollSkillCheck } from '../src/core/skillCheckEngine.js';
+import { getMetNpcs, NPC_MEMORY_LIMIT } from '../src/core/relationshipEngine.js';
+import { getCustomClocks } from '../src/core/clockEngine.js';
+import { advanceWorldTime, isLocationOpen } from '../src/core/worldTimeEngine.js';
+import { layoutTreeGraph, summarizeTreeGraph } from '../src/ui/components/TreeGraph.js';
+import { attachSearchIndex, getSearchIndex, searchIndex, serializeSearchIndex } from '../src/core/searchEngine.js';
+import { NOTE_MAX_LENGTH, listAnnotatedNodes, setBookmark, setNote } from '../src/core/annotationEngine.js';
+import { buildBranchComparison, diffStates } from '../src/core/compareEngine.js';
 
 const checks = [];
 
@@ -244,6 +268,996 @@ check(
   JSON.stringify(cachedPrefetchRows),
 );
 
+// ─── Provider registry ────────────────────────────────────────────
+
+check(
+  'provider registry routes models to the adapter that declares them',
+  findProviderForModel('claude-haiku-4-5')?.id === 'anthropic'
+    && findProviderForModel('gemini-2.5-flash')?.id === 'gemini'
+    && findProviderForModel('gpt-4o-mini')?.id === 'openai',
+);
+
+const anthropicMapped = getProvider('anthropic').mapMessages([
+  { role: 'system', content: 'SYS' },
+  { role: 'user', content: 'a' },
+  { role: 'user', content: 'b' },
+]);
+check(
+  'anthropic adapter lifts system prompts and merges same-role turns',
+  anthropicMapped.system === 'SYS' && anthropicMapped.messages.length === 1 && anthropicMapped.messages[0].content === 'a\n\nb',
+  JSON.stringify(anthropicMapped),
+);
+
+check(
+  'openai-compatible adapter resolves chat endpoints from a base URL',
+  resolveChatEndpoint('http://localhost:11434/v1/') === 'http://localhost:11434/v1/chat/completions'
+    && resolveChatEndpoint('http://localhost:8000/v1/chat/completions') === 'http://localhost:8000/v1/chat/completions',
+);
+
+saveSettings({ provider: 'anthropic', localBaseUrl: 'http://localhost:11434/v1', localModel: 'llama3.1' });
+const fallbackRoute = resolveProvider(getSettings(), 'claude-haiku-4-5');
+check(
+  'unconfigured providers fall back to the first configured adapter',
+  fallbackRoute?.provider.id === 'local' && fallbackRoute.model === 'llama3.1',
+  fallbackRoute ? `${fallbackRoute.provider.id}/${fallbackRoute.model}` : 'null',
+);
+saveSettings({ provider: 'gemini', localBaseUrl: '', localModel: '' });
+
+// ─── Offline playthrough with the mock provider ───────────────────
+
+saveSettings({ provider: 'mock' });
+resetMock();
+
+const mockQuestions = await callPrompt1('폭풍에 갇힌 등대');
+check(
+  'mock provider answers Prompt #1 with questions',
+  mockQuestions.ok && mockQuestions.data.questions?.length >= 8,
+  mockQuestions.error || '',
+);
+
+const mockSynopsis = await callPrompt2('폭풍에 갇힌 등대', { q1: 'a' }, '단편');
+check(
+  'mock provider answers Prompt #2 with a worldSchema',
+  mockSynopsis.ok && mockSynopsis.data.worldSchema?.locations?.length > 0,
+  mockSynopsis.error || '',
+);
+
+const mockSession = createSession({
+  ...mockSynopsis.data,
+  model: 'mock-narrator',
+  temperature: 1,
+  storyLength: '단편',
+});
+const initial = await generateInitialOptions(mockSession);
+let turns = 0;
+let lastResult = initial;
+while (turns < 30 && lastResult.ok) {
+  const node = mockSession.nodesById[mockSession.currentNodeId];
+  if (node.isEnding) break;
+  const option = node.options?.[0];
+  if (!option) break;
+  lastResult = await progressTurn(mockSession, option.id);
+  turns++;
+}
+const endingNode = mockSession.nodesById[mockSession.currentNodeId];
+check(
+  'mock provider plays a 단편 session from createSession to an ending',
+  lastResult.ok && endingNode.isEnding && endingNode.meta?.endingType === 'win',
+  `turns=${turns}, error=${lastResult.error || 'none'}`,
+);
+check(
+  'mock provider records every call with its prompt type',
+  getMockCalls()[0]?.promptType === 'p1' && getMockCalls().filter((c) => c.promptType === 'p3').length === turns,
+  `calls=${getMockCalls().length}`,
+);
+
+// ─── Win/lose conditions ──────────────────────────────────────────
+
+const conditionSchema = {
+  winConditions: [
+    { id: 'win_desc_only', desc: '조건 없이 설명만 있는 구버전 결말' },
+    { id: 'win1', endingType: 'escape', when: { all: [{ flag: 'boat_ready' }, { location: 'loc_pier' }] } },
+  ],
+  loseConditions: [
+    { id: 'lose1', when: { any: [{ clock: 'tension', gte: 9 }, { npc: 'npc_yunseo', status: '실종' }] } },
+  ],
+};
+const baseState = { location: 'loc_pier', flags: { boat_ready: true }, eventLedger: [], clocks: { tension: 2, insight: 1 }, npcStates: { npc_yunseo: { status: '대기 중' } }, turnCount: 3 };
+check(
+  'condition engine ignores descriptive conditions and checks flags, location, clocks and NPC status',
+  findTriggeredCondition(conditionSchema, baseState)?.id === 'win1'
+    && findTriggeredCondition(conditionSchema, baseState).endingType === 'escape'
+    && findTriggeredCondition(conditionSchema, { ...baseState, location: 'loc_archive' }) === null
+    && findTriggeredCondition(conditionSchema, { ...baseState, clocks: { tension: 9 } })?.kind === 'lose'
+    && findTriggeredCondition(conditionSchema, { ...baseState, npcStates: { npc_yunseo: { status: '실종' } } })?.endingType === 'lose',
+);
+
+const ghostClockSchema = { loseConditions: [{ id: 'lose_ghost', when: { all: [{ clock: 'clock_ghost', lte: 0 }] } }, { id: 'lose_calm', when: { all: [{ clock: 'insight', lte: 1 }] } }] };
+check(
+  'a clock clause naming an undefined clock never matches, while built-in clocks still do',
+  findTriggeredCondition(ghostClockSchema, baseState)?.id === 'lose_calm'
+    && findTriggeredCondition({ loseConditions: [ghostClockSchema.loseConditions[0]] }, baseState) === null
+    && findTriggeredCondition({ loseConditions: [ghostClockSchema.loseConditions[0]] }, { ...baseState, clocks: { ...baseState.clocks, clock_ghost: 0 } })?.id === 'lose_ghost',
+);
+
+const firedState = applyStatePatch(
+  { ...baseState, flags: {}, location: 'loc_archive' },
+  { statePatch: { addFlags: ['boat_ready'], locationChange: 'loc_pier' }, clockDelta: { tension_delta: 0, insight_delta: 0 } },
+  '장편',
+  conditionSchema,
+);
+const keptState = applyStatePatch(firedState, { statePatch: { removeFlags: ['boat_ready'] } }, '장편', conditionSchema);
+check(
+  'applyStatePatch records a fired condition and keeps it on later turns',
+  firedState.endingCondition?.id === 'win1' && firedState.endingCondition.turn === 4 && firedState.isEnding
+    && keptState.endingCondition?.id === 'win1',
+  JSON.stringify(firedState.endingCondition),
+);
+
+resetMock();
+const loseSynopsis = structuredClone(mockSynopsis.data);
+loseSynopsis.worldSchema.loseConditions = [{ id: 'lose_early', desc: '두 번째 신호에 속는다', endingType: 'lose', when: { all: [{ flag: 'mock_turn_2' }] } }];
+const loseSession = createSession({ ...loseSynopsis, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(loseSession);
+let loseTurns = 0;
+let loseResult = { ok: true };
+while (loseTurns < 10 && loseResult.ok) {
+  const node = loseSession.nodesById[loseSession.currentNodeId];
+  if (node.isEnding || !node.options?.length) break;
+  loseResult = await progressTurn(loseSession, node.options[0].id);
+  loseTurns++;
+}
+const loseEnding = loseSession.nodesById[loseSession.currentNodeId];
+const loseSystems = getMockCalls().filter((call) => call.promptType === 'p3').map((call) => call.messages?.[0]?.content || '');
+check(
+  'a fired lose condition forces the ending directive and the lose endingType',
+  loseResult.ok && loseEnding.isEnding && loseEnding.meta?.endingType === 'lose'
+    && loseSystems.some((text) => text.includes('[PHASE: RESOLUTION') && text.includes('[ENDING CONDITION MET: lose_early]'))
+    && loseSystems.some((text) => text.includes('[PHASE: EPILOGUE') && text.includes('"lose"')),
+  `turns=${loseTurns}, endingType=${loseEnding.meta?.endingType}`,
+);
+
+// ─── Rerolled takes ───────────────────────────────────────────────
+
+resetMock();
+const takeSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '단편' });
+await generateInitialOptions(takeSession);
+await progressTurn(takeSession, 'start');
+const firstTake = takeSession.nodesById[takeSession.currentNodeId];
+await progressTurn(takeSession, firstTake.options[0].id);
+const descendantId = takeSession.currentNodeId;
+
+const reroll = await rerollNode(takeSession, firstTake.id);
+check(
+  'reroll keeps the old node as a take under the same edge and continues from the new one',
+  reroll.ok && getTakes(takeSession, firstTake.id).join() === [firstTake.id, reroll.node.id].join()
+    && takeSession.currentNodeId === reroll.node.id
+    && getChild(takeSession, takeSession.rootNodeId, 'start')?.id === reroll.node.id
+    && !!takeSession.nodesById[descendantId],
+  reroll.error || '',
+);
+
+// Without an entry label the root's 'start' option text differs from the choice-less prompt
+resetMock();
+const firstSceneSession = createSession({ ...mockSynopsis.data, entryLabel: '', model: 'mock-narrator', temperature: 1, storyLength: '단편' });
+await generateInitialOptions(firstSceneSession);
+await rerollNode(firstSceneSession, getChild(firstSceneSession, firstSceneSession.rootNodeId, 'start').id);
+const firstSceneActions = getMockCalls()
+  .filter((call) => call.promptType === 'p3')
+  .map((call) => (call.messages?.at(-1)?.content || '').split('## Current Game State')[0]);
+check(
+  'rerolling the first scene uses the same choice-less prompt as the scene it replaces',
+  firstSceneActions.length === 2 && firstSceneActions[1] === firstSceneActions[0],
+  firstSceneActions.map((text) => text.replace(/\s+/g, ' ').trim()).join(' | '),
+);
+
+switchTake(takeSession, firstTake.id);
+check(
+  'switching takes re-points the edge at the chosen take',
+  getChild(takeSession, takeSession.rootNodeId, 'start')?.id === firstTake.id && takeSession.currentNodeId === firstTake.id,
+);
+
+const discarded = discardTake(takeSession, firstTake.id);
+check(
+  'discarding a take removes its descendants and falls back to the remaining take',
+  discarded.ok && discarded.removedCount === 2
+    && !takeSession.nodesById[descendantId]
+    && !takeSession.edges.some((e) => e.from === firstTake.id)
+    && takeSession.currentNodeId === reroll.node.id
+    && getTakes(takeSession, reroll.node.id).length === 1,
+  `removed=${discarded.removedCount}`,
+);
+
+// ─── Session schema migrations ────────────────────────────────────
+
+check(
+  'createSession stamps the current schemaVersion',
+  takeSession.schemaVersion === CURRENT_SCHEMA_VERSION && migrateSession(takeSession).migrated === false,
+);
+
+const legacyBlob = {
+  id: 'legacy',
+  title: '옛 세션',
+  rootNodeId: 'root',
+  currentNodeId: 'gone',
+  synopsis: { publicWorld: '', worldSchema: mockSession.worldSchema },
+  nodesById: {
+    root: { id: 'root', parentId: null, depth: 0, text: '프롤로그', stateSnapshot: { location: 'loc_lighthouse', flags: {}, inventory: ['칼'] } },
+    n1: { id: 'n1', parentId: 'root', depth: 1, text: '첫 장면' },
+  },
+  edges: [{ from: 'root', optionId: 'start', to: 'n1' }],
+  gameState: { location: 'loc_lighthouse', flags: {}, inventory: ['칼'], clocks: { tension: 2 } },
+};
+const migratedLegacy = migrateSession(legacyBlob);
+const legacy = migratedLegacy.session;
+check(
+  'legacy blobs are upgraded step by step to the current schema',
+  migratedLegacy.ok && migratedLegacy.fromVersion === 0
+    && legacy.schemaVersion === CURRENT_SCHEMA_VERSION
+    && legacy.worldSchema === legacy.synopsis.worldSchema && !!legacy.worldSchema
+    && !('inventory' in legacy.gameState) && !('inventory' in legacy.nodesById.root.stateSnapshot)
+    && legacy.gameState.clocks.tension === 2 && legacy.gameState.clocks.insight === 0
+    && legacy.gameState.npcStates.npc_yunseo?.location === 'loc_lighthouse'
+    && legacy.gameState.worldTime?.hour === 22 && legacy.nodesById.root.stateSnapshot.worldTime?.day === 1
+    && Array.isArray(legacy.nodesById.n1.options) && !!legacy.nodesById.n1.stateSnapshot
+    && legacy.currentNodeId === 'root'
+    && 'inventory' in legacyBlob.gameState,
+  migratedLegacy.error || '',
+);
+
+check(
+  'unmigratable blobs produce a clear error',
+  !migrateSession({ id: 'x' }).ok
+    && /v99/.test(migrateSession({ ...takeSession, schemaVersion: 99 }).error || ''),
+);
+
+// ─── Session files ────────────────────────────────────────────────
+
+const singleFile = parseSessionFile(JSON.stringify({ format: 'narrive.session', formatVersion: 1, session: takeSession }));
+const backupFile = parseSessionFile(JSON.stringify({ format: 'narrive.backup', formatVersion: 1, sessions: [takeSession, legacyBlob] }));
+check(
+  'session files and backups are read back with their full blobs',
+  singleFile.ok && singleFile.sessions[0].nodesById[takeSession.currentNodeId]
+    && backupFile.ok && backupFile.sessions.length === 2,
+);
+check(
+  'malformed or unknown session files are rejected',
+  !parseSessionFile('{not json').ok && !parseSessionFile('{"hello":1}').ok
+    && !parseSessionFile(JSON.stringify({ format: 'narrive.backup', formatVersion: 1, sessions: [] })).ok,
+);
+
+const brokenCopy = (mutate) => {
+  const copy = structuredClone(takeSession);
+  mutate(copy);
+  return checkSessionStructure(copy);
+};
+const someChildId = takeSession.edges[0].to;
+check(
+  'imports reject sessions whose current node, parents, edges or takes point at missing nodes',
+  checkSessionStructure(takeSession).ok && checkSessionStructure(migratedLegacy.session).ok
+    && !brokenCopy((s) => { s.currentNodeId = 'node_missing'; }).ok
+    && !brokenCopy((s) => { s.nodesById[someChildId].parentId = 'node_missing'; }).ok
+    && !brokenCopy((s) => { delete s.edges; }).ok
+    && !brokenCopy((s) => { s.edges[0].to = 'node_missing'; }).ok
+    && !brokenCopy((s) => { s.edges[0].takes = [s.edges[0].to, 'node_missing']; }).ok
+    && /현재 노드/.test(brokenCopy((s) => { s.currentNodeId = 'node_missing'; }).error),
+);
+
+// ─── Incremental storage layout ───────────────────────────────────
+
+const storedSession = structuredClone(takeSession);
+storedSession.thumbnailBase64 = 'iVBORw0KGgo=';
+const firstWrite = planSessionWrite(storedSession, undefined);
+const nodeCount = Object.keys(storedSession.nodesById).length;
+check(
+  'first save writes every node, edges, thumbnail and a head without them',
+  firstWrite.dirtyNodeIds.length === nodeCount
+    && firstWrite.puts.some(([key]) => key === `asset:${storedSession.id}:thumbnail`)
+    && !('nodesById' in firstWrite.puts.find(([key]) => key === `session:${storedSession.id}`)[1]),
+);
+
+storedSession.nodesById[storedSession.currentNodeId].visited = false;
+storedSession.updatedAt += 1;
+const secondWrite = planSessionWrite(storedSession, firstWrite.next);
+check(
+  'later saves only write dirty nodes and skip unchanged edges and thumbnail',
+  secondWrite.dirtyNodeIds.join() === storedSession.currentNodeId
+    && secondWrite.puts.every(([key]) => !key.startsWith('edges:') && !key.startsWith('asset:'))
+    && secondWrite.dels.length === 0,
+  secondWrite.puts.map(([key]) => key.split(':')[0]).join(','),
+);
+
+const droppedNodeId = storedSession.currentNodeId;
+delete storedSession.nodesById[droppedNodeId];
+const thirdWrite = planSessionWrite(storedSession, secondWrite.next);
+check(
+  'removed nodes are deleted from storage',
+  thirdWrite.dels.includes(`node:${storedSession.id}:${droppedNodeId}`) && thirdWrite.dirtyNodeIds.length === 0,
+);
+
+// ─── Prompt #3 response schema & repair ───────────────────────────
+
+const validTurn = {
+  text: '발전기가 멎는다.',
+  turnSummary: '발전기가 멎었다.',
+  statePatch: { addFlags: [], removeFlags: [], locationChange: 'loc_archive', npcStates: { npc_yunseo: { location: 'loc_archive', status: '경계' } } },
+  clockDelta: { tension_delta: 1, insight_delta: 0 },
+  tensionLevel: 4,
+  options: [{ id: 'opt_a', text: '문을 닫는다' }, { id: 'opt_b', text: '윤서를 부른다' }],
+  isEnding: false,
+  nodeTitle: '멎은 발전기',
+};
+const schemaWorld = mockSession.worldSchema;
+check(
+  'Prompt #3 validator accepts a well-formed turn',
+  validatePrompt3Response(validTurn, schemaWorld).ok,
+  JSON.stringify(validatePrompt3Response(validTurn, schemaWorld).errors || []),
+);
+
+const brokenTurn = {
+  ...validTurn,
+  options: undefined,
+  clockDelta: { tension_delta: 5, insight_delta: 0 },
+  statePatch: { ...validTurn.statePatch, locationChange: 'loc_moon', npcStates: { npc_ghost: { location: 'loc_pier' } } },
+};
+const brokenErrors = validatePrompt3Response(brokenTurn, schemaWorld).errors || [];
+check(
+  'Prompt #3 validator reports missing options, out-of-range deltas and unknown ids',
+  ['$.options', 'tension_delta', 'loc_moon', 'npc_ghost'].every((needle) => brokenErrors.some((e) => e.includes(needle))),
+  brokenErrors.join(' | '),
+);
+
+resetMock();
+setMockScript({ p3: [{ ...brokenTurn, options: [] }] });
+const repaired = await callPrompt3(mockSession, null, mockSession.rootNodeId);
+const repairCalls = getMockCalls();
+check(
+  'Prompt #3 sends one repair re-prompt with the validation errors and accepts the fix',
+  repaired.ok && repairCalls.length === 2
+    && repairCalls[1].messages.at(-1).content.includes('tension_delta'),
+  repaired.error || `calls=${repairCalls.length}`,
+);
+
+resetMock();
+setMockScript({ p3: [{ ...brokenTurn, text: '거부될 장면' }] });
+const repairEvents = [];
+const streamedRepair = await callPrompt3(mockSession, null, mockSession.rootNodeId, {
+  onText: (text) => repairEvents.push(text),
+  onRepair: () => repairEvents.push('<repair>'),
+});
+const repairAt = repairEvents.indexOf('<repair>');
+check(
+  'a rejected streamed response signals the repair, which streams its own text',
+  streamedRepair.ok && repairAt > 0 && repairEvents[repairAt - 1].includes('거부될')
+    && repairEvents.at(-1) === streamedRepair.data.text,
+  `events=${repairEvents.length}, repairAt=${repairAt}`,
+);
+
+resetMock();
+setMockScript({ p3: [brokenTurn, brokenTurn, validTurn] });
+const unrepaired = await callPrompt3(mockSession, null, mockSession.rootNodeId);
+check(
+  'Prompt #3 gives up after a single failed repair',
+  !unrepaired.ok && unrepaired.validationErrors?.length > 0 && getMockCalls().length === 2,
+  `calls=${getMockCalls().length}`,
+);
+
+// ─── Milestone progress ───────────────────────────────────────────
+
+resetMock();
+setMockScript({ p3: [validTurn, { ...validTurn, statePatch: { ...validTurn.statePatch, addFlags: ['milestone_archive_truth_seen'] } }] });
+const milestoneSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(milestoneSession);
+await progressTurn(milestoneSession, 'start');
+await progressTurn(milestoneSession, 'opt_a');
+const milestoneNode = milestoneSession.nodesById[milestoneSession.currentNodeId];
+const milestoneProgress = getMilestoneProgress(milestoneSession.worldSchema, milestoneNode.stateSnapshot);
+const milestoneStatus = Object.fromEntries(milestoneProgress.milestones.map((m) => [m.id, m.status]));
+check(
+  'milestone completions are logged with node and turn, and skips are reported',
+  JSON.stringify(milestoneNode.stateSnapshot.milestoneLog) === JSON.stringify([{ id: 'ms2', nodeId: milestoneNode.id, turn: 2 }])
+    && milestoneSession.gameState.milestoneLog?.length === 1
+    && milestoneStatus.ms1 === 'skipped' && milestoneStatus.ms2 === 'completed' && milestoneStatus.ms3 === 'pending'
+    && milestoneProgress.milestones.find((m) => m.id === 'ms2').outOfOrder
+    && milestoneProgress.chapter === 3 && milestoneProgress.total === 5 && milestoneProgress.next?.id === 'ms1',
+  JSON.stringify(milestoneStatus),
+);
+
+const preMilestoneBlob = structuredClone(milestoneSession);
+preMilestoneBlob.schemaVersion = 6;
+Object.values(preMilestoneBlob.nodesById).forEach((node) => { delete node.stateSnapshot.milestoneLog; });
+delete preMilestoneBlob.gameState.milestoneLog;
+const backfilled = migrateSession(preMilestoneBlob).session;
+check(
+  'migration backfills milestone logs along each path',
+  JSON.stringify(backfilled.nodesById[milestoneNode.id].stateSnapshot.milestoneLog) === JSON.stringify(milestoneNode.stateSnapshot.milestoneLog)
+    && backfilled.nodesById[milestoneSession.rootNodeId].stateSnapshot.milestoneLog.length === 0
+    && backfilled.gameState.milestoneLog.length === 1,
+);
+
+// ─── Inventory ────────────────────────────────────────────────────
+
+check(
+  'Prompt #3 validator checks item ids and where items are moved',
+  validatePrompt3Response({ ...validTurn, statePatch: { ...validTurn.statePatch, addItems: ['item_logbook'], moveItem: { itemId: 'item_logbook', to: 'npc_yunseo' } } }, schemaWorld).ok
+    && (validatePrompt3Response({ ...validTurn, statePatch: { ...validTurn.statePatch, addItems: ['item_sword'], moveItem: { itemId: 'item_logbook', to: 'the_moon' } } }, schemaWorld).errors || [])
+      .filter((e) => e.includes('item_sword') || e.includes('the_moon')).length === 2,
+);
+
+resetMock();
+const pickupTurn = { ...validTurn, statePatch: { ...validTurn.statePatch, locationChange: null, addItems: ['item_logbook'] } };
+const handoverTurn = { ...validTurn, statePatch: { ...validTurn.statePatch, locationChange: null, moveItem: { itemId: 'item_logbook', to: 'npc_yunseo' } } };
+setMockScript({ p3: [validTurn, pickupTurn, handoverTurn] });
+const itemSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+const startItems = getItemsAt(itemSession.worldSchema, itemSession.gameState, 'loc_lighthouse').map((item) => item.id);
+await generateInitialOptions(itemSession);
+await progressTurn(itemSession, 'start');
+itemSession.gameState.location = 'loc_lighthouse';
+itemSession.nodesById[itemSession.currentNodeId].stateSnapshot.location = 'loc_lighthouse';
+await progressTurn(itemSession, 'opt_a');
+const pickedState = itemSession.gameState;
+const pickupPrompt = buildPrompt3Messages(itemSession, { id: 'opt_b', text: '윤서를 부른다' })[0].content;
+await progressTurn(itemSession, 'opt_b');
+check(
+  'picked-up items move to the inventory, leave their room and reach Prompt #3',
+  startItems.includes('item_logbook')
+    && pickedState.itemLocations.item_logbook === INVENTORY
+    && getCarriedItems(itemSession.worldSchema, pickedState).length === 1
+    && getItemsAt(itemSession.worldSchema, pickedState, 'loc_lighthouse').length === 0
+    && /\[CARRIED ITEMS \/ INVENTORY\]\n- 젖은 항해 일지/.test(pickupPrompt)
+    && !/\[LOCAL ITEMS \/ OBJECTS\]\n- 젖은 항해 일지/.test(pickupPrompt)
+    && itemSession.gameState.itemLocations.item_logbook === 'npc_yunseo',
+  JSON.stringify(itemSession.gameState.itemLocations),
+);
+
+// ─── Stats & skill checks ─────────────────────────────────────────
+
+const d20Rolls = Array.from({ length: 400 }, (_, i) => rollD20(12345, `node:${i}`));
+check(
+  'seeded d20 rolls are deterministic and cover 1..20',
+  rollD20(12345, 'node:7') === d20Rolls[7]
+    && Math.min(...d20Rolls) === 1 && Math.max(...d20Rolls) === 20,
+);
+
+const statSynopsis = structuredClone(mockSynopsis.data);
+statSynopsis.worldSchema.protagonist.stats = [{ id: 'wits', name: '기지', value: 2 }, { id: 'grit', name: '근성', value: 1 }];
+const checkedTurn = {
+  ...validTurn,
+  statePatch: { ...validTurn.statePatch, locationChange: null },
+  options: [{ id: 'opt_a', text: '무너지는 계단을 뛰어넘는다', check: { stat: 'grit', difficulty: 'hard' } }, { id: 'opt_b', text: '윤서를 부른다' }],
+};
+check(
+  'Prompt #3 validator checks option stats and difficulties',
+  validatePrompt3Response(checkedTurn, statSynopsis.worldSchema).ok
+    && (validatePrompt3Response({ ...checkedTurn, options: [{ id: 'x', text: 'y', check: { stat: 'luck', difficulty: 'brutal' } }] }, statSynopsis.worldSchema).errors || [])
+      .filter((e) => e.includes('luck') || e.includes('brutal')).length === 2,
+);
+
+resetMock();
+setMockScript({ p3: [checkedTurn, checkedTurn, validTurn, validTurn] });
+const statSession = createSession({ ...statSynopsis, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(statSession);
+await progressTurn(statSession, 'start');
+const checkParent = statSession.nodesById[statSession.currentNodeId];
+const expectedCheck = rollSkillCheck(statSession, checkParent.id, checkParent.options[0]);
+const noCheck = rollSkillCheck(statSession, checkParent.id, checkParent.options[1]);
+await progressTurn(statSession, 'opt_a');
+const checkedNode = statSession.nodesById[statSession.currentNodeId];
+const checkedPrompt = getMockCalls().filter((call) => call.promptType === 'p3').at(-1).messages.at(-1).content;
+const rerolledCheck = await rerollNode(statSession, checkedNode.id);
+check(
+  'a checked option is rolled before Prompt #3, stated as a fact and kept across takes',
+  expectedCheck && noCheck === null
+    && expectedCheck.target === 16 && expectedCheck.total === expectedCheck.roll + 1
+    && JSON.stringify(checkedNode.skillCheck) === JSON.stringify(expectedCheck)
+    && checkedPrompt.includes('[SKILL CHECK') && checkedPrompt.includes(`d20 = ${expectedCheck.roll}`)
+    && rerolledCheck.ok && rerolledCheck.node.skillCheck?.roll === expectedCheck.roll,
+  JSON.stringify(expectedCheck),
+);
+
+// ─── NPC relationships ────────────────────────────────────────────
+
+const rapportTurn = {
+  ...validTurn,
+  statePatch: {
+    ...validTurn.statePatch,
+    locationChange: null,
+    npcStates: {},
+    npcDisposition: { npc_yunseo: { trust: 2, fear: -1, memory: '주인공이 무전기를 고쳐 주었다' } },
+  },
+};
+check(
+  'Prompt #3 validator bounds disposition deltas and checks NPC ids',
+  validatePrompt3Response(rapportTurn, schemaWorld).ok
+    && (validatePrompt3Response({ ...rapportTurn, statePatch: { npcDisposition: { npc_ghost: { trust: 5 } } } }, schemaWorld).errors || [])
+      .filter((e) => e.includes('npc_ghost') || e.includes('out of range')).length === 2,
+);
+
+resetMock();
+setMockScript({ p3: [validTurn, rapportTurn, ...Array.from({ length: NPC_MEMORY_LIMIT + 1 }, () => rapportTurn)] });
+const npcSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(npcSession);
+await progressTurn(npcSession, 'start');
+const metBefore = getMetNpcs(npcSession.worldSchema, npcSession.gameState).map((row) => row.npc.id);
+await progressTurn(npcSession, 'opt_a');
+const yunseo = npcSession.gameState.npcStates.npc_yunseo;
+const npcPrompt = buildPrompt3Messages(npcSession, { id: 'opt_b', text: '윤서를 부른다' })[0].content;
+for (let i = 0; i < NPC_MEMORY_LIMIT + 1; i++) {
+  await progressTurn(npcSession, npcSession.nodesById[npcSession.currentNodeId].options[0].id);
+}
+const yunseoLater = npcSession.gameState.npcStates.npc_yunseo;
+check(
+  'disposition deltas and memories are stored per NPC, shown to Prompt #3 and capped',
+  metBefore.includes('npc_yunseo')
+    && yunseo.disposition.trust === 2 && yunseo.disposition.fear === 0 && yunseo.memory[0]?.turn === 2
+    && /윤서[^\n]*\[관계: 신뢰 2 \/ 두려움 0 \/ 적대 0\] \/ \[기억: T2: 주인공이 무전기를 고쳐 주었다\]/.test(npcPrompt)
+    && yunseoLater.disposition.trust === 10 && yunseoLater.memory.length === NPC_MEMORY_LIMIT,
+  JSON.stringify(yunseo),
+);
+
+// ─── Custom clocks ────────────────────────────────────────────────
+
+const clockWorld = mockSession.worldSchema;
+const floodTurn = { ...validTurn, statePatch: { ...validTurn.statePatch, locationChange: null }, clockDelta: { tension_delta: 0, insight_delta: 0, clock_flood: 3 } };
+check(
+  'Prompt #3 validator accepts custom clock deltas and rejects unknown or oversized ones',
+  getCustomClocks(clockWorld).length === 1
+    && validatePrompt3Response(floodTurn, clockWorld).ok
+    && (validatePrompt3Response({ ...floodTurn, clockDelta: { clock_ghost: 1, clock_flood: 9 } }, clockWorld).errors || [])
+      .filter((e) => e.includes('clock_ghost') || e.includes('out of range')).length === 2,
+);
+
+const clockBase = { ...mockSession.gameState, clocks: { tension: 1, insight: 0, clock_flood: 5 }, clockTriggers: [], turnCount: 3 };
+const clockedState = applyStatePatch(clockBase, { clockDelta: { tension_delta: -3, insight_delta: 1, clock_flood: 3 } }, '장편', clockWorld);
+const clockedAgain = applyStatePatch({ ...clockedState, clocks: { ...clockedState.clocks, clock_flood: 5 } }, { clockDelta: { clock_flood: 1 } }, '장편', clockWorld);
+check(
+  'applyStatePatch applies generic clock deltas, clamps custom clocks and fires a threshold once',
+  mockSession.gameState.clocks.clock_flood === 0
+    && clockedState.clocks.tension === 0 && clockedState.clocks.insight === 1 && clockedState.clocks.clock_flood === 6
+    && clockedState.clockTriggers.length === 1 && clockedState.clockTriggers[0].turn === 4
+    && clockedAgain.clockTriggers.length === 1 && !clockedState.endingCondition,
+  JSON.stringify(clockedState.clocks),
+);
+
+const bareClockDeltas = [{ tension: 3 }, { insight: 3 }, { insight: -3 }];
+const noClockWorld = { ...clockWorld, clocks: [] };
+const bareTurn = (clockDelta) => ({ ...floodTurn, clockDelta: { tension_delta: 0, insight_delta: 0, ...clockDelta } });
+check(
+  'bare tension/insight clock deltas are rejected with or without custom clocks and never applied',
+  bareClockDeltas.every((delta) => !validatePrompt3Response(bareTurn(delta), clockWorld).ok && !validatePrompt3Response(bareTurn(delta), noClockWorld).ok)
+    && !validatePrompt3Response(bareTurn({ clock_ghost: 1 }), noClockWorld).ok
+    && validatePrompt3Response(bareTurn({}), noClockWorld).ok
+    && bareClockDeltas.every((clockDelta) => {
+      const { clocks } = applyStatePatch(clockBase, { clockDelta }, '장편', clockWorld);
+      return clocks.tension === 1 && clocks.insight === 0;
+    }),
+);
+
+resetMock();
+setMockScript({ p3: [validTurn, floodTurn, floodTurn, validTurn, validTurn] });
+const clockSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(clockSession);
+await progressTurn(clockSession, 'start');
+await progressTurn(clockSession, 'opt_a');
+await progressTurn(clockSession, 'opt_a');
+await progressTurn(clockSession, 'opt_a');
+const clockPrompts = getMockCalls().filter((call) => call.promptType === 'p3').map((call) => call.messages?.[0]?.content || '');
+check(
+  'a directive clock is shown to Prompt #3 and its directive is injected on the turn after it fires',
+  clockPrompts[1].includes('[STORY CLOCKS]') && clockPrompts[1].includes('"clock_flood"')
+    && !clockPrompts[2].includes('[CLOCK TRIGGERED') && clockPrompts[3].includes('[CLOCK TRIGGERED: clock_flood]')
+    && clockPrompts[3].includes('항해 일지를 더 이상 꺼낼 수 없다')
+    && !clockPrompts.some((text, i) => i !== 3 && text.includes('[CLOCK TRIGGERED')),
+  clockPrompts.map((text) => text.includes('[CLOCK TRIGGERED')).join(','),
+);
+
+const doomWorld = structuredClone(clockWorld);
+doomWorld.clocks = [{ id: 'clock_air', name: '산소', min: 0, max: 4, start: 4, triggerAt: 0, effect: { type: 'ending', endingType: 'suffocation', directive: '산소가 바닥나 의식을 잃는다' } }];
+const doomState = applyStatePatch({ ...clockBase, clocks: { tension: 0, insight: 0, clock_air: 1 } }, { clockDelta: { clock_air: -2 } }, '장편', doomWorld);
+check(
+  'an ending clock reaching its threshold forces the ending like a lose condition',
+  doomState.clocks.clock_air === 0 && doomState.isEnding
+    && doomState.endingCondition?.id === 'clock:clock_air' && doomState.endingCondition.kind === 'lose'
+    && doomState.endingCondition.endingType === 'suffocation',
+  JSON.stringify(doomState.endingCondition),
+);
+
+// ─── World time ───────────────────────────────────────────────────
+
+const pier = clockWorld.locations.find((loc) => loc.id === 'loc_pier');
+const restedState = applyStatePatch({ ...mockSession.gameState, worldTime: { day: 1, hour: 22 } }, { statePatch: { timeAdvance: 9 } }, '장편', clockWorld);
+check(
+  'timeAdvance moves the world clock across midnight and opening hours wrap past midnight',
+  restedState.worldTime.day === 2 && restedState.worldTime.hour === 7
+    && advanceWorldTime({ day: 1, hour: 0 }, 99).hour === 12
+    && isLocationOpen(pier, { day: 1, hour: 23 }) && isLocationOpen(pier, { day: 2, hour: 3 }) && !isLocationOpen(pier, { day: 2, hour: 12 })
+    && (validatePrompt3Response({ ...validTurn, statePatch: { ...validTurn.statePatch, timeAdvance: 30 } }, clockWorld).errors || [])
+      .some((e) => e.includes('timeAdvance')),
+  JSON.stringify(restedState.worldTime),
+);
+
+resetMock();
+setMockScript({ p3: [validTurn] });
+const timeSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(timeSession);
+await progressTurn(timeSession, 'start');
+const nightPrompt = buildPrompt3Messages(timeSession, { id: 'opt_a', text: '문을 닫는다' })[0].content;
+timeSession.nodesById[timeSession.currentNodeId].stateSnapshot.worldTime = { day: 2, hour: 12 };
+const noonPrompt = buildPrompt3Messages(timeSession, { id: 'opt_a', text: '문을 닫는다' })[0].content;
+check(
+  'Prompt #3 carries the world time from the schema start and marks exits closed at this hour',
+  nightPrompt.includes('[WORLD TIME]\n- 1일차 밤 (22시)') && nightPrompt.includes('검은 부두 (Move to ID: loc_pier)')
+    && noonPrompt.includes('2일차 낮 (12시)') && noonPrompt.includes('검은 부두 (ID: loc_pier) — CLOSED now (open 20–6시)'),
+);
+
+// ─── Story graph ──────────────────────────────────────────────────
+
+resetMock();
+const graphSession = await startPrefetchSession();
+const graphFork = graphSession.currentNodeId;
+const graphOptionId = graphSession.nodesById[graphFork].options[0].id;
+await progressTurn(graphSession, graphOptionId);
+const graphOldTake = graphSession.currentNodeId;
+await rerollNode(graphSession, graphOldTake);
+rollbackToNode(graphSession, graphFork);
+await schedulePrefetch(graphSession, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+const graphLayout = layoutTreeGraph(buildTreeViewModel(graphSession));
+const graphById = Object.fromEntries(graphLayout.nodes.map((node) => [node.id, node]));
+const graphPrefetched = graphLayout.nodes.find((node) => !node.visited);
+check(
+  'graph view model includes prefetched nodes and inactive takes, and marks dead ends',
+  graphLayout.nodes.length === Object.keys(graphSession.nodesById).length
+    && graphById[graphOldTake]?.isActiveTake === false && graphById[graphOldTake].isDeadEnd
+    && graphById[graphFork].isCurrent && graphById[graphFork].phase === 'ACT1'
+    && !!graphPrefetched && graphLayout.links.length === graphLayout.nodes.length - 1
+    && new Set(graphLayout.nodes.map((node) => `${node.x},${node.y}`)).size === graphLayout.nodes.length,
+  JSON.stringify(summarizeTreeGraph(graphLayout.nodes)),
+);
+
+rollbackToNode(graphSession, graphOldTake);
+check(
+  'rolling back into an inactive take activates it and marks the path as read',
+  getChild(graphSession, graphFork, graphOptionId)?.id === graphOldTake
+    && graphSession.currentNodeId === graphOldTake
+    && rollbackToNode(graphSession, graphPrefetched.id).ok && graphSession.nodesById[graphPrefetched.id].visited,
+);
+
+// ─── Scene search ─────────────────────────────────────────────────
+
+const searchDocs = getSearchIndex(graphSession).docs;
+const searchTarget = graphSession.nodesById[graphPrefetched.id];
+const searchWord = searchTarget.text.replace(/<<|>>/g, '').split(/\s+/).find((word) => word.length >= 2);
+const searchHits = searchIndex(getSearchIndex(graphSession), searchWord);
+const customOptionId = addCustomOption(graphSession, graphFork, '등대지기의 낡은 일지를 훔쳐본다');
+check(
+  'search index follows addNode and custom options, and hits carry a snippet around the match',
+  Object.keys(searchDocs).length === Object.keys(graphSession.nodesById).length
+    && searchHits.some((hit) => hit.nodeId === searchTarget.id && hit.snippet.toLowerCase().includes(searchWord.toLowerCase()))
+    && searchIndex(getSearchIndex(graphSession), '낡은 일지')[0]?.nodeId === graphFork
+    && searchIndex(getSearchIndex(graphSession), 'Prologue')[0]?.nodeId === graphSession.rootNodeId
+    && searchIndex(getSearchIndex(graphSession), '   ').length === 0,
+  `word=${searchWord} hits=${searchHits.length} custom=${customOptionId}`,
+);
+
+const storedIndex = structuredClone(serializeSearchIndex(getSearchIndex(graphSession)));
+const reloadedSession = structuredClone(graphSession);
+const unchangedAttach = attachSearchIndex(reloadedSession, storedIndex);
+const unchangedDirty = getSearchIndex(reloadedSession).dirty;
+delete storedIndex.docs[graphFork];
+storedIndex.docs.node_gone = { title: '사라진 장면', depth: 9, body: '', sig: '0:0' };
+const staleAttach = attachSearchIndex(structuredClone(graphSession), storedIndex);
+const removedIds = removeSubtree(graphSession, graphPrefetched.id);
+check(
+  'a stored search index is topped up on load instead of rebuilt, and removed nodes leave it',
+  unchangedAttach.added === 0 && unchangedAttach.removed === 0 && !unchangedDirty
+    && staleAttach.added === 1 && staleAttach.removed === 1
+    && removedIds.length > 0 && removedIds.every((id) => !getSearchIndex(graphSession).docs[id])
+    && planSessionWrite(graphSession, undefined).puts.every(([key]) => !key.startsWith('search:')),
+  `${JSON.stringify(unchangedAttach)} ${JSON.stringify(staleAttach)}`,
+);
+
+// ─── Bookmarks & notes ────────────────────────────────────────────
+
+resetMock();
+const noteSession = await startPrefetchSession();
+await schedulePrefetch(noteSession, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+const noteRoot = noteSession.rootNodeId;
+const noteCurrent = noteSession.currentNodeId;
+const noteOffPath = getChild(noteSession, noteCurrent, noteSession.nodesById[noteCurrent].options[0].id).id;
+setBookmark(noteSession, noteCurrent, true);
+setNote(noteSession, noteCurrent, '비밀 메모: 창고 열쇠는 아직 쓰지 말 것');
+setNote(noteSession, noteRoot, '등대 쪽 길을 더 파고들어 줘', { hint: true });
+setNote(noteSession, noteOffPath, '다른 분기 힌트', { hint: true });
+setBookmark(noteSession, noteOffPath, true);
+setBookmark(noteSession, noteOffPath, false);
+setNote(noteSession, noteOffPath, '');
+const annotated = listAnnotatedNodes(noteSession);
+check(
+  'bookmarks and notes are stored per node and an emptied annotation is removed',
+  annotated.map((entry) => entry.nodeId).join() === [noteRoot, noteCurrent].join()
+    && annotated[1].bookmarked && !annotated[1].hint && annotated[0].hint
+    && !('annotation' in noteSession.nodesById[noteOffPath])
+    && !setBookmark(noteSession, 'missing', true).ok
+    && !setNote(noteSession, noteCurrent, 'x'.repeat(NOTE_MAX_LENGTH + 1)).ok,
+  JSON.stringify(annotated.map(({ nodeId, bookmarked, hint }) => ({ nodeId, bookmarked, hint }))),
+);
+
+setNote(noteSession, noteOffPath, '다른 분기 힌트', { hint: true });
+const notePrompt = assemblePrompt3(noteSession, noteSession.nodesById[noteCurrent].options[0], noteCurrent);
+const notePromptText = notePrompt.messages.map((message) => message.content).join('\n');
+const noPrivatePrompt = buildPrompt3Messages(noteSession, noteSession.nodesById[noteOffPath].options?.[0] || null, noteOffPath)
+  .map((message) => message.content).join('\n');
+check(
+  'only notes opted in as hints on the current path reach Prompt #3',
+  notePromptText.includes('## Player Hints') && notePromptText.includes('등대 쪽 길을 더 파고들어 줘')
+    && !notePromptText.includes('비밀 메모') && !notePromptText.includes('다른 분기 힌트')
+    && noPrivatePrompt.includes('다른 분기 힌트') && !noPrivatePrompt.includes('비밀 메모')
+    && notePrompt.report.sections.some((section) => section.id === 'playerHints' && section.status === 'full'),
+);
+
+const exportedNotes = parseSessionFile(JSON.stringify({ format: 'narrive.session', formatVersion: 1, exportedAt: 0, session: noteSession }));
+const storedNote = planSessionWrite(noteSession, undefined).puts.find(([key]) => key === `node:${noteSession.id}:${noteCurrent}`)?.[1];
+check(
+  'annotations are saved and exported with their nodes',
+  storedNote?.annotation?.note === '비밀 메모: 창고 열쇠는 아직 쓰지 말 것'
+    && migrateSession(exportedNotes.sessions[0]).session.nodesById[noteCurrent].annotation?.bookmarked === true,
+);
+
+// ─── Branch comparison ────────────────────────────────────────────
+
+const stateDiff = diffStates(
+  { location: 'loc_pier', flags: { met_han: true, lamp_lit: true }, clocks: { tension: 2, insight: 1 }, npcStates: { npc_yunseo: { location: 'loc_pier', status: '경계' } } },
+  { location: 'loc_pier', flags: { lamp_lit: true, found_key: true }, clocks: { tension: 4, insight: 1 }, npcStates: { npc_yunseo: { location: 'loc_archive', status: '경계' } } },
+  noteSession.worldSchema,
+);
+check(
+  'state diff lists flags on each side, changed clocks and NPC states',
+  stateDiff.flagsOnlyA.join() === 'met_han' && stateDiff.flagsOnlyB.join() === 'found_key'
+    && stateDiff.clocks.length === 1 && stateDiff.clocks[0].name === '긴장' && stateDiff.clocks[0].b === 4
+    && stateDiff.npcs.length === 1 && stateDiff.npcs[0].a.location === 'loc_pier'
+    && !stateDiff.location && !stateDiff.same
+    && diffStates(noteSession.gameState, structuredClone(noteSession.gameState), noteSession.worldSchema).same,
+  JSON.stringify(stateDiff),
+);
+
+const compareChildren = noteSession.nodesById[noteCurrent].options.map((option) => getChild(noteSession, noteCurrent, option.id)?.id).filter(Boolean);
+await progressTurn(noteSession, noteSession.nodesById[noteCurrent].options[0].id);
+const compareDeepParent = noteSession.currentNodeId;
+await progressTurn(noteSession, noteSession.nodesById[compareDeepParent].options[0].id);
+const compareDeep = noteSession.currentNodeId;
+const comparison = buildBranchComparison(noteSession, compareDeep, compareChildren[1]);
+check(
+  'branch comparison pairs both paths from the fork and keeps diffing against the shorter branch',
+  comparison.ok && comparison.forkId === noteCurrent && comparison.rows.length === 2
+    && comparison.rows[0].a.id === compareDeepParent && comparison.rows[0].b.id === compareChildren[1]
+    && comparison.rows[0].choiceA === noteSession.nodesById[noteCurrent].options[0].text
+    && comparison.rows[1].a.id === compareDeep && comparison.rows[1].b === null
+    && comparison.rows[1].depth === noteSession.nodesById[compareDeep].depth
+    && !buildBranchComparison(noteSession, compareDeep, compareDeep).ok
+    && !buildBranchComparison(noteSession, compareDeep, noteCurrent).ok,
+  comparison.error || `rows=${comparison.rows.length}`,
+);
+
+// ─── Pruning unread prefetch ──────────────────────────────────────
+
+resetMock();
+const pruneTarget = await startPrefetchSession();
+for (let i = 0; i < 6; i++) {
+  await schedulePrefetch(pruneTarget, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+  await progressTurn(pruneTarget, pruneTarget.nodesById[pruneTarget.currentNodeId].options[0].id);
+}
+await schedulePrefetch(pruneTarget, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+// The unchosen option of each fork on the path, oldest first
+const pruneFarSiblings = getPathToRootIds(pruneTarget).slice(1, -1).map((forkId) => {
+  const fork = pruneTarget.nodesById[forkId];
+  const skipped = fork.options.find((option) => option.id !== fork.selectedOptionId);
+  return getChild(pruneTarget, forkId, skipped.id);
+});
+setBookmark(pruneTarget, pruneFarSiblings[0].id, true);
+pruneFarSiblings[1].isEnding = true;
+const pruneVisited = Object.values(pruneTarget.nodesById).filter((node) => node.visited).map((node) => node.id);
+const pruneFrontier = pruneTarget.nodesById[pruneTarget.currentNodeId].options.map((option) => getChild(pruneTarget, pruneTarget.currentNodeId, option.id)?.id);
+const pruneBefore = Object.keys(pruneTarget.nodesById).length;
+getSearchIndex(pruneTarget);
+const pruned = pruneSession(pruneTarget, { maxDistance: 3, maxNodes: 0 });
+const pruneAfter = Object.keys(pruneTarget.nodesById).length;
+check(
+  'pruning drops far unread prefetch but keeps visited, bookmarked and ending nodes and the current frontier',
+  pruned.removedCount > 0 && pruned.bytes > 0 && pruneAfter === pruneBefore - pruned.removedCount
+    && pruneVisited.every((id) => pruneTarget.nodesById[id])
+    && pruneFrontier.every((id) => id && pruneTarget.nodesById[id])
+    && !!pruneTarget.nodesById[pruneFarSiblings[0].id] && !!pruneTarget.nodesById[pruneFarSiblings[1].id]
+    && pruneTarget.edges.every((edge) => pruneTarget.nodesById[edge.from] && (edge.takes || [edge.to]).every((id) => pruneTarget.nodesById[id]))
+    && Object.keys(getSearchIndex(pruneTarget).docs).length === pruneAfter,
+  `${pruneBefore} → ${pruneAfter}, ${pruned.bytes}B`,
+);
+
+const pruneCapped = pruneUnvisited(pruneTarget, { maxDistance: 0, maxNodes: pruneAfter - 1 });
+check(
+  'a size threshold drops just enough unread leaves, and nothing when it is not reached',
+  pruneCapped.removed.length === 1 && !pruneTarget.nodesById[pruneCapped.removed[0]]?.visited
+    && Object.keys(pruneTarget.nodesById).length === pruneAfter - 1
+    && pruneUnvisited(pruneTarget, { maxDistance: 0, maxNodes: 1000 }).removed.length === 0,
+);
+
+function getPathToRootIds(session) {
+  const path = [];
+  for (let id = session.currentNodeId; id; id = session.nodesById[id].parentId) path.unshift(id);
+  return path;
+}
+
+async function startPrefetchSession() {
+  const session = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '단편' });
+  await generateInitialOptions(session);
+  await progressTurn(session, 'start');
+  return session;
+}
+
+resetMock();
+const budgetSession = await startPrefetchSession();
+await schedulePrefetch(budgetSession, { policy: 'current', maxCalls: 1, maxTokens: 0 });
+const budgetRows = getPrefetchSnapshot(budgetSession);
+check(
+  'prefetch stops at the per-session call budget and reports budget-skipped',
+  getPrefetchUsage(budgetSession).calls === 1
+    && budgetRows.filter((row) => row.status === 'cached').length === 1
+    && budgetRows.filter((row) => row.status === 'budget-skipped').length === budgetRows.length - 1,
+  budgetRows.map((row) => row.status).join(','),
+);
+
+resetMock();
+const cancelSession = await startPrefetchSession();
+const leftNodeId = cancelSession.currentNodeId;
+setMockScript({}, { latencyMs: 30 });
+const pending = schedulePrefetch(cancelSession, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+rollbackToNode(cancelSession, cancelSession.rootNodeId);
+await schedulePrefetch(cancelSession, { policy: 'current', maxCalls: 0, maxTokens: 0 });
+await pending;
+const cancelledRows = getPrefetchSnapshot(cancelSession, leftNodeId);
+check(
+  'moving away aborts in-flight prefetches and reports them as cancelled',
+  cancelledRows.length > 0 && cancelledRows.every((row) => row.status === 'cancelled')
+    && !cancelledRows.some((row) => getChild(cancelSession, leftNodeId, row.optionId)),
+  cancelledRows.map((row) => row.status).join(','),
+);
+
+resetMock();
+const offSession = await startPrefetchSession();
+const callsBeforeOff = getMockCalls().length;
+await schedulePrefetch(offSession, { policy: 'none' });
+check(
+  'prefetch policy none makes no calls',
+  getMockCalls().length === callsBeforeOff && getPrefetchUsage(offSession).calls === 0,
+  `calls=${getMockCalls().length}`,
+);
+
+resetMock();
+const deepSession = await startPrefetchSession();
+await schedulePrefetch(deepSession, { policy: 'deep', depth: 3, maxCalls: 0, maxTokens: 0 });
+const deepStart = deepSession.nodesById[deepSession.currentNodeId];
+const likely1 = getChild(deepSession, deepStart.id, deepStart.options[0].id);
+const likely2 = likely1 && getChild(deepSession, likely1.id, likely1.options[0]?.id);
+const likely3 = likely2 && getChild(deepSession, likely2.id, likely2.options[0]?.id);
+check(
+  'deep prefetch follows the most likely option down N levels',
+  !!likely3 && getPrefetchUsage(deepSession).calls === deepStart.options.length + 2
+    && !getChild(deepSession, likely1.id, likely1.options[1]?.id),
+  `calls=${getPrefetchUsage(deepSession).calls}`,
+);
+
+const deepUsage = summarizeUsage(deepSession.usageLog);
+check(
+  'every call is logged on the session, tagged by prompt type, source and model',
+  deepUsage.bySource.prefetch?.calls === getPrefetchUsage(deepSession).calls
+    && deepUsage.bySource.direct?.calls === 1
+    && deepUsage.byPromptType.p3?.calls === deepUsage.total.calls
+    && deepUsage.byModel['mock-narrator']?.costUsd === 0
+    && deepUsage.total.totalTokens > 0,
+  JSON.stringify(deepUsage.bySource),
+);
+check(
+  'price table estimates token and image costs and leaves unknown models unpriced',
+  Math.abs(estimateCost({ model: 'gpt-4o', promptTokens: 1_000_000, completionTokens: 100_000 }) - 3.5) < 1e-9
+    && Math.abs(estimateCost({ model: 'gemini-2.5-flash-image', images: 2 }) - 0.078) < 1e-9
+    && estimateCost({ model: 'made-up-model', promptTokens: 10 }) === null
+    && estimateCost({ model: 'llama3.1', provider: 'local', promptTokens: 10 }) === 0,
+);
+const usageMeta = planSessionWrite(deepSession, undefined).puts.find(([key]) => key === `meta:${deepSession.id}`)?.[1];
+check(
+  'session meta carries the usage totals shown on home cards',
+  usageMeta?.usage?.calls === deepUsage.total.calls && usageMeta.usage.totalTokens === deepUsage.total.totalTokens,
+  JSON.stringify(usageMeta?.usage),
+);
+
+resetMock();
+const longSession = createSession({ ...mockSynopsis.data, model: 'mock-narrator', temperature: 1, storyLength: '장편' });
+await generateInitialOptions(longSession);
+for (let i = 0; i < 14; i++) {
+  const node = longSession.nodesById[longSession.currentNodeId];
+  if (node.isEnding || !node.options?.length) break;
+  await progressTurn(longSession, node.options[0].id);
+}
+const longChapters = getChapters(longSession, longSession.currentNodeId);
+check(
+  'long paths split into chapters of at most CHAPTER_TURNS turns, closing early on act changes',
+  longChapters.length >= 3
+    && longChapters.every((c) => c.nodeIds.length <= CHAPTER_TURNS)
+    && longChapters.some((c) => c.closed && c.nodeIds.length < CHAPTER_TURNS),
+  longChapters.map((c) => `${c.fromDepth}-${c.toDepth}:${c.act}${c.closed ? '' : '(open)'}`).join(' '),
+);
+
+const pendingBefore = getPendingChapters(longSession, longSession.currentNodeId).length;
+const summaryRun = await summarizeChapters(longSession);
+const summaryCalls = getMockCalls().filter((call) => call.promptType === 'summary');
+check(
+  'closed chapters are summarized once each and stored on their last node',
+  summaryRun.ok && summaryRun.summarized === pendingBefore && pendingBefore > 0
+    && summaryCalls.length === pendingBefore
+    && getPendingChapters(longSession, longSession.currentNodeId).length === 0
+    && (await summarizeChapters(longSession)).summarized === 0,
+  `pending=${pendingBefore}, summarized=${summaryRun.summarized}`,
+);
+
+const longCurrent = longSession.nodesById[longSession.currentNodeId];
+const longPrompt = buildPrompt3Messages(longSession, longCurrent.options[0], longCurrent.id);
+const longUser = longPrompt.find((m) => m.role === 'user')?.content || '';
+const longSystem = longPrompt.find((m) => m.role === 'system')?.content || '';
+const longPromptText = `${longSystem}\n${longUser}`;
+const firstTurn = longSession.nodesById[getChapters(longSession, longSession.currentNodeId)[0].nodeIds[0]];
+check(
+  'Prompt #3 carries chapter summaries instead of the summarized turns',
+  longPromptText.includes('## Story So Far')
+    && longPromptText.includes(firstTurn.chapterSummary?.text || longSession.nodesById[longChapters[0].endNodeId].chapterSummary.text)
+    && !longPromptText.includes(`Turn ${firstTurn.depth}: ${firstTurn.turnSummary}`),
+);
+
+const storySection = (longPromptText.match(/## Story So Far[\s\S]*?## Recent Scenes[\s\S]*?(?=\n## |\n\[RECENT REPETITION|$)/) || [''])[0];
+check(
+  'story context stays within its token budget',
+  storySection.length > 0 && estimateTokens(storySection) <= 3200,
+  `~${estimateTokens(storySection)} tokens`,
+);
+
+const roomyReport = assemblePrompt3(longSession, longCurrent.options[0], longCurrent.id).report;
+check(
+  'prompt assembler leaves every section whole when the prompt fits the model budget',
+  roomyReport.contextWindow === 32000 && roomyReport.sections.every((section) => section.status === 'full')
+    && roomyReport.total <= roomyReport.budget
+    && roomyReport.storyContext?.scenes.count > 0 && roomyReport.storyContext.used <= roomyReport.storyContext.budget,
+  `${roomyReport.total}/${roomyReport.budget}`,
+);
+
+const bloated = structuredClone(longSession);
+bloated.synopsis.publicWorld = '등대의 역사는 길고 복잡하다. '.repeat(400);
+bloated.synopsis.hiddenPlot = '숨겨진 진실이 하나 더 있다. '.repeat(300);
+const bloatedNode = bloated.nodesById[bloated.currentNodeId];
+for (let i = 0; i < 300; i++) bloatedNode.stateSnapshot.flags[`flag_number_${i}`] = true;
+saveSettings({ provider: 'local', localBaseUrl: 'http://localhost:11434/v1', localModel: 'llama3.1' });
+const tight = assemblePrompt3(bloated, bloatedNode.options[0], bloatedNode.id);
+saveSettings({ provider: 'mock' });
+const tightStatus = Object.fromEntries(tight.report.sections.map((section) => [section.id, section.status]));
+check(
+  'prompt assembler fits a small context window by cutting the lowest-priority sections first',
+  tight.report.contextWindow === 8192 && tight.report.budget === 6144
+    && tight.report.total <= tight.report.budget
+    && tightStatus.publicWorld !== 'full' && tightStatus.hiddenPlot !== 'full'
+    && ['instructions', 'phase', 'playerAction'].every((id) => tightStatus[id] === 'full')
+    && ['schema', 'storyContext', 'state'].every((id) => tightStatus[id] !== 'dropped')
+    && tight.messages[0].content.includes('[NEXT ARC MILESTONE'),
+  `${tight.report.total}/${tight.report.budget} ${JSON.stringify(tightStatus)}`,
+);
+
+saveSettings({ provider: 'anthropic', anthropicApiKey: 'sk-test' });
+const wide = assemblePrompt3(bloated, bloatedNode.options[0], bloatedNode.id).report;
+saveSettings({ provider: 'mock', anthropicApiKey: '' });
+check(
+  'the input cap scales with the context window, so a long-context model keeps what a small one cuts',
+  wide.contextWindow === 200000 && wide.inputCap === 50000 && wide.budget === 50000
+    && roomyReport.inputCap === 8000 && roomyReport.budget === 8000
+    && wide.sections.every((section) => section.status === 'full'),
+  `${wide.total}/${wide.budget}`,
+);
+
 const failed = checks.filter((item) => !item.condition);
 for (const item of checks) {
   const prefix = item.condition ? 'PASS' : 'FAIL';
@@ -12,15 +12,22 @@ import { initToast, showToast } from '../ui/components/Toast.js';
 import { openSettingsModal } from '../ui/components/SettingsModal.js';
 import { renderSaveList } from '../ui/components/SaveList.js';
 import { renderSetupWizard } from '../ui/components/SetupWizard.js';
-import { renderStoryView, renderStoryError, updateThemeVisuals } from '../ui/components/StoryView.js';
+import { renderStoryView, renderStoryError, updateThemeVisuals, createStreamingTurn, refreshAnnotations } from '../ui/components/StoryView.js';
 import { renderTreeNav } from '../ui/components/TreeNav.js';
+import { renderBookmarksPanel } from '../ui/components/BookmarksPanel.js';
+import { openTreeGraph } from '../ui/components/TreeGraph.js';
+import { openBranchCompare } from '../ui/components/BranchCompare.js';
+import { openSearchModal } from '../ui/components/SearchModal.js';
 import { renderJsonViewer } from '../ui/components/JsonViewer.js';
 import { renderHomeView } from '../ui/components/HomeView.js';
 import { renderAuthView } from '../ui/components/AuthView.js';
 import { getBrandIconHtml } from '../ui/components/BrandIcon.js';
+import { downloadTextFile } from '../ui/fileIO.js';
 
 import * as sessionManager from '../core/sessionManager.js';
+import * as sessionTransfer from '../storage/sessionTransfer.js';
 import * as gameEngine from '../core/gameEngine.js';
+import * as annotationEngine from '../core/annotationEngine.js';
 import { initSeedPool } from '../core/seedManager.js';
 import { getSettings, hasAnyApiKey } from '../llm/apiClient.js';
 
@@ -31,6 +38,9 @@ let store;
 /** @type {ReturnType<typeof createLayout>} */
 let els;
 
+/** The open story graph, redrawn when pruning changes the tree under it */
+let treeGraph = null;
+
 /**
  * Initialize the application.
  */
@@ -60,6 +70,38 @@ export async function init() {
         });
     });
 
+    // Wire story graph button
+    els.btnTreeGraph.addEventListener('click', () => {
+        const session = sessionManager.getCurrentSession();
+        if (!session) return;
+        els.closeAllPanels();
+        treeGraph = openTreeGraph({ modalRoot: els.modalRoot, session, onNodeClick: handleTreeNodeClick, onCompare: handleCompareBranches });
+    });
+
+    // Wire scene search button
+    els.btnTreeSearch.addEventListener('click', () => {
+        els.closeAllPanels();
+        openSearchModal({
+            modalRoot: els.modalRoot,
+            onSearch: sessionManager.searchSessions,
+            onSelect: handleSearchResultClick,
+            currentSessionId: sessionManager.getCurrentSession()?.id || null,
+        });
+    });
+
+    // Wire prefetch cleanup button
+    els.btnTreePrune.addEventListener('click', () => {
+        const session = sessionManager.getCurrentSession();
+        if (!session) return;
+        const settings = getSettings();
+        if (!settings.pruneMaxDistance && !settings.pruneMaxNodes) {
+            showToast('설정에서 정리 기준이 꺼져 있습니다.', 'info');
+            return;
+        }
+        const result = pruneSession(session, { manual: true });
+        if (result.removedCount === 0) showToast('정리할 장면이 없습니다.', 'info');
+    });
+
     // Wire JSON view button
     els.btnToggleJson.addEventListener('click', () => {
         const { jsonViewEnabled } = store.getState();
@@ -123,6 +165,9 @@ async function refreshSaveList() {
         onNewGame: handleNewGame,
         onLoadSession: handleLoadSession,
         onDeleteSession: handleDeleteSession,
+        onExportSession: handleExportSession,
+        onExportAll: handleExportAll,
+        onImportFiles: handleImportFiles,
     });
 }
 
@@ -176,6 +221,7 @@ function resetTheme() {
 
 async function handleHome() {
     els.closeAllPanels();
+    gameEngine.cancelAllPrefetches();
     resetTheme();
 
     // Get last active session ID for the "Current" section
@@ -191,14 +237,19 @@ async function handleHome() {
         onNewGame: handleNewGame,
         onLoadSession: handleLoadSession,
         onDeleteSession: handleDeleteSession,
+        onExportSession: handleExportSession,
+        onExportAll: handleExportAll,
+        onImportFiles: handleImportFiles,
     });
 
     renderTreeNav({ container: els.treeContent, session: null, onNodeClick: () => { } });
+    renderBookmarksPanel({ container: els.bookmarksContent, session: null, onNodeClick: () => { } });
 }
 
 function handleNewGame() {
 
     els.closeAllPanels();
+    gameEngine.cancelAllPrefetches();
     store.setState({ appState: 'setup', activeSessionId: null });
     resetTheme();
 
@@ -212,9 +263,10 @@ function handleNewGame() {
     });
 
     renderTreeNav({ container: els.treeContent, session: null, onNodeClick: () => { } });
+    renderBookmarksPanel({ container: els.bookmarksContent, session: null, onNodeClick: () => { } });
 }
 
-async function handleSetupComplete({ title, publicWorld, hiddenPlot, openingText, entryLabel, initialThemeColor, climaxThemeColor, accentColor, worldSchema, storyLength, thumbnailBase64 }) {
+async function handleSetupComplete({ title, publicWorld, hiddenPlot, openingText, entryLabel, initialThemeColor, climaxThemeColor, accentColor, worldSchema, storyLength, thumbnailBase64, usageLog }) {
     const settings = getSettings();
 
     // Create session
@@ -232,6 +284,7 @@ async function handleSetupComplete({ title, publicWorld, hiddenPlot, openingText
         worldSchema,
         storyLength,
         thumbnailBase64,
+        usageLog,
     });
 
 
@@ -251,11 +304,14 @@ async function handleSetupComplete({ title, publicWorld, hiddenPlot, openingText
 
 async function handleLoadSession(sessionId) {
     els.closeAllPanels(); // close sidebar overlay before switching
-    const session = await sessionManager.loadSession(sessionId);
-    if (!session) {
-        showToast('세션을 불러올 수 없습니다.', 'error');
+    const loaded = await sessionManager.loadSession(sessionId);
+    if (!loaded.ok) {
+        // The previous session stays open, prefetches included
+        showToast(`세션을 불러올 수 없습니다: ${loaded.error}`, 'error');
         return;
     }
+    gameEngine.cancelAllPrefetches(); // calls for the previous session must not keep spending tokens
+    const session = loaded.session;
 
     store.setState({ appState: 'playing', activeSessionId: session.id });
     applyTheme(session);
@@ -283,6 +339,62 @@ async function handleDeleteSession(sessionId) {
     await refreshSaveList();
 }
 
+async function handleExportSession(sessionId) {
+    // Flush pending edits so the file matches what is on screen
+    if (sessionManager.getCurrentSession()?.id === sessionId) {
+        await sessionManager.saveCurrentSession();
+    }
+
+    const result = await sessionTransfer.exportSession(sessionId);
+    if (!result.ok) {
+        showToast(result.error, 'error');
+        return;
+    }
+    downloadTextFile(result.filename, result.content);
+}
+
+async function handleExportAll() {
+    if (sessionManager.getCurrentSession()) {
+        await sessionManager.saveCurrentSession();
+    }
+
+    const result = await sessionTransfer.exportAllSessions();
+    if (!result.ok) {
+        showToast(result.error, 'error');
+        return;
+    }
+    downloadTextFile(result.filename, result.content);
+    showToast(`${result.count}개의 세션을 백업했습니다.`, 'info');
+}
+
+async function handleImportFiles(files) {
+    const imported = [];
+    const failures = [];
+
+    for (const file of files) {
+        const result = await sessionTransfer.importSessionFile(await file.text());
+        imported.push(...(result.imported || []));
+        if (result.failed?.length) {
+            failures.push(...result.failed.map(f => `${file.name} / ${f.title}: ${f.error}`));
+        } else if (!result.ok) {
+            failures.push(`${file.name}: ${result.error}`);
+        }
+    }
+
+    await refreshSaveList();
+    if (store.getState().appState === 'home') {
+        await handleHome();
+    }
+
+    if (imported.length > 0) {
+        const renamed = imported.filter(s => s.renamed).length;
+        showToast(`${imported.length}개의 세션을 가져왔습니다.${renamed ? ` (${renamed}개는 새 ID로 저장)` : ''}`, 'info');
+    }
+    if (failures.length > 0) {
+        alert(`일부 파일을 가져오지 못했습니다.\n\n${failures.join('\n')}`);
+    }
+}
+
 async function handleOptionSelect(nodeId, optionId, customText) {
     const session = sessionManager.getCurrentSession();
     if (!session) return;
@@ -304,7 +416,15 @@ async function handleOptionSelect(nodeId, optionId, customText) {
     }
 
     // Fix #4: Don't replace content — StoryView handles inline loading
-    const result = await gameEngine.progressTurn(session, optionId, customText);
+    // Live text only shows up when Prompt #3 actually runs (not for cached/prefetched children)
+    const streamingTurn = createStreamingTurn(els.storyContainer, session);
+    const result = await gameEngine.progressTurn(session, optionId, customText, {
+        onText: streamingTurn.update,
+        // A rejected response is dropped from the screen; the repair streams into a fresh turn
+        onRepair: streamingTurn.remove,
+    });
+    const wasStreamed = streamingTurn.hasText();
+    streamingTurn.remove();
 
     if (!result.ok) {
         renderStoryError(els.storyContainer, result.error || 'LLM 호출 실패', () => {
@@ -318,7 +438,94 @@ async function handleOptionSelect(nodeId, optionId, customText) {
     }
 
     sessionManager.scheduleSave();
-    renderCurrentNode(); // streaming enabled for new content
+    renderCurrentNode(wasStreamed); // word-by-word reveal only if the text wasn't already streamed live
+}
+
+/**
+ * Regenerate a scene. The old version stays available as a take.
+ */
+async function handleReroll(nodeId) {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+
+    const node = session.nodesById[nodeId];
+    if (!node) return;
+
+    // Clip the rerolled turn and everything after it, then stream the new take in its place
+    let found = false;
+    els.storyContainer.querySelectorAll('.story-turn').forEach(el => {
+        if (el.dataset.nodeId === nodeId) found = true;
+        if (found) el.remove();
+    });
+
+    const streamingTurn = createStreamingTurn(els.storyContainer, session, node.depth);
+    const result = await gameEngine.rerollNode(session, nodeId, {
+        onText: streamingTurn.update,
+        // A rejected response is dropped from the screen; the repair streams into a fresh turn
+        onRepair: streamingTurn.remove,
+    });
+    const wasStreamed = streamingTurn.hasText();
+    streamingTurn.remove();
+
+    if (!result.ok) {
+        renderCurrentNode(true);
+        renderStoryError(els.storyContainer, result.error || 'LLM 호출 실패', () => {
+            handleReroll(nodeId);
+        });
+        return;
+    }
+
+    sessionManager.scheduleSave();
+    renderCurrentNode(wasStreamed);
+}
+
+function handleSwitchTake(nodeId) {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+
+    const result = gameEngine.switchTake(session, nodeId);
+    if (!result.ok) {
+        showToast('해당 테이크로 전환할 수 없습니다.', 'error');
+        return;
+    }
+
+    sessionManager.scheduleSave();
+    renderCurrentNode(true);
+}
+
+function handleDiscardTake(nodeId) {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+    if (!confirm('이 테이크와 그 이후에 생성된 전개를 모두 삭제할까요?')) return;
+
+    const result = gameEngine.discardTake(session, nodeId);
+    if (!result.ok) {
+        showToast('테이크를 삭제할 수 없습니다.', 'error');
+        return;
+    }
+
+    showToast(`${result.removedCount}개의 장면을 삭제했습니다.`, 'info');
+    sessionManager.scheduleSave();
+    renderCurrentNode(true);
+}
+
+function handleCompareBranches(nodeIdA, nodeIdB) {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+
+    const result = openBranchCompare({ modalRoot: els.modalRoot, session, nodeIdA, nodeIdB, onNodeClick: handleTreeNodeClick });
+    if (!result.ok) showToast(result.error, 'error');
+}
+
+/**
+ * Jump to a search hit, loading its session first when it is not the current one.
+ */
+async function handleSearchResultClick(hit) {
+    if (sessionManager.getCurrentSession()?.id !== hit.sessionId) {
+        await handleLoadSession(hit.sessionId);
+        if (sessionManager.getCurrentSession()?.id !== hit.sessionId) return;
+    }
+    handleTreeNodeClick(hit.nodeId);
 }
 
 function handleTreeNodeClick(nodeId) {
@@ -355,6 +562,38 @@ function handleTreeNodeClick(nodeId) {
     renderCurrentNode(true); // instant — no streaming on rollback
 }
 
+function handleToggleBookmark(nodeId) {
+    const session = sessionManager.getCurrentSession();
+    if (!session?.nodesById[nodeId]) return;
+
+    const bookmarked = !annotationEngine.getAnnotation(session.nodesById[nodeId]).bookmarked;
+    annotationEngine.setBookmark(session, nodeId, bookmarked);
+    refreshAnnotationViews(session);
+    sessionManager.scheduleSave();
+}
+
+function handleSaveNote(nodeId, note, { hint }) {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+
+    const result = annotationEngine.setNote(session, nodeId, note, { hint });
+    if (!result.ok) {
+        showToast(result.error, 'error');
+        return;
+    }
+    refreshAnnotationViews(session);
+    sessionManager.scheduleSave();
+}
+
+/**
+ * Redraw bookmark and note markers without re-rendering the story.
+ */
+function refreshAnnotationViews(session) {
+    refreshAnnotations(els.storyContainer, session);
+    renderTreeNav({ container: els.treeContent, session, onNodeClick: handleTreeNodeClick });
+    renderBookmarksPanel({ container: els.bookmarksContent, session, onNodeClick: handleTreeNodeClick });
+}
+
 /**
  * Render the current node + tree based on active session.
  * @param {boolean} [skipStreaming=false] — if true, show text instantly
@@ -368,6 +607,15 @@ function renderCurrentNode(skipStreaming = false) {
         session,
         onOptionSelect: handleOptionSelect,
         skipStreaming,
+        takeHandlers: {
+            onReroll: handleReroll,
+            onSwitchTake: handleSwitchTake,
+            onDiscardTake: handleDiscardTake,
+        },
+        annotationHandlers: {
+            onToggleBookmark: handleToggleBookmark,
+            onSaveNote: handleSaveNote,
+        },
     });
 
     renderTreeNav({
@@ -375,6 +623,7 @@ function renderCurrentNode(skipStreaming = false) {
         session,
         onNodeClick: handleTreeNodeClick,
     });
+    renderBookmarksPanel({ container: els.bookmarksContent, session, onNodeClick: handleTreeNodeClick });
 
     // Update JSON viewer if enabled
     if (store.getState().jsonViewEnabled) {
@@ -383,19 +632,29 @@ function renderCurrentNode(skipStreaming = false) {
 
     // Fire-and-forget: prefetch all option responses in background
     triggerPrefetch();
+    triggerChapterSummaries();
 }
 
 /**
- * Prefetch LLM responses for all options on the current node.
+ * Prefetch LLM responses ahead of the current node, per the prefetch settings.
  * Runs in background — errors are logged but never block the UI.
  */
 function triggerPrefetch() {
     const session = sessionManager.getCurrentSession();
     if (!session) return;
 
-    gameEngine.prefetchAllOptions(session)
+    const settings = getSettings();
+    gameEngine.schedulePrefetch(session, {
+        policy: settings.prefetchPolicy,
+        depth: settings.prefetchDepth,
+        maxCalls: settings.prefetchMaxCalls,
+        maxTokens: settings.prefetchMaxTokens,
+    })
         .then(() => {
-            // Save prefetched nodes to persistent storage
+            // The player may have switched sessions meanwhile; only the current one is saved
+            if (session !== sessionManager.getCurrentSession()) return;
+            // Keep the session under its size cap, then save prefetched nodes
+            pruneSession(session);
             sessionManager.scheduleSave();
         })
         .catch((err) => {
@@ -403,6 +662,59 @@ function triggerPrefetch() {
         });
 }
 
+/**
+ * Summarize finished chapters on the current path for long-story context.
+ * Runs in background — a failed summary only means the raw turns are sent instead.
+ */
+function triggerChapterSummaries() {
+    const session = sessionManager.getCurrentSession();
+    if (!session) return;
+
+    gameEngine.summarizeChapters(session)
+        .then((result) => {
+            if (!result.ok) console.warn('[Chapters] Summary failed:', result.error);
+            if (result.summarized > 0) sessionManager.scheduleSave();
+        })
+        .catch((err) => {
+            console.warn('[Chapters] Background summary error:', err);
+        });
+}
+
+/**
+ * Prune unread prefetched scenes per the settings and redraw the tree views.
+ * The automatic pass after a prefetch only enforces the size cap and reports to
+ * the console; the manual cleanup also drops far branches and shows a toast.
+ * @param {Object} session
+ * @param {{ manual?: boolean }} [opts]
+ * @returns {{ removedCount: number, bytes: number }}
+ */
+function pruneSession(session, { manual = false } = {}) {
+    const settings = getSettings();
+    const limits = manual
+        ? { maxDistance: settings.pruneMaxDistance, maxNodes: settings.pruneMaxNodes }
+        : { maxDistance: 0, maxNodes: settings.pruneMaxNodes };
+    const result = gameEngine.pruneSession(session, limits);
+    if (result.removedCount > 0) {
+        renderTreeNav({ container: els.treeContent, session, onNodeClick: handleTreeNodeClick });
+        renderBookmarksPanel({ container: els.bookmarksContent, session, onNodeClick: handleTreeNodeClick });
+        treeGraph?.refresh();
+        const message = `읽지 않은 미리 생성 장면 ${result.removedCount}개를 정리해 ${formatBytes(result.bytes)}를 확보했습니다.`;
+        if (manual) {
+            showToast(message, 'info');
+        } else {
+            console.info(`[Prune] ${message}`);
+        }
+        sessionManager.scheduleSave();
+    }
+    return result;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
 function escapeHTML(str) {
     const div = document.createElement('div');
     div.textContent = str;
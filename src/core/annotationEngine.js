@@ -0,0 +1,105 @@
+/**
+ * annotationEngine.js — Player bookmarks and notes on story nodes
+ * @module core/annotationEngine
+ *
+ * A node may carry metadata owned by the player rather than the story:
+ *
+ *   node.annotation = { bookmarked: true, note: '나중에 다른 문도 열어 보기', hint: false, updatedAt }
+ *
+ * It is saved and exported with the node but never sent to the LLM. The one
+ * exception is a note the player opts in as a hint (hint: true): Prompt #3
+ * receives it while writing scenes further down the same path.
+ * A node with neither a bookmark nor a note has no annotation at all.
+ */
+
+import { now } from './time.js';
+import { getPathToRoot } from './treeEngine.js';
+
+export const NOTE_MAX_LENGTH = 500;
+
+/**
+ * A node's annotation with defaults filled in.
+ * @param {Object|null} node — StoryNode
+ * @returns {{ bookmarked: boolean, note: string, hint: boolean, updatedAt: number|null }}
+ */
+export function getAnnotation(node) {
+    const annotation = node?.annotation || {};
+    return {
+        bookmarked: !!annotation.bookmarked,
+        note: typeof annotation.note === 'string' ? annotation.note : '',
+        hint: !!annotation.hint && !!annotation.note,
+        updatedAt: annotation.updatedAt || null,
+    };
+}
+
+function writeAnnotation(node, patch) {
+    const next = { ...getAnnotation(node), ...patch };
+    if (!next.note) next.hint = false;
+    if (!next.bookmarked && !next.note) {
+        delete node.annotation;
+        return;
+    }
+    node.annotation = { bookmarked: next.bookmarked, note: next.note, hint: next.hint, updatedAt: now() };
+}
+
+/**
+ * Bookmark or un-bookmark a node.
+ * @param {Object} session — mutated in place (caller saves)
+ * @param {string} nodeId
+ * @param {boolean} bookmarked
+ * @returns {{ok:boolean, error?:string}}
+ */
+export function setBookmark(session, nodeId, bookmarked) {
+    const node = session.nodesById[nodeId];
+    if (!node) return { ok: false, error: '노드를 찾을 수 없습니다.' };
+    writeAnnotation(node, { bookmarked: !!bookmarked });
+    return { ok: true };
+}
+
+/**
+ * Set or clear a node's note. An empty note removes it (and its hint opt-in).
+ * @param {Object} session — mutated in place (caller saves)
+ * @param {string} nodeId
+ * @param {string} note
+ * @param {Object} [options]
+ * @param {boolean} [options.hint=false] — share this note with the LLM
+ * @returns {{ok:boolean, error?:string}}
+ */
+export function setNote(session, nodeId, note, { hint = false } = {}) {
+    const node = session.nodesById[nodeId];
+    if (!node) return { ok: false, error: '노드를 찾을 수 없습니다.' };
+    const text = String(note || '').trim();
+    if (text.length > NOTE_MAX_LENGTH) return { ok: false, error: `메모는 ${NOTE_MAX_LENGTH}자까지 쓸 수 있습니다.` };
+    writeAnnotation(node, { note: text, hint: !!hint });
+    return { ok: true };
+}
+
+function nodeTitle(node) {
+    return node.depth === 0 ? 'Prologue' : node.meta?.title || `Turn ${node.depth}`;
+}
+
+/**
+ * Every bookmarked or annotated node, in story order.
+ * @param {Object} session
+ * @returns {Array<{nodeId:string, depth:number, title:string, bookmarked:boolean, note:string, hint:boolean, isOnActivePath:boolean}>}
+ */
+export function listAnnotatedNodes(session) {
+    const activePath = new Set(getPathToRoot(session, session.currentNodeId));
+    return Object.values(session.nodesById)
+        .filter((node) => node.annotation)
+        .map((node) => ({ nodeId: node.id, depth: node.depth, title: nodeTitle(node), ...getAnnotation(node), isOnActivePath: activePath.has(node.id) }))
+        .sort((a, b) => a.depth - b.depth || (a.updatedAt || 0) - (b.updatedAt || 0));
+}
+
+/**
+ * Notes the player opted in as hints, on the path from the root to a node.
+ * @param {Object} session
+ * @param {string} nodeId — the scene being continued
+ * @returns {Array<{nodeId:string, depth:number, title:string, note:string}>} oldest first
+ */
+export function collectHintNotes(session, nodeId) {
+    return getPathToRoot(session, nodeId)
+        .map((id) => session.nodesById[id])
+        .filter((node) => node && getAnnotation(node).hint)
+        .map((node) => ({ nodeId: node.id, depth: node.depth, title: nodeTitle(node), note: node.annotation.note }));
+}
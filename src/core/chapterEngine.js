@@ -0,0 +1,82 @@
+/**
+ * chapterEngine.js — Splits a story path into chapters for rolling summaries
+ * @module core/chapterEngine
+ *
+ * A chapter is a run of consecutive turns on one path. It closes after
+ * CHAPTER_TURNS turns or when the narrative act changes, whichever comes first.
+ * Once summarized, the summary is stored on the chapter's last node:
+ *
+ *   node.chapterSummary = { fromDepth, toDepth, act, text, createdAt }
+ *
+ * Because a node's path to the root never changes, a stored summary stays
+ * valid for every branch that grows from it, and its range is taken as fixed
+ * when chapters are recomputed.
+ */
+
+import * as tree from './treeEngine.js';
+import { getNarrativePhaseKey } from './narrativeEngine.js';
+
+/** Turns per chapter when no act change closes it earlier. */
+export const CHAPTER_TURNS = 5;
+
+function getActKey(session, node) {
+    const state = node.stateSnapshot || {};
+    return getNarrativePhaseKey(state.turnCount || node.depth || 0, state.clocks || {}, session.synopsis?.storyLength);
+}
+
+/**
+ * @typedef {Object} Chapter
+ * @property {number} fromDepth
+ * @property {number} toDepth
+ * @property {string} endNodeId — the node that holds (or will hold) the summary
+ * @property {string[]} nodeIds — turns in the chapter, oldest first
+ * @property {string} act — act of the chapter's last turn
+ * @property {boolean} closed — complete and ready to be summarized
+ * @property {Object|null} summary — node.chapterSummary if already summarized
+ */
+
+/**
+ * Split the path from the root to nodeId into chapters. The prologue (depth 0) is never part of one.
+ * @param {Object} session
+ * @param {string} nodeId
+ * @returns {Chapter[]}
+ */
+export function getChapters(session, nodeId) {
+    const nodes = tree.getPathToRoot(session, nodeId)
+        .map((id) => session.nodesById[id])
+        .filter((node) => node && node.depth > 0);
+
+    const chapters = [];
+    let current = [];
+    nodes.forEach((node, i) => {
+        current.push(node);
+        const next = nodes[i + 1];
+        const act = getActKey(session, node);
+        const closed = !!node.chapterSummary
+            || current.length >= CHAPTER_TURNS
+            || (!!next && getActKey(session, next) !== act);
+        if (!closed && next) return;
+
+        chapters.push({
+            fromDepth: current[0].depth,
+            toDepth: node.depth,
+            endNodeId: node.id,
+            nodeIds: current.map((n) => n.id),
+            act,
+            closed,
+            summary: node.chapterSummary || null,
+        });
+        current = [];
+    });
+    return chapters;
+}
+
+/**
+ * Closed chapters on the path that still need a summary, oldest first.
+ * @param {Object} session
+ * @param {string} nodeId
+ * @returns {Chapter[]}
+ */
+export function getPendingChapters(session, nodeId) {
+    return getChapters(session, nodeId).filter((chapter) => chapter.closed && !chapter.summary);
+}
@@ -0,0 +1,119 @@
+/**
+ * clockEngine.js — Built-in and story-defined progress clocks
+ * @module core/clockEngine
+ *
+ * Every state has the built-in clocks tension and insight. Prompt #2 may add
+ * its own countdowns in worldSchema.clocks:
+ *
+ *   { id: 'clock_oxygen', name: '산소', min: 0, max: 8, start: 8, triggerAt: 0,
+ *     effect: { type: 'ending', endingType: 'lose', directive: '산소가 바닥났다' } }
+ *
+ * effect.type is 'directive' (the next Prompt #3 must play out the directive)
+ * or 'ending' (the story is forced into its ending, like a lose condition).
+ * A clock fires once, when it first reaches triggerAt moving away from start.
+ *
+ * Prompt #3 moves clocks through clockDelta, which accepts the legacy keys
+ * (tension_delta, insight_delta) and plain custom clock ids ({ clock_oxygen: -1 }).
+ * The built-in clocks only move through their *_delta keys.
+ */
+
+export const BUILTIN_CLOCKS = ['tension', 'insight'];
+
+/** Largest step a custom clock may move in one turn. */
+export const CUSTOM_CLOCK_MAX_DELTA = 3;
+
+/**
+ * The story's custom clocks, with defaults filled in.
+ * @param {Object|null} worldSchema
+ * @returns {Array<{id:string, name:string, min:number, max:number, start:number, triggerAt:number|null, effect:Object|null}>}
+ */
+export function getCustomClocks(worldSchema) {
+    if (!Array.isArray(worldSchema?.clocks)) return [];
+    return worldSchema.clocks
+        .filter((clock) => clock?.id && !BUILTIN_CLOCKS.includes(clock.id))
+        .map((clock) => {
+            const min = Number.isFinite(clock.min) ? clock.min : 0;
+            const max = Number.isFinite(clock.max) && clock.max > min ? clock.max : min + 6;
+            const start = Number.isFinite(clock.start) ? Math.max(min, Math.min(max, clock.start)) : min;
+            return {
+                id: clock.id,
+                name: clock.name || clock.id,
+                min,
+                max,
+                start,
+                triggerAt: Number.isFinite(clock.triggerAt) ? clock.triggerAt : null,
+                effect: clock.effect && typeof clock.effect === 'object' ? clock.effect : null,
+            };
+        });
+}
+
+/**
+ * Clock values at the start of a story.
+ * @param {Object|null} worldSchema
+ * @returns {Object.<string, number>}
+ */
+export function createInitialClocks(worldSchema) {
+    const clocks = { tension: 0, insight: 0 };
+    getCustomClocks(worldSchema).forEach((clock) => {
+        clocks[clock.id] = clock.start;
+    });
+    return clocks;
+}
+
+/**
+ * Turn a Prompt #3 clockDelta into { clockId: delta }.
+ * @param {Object|null} clockDelta
+ * @returns {Object.<string, number>}
+ */
+export function normalizeClockDelta(clockDelta) {
+    const deltas = {};
+    Object.entries(clockDelta || {}).forEach(([key, value]) => {
+        const delta = Number(value);
+        if (!Number.isFinite(delta) || delta === 0) return;
+        // A bare 'tension' or 'insight' would bypass the *_delta ranges
+        if (BUILTIN_CLOCKS.includes(key)) return;
+        const id = key.endsWith('_delta') ? key.slice(0, -'_delta'.length) : key;
+        deltas[id] = (deltas[id] || 0) + delta;
+    });
+    return deltas;
+}
+
+/**
+ * Apply clock deltas. Tension never drops below 0; custom clocks stay within min..max.
+ * Deltas for clocks the story does not define are ignored.
+ *
+ * @param {Object} prevClocks
+ * @param {Object|null} clockDelta — as sent by Prompt #3
+ * @param {Object|null} worldSchema
+ * @returns {Object} new clocks
+ */
+export function applyClockDelta(prevClocks, clockDelta, worldSchema) {
+    const clocks = { ...prevClocks };
+    const deltas = normalizeClockDelta(clockDelta);
+
+    clocks.tension = Math.max(0, (clocks.tension || 0) + (deltas.tension || 0));
+    clocks.insight = (clocks.insight || 0) + (deltas.insight || 0);
+
+    getCustomClocks(worldSchema).forEach((clock) => {
+        const current = Number.isFinite(clocks[clock.id]) ? clocks[clock.id] : clock.start;
+        clocks[clock.id] = Math.max(clock.min, Math.min(clock.max, current + (deltas[clock.id] || 0)));
+    });
+    return clocks;
+}
+
+function hasReached(clock, value) {
+    if (clock.triggerAt === null || !Number.isFinite(value)) return false;
+    return clock.triggerAt >= clock.start ? value >= clock.triggerAt : value <= clock.triggerAt;
+}
+
+/**
+ * Custom clocks that reached their threshold in this step and had not fired before.
+ * @param {Object|null} worldSchema
+ * @param {Object} nextClocks
+ * @param {string[]} [alreadyFired] — clock ids fired on earlier turns
+ * @returns {Object[]} clocks as returned by getCustomClocks
+ */
+export function findFiredClocks(worldSchema, nextClocks, alreadyFired = []) {
+    return getCustomClocks(worldSchema)
+        .filter((clock) => !alreadyFired.includes(clock.id) && hasReached(clock, nextClocks[clock.id]));
+}
@@ -0,0 +1,139 @@
+/**
+ * compareEngine.js — Side-by-side comparison of two branches
+ * @module core/compareEngine
+ *
+ * Two nodes on different branches share a fork: their deepest common ancestor.
+ * A comparison walks both paths down from the fork and pairs the scenes at
+ * each depth, with a diff of the game state the two sides reached there:
+ *
+ *   { depth, a: StoryNode|null, b: StoryNode|null, diff: StateDiff }
+ *
+ * When one path is shorter, its last state stands in for the missing depths,
+ * so the rows below show how far the longer branch moved away from where the
+ * shorter one stopped.
+ */
+
+import { getEdgeForNode, getPathToRoot } from './treeEngine.js';
+import { getCustomClocks } from './clockEngine.js';
+
+/**
+ * The deepest node on both root paths.
+ * @param {Object} session
+ * @param {string} nodeIdA
+ * @param {string} nodeIdB
+ * @returns {string|null}
+ */
+export function findCommonAncestor(session, nodeIdA, nodeIdB) {
+    const pathB = new Set(getPathToRoot(session, nodeIdB));
+    return getPathToRoot(session, nodeIdA).filter((id) => pathB.has(id)).at(-1) || null;
+}
+
+/**
+ * @typedef {Object} StateDiff
+ * @property {string[]} flagsOnlyA — flags set on side A but not B
+ * @property {string[]} flagsOnlyB
+ * @property {Array<{id:string, name:string, a:number, b:number}>} clocks — clocks whose values differ
+ * @property {Array<{id:string, name:string, a:Object|null, b:Object|null}>} npcs — NPCs whose location or status differs
+ * @property {{a:string|null, b:string|null}|null} location — null when both sides are in the same place
+ * @property {boolean} same — nothing differs
+ */
+
+function clockNames(worldSchema) {
+    const names = { tension: '긴장', insight: '통찰' };
+    getCustomClocks(worldSchema).forEach((clock) => { names[clock.id] = clock.name; });
+    return names;
+}
+
+function sameNpcState(a, b) {
+    return (a?.location || null) === (b?.location || null) && (a?.status || null) === (b?.status || null);
+}
+
+/**
+ * What differs between two game states.
+ * @param {Object} stateA
+ * @param {Object} stateB
+ * @param {Object|null} worldSchema — for clock and NPC names
+ * @returns {StateDiff}
+ */
+export function diffStates(stateA, stateB, worldSchema) {
+    const flagsA = Object.keys(stateA?.flags || {}).filter((flag) => stateA.flags[flag]);
+    const flagsB = Object.keys(stateB?.flags || {}).filter((flag) => stateB.flags[flag]);
+    const flagsOnlyA = flagsA.filter((flag) => !flagsB.includes(flag)).sort();
+    const flagsOnlyB = flagsB.filter((flag) => !flagsA.includes(flag)).sort();
+
+    const names = clockNames(worldSchema);
+    const clockIds = [...new Set([...Object.keys(stateA?.clocks || {}), ...Object.keys(stateB?.clocks || {})])];
+    const clocks = clockIds
+        .map((id) => ({ id, name: names[id] || id, a: stateA?.clocks?.[id] ?? 0, b: stateB?.clocks?.[id] ?? 0 }))
+        .filter((clock) => clock.a !== clock.b);
+
+    const npcNames = Object.fromEntries((worldSchema?.npcs || []).map((npc) => [npc.id, npc.name || npc.id]));
+    const npcIds = [...new Set([...Object.keys(stateA?.npcStates || {}), ...Object.keys(stateB?.npcStates || {})])];
+    const npcs = npcIds
+        .map((id) => ({ id, name: npcNames[id] || id, a: stateA?.npcStates?.[id] || null, b: stateB?.npcStates?.[id] || null }))
+        .filter((npc) => !sameNpcState(npc.a, npc.b));
+
+    const locationA = stateA?.location || null;
+    const locationB = stateB?.location || null;
+    const location = locationA === locationB ? null : { a: locationA, b: locationB };
+
+    return {
+        flagsOnlyA,
+        flagsOnlyB,
+        clocks,
+        npcs,
+        location,
+        same: flagsOnlyA.length === 0 && flagsOnlyB.length === 0 && clocks.length === 0 && npcs.length === 0 && !location,
+    };
+}
+
+function choiceText(session, node) {
+    const edge = getEdgeForNode(session, node.id);
+    const parent = session.nodesById[node.parentId];
+    return parent?.options?.find((option) => option.id === edge?.optionId)?.text || null;
+}
+
+/**
+ * Pair two branches scene by scene from their fork.
+ * @param {Object} session
+ * @param {string} nodeIdA
+ * @param {string} nodeIdB
+ * @returns {{ok:boolean, error?:string, forkId?:string,
+ *   rows?: Array<{depth:number, a:Object|null, b:Object|null, choiceA:string|null, choiceB:string|null, diff:StateDiff}>}}
+ */
+export function buildBranchComparison(session, nodeIdA, nodeIdB) {
+    if (!session.nodesById[nodeIdA] || !session.nodesById[nodeIdB]) {
+        return { ok: false, error: '노드를 찾을 수 없습니다.' };
+    }
+    if (nodeIdA === nodeIdB) return { ok: false, error: '서로 다른 두 장면을 골라 주세요.' };
+
+    const forkId = findCommonAncestor(session, nodeIdA, nodeIdB);
+    if (!forkId) return { ok: false, error: '두 장면에 공통 조상이 없습니다.' };
+    if (forkId === nodeIdA || forkId === nodeIdB) {
+        return { ok: false, error: '한 장면이 다른 장면의 이전 장면입니다. 서로 다른 분기의 장면을 골라 주세요.' };
+    }
+
+    const branch = (nodeId) => {
+        const path = getPathToRoot(session, nodeId);
+        return path.slice(path.indexOf(forkId) + 1).map((id) => session.nodesById[id]);
+    };
+    const pathA = branch(nodeIdA);
+    const pathB = branch(nodeIdB);
+    const fork = session.nodesById[forkId];
+    const stateAt = (path, i) => (path[Math.min(i, path.length - 1)] || fork).stateSnapshot || {};
+
+    const rows = [];
+    for (let i = 0; i < Math.max(pathA.length, pathB.length); i++) {
+        const a = pathA[i] || null;
+        const b = pathB[i] || null;
+        rows.push({
+            depth: fork.depth + i + 1,
+            a,
+            b,
+            choiceA: a ? choiceText(session, a) : null,
+            choiceB: b ? choiceText(session, b) : null,
+            diff: diffStates(stateAt(pathA, i), stateAt(pathB, i), session.worldSchema),
+        });
+    }
+    return { ok: true, forkId, rows };
+}
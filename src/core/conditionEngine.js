@@ -0,0 +1,117 @@
+/**
+ * conditionEngine.js — Machine-checkable win/lose conditions
+ * @module core/conditionEngine
+ *
+ * Prompt #2 emits each terminal condition with a "when" clause the engine can test
+ * against the game state after every turn:
+ *
+ *   { id: 'win1', desc: '...', endingType: 'win',
+ *     when: { all: [ { flag: 'milestone_survivors_sent' }, { clock: 'insight', gte: 8 } ] } }
+ *
+ * Supported tests (all fields of one test must hold):
+ *   { flag }              — flag is set
+ *   { notFlag }           — flag is not set
+ *   { clock, gte?, lte? } — clock value within bounds ('tension' | 'insight' | a worldSchema.clocks id);
+ *                           a clock the story does not define never matches
+ *   { location }          — protagonist is at the location
+ *   { npc, status?, location? } — NPC state matches
+ *
+ * "when" takes "all" and/or "any"; both must hold when both are given. Conditions
+ * without a usable "when" (older sessions) are descriptive only and never fire.
+ */
+
+import { BUILTIN_CLOCKS } from './clockEngine.js';
+
+/** Ending type used when a condition does not name one. */
+const DEFAULT_ENDING_TYPE = { win: 'win', lose: 'lose' };
+
+function testClause(clause, state) {
+    if (!clause || typeof clause !== 'object') return false;
+    const flags = state.flags || {};
+    let checked = false;
+
+    if (clause.flag !== undefined) {
+        if (!flags[clause.flag]) return false;
+        checked = true;
+    }
+    if (clause.notFlag !== undefined) {
+        if (flags[clause.notFlag]) return false;
+        checked = true;
+    }
+    if (clause.clock !== undefined) {
+        const stored = state.clocks?.[clause.clock];
+        // Reading an undefined clock as 0 would fire lte/eq-0 tests on the first turn
+        if (!Number.isFinite(stored) && !BUILTIN_CLOCKS.includes(clause.clock)) return false;
+        const value = stored || 0;
+        if (typeof clause.gte === 'number' && value < clause.gte) return false;
+        if (typeof clause.lte === 'number' && value > clause.lte) return false;
+        checked = true;
+    }
+    if (clause.npc !== undefined) {
+        const npcState = state.npcStates?.[clause.npc];
+        if (!npcState) return false;
+        if (clause.status !== undefined && npcState.status !== clause.status) return false;
+        if (clause.location !== undefined && npcState.location !== clause.location) return false;
+        checked = true;
+    } else if (clause.location !== undefined) {
+        if (state.location !== clause.location) return false;
+        checked = true;
+    }
+
+    // A clause with no recognised test must not make a condition fire by accident
+    return checked;
+}
+
+/**
+ * Whether a condition has a "when" clause the engine can evaluate.
+ * @param {Object} condition
+ * @returns {boolean}
+ */
+export function isCheckable(condition) {
+    const when = condition?.when;
+    if (!when || typeof when !== 'object') return false;
+    return (Array.isArray(when.all) && when.all.length > 0)
+        || (Array.isArray(when.any) && when.any.length > 0);
+}
+
+/**
+ * Evaluate one condition against a game state.
+ * @param {Object} condition
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, state) {
+    if (!isCheckable(condition) || !state) return false;
+    const { all, any } = condition.when;
+    if (Array.isArray(all) && all.length > 0 && !all.every((clause) => testClause(clause, state))) return false;
+    if (Array.isArray(any) && any.length > 0 && !any.some((clause) => testClause(clause, state))) return false;
+    return true;
+}
+
+/**
+ * Find the first condition of the schema that holds for the state.
+ * Lose conditions are checked first, so a turn that both wins and loses ends in a loss.
+ *
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {{ id: string, kind: 'win'|'lose', endingType: string, desc: string }|null}
+ */
+export function findTriggeredCondition(worldSchema, state) {
+    const groups = [
+        ['lose', worldSchema?.loseConditions],
+        ['win', worldSchema?.winConditions],
+    ];
+    for (const [kind, conditions] of groups) {
+        if (!Array.isArray(conditions)) continue;
+        const hit = conditions.find((condition) => evaluateCondition(condition, state));
+        if (hit) {
+            return {
+                id: hit.id || kind,
+                kind,
+                endingType: hit.endingType || DEFAULT_ENDING_TYPE[kind],
+                desc: hit.desc || '',
+            };
+        }
+    }
+    return null;
+}
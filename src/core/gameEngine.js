@@ -6,19 +6,35 @@
  *   - Create sessions from synopsis data
  *   - Progress turns: check existing child → reuse or call LLM
  *   - Rollback to past nodes (restore stateSnapshot)
+ *   - Regenerate scenes, keeping earlier versions as alternate takes
+ *   - Compress finished chapters into summaries for long stories
  *   - Auto-save after mutations
  */
 
 import { generateId } from './id.js';
 import { now } from './time.js';
 import * as tree from './treeEngine.js';
-import { callPrompt3 } from '../llm/prompts.js';
+import { indexNode } from './searchEngine.js';
+import { callPrompt3, callChapterSummary } from '../llm/prompts.js';
+import { DEFAULT_PREFETCH, DEFAULT_PRUNE } from '../llm/apiClient.js';
 import { getHardEndingThreshold } from './narrativeEngine.js';
-
-// Track in-flight prefetch promises to avoid redundant LLM calls
-// Map<"nodeId:optionId", Promise<void>>
+import { findTriggeredCondition } from './conditionEngine.js';
+import { recordMilestones } from './milestoneEngine.js';
+import { applyItemPatch, createInitialItemLocations } from './inventoryEngine.js';
+import { createRngSeed, rollSkillCheck } from './skillCheckEngine.js';
+import { applyDispositionPatch, markMetNpcs } from './relationshipEngine.js';
+import { applyClockDelta, createInitialClocks, findFiredClocks } from './clockEngine.js';
+import { advanceWorldTime, createInitialWorldTime } from './worldTimeEngine.js';
+import { CURRENT_SCHEMA_VERSION } from '../storage/migrations.js';
+import { recordUsage } from './usageTracker.js';
+import { getChapters, getPendingChapters } from './chapterEngine.js';
+
+// Track in-flight prefetch jobs to avoid redundant LLM calls and to cancel them
+// Map<"nodeId:optionId", { promise: Promise<void>, controller: AbortController, nodeId: string }>
 const inFlightPrefetches = new Map();
 const prefetchStatusByKey = new Map();
+// Chapters being summarized, by the chapter's last node id
+const inFlightSummaries = new Set();
 
 function getPrefetchKey(nodeId, optionId) {
     return `${nodeId}:${optionId}`;
@@ -53,11 +69,29 @@ export function getPrefetchSnapshot(session, nodeId = session?.currentNodeId) {
             startedAt: status.startedAt || null,
             completedAt: status.completedAt || null,
             durationMs: status.durationMs || null,
+            tokens: status.tokens || null,
             error: status.error || null,
         };
     });
 }
 
+/**
+ * Prefetch spending of a session so far.
+ * @param {Object} session
+ * @returns {{calls:number, tokens:number}}
+ */
+export function getPrefetchUsage(session) {
+    if (!session.prefetchUsage) session.prefetchUsage = { calls: 0, tokens: 0 };
+    return session.prefetchUsage;
+}
+
+function isOverBudget(session, budget) {
+    const usage = getPrefetchUsage(session);
+    if (budget.maxCalls > 0 && usage.calls >= budget.maxCalls) return true;
+    if (budget.maxTokens > 0 && usage.tokens >= budget.maxTokens) return true;
+    return false;
+}
+
 /**
  * Create the initial gameState.
  * @returns {Object}
@@ -91,20 +125,66 @@ function cloneState(state) {
         npcStates: Object.fromEntries(
             Object.entries(state.npcStates || {}).map(([id, npcState]) => [id, { ...npcState }])
         ),
+        itemLocations: { ...state.itemLocations },
+        clockTriggers: [...(state.clockTriggers || [])],
+        worldTime: { ...state.worldTime },
     };
 }
 
+/**
+ * Build the StoryNode for a Prompt #3 response under a parent node.
+ * @param {Object} parentNode
+ * @param {Object} data — validated Prompt #3 response
+ * @param {Object} newState — state after applyStatePatch
+ * @param {boolean} visited
+ * @param {Object} [extra]
+ * @param {Object|null} [extra.worldSchema] — for the milestone log
+ * @param {Object|null} [extra.skillCheck] — the roll made for the chosen option
+ * @returns {Object} StoryNode
+ */
+function buildChildNode(parentNode, data, newState, visited, { worldSchema = null, skillCheck = null } = {}) {
+    const id = generateId();
+    const newNode = {
+        id,
+        parentId: parentNode.id,
+        depth: parentNode.depth + 1,
+        text: data.text || '',
+        options: data.options || [],
+        selectedOptionId: null,
+        stateSnapshot: { ...newState, milestoneLog: recordMilestones(worldSchema, newState, id) },
+        logicalReasoning: data.logicalReasoning || '',
+        isEnding: data.isEnding || false,
+        meta: { title: data.nodeTitle || `Turn ${newState.turnCount}` },
+        visited,
+        turnSummary: data.turnSummary || '',
+        directorNotes: data.directorNotes || null,
+    };
+
+    if (skillCheck) {
+        newNode.skillCheck = skillCheck;
+    }
+
+    if (data.isEnding) {
+        // A fired win/lose condition decides the ending; the model only narrates it
+        const endingType = newState.endingCondition?.endingType || data.endingType;
+        if (endingType) newNode.meta.endingType = endingType;
+    }
+
+    return newNode;
+}
+
 export function createInitialState(worldSchema = null) {
     const startingLocationId = getStartingLocationId(worldSchema);
     return {
         location: startingLocationId,
         flags: {},
         eventLedger: [],
-        clocks: {
-            tension: 0,
-            insight: 0
-        },
+        clocks: createInitialClocks(worldSchema), // tension, insight + worldSchema.clocks — see clockEngine
+        clockTriggers: [], // [{ id, turn }] — custom clocks that reached triggerAt
+        worldTime: createInitialWorldTime(worldSchema), // { day, hour } — see worldTimeEngine
         npcStates: createInitialNpcStates(worldSchema), // { npcId: { location: string, status: string } }
+        milestoneLog: [], // [{ id, nodeId, turn }] — see milestoneEngine
+        itemLocations: createInitialItemLocations(worldSchema), // { itemId: 'inventory' | locationId | npcId | null }
         tensionLevel: 1,
         turnCount: 0,
         isEnding: false,
@@ -123,9 +203,10 @@ export function createInitialState(worldSchema = null) {
  * @param {string} params.model
  * @param {number} params.temperature
  * @param {string} params.entryLabel
+ * @param {Object[]} [params.usageLog] — usage entries of calls made while setting the session up
  * @returns {Object} GameSessionBlob
  */
-export function createSession({ title, publicWorld, hiddenPlot, openingText, entryLabel, initialThemeColor, climaxThemeColor, accentColor, model, temperature, worldSchema, storyLength, thumbnailBase64 }) {
+export function createSession({ title, publicWorld, hiddenPlot, openingText, entryLabel, initialThemeColor, climaxThemeColor, accentColor, model, temperature, worldSchema, storyLength, thumbnailBase64, usageLog }) {
     const sessionId = generateId();
     const rootId = generateId();
     const timestamp = now();
@@ -145,6 +226,7 @@ export function createSession({ title, publicWorld, hiddenPlot, openingText, ent
     };
 
     return {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
         id: sessionId,
         title,
         createdAt: timestamp,
@@ -158,6 +240,9 @@ export function createSession({ title, publicWorld, hiddenPlot, openingText, ent
         worldSchema: worldSchema || null,
 
         llm: { model, temperature },
+        rngSeed: createRngSeed(), // skill check dice, see skillCheckEngine
+        prefetchUsage: { calls: 0, tokens: 0 },
+        usageLog: Array.isArray(usageLog) ? [...usageLog] : [], // setup-wizard calls (P1/P2/image) made before the session existed
         currentNodeId: rootId,
         rootNodeId: rootId,
         nodesById: { [rootId]: rootNode },
@@ -175,32 +260,16 @@ export function createSession({ title, publicWorld, hiddenPlot, openingText, ent
  */
 export async function generateInitialOptions(session) {
     const result = await callPrompt3(session, null, session.rootNodeId);
+    recordUsage(session, result.calls, 'direct');
     if (!result.ok) return result;
 
     const data = result.data;
     const rootNode = session.nodesById[session.rootNodeId];
 
     // Initialize state from LLM (though usually first turn just sets options)
-    const newState = applyStatePatch(session.gameState, data, session.synopsis?.storyLength);
+    const newState = applyStatePatch(session.gameState, data, session.synopsis?.storyLength, session.worldSchema);
 
-    const newNode = {
-        id: generateId(),
-        parentId: rootNode.id,
-        depth: 1,
-        text: data.text || '',
-        options: data.options || [],
-        selectedOptionId: null,
-        stateSnapshot: { ...newState },
-        isEnding: data.isEnding || false,
-        meta: { title: data.nodeTitle || `Turn 1` },
-        visited: true,
-        turnSummary: data.turnSummary || '',
-        directorNotes: data.directorNotes || null,
-    };
-
-    if (data.isEnding && data.endingType) {
-        newNode.meta.endingType = data.endingType;
-    }
+    const newNode = buildChildNode(rootNode, data, newState, true, { worldSchema: session.worldSchema });
 
     rootNode.options = [
         { id: 'start', text: session.synopsis.entryLabel || '모험을 시작합니다.' }
@@ -228,14 +297,23 @@ export function addCustomOption(session, nodeId, text) {
 
     if (!node.options) node.options = [];
     node.options.push(newOption);
+    indexNode(session, node);
 
     return customId;
 }
 
 /**
  * Trigger prefetch for a specific option on a specific node.
+ * Every prefetch goes through here: it is deduplicated against in-flight jobs,
+ * checked against the session's budget and cancellable through cancelPrefetches().
+ *
+ * @param {Object} session — mutated (new node/edge added, prefetchUsage updated)
+ * @param {string} nodeId
+ * @param {string} optionId
+ * @param {Object} [budget] — { maxCalls, maxTokens }, 0 = unlimited
+ * @returns {Promise<void>}
  */
-export async function prefetchOption(session, nodeId, optionId) {
+export async function prefetchOption(session, nodeId, optionId, budget = DEFAULT_PREFETCH) {
     const node = session.nodesById[nodeId];
     if (!node) return;
 
@@ -248,49 +326,52 @@ export async function prefetchOption(session, nodeId, optionId) {
     }
 
     const prefetchKey = getPrefetchKey(nodeId, optionId);
-    if (inFlightPrefetches.has(prefetchKey)) return inFlightPrefetches.get(prefetchKey);
+    if (inFlightPrefetches.has(prefetchKey)) return inFlightPrefetches.get(prefetchKey).promise;
+
+    if (isOverBudget(session, budget)) {
+        setPrefetchStatus(nodeId, optionId, 'budget-skipped', { completedAt: now(), durationMs: null, error: null });
+        return;
+    }
+
+    const usage = getPrefetchUsage(session);
+    usage.calls += 1;
 
     const parentState = node.stateSnapshot || session.gameState;
+    const skillCheck = rollSkillCheck(session, nodeId, opt);
+    const controller = new AbortController();
     const startedAt = now();
-    setPrefetchStatus(nodeId, optionId, 'in-flight', { startedAt, completedAt: null, durationMs: null, error: null });
+    setPrefetchStatus(nodeId, optionId, 'in-flight', { startedAt, completedAt: null, durationMs: null, tokens: null, error: null });
 
     const attemptPrefetch = async () => {
         try {
-            const result = await callPrompt3(session, opt, nodeId);
+            const result = await callPrompt3(session, opt, nodeId, { signal: controller.signal, skillCheck });
+            const tokens = result.usage?.total_tokens || 0;
+            usage.tokens += tokens;
+            recordUsage(session, result.calls, 'prefetch');
+
+            if (result.aborted || controller.signal.aborted) {
+                setPrefetchStatus(nodeId, optionId, 'cancelled', { completedAt: now(), durationMs: now() - startedAt, tokens, error: null });
+                return;
+            }
             if (!result.ok) {
-                setPrefetchStatus(nodeId, optionId, 'error', { completedAt: now(), durationMs: now() - startedAt, error: result.error || 'LLM prefetch failed' });
+                setPrefetchStatus(nodeId, optionId, 'error', { completedAt: now(), durationMs: now() - startedAt, tokens, error: result.error || 'LLM prefetch failed' });
                 return;
             }
 
+            // The parent may have been discarded as a take while this was in flight
+            if (!session.nodesById[nodeId]) return;
+
             const data = result.data;
-            const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength);
-
-            const newNode = {
-                id: generateId(),
-                parentId: nodeId,
-                depth: node.depth + 1,
-                text: data.text || '',
-                options: data.options || [],
-                selectedOptionId: null,
-                stateSnapshot: { ...newState },
-                logicalReasoning: data.logicalReasoning || '',
-                isEnding: data.isEnding || false,
-                meta: { title: data.nodeTitle || `Turn ${newState.turnCount}` },
-                visited: false,
-                turnSummary: data.turnSummary || '',
-                directorNotes: data.directorNotes || null,
-            };
+            const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength, session.worldSchema);
 
-            if (data.isEnding && data.endingType) {
-                newNode.meta.endingType = data.endingType;
-            }
+            const newNode = buildChildNode(node, data, newState, false, { worldSchema: session.worldSchema, skillCheck });
 
             if (!tree.getChild(session, nodeId, opt.id)) {
                 tree.addNode(session, newNode);
                 tree.addEdge(session, nodeId, opt.id, newNode.id);
             }
             const child = tree.getChild(session, nodeId, opt.id);
-            setPrefetchStatus(nodeId, optionId, 'cached', { childNodeId: child?.id || newNode.id, completedAt: now(), durationMs: now() - startedAt, error: null });
+            setPrefetchStatus(nodeId, optionId, 'cached', { childNodeId: child?.id || newNode.id, completedAt: now(), durationMs: now() - startedAt, tokens, error: null });
         } catch (err) {
             setPrefetchStatus(nodeId, optionId, 'error', { completedAt: now(), durationMs: now() - startedAt, error: err?.message || String(err) });
         } finally {
@@ -299,10 +380,33 @@ export async function prefetchOption(session, nodeId, optionId) {
     };
 
     const promise = attemptPrefetch();
-    inFlightPrefetches.set(prefetchKey, promise);
+    inFlightPrefetches.set(prefetchKey, { promise, controller, nodeId });
     return promise;
 }
 
+/**
+ * Abort in-flight prefetches. Jobs for which `keep(nodeId)` is true are left running.
+ * @param {(nodeId: string) => boolean} [keep]
+ * @returns {number} how many jobs were aborted
+ */
+export function cancelPrefetches(keep = () => false) {
+    let count = 0;
+    inFlightPrefetches.forEach((job) => {
+        if (keep(job.nodeId) || job.controller.signal.aborted) return;
+        job.controller.abort();
+        count++;
+    });
+    return count;
+}
+
+/**
+ * Abort every in-flight prefetch, e.g. when leaving the session.
+ * @returns {number}
+ */
+export function cancelAllPrefetches() {
+    return cancelPrefetches();
+}
+
 /**
  * Progress a turn: player chose an option on the current node.
  *
@@ -311,9 +415,13 @@ export async function prefetchOption(session, nodeId, optionId) {
  *
  * @param {Object} session — mutated
  * @param {string} optionId
+ * @param {string} [customText]
+ * @param {Object} [streamOpts]
+ * @param {(text: string) => void} [streamOpts.onText] — partial story text while the LLM is still generating
+ * @param {() => void} [streamOpts.onRepair] — the streamed text was rejected; a repaired response follows
  * @returns {Promise<{ok:boolean, reused?:boolean, node?:Object, data?:Object, error?:string}>}
  */
-export async function progressTurn(session, optionId, customText) {
+export async function progressTurn(session, optionId, customText, { onText, onRepair } = {}) {
     const currentNode = session.nodesById[session.currentNodeId];
     if (!currentNode) return { ok: false, error: 'Current node not found' };
 
@@ -335,7 +443,7 @@ export async function progressTurn(session, optionId, customText) {
     const prefetchKey = `${session.currentNodeId}:${optionId}`;
     if (inFlightPrefetches.has(prefetchKey)) {
         console.log(`[Progress] Waiting for in-flight prefetch for option "${optionId}"...`);
-        await inFlightPrefetches.get(prefetchKey);
+        await inFlightPrefetches.get(prefetchKey).promise;
 
         // After waiting, the child should now exist in the tree
         const prefetchedChild = tree.getChild(session, session.currentNodeId, optionId);
@@ -363,53 +471,38 @@ export async function progressTurn(session, optionId, customText) {
         if (!currentNode.options) currentNode.options = [];
         currentNode.options.push(selectedOption);
         currentNode.selectedOptionId = actualOptionId;
+        indexNode(session, currentNode);
     } else {
         selectedOption = currentNode.options.find((o) => o.id === optionId);
     }
-    const result = await callPrompt3(session, selectedOption, session.currentNodeId);
+    const skillCheck = rollSkillCheck(session, session.currentNodeId, selectedOption);
+    const result = await callPrompt3(session, selectedOption, session.currentNodeId, { onText, onRepair, skillCheck });
+    recordUsage(session, result.calls, 'direct');
     if (!result.ok) return result;
 
     const data = result.data;
 
     // Build new state using PATCH logic
     const parentState = currentNode.stateSnapshot || session.gameState;
-    const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength);
-
-    // Create new node
-    const newNode = {
-        id: generateId(),
-        parentId: session.currentNodeId,
-        depth: currentNode.depth + 1,
-        text: data.text || '',
-        options: data.options || [],
-        selectedOptionId: null,
-        stateSnapshot: { ...newState },
-        logicalReasoning: data.logicalReasoning || '',
-        isEnding: data.isEnding || false,
-        meta: { title: data.nodeTitle || `Turn ${newState.turnCount}` },
-        visited: true,
-        turnSummary: data.turnSummary || '',
-        directorNotes: data.directorNotes || null,
-    };
+    const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength, session.worldSchema);
 
-    // If it's an ending, add ending type
-    if (data.isEnding && data.endingType) {
-        newNode.meta.endingType = data.endingType;
-    }
+    const newNode = buildChildNode(currentNode, data, newState, true, { worldSchema: session.worldSchema, skillCheck });
 
     // Update session
     tree.addNode(session, newNode);
     tree.addEdge(session, session.currentNodeId, actualOptionId, newNode.id);
     setPrefetchStatus(session.currentNodeId, actualOptionId, 'direct', { childNodeId: newNode.id, completedAt: now(), error: null });
     session.currentNodeId = newNode.id;
-    session.gameState = { ...newState };
+    session.gameState = { ...newNode.stateSnapshot };
     session.updatedAt = now();
 
     return { ok: true, reused: false, node: newNode, data };
 }
 
 /**
- * Rollback to a past node: restore its stateSnapshot and set as current.
+ * Rollback to a node: restore its stateSnapshot and set as current.
+ * The node may also be a prefetched scene or sit under an inactive take (graph view):
+ * every take on its path becomes the active one and the path counts as read.
  * @param {Object} session — mutated
  * @param {string} nodeId
  * @returns {{ ok: boolean, node?: Object }}
@@ -418,6 +511,10 @@ export function rollbackToNode(session, nodeId) {
     const node = session.nodesById[nodeId];
     if (!node) return { ok: false, error: 'Node not found' };
 
+    tree.getPathToRoot(session, nodeId).forEach((id) => {
+        tree.setActiveTake(session, id);
+        session.nodesById[id].visited = true;
+    });
     session.currentNodeId = nodeId;
     session.gameState = { ...node.stateSnapshot };
     session.updatedAt = now();
@@ -425,99 +522,225 @@ export function rollbackToNode(session, nodeId) {
     return { ok: true, node };
 }
 
+function isOnActivePath(session, nodeId) {
+    return tree.getPathToRoot(session, session.currentNodeId).includes(nodeId);
+}
+
+function moveCurrentTo(session, node) {
+    session.currentNodeId = node.id;
+    session.gameState = { ...node.stateSnapshot };
+    node.visited = true;
+}
+
 /**
- * Prefetch LLM responses for ALL options on the current node in parallel.
- * Creates child nodes + edges so that progressTurn’s getChild() picks them up.
- * Skips options that already have a child node.
+ * Regenerate a scene: call Prompt #3 again for the same (parent, option) and
+ * keep the previous node as an alternate take of that edge.
+ * If the node was on the active path, the new take becomes current.
+ *
+ * @param {Object} session — mutated
+ * @param {string} nodeId — the node to regenerate (any take of the edge)
+ * @param {Object} [streamOpts]
+ * @param {(text: string) => void} [streamOpts.onText]
+ * @param {() => void} [streamOpts.onRepair]
+ * @returns {Promise<{ok:boolean, node?:Object, data?:Object, error?:string}>}
+ */
+export async function rerollNode(session, nodeId, { onText, onRepair } = {}) {
+    const node = session.nodesById[nodeId];
+    if (!node || !node.parentId) return { ok: false, error: 'Cannot regenerate this node' };
+
+    const edge = tree.getEdgeForNode(session, nodeId);
+    const parentNode = session.nodesById[node.parentId];
+    if (!edge || !parentNode) return { ok: false, error: 'Parent edge not found' };
+
+    // The first scene is written from the root without a choice, like generateInitialOptions
+    const selectedOption = parentNode.id === session.rootNodeId ? null : parentNode.options.find((o) => o.id === edge.optionId);
+    const wasActive = isOnActivePath(session, nodeId);
+
+    // Same seed and choice, so a new take keeps the original roll
+    const skillCheck = rollSkillCheck(session, parentNode.id, selectedOption);
+    const result = await callPrompt3(session, selectedOption || null, parentNode.id, { onText, onRepair, skillCheck });
+    recordUsage(session, result.calls, 'direct');
+    if (!result.ok) return result;
+
+    const data = result.data;
+    const parentState = parentNode.stateSnapshot || session.gameState;
+    const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength, session.worldSchema);
+    const newNode = buildChildNode(parentNode, data, newState, wasActive, { worldSchema: session.worldSchema, skillCheck });
+
+    tree.addNode(session, newNode);
+    tree.addTake(session, parentNode.id, edge.optionId, newNode.id);
+    setPrefetchStatus(parentNode.id, edge.optionId, 'direct', { childNodeId: newNode.id, completedAt: now(), error: null });
+
+    if (wasActive) {
+        parentNode.selectedOptionId = edge.optionId;
+        moveCurrentTo(session, newNode);
+    }
+    session.updatedAt = now();
+
+    return { ok: true, node: newNode, data };
+}
+
+/**
+ * Switch an edge to another of its takes and continue from it.
+ * @param {Object} session — mutated
+ * @param {string} nodeId — the take to activate
+ * @returns {{ ok: boolean, node?: Object, error?: string }}
+ */
+export function switchTake(session, nodeId) {
+    const node = session.nodesById[nodeId];
+    if (!node || !tree.setActiveTake(session, nodeId)) return { ok: false, error: 'Take not found' };
+
+    moveCurrentTo(session, node);
+    session.updatedAt = now();
+    return { ok: true, node };
+}
+
+/**
+ * Throw a take away, together with every node generated below it.
+ * If the player was inside that take, they continue from the take that
+ * replaces it (or from the parent when no take is left).
+ *
+ * @param {Object} session — mutated
+ * @param {string} nodeId
+ * @returns {{ ok: boolean, removedCount?: number, node?: Object, error?: string }}
+ */
+export function discardTake(session, nodeId) {
+    const node = session.nodesById[nodeId];
+    if (!node || !node.parentId) return { ok: false, error: 'Cannot discard this node' };
+
+    const wasActive = isOnActivePath(session, nodeId);
+    const { removed, activeId } = tree.removeTake(session, nodeId);
+
+    if (wasActive) {
+        const next = session.nodesById[activeId] || session.nodesById[node.parentId];
+        if (!activeId) next.selectedOptionId = null;
+        moveCurrentTo(session, next);
+    }
+    session.updatedAt = now();
+
+    return { ok: true, removedCount: removed.length, node: session.nodesById[session.currentNodeId] };
+}
+
+/**
+ * Drop unread prefetched scenes (see treeEngine.pruneUnvisited) and forget the
+ * prefetch results that pointed at them.
+ * @param {Object} session — mutated in place (caller saves)
+ * @param {{ maxDistance?: number, maxNodes?: number }} [limits] — see DEFAULT_PRUNE
+ * @returns {{ removedCount: number, bytes: number }}
+ */
+export function pruneSession(session, limits = DEFAULT_PRUNE) {
+    const { removed, bytes } = tree.pruneUnvisited(session, limits);
+    if (removed.length === 0) return { removedCount: 0, bytes: 0 };
+
+    const removedSet = new Set(removed);
+    prefetchStatusByKey.forEach((status, key) => {
+        if (removedSet.has(status.nodeId) || removedSet.has(status.childNodeId)) prefetchStatusByKey.delete(key);
+    });
+    session.updatedAt = now();
+    return { removedCount: removed.length, bytes };
+}
+
+/** Whether nodeId is the current node or one of its descendants at most `depth` levels below. */
+function isWithinPrefetchRange(session, nodeId, depth) {
+    let node = session.nodesById[nodeId];
+    for (let level = 0; node && level <= depth; level++) {
+        if (node.id === session.currentNodeId) return true;
+        node = session.nodesById[node.parentId];
+    }
+    return false;
+}
+
+/**
+ * Prefetch LLM responses ahead of the player according to a policy.
+ * Creates child nodes + edges so that progressTurn's getChild() picks them up.
+ *
+ * Policies:
+ *   'none'    — nothing is prefetched
+ *   'current' — every option of the current node, in parallel
+ *   'deep'    — as 'current', then keeps following the most likely path
+ *               (the first option of each prefetched scene) down to `depth` levels
+ *
+ * In-flight jobs outside the new range are aborted first, so calls started for a
+ * branch the player left stop spending tokens. Jobs over the session budget are
+ * recorded as 'budget-skipped'.
  *
  * @param {Object} session — mutated (new nodes/edges added)
+ * @param {Object} [policy] — { policy, depth, maxCalls, maxTokens }; see DEFAULT_PREFETCH
  * @returns {Promise<void>}
  */
-export async function prefetchAllOptions(session) {
-    const currentNode = session.nodesById[session.currentNodeId];
-    if (!currentNode || !currentNode.options || currentNode.options.length === 0) return;
-    if (currentNode.isEnding) return;
-
-    const optionsToFetch = currentNode.options.filter(opt => {
-        const prefetchKey = getPrefetchKey(currentNode.id, opt.id);
-        if (tree.getChild(session, currentNode.id, opt.id)) {
-            setPrefetchStatus(currentNode.id, opt.id, 'cached', { completedAt: now(), error: null });
-            return false;
-        }
-        return !inFlightPrefetches.has(prefetchKey);
-    });
+export async function schedulePrefetch(session, policy = DEFAULT_PREFETCH) {
+    const { policy: mode, maxCalls, maxTokens } = { ...DEFAULT_PREFETCH, ...policy };
+    const depth = mode === 'deep' ? Math.max(1, Number(policy.depth) || DEFAULT_PREFETCH.depth) : 1;
+    const budget = { maxCalls, maxTokens };
 
-    if (optionsToFetch.length === 0) return;
+    if (mode === 'none') {
+        cancelAllPrefetches();
+        return;
+    }
+    cancelPrefetches((nodeId) => isWithinPrefetchRange(session, nodeId, depth - 1));
+
+    const startNodeId = session.currentNodeId;
+    const currentNode = session.nodesById[startNodeId];
+    if (!currentNode || currentNode.isEnding || !currentNode.options?.length) return;
 
     console.group('%c[Prefetch]', 'color: #66ff99; font-weight: bold');
-    console.log(`Prefetching ${optionsToFetch.length} options for node ${currentNode.id}`);
+    console.log(`Prefetching for node ${currentNode.id} (policy: ${mode}, depth: ${depth})`);
     console.groupEnd();
 
-    // Fire LLM calls in parallel. 
-    const parentState = currentNode.stateSnapshot || session.gameState;
-    const nodeId = currentNode.id;
-
-    const fetchPromises = optionsToFetch.map(async (opt) => {
-        const prefetchKey = getPrefetchKey(nodeId, opt.id);
-        const startedAt = now();
-        setPrefetchStatus(nodeId, opt.id, 'in-flight', { startedAt, completedAt: null, durationMs: null, error: null });
-
-        const attemptPrefetch = async () => {
-            try {
-                const result = await callPrompt3(session, opt, nodeId);
-                if (!result.ok) {
-                    console.warn(`[Prefetch] Failed for option "${opt.text}":`, result.error);
-                    setPrefetchStatus(nodeId, opt.id, 'error', { completedAt: now(), durationMs: now() - startedAt, error: result.error || 'LLM prefetch failed' });
-                    return;
-                }
-
-                const data = result.data;
-                const newState = applyStatePatch(parentState, data, session.synopsis?.storyLength);
-
-                const newNode = {
-                    id: generateId(),
-                    parentId: nodeId,
-                    depth: currentNode.depth + 1,
-                    text: data.text || '',
-                    options: data.options || [],
-                    selectedOptionId: null,
-                    stateSnapshot: { ...newState },
-                    logicalReasoning: data.logicalReasoning || '',
-                    isEnding: data.isEnding || false,
-                    meta: { title: data.nodeTitle || `Turn ${newState.turnCount}` },
-                    visited: false,
-                    turnSummary: data.turnSummary || '',
-                    directorNotes: data.directorNotes || null,
-                };
-
-                if (data.isEnding && data.endingType) {
-                    newNode.meta.endingType = data.endingType;
-                }
-
-                if (!tree.getChild(session, nodeId, opt.id)) {
-                    tree.addNode(session, newNode);
-                    tree.addEdge(session, nodeId, opt.id, newNode.id);
-                    console.log(`[Prefetch] ✓ Cached "${opt.text}" → node ${newNode.id}`);
-                }
-                const child = tree.getChild(session, nodeId, opt.id);
-                setPrefetchStatus(nodeId, opt.id, 'cached', { childNodeId: child?.id || newNode.id, completedAt: now(), durationMs: now() - startedAt, error: null });
-            } catch (err) {
-                console.warn(`[Prefetch] Error for option "${opt.text}":`, err);
-                setPrefetchStatus(nodeId, opt.id, 'error', { completedAt: now(), durationMs: now() - startedAt, error: err?.message || String(err) });
-            } finally {
-                inFlightPrefetches.delete(prefetchKey);
-            }
-        };
+    await Promise.all(currentNode.options.map((opt) => prefetchOption(session, currentNode.id, opt.id, budget)));
 
-        const promise = attemptPrefetch();
-        inFlightPrefetches.set(prefetchKey, promise);
-        return promise;
-    });
+    let node = currentNode;
+    for (let level = 1; level < depth; level++) {
+        if (session.currentNodeId !== startNodeId) break;
+        const likely = node.options?.[0] && tree.getChild(session, node.id, node.options[0].id);
+        if (!likely || likely.isEnding || !likely.options?.length) break;
+        await prefetchOption(session, likely.id, likely.options[0].id, budget);
+        node = likely;
+    }
 
-    await Promise.all(fetchPromises);
+    session.updatedAt = now();
+}
 
+/**
+ * Summarize every closed chapter on the path to nodeId that has no summary yet,
+ * oldest first, and store each summary on the chapter's last node.
+ * Prompt #3 then sends these summaries instead of the chapters' raw turns.
+ *
+ * @param {Object} session — mutated (node.chapterSummary set)
+ * @param {string} [nodeId=session.currentNodeId]
+ * @returns {Promise<{ok:boolean, summarized:number, error?:string}>}
+ */
+export async function summarizeChapters(session, nodeId = session.currentNodeId) {
+    let summarized = 0;
+    for (const chapter of getPendingChapters(session, nodeId)) {
+        if (inFlightSummaries.has(chapter.endNodeId)) continue;
+        inFlightSummaries.add(chapter.endNodeId);
+        try {
+            const previousSummaries = getChapters(session, chapter.endNodeId)
+                .filter((c) => c.summary)
+                .map((c) => c.summary.text);
+            const result = await callChapterSummary(session, chapter, { previousSummaries });
+            recordUsage(session, result.calls, 'direct');
+            if (!result.ok) return { ok: false, summarized, error: result.error };
+
+            // The chapter may have been discarded as a take meanwhile
+            const endNode = session.nodesById[chapter.endNodeId];
+            if (!endNode) break;
+            endNode.chapterSummary = {
+                fromDepth: chapter.fromDepth,
+                toDepth: chapter.toDepth,
+                act: chapter.act,
+                text: result.data.summary,
+                createdAt: now(),
+            };
+            summarized++;
+        } finally {
+            inFlightSummaries.delete(chapter.endNodeId);
+        }
+    }
 
-    session.updatedAt = now();
+    if (summarized > 0) session.updatedAt = now();
+    return { ok: true, summarized };
 }
 
 /**
@@ -527,23 +750,30 @@ export async function prefetchAllOptions(session) {
  * @param {Object} prevState 
  * @param {Object} responseData — can include statePatch, clockDelta, turnSummary, tensionLevel, isEnding
  * @param {string} storyLength
+ * @param {Object|null} [worldSchema] — source of the win/lose conditions and custom clocks
  * @returns {Object} new state
  */
-export function applyStatePatch(prevState, responseData, storyLength = '중편') {
+export function applyStatePatch(prevState, responseData, storyLength = '중편', worldSchema = null) {
     const patch = responseData.statePatch || {};
-    const clocks = responseData.clockDelta || { tension_delta: 0, insight_delta: 0 };
 
     // Shallow copy initial structure
     const newState = {
         ...prevState,
         flags: { ...prevState.flags },
         eventLedger: [...prevState.eventLedger],
-        clocks: { ...prevState.clocks }
+        clocks: applyClockDelta(prevState.clocks || {}, responseData.clockDelta, worldSchema)
     };
 
-    // 1. Clocks 업데이트
-    newState.clocks.tension = Math.max(0, (newState.clocks.tension || 0) + (clocks.tension_delta || 0));
-    newState.clocks.insight = (newState.clocks.insight || 0) + (clocks.insight_delta || 0);
+    // 1. Clocks — 커스텀 시계가 임계값에 처음 도달하면 발동 기록 (효과는 Prompt #3 지시 / 10단계 엔딩)
+    const firedBefore = (prevState.clockTriggers || []).map((trigger) => trigger.id);
+    const firedClocks = findFiredClocks(worldSchema, newState.clocks, firedBefore);
+    if (firedClocks.length > 0) {
+        const turn = (prevState.turnCount || 0) + 1;
+        newState.clockTriggers = [
+            ...(prevState.clockTriggers || []),
+            ...firedClocks.map((clock) => ({ id: clock.id, turn })),
+        ];
+    }
 
     // 2. Flags 패치
     if (patch.addFlags) {
@@ -557,14 +787,20 @@ export function applyStatePatch(prevState, responseData, storyLength = '중편')
         });
     }
 
-    // 3. Inventory 패치 (삭제됨)
+    // 3. Inventory 패치 — 아이템별 보유자(인벤토리/장소/NPC) 추적
+    if (patch.addItems || patch.removeItems || patch.moveItem) {
+        newState.itemLocations = applyItemPatch(prevState.itemLocations, patch);
+    }
 
-    // 4. Location 업데이트
+    // 4. 세계 시간 — 장면에 걸린 시간만큼 시계를 진행
+    newState.worldTime = advanceWorldTime(prevState.worldTime || createInitialWorldTime(worldSchema), patch.timeAdvance);
+
+    // 5. Location 업데이트
     if (patch.locationChange) {
         newState.location = patch.locationChange;
     }
 
-    // 5. Dynamic NPC States 패치 (Items 삭제됨)
+    // 6. Dynamic NPC States 패치
     if (patch.npcStates) {
         newState.npcStates = { ...newState.npcStates };
         Object.entries(patch.npcStates).forEach(([npcId, s]) => {
@@ -572,20 +808,50 @@ export function applyStatePatch(prevState, responseData, storyLength = '중편')
         });
     }
 
-    // 6. Meta & Turn progression
+    // 7. Meta & Turn progression
     newState.turnCount = (prevState.turnCount || 0) + 1;
+
+    // 8. NPC 관계 — 성향 변화와 기억, 같은 장소에 있던 NPC는 만난 것으로 기록
+    if (patch.npcDisposition) {
+        newState.npcStates = applyDispositionPatch(newState.npcStates || {}, patch.npcDisposition, newState.turnCount);
+    }
+    newState.npcStates = markMetNpcs(newState.npcStates || {}, newState.location);
+
     if (responseData.turnSummary) {
         newState.eventLedger.push(responseData.turnSummary);
     }
     newState.tensionLevel = responseData.tensionLevel || prevState.tensionLevel || 1;
     newState.isEnding = responseData.isEnding || false;
 
-    // 6. Hard Ending Enforcement
+    // 9. Hard Ending Enforcement
     const threshold = getHardEndingThreshold(storyLength);
     // insight가 임계점에 도달하면 엔딩 국면으로 진입
     if (newState.clocks.insight >= threshold) {
         newState.isEnding = true;
     }
 
+    // 10. Win/Lose Conditions — 한 번 발동하면 이후 턴에도 유지되어 결말 지시가 이어진다
+    if (!newState.endingCondition) {
+        const triggered = findTriggeredCondition(worldSchema, newState);
+        if (triggered) {
+            newState.endingCondition = { ...triggered, turn: newState.turnCount };
+        }
+    }
+    if (!newState.endingCondition) {
+        const endingClock = firedClocks.find((clock) => clock.effect?.type === 'ending');
+        if (endingClock) {
+            newState.endingCondition = {
+                id: `clock:${endingClock.id}`,
+                kind: endingClock.effect.endingType === 'win' ? 'win' : 'lose',
+                endingType: endingClock.effect.endingType || 'lose',
+                desc: endingClock.effect.directive || `${endingClock.name} 시계가 ${endingClock.triggerAt}에 도달했다`,
+                turn: newState.turnCount,
+            };
+        }
+    }
+    if (newState.endingCondition) {
+        newState.isEnding = true;
+    }
+
     return newState;
 }
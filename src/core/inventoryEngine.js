@@ -0,0 +1,106 @@
+/**
+ * inventoryEngine.js — Where each worldSchema item is, turn by turn
+ * @module core/inventoryEngine
+ *
+ * The game state tracks one holder per item:
+ *
+ *   state.itemLocations = { itemId: holder }
+ *
+ * A holder is INVENTORY (carried by the protagonist), a location id, an NPC id,
+ * or null once the item is used up, destroyed or otherwise gone. Items missing
+ * from the map are still where the schema put them (initialLocationId).
+ *
+ * Prompt #3 moves items through statePatch:
+ *   addItems: [itemId]              — the protagonist picks them up
+ *   removeItems: [itemId]           — gone for good
+ *   moveItem: { itemId, to }        — handed to an NPC, dropped or left at a location
+ */
+
+/** Holder value for items the protagonist carries. */
+export const INVENTORY = 'inventory';
+
+function getItems(worldSchema) {
+    return Array.isArray(worldSchema?.items) ? worldSchema.items.filter((item) => item?.id) : [];
+}
+
+function getInitialHolder(item) {
+    return item.initialLocationId || item.locationId || null;
+}
+
+/**
+ * Item holders at the start of a story.
+ * @param {Object|null} worldSchema
+ * @returns {Object.<string, string|null>}
+ */
+export function createInitialItemLocations(worldSchema) {
+    return Object.fromEntries(getItems(worldSchema).map((item) => [item.id, getInitialHolder(item)]));
+}
+
+/**
+ * Apply the item fields of a statePatch.
+ * @param {Object.<string, string|null>} itemLocations — not mutated
+ * @param {{ addItems?: string[], removeItems?: string[], moveItem?: {itemId:string, to:string}|null }} patch
+ * @returns {Object.<string, string|null>} new map
+ */
+export function applyItemPatch(itemLocations, patch) {
+    const next = { ...(itemLocations || {}) };
+    (patch.addItems || []).forEach((itemId) => {
+        if (itemId) next[itemId] = INVENTORY;
+    });
+    (patch.removeItems || []).forEach((itemId) => {
+        if (itemId) next[itemId] = null;
+    });
+    if (patch.moveItem?.itemId && patch.moveItem.to) {
+        next[patch.moveItem.itemId] = patch.moveItem.to;
+    }
+    return next;
+}
+
+/**
+ * Current holder of an item.
+ * @param {Object} item — worldSchema item
+ * @param {Object} state
+ * @returns {string|null}
+ */
+export function getItemHolder(item, state) {
+    const locations = state?.itemLocations || {};
+    return item.id in locations ? locations[item.id] : getInitialHolder(item);
+}
+
+/**
+ * Items the protagonist carries.
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {Object[]} worldSchema items
+ */
+export function getCarriedItems(worldSchema, state) {
+    return getItems(worldSchema).filter((item) => getItemHolder(item, state) === INVENTORY);
+}
+
+/**
+ * Items lying at a location (not carried, not held by an NPC).
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @param {string} locationId
+ * @returns {Object[]} worldSchema items
+ */
+export function getItemsAt(worldSchema, state, locationId) {
+    if (!locationId) return [];
+    return getItems(worldSchema).filter((item) => getItemHolder(item, state) === locationId);
+}
+
+/**
+ * Items held by each NPC.
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {Object.<string, Object[]>} npcId → items
+ */
+export function getItemsByNpc(worldSchema, state) {
+    const npcIds = new Set((worldSchema?.npcs || []).map((npc) => npc?.id).filter(Boolean));
+    const byNpc = {};
+    getItems(worldSchema).forEach((item) => {
+        const holder = getItemHolder(item, state);
+        if (npcIds.has(holder)) (byNpc[holder] ||= []).push(item);
+    });
+    return byNpc;
+}
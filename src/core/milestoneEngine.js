@@ -0,0 +1,117 @@
+/**
+ * milestoneEngine.js — Records and reports progress along the milestone spine
+ * @module core/milestoneEngine
+ *
+ * worldSchema.milestones is the ordered story spine; a milestone is complete
+ * once its completedFlag is set. Each state snapshot carries the log of when
+ * that happened on its path:
+ *
+ *   state.milestoneLog = [ { id, nodeId, turn } ]   — in completion order
+ *
+ * Snapshots are per node, so every branch keeps its own history.
+ */
+
+/**
+ * Milestones in story order. Order falls back to the schema order.
+ * @param {Object|null} worldSchema
+ * @returns {Object[]}
+ */
+export function getOrderedMilestones(worldSchema) {
+    const milestones = Array.isArray(worldSchema?.milestones) ? worldSchema.milestones : [];
+    return milestones
+        .filter((m) => m && m.id)
+        .map((m, i) => ({ milestone: m, i }))
+        .sort((a, b) => Number(a.milestone.order ?? a.milestone.index ?? 0) - Number(b.milestone.order ?? b.milestone.index ?? 0) || a.i - b.i)
+        .map(({ milestone }) => milestone);
+}
+
+/**
+ * Log the milestones whose completion flags are newly set in a state.
+ * @param {Object|null} worldSchema
+ * @param {Object} state — state after the turn was applied
+ * @param {string} nodeId — node that holds this state
+ * @returns {Array<{id:string, nodeId:string, turn:number}>} the updated log (a new array)
+ */
+export function recordMilestones(worldSchema, state, nodeId) {
+    const log = Array.isArray(state.milestoneLog) ? [...state.milestoneLog] : [];
+    const logged = new Set(log.map((entry) => entry.id));
+    const flags = state.flags || {};
+    getOrderedMilestones(worldSchema).forEach((milestone) => {
+        if (logged.has(milestone.id) || !milestone.completedFlag || !flags[milestone.completedFlag]) return;
+        log.push({ id: milestone.id, nodeId, turn: state.turnCount || 0 });
+    });
+    return log;
+}
+
+/**
+ * @typedef {Object} MilestoneStatus
+ * @property {string} id
+ * @property {string|null} phase
+ * @property {'completed'|'skipped'|'pending'} status — skipped: still open although a later milestone is done
+ * @property {{nodeId:string|null, turn:number|null}|null} completedAt
+ * @property {boolean} outOfOrder — completed before an earlier milestone
+ */
+
+/**
+ * Progress along the milestone spine for one state.
+ * A completed flag without a log entry (e.g. set by a rerolled parent) still counts as completed.
+ *
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {{ total: number, completed: number, chapter: number, milestones: MilestoneStatus[], next: Object|null }}
+ *   chapter — 1-based position on the spine, safe to show the player
+ */
+export function getMilestoneProgress(worldSchema, state) {
+    const ordered = getOrderedMilestones(worldSchema);
+    const flags = state?.flags || {};
+    const logById = new Map((state?.milestoneLog || []).map((entry, position) => [entry.id, { ...entry, position }]));
+
+    const rows = ordered.map((milestone) => {
+        const entry = logById.get(milestone.id);
+        const done = !!entry || (!!milestone.completedFlag && !!flags[milestone.completedFlag]);
+        return {
+            id: milestone.id,
+            phase: milestone.phase || null,
+            status: done ? 'completed' : 'pending',
+            completedAt: done ? { nodeId: entry?.nodeId || null, turn: entry?.turn ?? null } : null,
+            position: entry ? entry.position : null,
+            outOfOrder: false,
+        };
+    });
+
+    let lastDone = -1;
+    rows.forEach((row, i) => {
+        if (row.status !== 'completed') return;
+        lastDone = i;
+        // Out of order: an earlier milestone was still open when this one was logged
+        row.outOfOrder = rows.slice(0, i).some((earlier) => earlier.status !== 'completed'
+            || (earlier.position !== null && row.position !== null && earlier.position > row.position));
+    });
+    rows.forEach((row, i) => {
+        if (row.status === 'pending' && i < lastDone) row.status = 'skipped';
+    });
+
+    const total = rows.length;
+    const completed = rows.filter((row) => row.status === 'completed').length;
+    const nextIndex = rows.findIndex((row) => row.status !== 'completed');
+
+    return {
+        total,
+        completed,
+        chapter: total === 0 ? 0 : Math.min(total, lastDone + 2),
+        milestones: rows.map(({ position, ...row }) => row),
+        next: nextIndex === -1 ? null : ordered[nextIndex],
+    };
+}
+
+/**
+ * Milestones not yet completed, in story order (skipped ones first, as they come earlier).
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+export function getIncompleteMilestones(worldSchema, state) {
+    const progress = getMilestoneProgress(worldSchema, state);
+    const ordered = getOrderedMilestones(worldSchema);
+    return ordered.filter((_, i) => progress.milestones[i].status !== 'completed');
+}
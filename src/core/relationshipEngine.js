@@ -0,0 +1,108 @@
+/**
+ * relationshipEngine.js — How each NPC feels about the protagonist
+ * @module core/relationshipEngine
+ *
+ * Next to location and status, every entry of state.npcStates can hold:
+ *   disposition: { trust, fear, hostility }  — each 0..DISPOSITION_MAX
+ *   memory: [ { turn, note } ]               — key interactions, newest last
+ *   met: true                                — the protagonist has shared a scene with them
+ *
+ * Prompt #3 changes them through statePatch.npcDisposition:
+ *   { npcId: { trust?: delta, fear?: delta, hostility?: delta, memory?: string } }
+ */
+
+export const DISPOSITION_KEYS = ['trust', 'fear', 'hostility'];
+
+export const DISPOSITION_LABELS = { trust: '신뢰', fear: '두려움', hostility: '적대' };
+
+export const DISPOSITION_MAX = 10;
+
+/** Largest change a single turn may make to one disposition value. */
+export const DISPOSITION_MAX_DELTA = 2;
+
+/** Memories kept per NPC; older ones fall off. */
+export const NPC_MEMORY_LIMIT = 8;
+
+function clamp(value) {
+    return Math.max(0, Math.min(DISPOSITION_MAX, value));
+}
+
+/**
+ * Disposition of an NPC state, with missing values at 0.
+ * @param {Object|undefined} npcState
+ * @returns {{trust:number, fear:number, hostility:number}}
+ */
+export function getDisposition(npcState) {
+    const d = npcState?.disposition || {};
+    return Object.fromEntries(DISPOSITION_KEYS.map((key) => [key, Number.isFinite(d[key]) ? d[key] : 0]));
+}
+
+/**
+ * Apply statePatch.npcDisposition.
+ * @param {Object} npcStates — not mutated
+ * @param {Object} patch — { npcId: { trust?, fear?, hostility?, memory? } }
+ * @param {number} turn — turn the interaction happened on
+ * @returns {Object} new npcStates
+ */
+export function applyDispositionPatch(npcStates, patch, turn) {
+    const next = { ...npcStates };
+    Object.entries(patch || {}).forEach(([npcId, change]) => {
+        if (!change || typeof change !== 'object') return;
+        const prev = next[npcId] || {};
+        const disposition = getDisposition(prev);
+        DISPOSITION_KEYS.forEach((key) => {
+            const delta = Number(change[key]) || 0;
+            const bounded = Math.max(-DISPOSITION_MAX_DELTA, Math.min(DISPOSITION_MAX_DELTA, delta));
+            disposition[key] = clamp(disposition[key] + bounded);
+        });
+        const memory = Array.isArray(prev.memory) ? [...prev.memory] : [];
+        if (typeof change.memory === 'string' && change.memory.trim()) {
+            memory.push({ turn, note: change.memory.trim() });
+        }
+        next[npcId] = { ...prev, disposition, memory: memory.slice(-NPC_MEMORY_LIMIT), met: true };
+    });
+    return next;
+}
+
+/**
+ * Mark NPCs at the protagonist's location as met.
+ * @param {Object} npcStates — not mutated
+ * @param {string} locationId
+ * @returns {Object} new npcStates (the same object when nothing changed)
+ */
+export function markMetNpcs(npcStates, locationId) {
+    if (!locationId) return npcStates;
+    const newlyMet = Object.entries(npcStates || {})
+        .filter(([, npcState]) => npcState?.location === locationId && !npcState.met);
+    if (newlyMet.length === 0) return npcStates;
+    const next = { ...npcStates };
+    newlyMet.forEach(([npcId, npcState]) => {
+        next[npcId] = { ...npcState, met: true };
+    });
+    return next;
+}
+
+/**
+ * Short Korean summary, e.g. "신뢰 6 / 두려움 1 / 적대 0".
+ * @param {{trust:number, fear:number, hostility:number}} disposition
+ * @returns {string}
+ */
+export function formatDisposition(disposition) {
+    return DISPOSITION_KEYS.map((key) => `${DISPOSITION_LABELS[key]} ${disposition[key]}`).join(' / ');
+}
+
+/**
+ * NPCs the protagonist has met, in schema order, with their relationship.
+ * @param {Object|null} worldSchema
+ * @param {Object} state
+ * @returns {Array<{ npc: Object, disposition: Object, memory: Array<{turn:number, note:string}> }>}
+ */
+export function getMetNpcs(worldSchema, state) {
+    const npcs = Array.isArray(worldSchema?.npcs) ? worldSchema.npcs : [];
+    return npcs
+        .filter((npc) => npc?.id && state?.npcStates?.[npc.id]?.met)
+        .map((npc) => {
+            const npcState = state.npcStates[npc.id];
+            return { npc, disposition: getDisposition(npcState), memory: npcState.memory || [] };
+        });
+}
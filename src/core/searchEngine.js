@@ -0,0 +1,183 @@
+/**
+ * searchEngine.js — Full-text search over story nodes
+ * @module core/searchEngine
+ *
+ * Each session has a search index holding, per node, only what is searchable:
+ *
+ *   { version, docs: { nodeId: { title, depth, body, sig } } }
+ *
+ * body joins the node's text, turnSummary and option texts with whitespace
+ * collapsed; sig is a cheap fingerprint (text length, option count) used to
+ * spot nodes that changed while the index was not watching.
+ *
+ * The index lives next to the session (WeakMap, never inside the blob). It is
+ * updated by treeEngine.addNode/removeSubtree as nodes come and go, saved by
+ * sessionRepo under its own key, and reattached on load — a stored index is
+ * only topped up with the nodes it is missing, never rebuilt from scratch.
+ * Searching other sessions reads their stored indexes, not the sessions.
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+/** Results returned per session by default. */
+export const SEARCH_RESULT_LIMIT = 50;
+
+const SNIPPET_RADIUS = 40;
+
+/** @type {WeakMap<Object, { version: number, docs: Object, dirty: boolean }>} */
+const sessionIndexes = new WeakMap();
+
+function collapse(text) {
+    return String(text || '').replace(/<<|>>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function nodeSig(node) {
+    return `${(node.text || '').length}:${(node.options || []).length}`;
+}
+
+function buildDoc(node) {
+    const parts = [node.text, node.turnSummary, ...(node.options || []).map((option) => option.text)];
+    return {
+        title: node.depth === 0 ? 'Prologue' : collapse(node.meta?.title) || `Turn ${node.depth}`,
+        depth: node.depth,
+        body: collapse(parts.filter(Boolean).join(' ')),
+        sig: nodeSig(node),
+    };
+}
+
+function createIndex() {
+    return { version: SEARCH_INDEX_VERSION, docs: {}, dirty: true };
+}
+
+/**
+ * The session's search index, built from its nodes if it has none yet.
+ * @param {Object} session
+ * @returns {{ version: number, docs: Object, dirty: boolean }}
+ */
+export function getSearchIndex(session) {
+    let index = sessionIndexes.get(session);
+    if (!index) {
+        index = createIndex();
+        Object.values(session.nodesById || {}).forEach((node) => {
+            if (node?.id) index.docs[node.id] = buildDoc(node);
+        });
+        sessionIndexes.set(session, index);
+    }
+    return index;
+}
+
+/**
+ * Attach a stored index to a freshly loaded session, indexing only the nodes
+ * it is missing or that changed, and dropping nodes that no longer exist.
+ * @param {Object} session
+ * @param {any} stored — as read from storage (ignored unless the version matches)
+ * @returns {{ added: number, removed: number }}
+ */
+export function attachSearchIndex(session, stored) {
+    if (!stored || stored.version !== SEARCH_INDEX_VERSION || !stored.docs || typeof stored.docs !== 'object') {
+        sessionIndexes.delete(session);
+        return { added: Object.keys(getSearchIndex(session).docs).length, removed: 0 };
+    }
+
+    const index = { version: SEARCH_INDEX_VERSION, docs: { ...stored.docs }, dirty: false };
+    let added = 0;
+    let removed = 0;
+    Object.values(session.nodesById || {}).forEach((node) => {
+        if (!node?.id || index.docs[node.id]?.sig === nodeSig(node)) return;
+        index.docs[node.id] = buildDoc(node);
+        added++;
+    });
+    Object.keys(index.docs).forEach((nodeId) => {
+        if (session.nodesById?.[nodeId]) return;
+        delete index.docs[nodeId];
+        removed++;
+    });
+    index.dirty = added + removed > 0;
+    sessionIndexes.set(session, index);
+    return { added, removed };
+}
+
+/**
+ * (Re)index one node, e.g. when it is added or gains a custom option.
+ * @param {Object} session
+ * @param {Object} node — StoryNode
+ */
+export function indexNode(session, node) {
+    const index = getSearchIndex(session);
+    index.docs[node.id] = buildDoc(node);
+    index.dirty = true;
+}
+
+/**
+ * Drop nodes from the index.
+ * @param {Object} session
+ * @param {string[]} nodeIds
+ */
+export function unindexNodes(session, nodeIds) {
+    const index = sessionIndexes.get(session);
+    if (!index) return;
+    nodeIds.forEach((nodeId) => delete index.docs[nodeId]);
+    if (nodeIds.length > 0) index.dirty = true;
+}
+
+/**
+ * The persisted form of an index.
+ * @param {{ version: number, docs: Object }} index
+ * @returns {{ version: number, docs: Object }}
+ */
+export function serializeSearchIndex(index) {
+    return { version: index.version, docs: index.docs };
+}
+
+function makeSnippet(body, at, length) {
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(body.length, at + length + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`;
+}
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string} nodeId
+ * @property {string} title
+ * @property {number} depth
+ * @property {string} snippet — body around the first match (its start when only the title matched)
+ * @property {number} score
+ */
+
+/**
+ * Search an index. Every whitespace-separated word of the query must appear
+ * in the node's title or body (case-insensitive); title matches rank first.
+ * @param {{ docs: Object }} index — live or stored
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {SearchHit[]}
+ */
+export function searchIndex(index, query, limit = SEARCH_RESULT_LIMIT) {
+    const words = collapse(query).toLowerCase().split(' ').filter(Boolean);
+    if (words.length === 0 || !index?.docs) return [];
+
+    const hits = [];
+    Object.entries(index.docs).forEach(([nodeId, doc]) => {
+        const title = doc.title.toLowerCase();
+        const body = doc.body.toLowerCase();
+        let score = 0;
+        for (const word of words) {
+            const inTitle = title.includes(word);
+            const count = body.split(word).length - 1;
+            if (!inTitle && count === 0) return;
+            score += (inTitle ? 10 : 0) + count;
+        }
+        const at = body.indexOf(words[0]);
+        hits.push({
+            nodeId,
+            title: doc.title,
+            depth: doc.depth,
+            snippet: at >= 0 ? makeSnippet(doc.body, at, words[0].length) : makeSnippet(doc.body, 0, 0),
+            score,
+        });
+    });
+
+    return hits
+        .sort((a, b) => b.score - a.score || a.depth - b.depth)
+        .slice(0, limit);
+}
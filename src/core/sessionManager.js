@@ -2,12 +2,15 @@
  * sessionManager.js — High-level session lifecycle manager
  * @module core/sessionManager
  *
- * Manages: create, load, save (with debounce), list, delete sessions.
+ * Manages: create, load, save (with debounce), list, delete and search sessions.
  * Works with the global app store for current session state.
  */
 
 import * as repo from '../storage/sessionRepo.js';
+import { migrateSession } from '../storage/migrations.js';
 import { now } from './time.js';
+import { rebuildEdgeIndex } from './treeEngine.js';
+import { attachSearchIndex, getSearchIndex, searchIndex } from './searchEngine.js';
 
 /** @type {Object|null} current session blob */
 let currentSession = null;
@@ -47,17 +50,32 @@ export async function listSessions() {
 }
 
 /**
- * Load a session by ID and set as current.
+ * Load a session by ID, upgrade it to the current schema and set as current.
+ * A migrated blob is written back so the upgrade only runs once.
  * @param {string} id
- * @returns {Promise<Object|null>}
+ * @returns {Promise<{ok:boolean, session?:Object, error?:string}>}
  */
 export async function loadSession(id) {
     const blob = await repo.getSession(id);
-    if (blob) {
-        currentSession = blob;
-        await repo.setActiveSessionId(id);
+    if (!blob) return { ok: false, error: '세션을 찾을 수 없습니다.' };
+
+    const result = migrateSession(blob);
+    if (!result.ok) {
+        console.error(`[Session] Cannot migrate session ${id}:`, result.error);
+        return { ok: false, error: result.error };
+    }
+
+    attachSearchIndex(result.session, await repo.getStoredSearchIndex(id));
+
+    if (result.migrated) {
+        console.log(`[Session] Migrated session ${id} from schema v${result.fromVersion} to v${result.session.schemaVersion}`);
+        await repo.saveSession(result.session);
     }
-    return blob;
+
+    rebuildEdgeIndex(result.session);
+    currentSession = result.session;
+    await repo.setActiveSessionId(id);
+    return { ok: true, session: result.session };
 }
 
 
@@ -93,6 +111,47 @@ export async function deleteSession(id) {
     }
 }
 
+/**
+ * Full-text search over story nodes.
+ * The current session is searched through its live index; other sessions through
+ * their stored index. A session saved before search existed is loaded (and
+ * migrated in memory) once to build and store its index.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.allSessions=false] — also search every saved session
+ * @returns {Promise<Array<{sessionId:string, sessionTitle:string, nodeId:string, title:string, depth:number, snippet:string, score:number}>>}
+ *   current session first, then sessions by last update
+ */
+export async function searchSessions(query, { allSessions = false } = {}) {
+    const results = [];
+    const collect = (session, index) => {
+        searchIndex(index, query).forEach((hit) => {
+            results.push({ sessionId: session.id, sessionTitle: session.title, ...hit });
+        });
+    };
+
+    if (currentSession) collect(currentSession, getSearchIndex(currentSession));
+    if (!allSessions) return results;
+
+    const metas = await repo.listSessions();
+    for (const meta of metas) {
+        if (meta.id === currentSession?.id) continue;
+        let stored = await repo.getStoredSearchIndex(meta.id);
+        if (!stored) {
+            const blob = await repo.getSession(meta.id);
+            if (!blob) continue;
+            const migrated = migrateSession(blob);
+            if (!migrated.ok) continue;
+            stored = getSearchIndex(migrated.session);
+            // Only the index is written; the session itself stays as stored
+            await repo.saveSearchIndex(meta.id, stored);
+        }
+        collect(meta, stored);
+    }
+    return results;
+}
+
 /**
  * Get the last active session ID from storage.
  * @returns {Promise<string|null>}
@@ -0,0 +1,111 @@
+/**
+ * skillCheckEngine.js — Protagonist stats and seeded d20 skill checks
+ * @module core/skillCheckEngine
+ *
+ * Stats are optional: Prompt #2 may give the protagonist
+ *   worldSchema.protagonist.stats = [ { id, name, value } ]   — value 0..5
+ * and Prompt #3 may mark a risky option with
+ *   option.check = { stat, difficulty: 'easy' | 'normal' | 'hard' }
+ *
+ * When the player takes such an option, the engine rolls d20 + stat value
+ * against the difficulty target before Prompt #3 is called, and the narrator
+ * is told the outcome as a fixed fact.
+ *
+ * Rolls are seeded by session.rngSeed and the (node, option) pair, so a
+ * prefetched turn, the direct call and any regenerated take of the same
+ * choice all see the same roll — the dice cannot be re-rolled by retrying.
+ */
+
+/** Target number for d20 + stat per difficulty. */
+export const DIFFICULTY_TARGETS = { easy: 8, normal: 12, hard: 16 };
+
+export const DIFFICULTY_LABELS = { easy: '쉬움', normal: '보통', hard: '어려움' };
+
+/**
+ * A fresh 32-bit seed for a new session.
+ * @returns {number}
+ */
+export function createRngSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// FNV-1a over the seed and key, then one mulberry32 step
+function seededUnit(seed, key) {
+    let h = 0x811c9dc5 ^ (seed >>> 0);
+    for (const ch of String(key)) {
+        h ^= ch.codePointAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    let t = (h + 0x6d2b79f5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+/**
+ * Deterministic d20 roll.
+ * @param {number} seed
+ * @param {string} key
+ * @returns {number} 1..20
+ */
+export function rollD20(seed, key) {
+    return 1 + Math.floor(seededUnit(seed, key) * 20);
+}
+
+/**
+ * The protagonist's stats, or an empty list when the story has none.
+ * @param {Object|null} worldSchema
+ * @returns {Array<{id:string, name:string, value:number}>}
+ */
+export function getStats(worldSchema) {
+    const stats = worldSchema?.protagonist?.stats;
+    if (!Array.isArray(stats)) return [];
+    return stats
+        .filter((stat) => stat?.id)
+        .map((stat) => ({ id: stat.id, name: stat.name || stat.id, value: Number.isFinite(stat.value) ? stat.value : 0 }));
+}
+
+/**
+ * @typedef {Object} SkillCheck
+ * @property {string} stat
+ * @property {string} statName
+ * @property {number} modifier — the stat value
+ * @property {'easy'|'normal'|'hard'} difficulty
+ * @property {number} target
+ * @property {number} roll — natural d20
+ * @property {number} total
+ * @property {boolean} success
+ * @property {'success'|'failure'|null} critical — natural 20 / natural 1
+ */
+
+/**
+ * Roll the check an option asks for.
+ * @param {Object} session
+ * @param {string} nodeId — node the option belongs to
+ * @param {Object|null} option
+ * @returns {SkillCheck|null} null when the option has no check or the stat is unknown
+ */
+export function rollSkillCheck(session, nodeId, option) {
+    const check = option?.check;
+    if (!check?.stat) return null;
+    const stat = getStats(session.worldSchema).find((s) => s.id === check.stat);
+    if (!stat) return null;
+
+    const difficulty = DIFFICULTY_TARGETS[check.difficulty] ? check.difficulty : 'normal';
+    const target = DIFFICULTY_TARGETS[difficulty];
+    const roll = rollD20(session.rngSeed || 0, `${nodeId}:${option.id}`);
+    const total = roll + stat.value;
+    const critical = roll === 20 ? 'success' : roll === 1 ? 'failure' : null;
+
+    return {
+        stat: stat.id,
+        statName: stat.name,
+        modifier: stat.value,
+        difficulty,
+        target,
+        roll,
+        total,
+        success: critical ? critical === 'success' : total >= target,
+        critical,
+    };
+}
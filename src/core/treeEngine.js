@@ -4,43 +4,323 @@
  *
  * Operates on a session's { nodesById, edges } data.
  * All functions are side-effect-free: they return new/modified references.
+ * Every edge lookup goes through here; nothing else should scan session.edges.
  */
 
+import { getNarrativePhaseKey } from './narrativeEngine.js';
+import { indexNode, unindexNodes } from './searchEngine.js';
+
 /**
- * Add a StoryNode to the session.
+ * Add a StoryNode to the session and to its search index.
  * @param {Object} session — mutated in place for convenience (caller saves)
  * @param {Object} node — StoryNode
  */
 export function addNode(session, node) {
     session.nodesById[node.id] = node;
+    indexNode(session, node);
+}
+
+// ─── Edge index ──────────────────────────────────────────────────
+// Derived, never persisted: parentId → optionId → edge (edge.to is the child),
+// plus nodeId → edge for every take. Kept per session object in a WeakMap,
+// updated by addEdge/addTake and rebuilt whenever session.edges was replaced
+// or changed length behind treeEngine's back (load, import, filtering).
+
+/** @type {WeakMap<Object, { edges: Array, size: number, byParent: Map<string, Map<string, Object>>, byNode: Map<string, Object> }>} */
+const edgeIndexes = new WeakMap();
+
+function indexEdge(index, edge) {
+    let byOption = index.byParent.get(edge.from);
+    if (!byOption) {
+        byOption = new Map();
+        index.byParent.set(edge.from, byOption);
+    }
+    if (!byOption.has(edge.optionId)) byOption.set(edge.optionId, edge);
+    (edge.takes || [edge.to]).forEach((nodeId) => index.byNode.set(nodeId, edge));
+}
+
+/**
+ * Rebuild the edge index from session.edges. Called on load; every other
+ * lookup rebuilds lazily if the edges array changed underneath.
+ * @param {Object} session
+ */
+export function rebuildEdgeIndex(session) {
+    if (!Array.isArray(session.edges)) session.edges = [];
+    const index = { edges: session.edges, size: 0, byParent: new Map(), byNode: new Map() };
+    session.edges.forEach((edge) => indexEdge(index, edge));
+    index.size = session.edges.length;
+    edgeIndexes.set(session, index);
+    return index;
+}
+
+function getEdgeIndex(session) {
+    const index = edgeIndexes.get(session);
+    if (!index || index.edges !== session.edges || index.size !== session.edges.length) {
+        return rebuildEdgeIndex(session);
+    }
+    return index;
 }
 
 /**
  * Add a directed edge: parentId --optionId--> childId
  */
 export function addEdge(session, fromId, optionId, toId) {
-    session.edges.push({ from: fromId, optionId, to: toId });
+    const index = getEdgeIndex(session);
+    const edge = { from: fromId, optionId, to: toId };
+    session.edges.push(edge);
+    indexEdge(index, edge);
+    index.size = session.edges.length;
+}
+
+/**
+ * Find the edge for (parentId, optionId), or null.
+ */
+export function getEdge(session, parentId, optionId) {
+    return getEdgeIndex(session).byParent.get(parentId)?.get(optionId) || null;
 }
 
 /**
  * Find an existing child node for (parentId, optionId).
- * Returns the child node or null.
+ * Returns the child node (the active take) or null.
  */
 export function getChild(session, parentId, optionId) {
-    const edge = session.edges.find(
-        (e) => e.from === parentId && e.optionId === optionId
-    );
+    const edge = getEdge(session, parentId, optionId);
     return edge ? session.nodesById[edge.to] || null : null;
 }
 
 /**
- * Get all direct children of a node.
+ * Get all direct children of a node (active takes), in creation order.
  * @returns {Array<{optionId: string, node: Object}>}
  */
 export function getChildren(session, parentId) {
-    return session.edges
-        .filter((e) => e.from === parentId)
-        .map((e) => ({ optionId: e.optionId, node: session.nodesById[e.to] }));
+    const byOption = getEdgeIndex(session).byParent.get(parentId);
+    if (!byOption) return [];
+    return Array.from(byOption.values(), (e) => ({ optionId: e.optionId, node: session.nodesById[e.to] }));
+}
+
+// ─── Takes ───────────────────────────────────────────────────────
+// A regenerated scene keeps its previous versions as alternate "takes" of the
+// same edge: edge.to is the active take, edge.takes lists every take in order.
+// Edges that were never regenerated carry no takes array.
+
+/**
+ * Find the edge whose takes include the given node.
+ */
+export function getEdgeForNode(session, nodeId) {
+    return getEdgeIndex(session).byNode.get(nodeId) || null;
+}
+
+/**
+ * All takes of the edge a node belongs to, oldest first.
+ * @returns {string[]} node IDs (just [nodeId] for a never-regenerated node)
+ */
+export function getTakes(session, nodeId) {
+    const edge = getEdgeForNode(session, nodeId);
+    if (!edge) return [nodeId];
+    return edge.takes ? [...edge.takes] : [edge.to];
+}
+
+/**
+ * Attach a new take to an existing edge and make it the active one.
+ */
+export function addTake(session, parentId, optionId, nodeId) {
+    const edge = getEdge(session, parentId, optionId);
+    if (!edge) {
+        addEdge(session, parentId, optionId, nodeId);
+        return;
+    }
+    if (!edge.takes) edge.takes = [edge.to];
+    edge.takes.push(nodeId);
+    edge.to = nodeId;
+    getEdgeIndex(session).byNode.set(nodeId, edge);
+}
+
+/**
+ * Make one of an edge's takes the active child.
+ * @returns {boolean} false if the node is not a take of any edge
+ */
+export function setActiveTake(session, nodeId) {
+    const edge = getEdgeForNode(session, nodeId);
+    if (!edge) return false;
+    edge.to = nodeId;
+    return true;
+}
+
+/**
+ * Collect a node and every node reachable below it (all takes included).
+ * @returns {string[]} node IDs, the given node first
+ */
+export function collectSubtree(session, nodeId) {
+    const index = getEdgeIndex(session);
+    const ids = [];
+    const stack = [nodeId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (!session.nodesById[id]) continue;
+        ids.push(id);
+        index.byParent.get(id)?.forEach((e) => stack.push(...(e.takes || [e.to])));
+    }
+    return ids;
+}
+
+/**
+ * Remove a node and its whole subtree, including the edges out of them.
+ * @returns {string[]} removed node IDs
+ */
+export function removeSubtree(session, nodeId) {
+    const removed = collectSubtree(session, nodeId);
+    const removedSet = new Set(removed);
+    removed.forEach((id) => delete session.nodesById[id]);
+    session.edges = session.edges.filter((e) => !removedSet.has(e.from));
+    unindexNodes(session, removed);
+    return removed;
+}
+
+/**
+ * Throw a take away together with its descendants.
+ * If it was the active take, the most recent remaining take becomes active;
+ * if it was the only take, the edge itself is removed.
+ * @returns {{ removed: string[], activeId: string|null }}
+ */
+export function removeTake(session, nodeId) {
+    const edge = getEdgeForNode(session, nodeId);
+    const removed = removeSubtree(session, nodeId);
+    if (!edge) return { removed, activeId: null };
+
+    const remaining = (edge.takes || [edge.to]).filter((id) => id !== nodeId);
+    if (remaining.length === 0) {
+        session.edges = session.edges.filter((e) => e !== edge);
+        return { removed, activeId: null };
+    }
+
+    if (edge.to === nodeId) edge.to = remaining[remaining.length - 1];
+    if (remaining.length > 1) {
+        edge.takes = remaining;
+    } else {
+        delete edge.takes;
+    }
+    rebuildEdgeIndex(session);
+    return { removed, activeId: edge.to };
+}
+
+/**
+ * Steps from each node to the current node through the tree: up to where its
+ * branch leaves the active path, then down the path to the current node.
+ * @returns {Map<string, number>}
+ */
+function getDistancesFromCurrent(session, activePath) {
+    const pathIndex = new Map(activePath.map((id, i) => [id, i]));
+    const currentIndex = activePath.length - 1;
+    const distances = new Map();
+    const distanceOf = (nodeId) => {
+        if (pathIndex.has(nodeId)) return currentIndex - pathIndex.get(nodeId);
+        if (distances.has(nodeId)) return distances.get(nodeId);
+        const parentId = session.nodesById[nodeId]?.parentId;
+        const distance = parentId ? distanceOf(parentId) + 1 : Infinity;
+        distances.set(nodeId, distance);
+        return distance;
+    };
+    Object.keys(session.nodesById).forEach((id) => distances.set(id, distanceOf(id)));
+    return distances;
+}
+
+/**
+ * Drop prefetched scenes nobody read.
+ *
+ * Only unvisited leaves go — never a visited node, a bookmarked or annotated
+ * one, an ending, or anything below the current node (the prefetch frontier).
+ * Dropping a leaf can leave its parent a leaf, so unread subtrees fold up from
+ * the bottom.
+ *
+ * - maxDistance: leaves more than this many steps from the current node are dropped
+ *   (steps up to the active path plus steps down it, so old branches count as far).
+ * - maxNodes: while the session still holds more nodes than this, the remaining
+ *   unread leaves are dropped farthest (then deepest) first.
+ *
+ * @param {Object} session — mutated in place (caller saves)
+ * @param {{ maxDistance?: number, maxNodes?: number }} [limits] — a missing or 0 limit is off
+ * @returns {{ removed: string[], bytes: number }} bytes — serialized size of the dropped nodes
+ */
+export function pruneUnvisited(session, { maxDistance = 0, maxNodes = 0 } = {}) {
+    const activePath = getPathToRoot(session, session.currentNodeId);
+    const kept = new Set([...activePath, ...collectSubtree(session, session.currentNodeId)]);
+    const distances = getDistancesFromCurrent(session, activePath);
+
+    const childCount = new Map();
+    Object.values(session.nodesById).forEach((node) => {
+        if (node.parentId) childCount.set(node.parentId, (childCount.get(node.parentId) || 0) + 1);
+    });
+
+    // Pick every victim first, then remove them and fix the edges in one pass
+    const victims = new Set();
+    let nodeCount = Object.keys(session.nodesById).length;
+    const isPrunableLeaf = (node) => !!node && !node.visited && !node.isEnding && !node.annotation
+        && !kept.has(node.id) && !victims.has(node.id) && !childCount.get(node.id);
+    const pick = (node) => {
+        victims.add(node.id);
+        nodeCount--;
+        childCount.set(node.parentId, childCount.get(node.parentId) - 1);
+        return session.nodesById[node.parentId];
+    };
+
+    if (maxDistance > 0) {
+        const isFar = (node) => isPrunableLeaf(node) && distances.get(node.id) > maxDistance;
+        const queue = Object.values(session.nodesById).filter(isFar);
+        while (queue.length > 0) {
+            const parent = pick(queue.pop());
+            if (isFar(parent)) queue.push(parent);
+        }
+    }
+
+    if (maxNodes > 0 && nodeCount > maxNodes) {
+        // Leaves grouped by distance. A picked leaf's parent is one step closer,
+        // so a bucket is complete when its turn comes and is sorted only once.
+        const buckets = new Map();
+        const enqueue = (node) => {
+            const distance = distances.get(node.id);
+            if (!buckets.has(distance)) buckets.set(distance, []);
+            buckets.get(distance).push(node);
+        };
+        Object.values(session.nodesById).filter(isPrunableLeaf).forEach(enqueue);
+        while (nodeCount > maxNodes && buckets.size > 0) {
+            const farthest = Math.max(...buckets.keys());
+            const bucket = buckets.get(farthest).sort((a, b) => a.depth - b.depth);
+            buckets.delete(farthest);
+            while (nodeCount > maxNodes && bucket.length > 0) {
+                const parent = pick(bucket.pop());
+                if (isPrunableLeaf(parent)) enqueue(parent);
+            }
+        }
+    }
+
+    if (victims.size === 0) return { removed: [], bytes: 0 };
+
+    const encoder = new TextEncoder();
+    let bytes = 0;
+    victims.forEach((id) => {
+        bytes += encoder.encode(JSON.stringify(session.nodesById[id])).length;
+        delete session.nodesById[id];
+    });
+    // Same take bookkeeping as removeTake, for all victims at once
+    session.edges = session.edges.filter((edge) => {
+        if (victims.has(edge.from)) return false;
+        const takes = edge.takes || [edge.to];
+        const remaining = takes.filter((id) => !victims.has(id));
+        if (remaining.length === takes.length) return true;
+        if (remaining.length === 0) return false;
+        if (victims.has(edge.to)) edge.to = remaining[remaining.length - 1];
+        if (remaining.length > 1) {
+            edge.takes = remaining;
+        } else {
+            delete edge.takes;
+        }
+        return true;
+    });
+    rebuildEdgeIndex(session);
+
+    const removed = [...victims];
+    unindexNodes(session, removed);
+    return { removed, bytes };
 }
 
 /**
@@ -59,28 +339,52 @@ export function getPathToRoot(session, nodeId) {
 
 /**
  * Build a recursive tree view model for rendering.
- * @returns {{ id, title, depth, children: Array, isCurrent: boolean }}
+ * Every node is included: prefetched (unvisited) ones and the inactive takes
+ * of regenerated scenes (isActiveTake: false) as well.
+ *
+ * A dead end is a visited scene the player left without reaching an ending:
+ * nothing was generated below it, and it is not where the player is now.
+ *
+ * @returns {{ id, title, depth, optionId, optionText, children: Array, isCurrent: boolean,
+ *   isOnActivePath: boolean, hasBranches: boolean, visited: boolean, isActiveTake: boolean,
+ *   isEnding: boolean, endingType: string|null, phase: string, isDeadEnd: boolean }}
  */
 export function buildTreeViewModel(session) {
     const rootId = session.rootNodeId;
     if (!rootId) return null;
 
-    function buildSubtree(nodeId) {
+    const activePath = new Set(getPathToRoot(session, session.currentNodeId));
+    const storyLength = session.synopsis?.storyLength;
+
+    function buildSubtree(nodeId, edge = null) {
         const node = session.nodesById[nodeId];
         if (!node) return null;
 
-        const childEdges = session.edges.filter((e) => e.from === nodeId);
-        const children = childEdges
-            .map((e) => buildSubtree(e.to))
-            .filter(Boolean);
+        const byOption = getEdgeIndex(session).byParent.get(nodeId);
+        const children = byOption
+            ? Array.from(byOption.values()).flatMap((e) => (e.takes || [e.to]).map((id) => buildSubtree(id, e))).filter(Boolean)
+            : [];
+
+        const state = node.stateSnapshot || {};
+        const isCurrent = session.currentNodeId === node.id;
+        const isEnding = !!node.isEnding;
 
         return {
             id: node.id,
             title: (node.meta && node.meta.title) || `Turn ${node.depth}`,
             depth: node.depth,
+            optionId: edge ? edge.optionId : null,
+            optionText: edge ? session.nodesById[edge.from]?.options?.find((o) => o.id === edge.optionId)?.text || '' : '',
             children,
-            isCurrent: session.currentNodeId === node.id,
+            isCurrent,
+            isOnActivePath: activePath.has(node.id),
             hasBranches: children.length > 1,
+            visited: !!node.visited || node.depth === 0,
+            isActiveTake: !edge || edge.to === node.id,
+            isEnding,
+            endingType: (isEnding && node.meta?.endingType) || null,
+            phase: isEnding ? 'ENDING' : getNarrativePhaseKey(state.turnCount ?? node.depth, state.clocks || {}, storyLength),
+            isDeadEnd: !!node.visited && !isEnding && !isCurrent && children.length === 0,
         };
     }
 
@@ -0,0 +1,84 @@
+/**
+ * usageTracker.js — Per-session log of LLM token usage and cost
+ * @module core/usageTracker
+ *
+ * Every provider call appends one entry to session.usageLog:
+ *   { at, promptType: 'p1'|'p2'|'p3'|'image', source: 'direct'|'prefetch',
+ *     provider, model, promptTokens, completionTokens, totalTokens, images, costUsd }
+ *
+ * costUsd is priced when the call is recorded (null for models missing from
+ * the price table), so later price changes do not rewrite history.
+ */
+
+import { now } from './time.js';
+import { estimateCost } from '../llm/pricing.js';
+
+/**
+ * Turn a call record (see prompts.toCallRecord) into a usage log entry.
+ * @param {{promptType:string, provider?:string|null, model?:string|null, usage?:Object|null}} call
+ * @param {'direct'|'prefetch'} source
+ * @returns {Object|null} null when the call reported no usage
+ */
+export function createUsageEntry(call, source) {
+    if (!call?.usage) return null;
+    const promptTokens = call.usage.prompt_tokens || 0;
+    const completionTokens = call.usage.completion_tokens || 0;
+    const images = call.usage.images || 0;
+    const entry = {
+        at: now(),
+        promptType: call.promptType,
+        source,
+        provider: call.provider || null,
+        model: call.model || null,
+        promptTokens,
+        completionTokens,
+        totalTokens: call.usage.total_tokens || promptTokens + completionTokens,
+        images,
+    };
+    entry.costUsd = estimateCost(entry);
+    return entry;
+}
+
+/**
+ * Append the usage of one or more calls to the session log.
+ * @param {Object} session — mutated
+ * @param {Array<Object>|undefined} calls — call records from a prompt result
+ * @param {'direct'|'prefetch'} source
+ */
+export function recordUsage(session, calls, source) {
+    if (!Array.isArray(session.usageLog)) session.usageLog = [];
+    (calls || []).forEach((call) => {
+        const entry = createUsageEntry(call, source);
+        if (entry) session.usageLog.push(entry);
+    });
+}
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, images: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+function addEntry(totals, entry) {
+    totals.calls += 1;
+    totals.promptTokens += entry.promptTokens || 0;
+    totals.completionTokens += entry.completionTokens || 0;
+    totals.totalTokens += entry.totalTokens || 0;
+    totals.images += entry.images || 0;
+    if (typeof entry.costUsd === 'number') totals.costUsd += entry.costUsd;
+    else totals.unpricedCalls += 1;
+}
+
+/**
+ * Totals of a usage log, overall and broken down by prompt type, source and model.
+ * @param {Array<Object>} [usageLog]
+ * @returns {{ total: Object, byPromptType: Object, bySource: Object, byModel: Object }}
+ */
+export function summarizeUsage(usageLog = []) {
+    const summary = { total: emptyTotals(), byPromptType: {}, bySource: {}, byModel: {} };
+    usageLog.forEach((entry) => {
+        addEntry(summary.total, entry);
+        addEntry(summary.byPromptType[entry.promptType] ||= emptyTotals(), entry);
+        addEntry(summary.bySource[entry.source] ||= emptyTotals(), entry);
+        addEntry(summary.byModel[entry.model || 'unknown'] ||= emptyTotals(), entry);
+    });
+    return summary;
+}
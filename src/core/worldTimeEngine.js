@@ -0,0 +1,115 @@
+/**
+ * worldTimeEngine.js — Time inside the fiction
+ * @module core/worldTimeEngine
+ *
+ * The game state carries the in-world clock:
+ *
+ *   state.worldTime = { day, hour }   — day counts from 1, hour is 0..23
+ *
+ * Prompt #2 sets where the story starts with worldSchema.startingTime ({ day, hour })
+ * and may give a location opening hours:
+ *
+ *   location.openHours = { from: 9, to: 18 }   — open while from <= hour < to;
+ *                                                from > to wraps past midnight
+ *
+ * Prompt #3 moves time forward with statePatch.timeAdvance (hours spent in the scene).
+ */
+
+/** Most hours a single scene may skip (a night's sleep, a long journey). */
+export const MAX_TIME_ADVANCE = 12;
+
+/** Parts of the day, by the hour they start. */
+export const TIME_SLOTS = [
+    { id: 'late_night', label: '심야', from: 0 },
+    { id: 'dawn', label: '새벽', from: 4 },
+    { id: 'morning', label: '아침', from: 7 },
+    { id: 'day', label: '낮', from: 11 },
+    { id: 'evening', label: '저녁', from: 17 },
+    { id: 'night', label: '밤', from: 20 },
+];
+
+const DEFAULT_START = { day: 1, hour: 8 };
+
+function normalizeHour(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : null;
+}
+
+/**
+ * World time at the start of a story.
+ * @param {Object|null} worldSchema
+ * @returns {{day:number, hour:number}}
+ */
+export function createInitialWorldTime(worldSchema) {
+    const start = worldSchema?.startingTime || {};
+    return {
+        day: Number.isInteger(start.day) && start.day > 0 ? start.day : DEFAULT_START.day,
+        hour: normalizeHour(start.hour) ?? DEFAULT_START.hour,
+    };
+}
+
+/**
+ * Move the clock forward.
+ * @param {{day:number, hour:number}} worldTime
+ * @param {number} hours — clamped to 0..MAX_TIME_ADVANCE
+ * @returns {{day:number, hour:number}} new world time
+ */
+export function advanceWorldTime(worldTime, hours) {
+    const step = Math.max(0, Math.min(MAX_TIME_ADVANCE, Math.round(Number(hours) || 0)));
+    const total = worldTime.hour + step;
+    return { day: worldTime.day + Math.floor(total / 24), hour: total % 24 };
+}
+
+/**
+ * Part of the day for an hour.
+ * @param {number} hour
+ * @returns {{id:string, label:string, from:number}}
+ */
+export function getTimeSlot(hour) {
+    return TIME_SLOTS.filter((slot) => slot.from <= hour).at(-1);
+}
+
+/**
+ * Korean label, e.g. "2일차 밤 (21시)".
+ * @param {{day:number, hour:number}} worldTime
+ * @returns {string}
+ */
+export function formatWorldTime(worldTime) {
+    return `${worldTime.day}일차 ${getTimeSlot(worldTime.hour).label} (${worldTime.hour}시)`;
+}
+
+/**
+ * Opening hours of a location, or null when it is always open.
+ * @param {Object} location — worldSchema location
+ * @returns {{from:number, to:number}|null}
+ */
+export function getOpenHours(location) {
+    const from = normalizeHour(location?.openHours?.from);
+    const to = normalizeHour(location?.openHours?.to);
+    if (from === null || to === null || from === to) return null;
+    return { from, to };
+}
+
+/**
+ * Whether a location can be entered at the given time.
+ * @param {Object} location — worldSchema location
+ * @param {{day:number, hour:number}} worldTime
+ * @returns {boolean}
+ */
+export function isLocationOpen(location, worldTime) {
+    const hours = getOpenHours(location);
+    if (!hours) return true;
+    const { hour } = worldTime;
+    return hours.from < hours.to
+        ? hour >= hours.from && hour < hours.to
+        : hour >= hours.from || hour < hours.to;
+}
+
+/**
+ * Short label for opening hours, e.g. "9–18시".
+ * @param {Object} location
+ * @returns {string} '' when the location is always open
+ */
+export function formatOpenHours(location) {
+    const hours = getOpenHours(location);
+    return hours ? `${hours.from}–${hours.to}시` : '';
+}
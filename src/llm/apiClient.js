@@ -1,11 +1,26 @@
 /**
- * openaiClient.js — OpenAI API fetch wrapper
- * @module llm/openaiClient
+ * apiClient.js — LLM settings + provider-agnostic chat completion
+ * @module llm/apiClient
  *
- * Reads API key and model from localStorage.
- * Provides chatCompletion() that returns the content string + usage info.
+ * Reads API keys and models from localStorage.
+ * Provides chatCompletion() that returns the content string + usage info,
+ * dispatching to the adapter registered in providerRegistry.js.
  */
 
+import { registerProvider, getProvider, listProviders, findProviderForModel } from './providerRegistry.js';
+import { openaiProvider } from './providers/openai.js';
+import { geminiProvider } from './providers/gemini.js';
+import { anthropicProvider } from './providers/anthropic.js';
+import { openaiCompatibleProvider } from './providers/openaiCompatible.js';
+import { mockProvider } from './mockProvider.js';
+
+// Registration order is also the fallback order when the selected provider has no key
+registerProvider(geminiProvider);
+registerProvider(openaiProvider);
+registerProvider(anthropicProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(mockProvider);
+
 const LS_KEY_PROV = 'ttg.llm.provider';
 
 const LS_KEY_API_OPENAI = 'ttg.openai.apiKey';
@@ -14,287 +29,206 @@ const LS_KEY_MODEL_OPENAI = 'ttg.openai.model';
 const LS_KEY_API_GEMINI = 'ttg.gemini.apiKey';
 const LS_KEY_MODEL_GEMINI = 'ttg.gemini.model';
 
+const LS_KEY_API_ANTHROPIC = 'ttg.anthropic.apiKey';
+const LS_KEY_MODEL_ANTHROPIC = 'ttg.anthropic.model';
+
+const LS_KEY_LOCAL_BASE_URL = 'ttg.local.baseUrl';
+const LS_KEY_LOCAL_MODEL = 'ttg.local.model';
+const LS_KEY_LOCAL_API_KEY = 'ttg.local.apiKey';
+const LS_KEY_LOCAL_JSON_MODE = 'ttg.local.jsonMode';
+
 const LS_KEY_TEMP = 'ttg.openai.temperature';
 const LS_KEY_GEN_THUMBNAIL = 'ttg.feature.generateThumbnail';
 
+const LS_KEY_PREFETCH_POLICY = 'ttg.prefetch.policy';
+const LS_KEY_PREFETCH_DEPTH = 'ttg.prefetch.depth';
+const LS_KEY_PREFETCH_MAX_CALLS = 'ttg.prefetch.maxCalls';
+const LS_KEY_PREFETCH_MAX_TOKENS = 'ttg.prefetch.maxTokens';
+const LS_KEY_PRUNE_MAX_DISTANCE = 'ttg.prune.maxDistance';
+const LS_KEY_PRUNE_MAX_NODES = 'ttg.prune.maxNodes';
+
+/** 'none' | 'current' (every option of the current node) | 'deep' (N levels, most likely option first) */
+export const PREFETCH_POLICIES = ['none', 'current', 'deep'];
+/** Budgets of 0 mean unlimited. */
+export const DEFAULT_PREFETCH = { policy: 'current', depth: 2, maxCalls: 60, maxTokens: 400000 };
+/**
+ * Limits for dropping unread prefetched scenes; 0 turns a limit off.
+ * After every prefetch only maxNodes applies; maxDistance is for the manual cleanup.
+ */
+export const DEFAULT_PRUNE = { maxDistance: 10, maxNodes: 300 };
+
+function readNumber(key, fallback) {
+    const raw = storage.getItem(key);
+    const value = raw === null ? NaN : Number(raw);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
 const DEFAULT_PROV = 'gemini';
-const DEFAULT_MODEL_OPENAI = 'gpt-4o-mini';
-const DEFAULT_MODEL_GEMINI = 'gemini-2.5-flash-lite';
 
-const ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+// localStorage does not exist in Node scripts; keep settings in memory there
+const memoryStorage = new Map();
+const storage = globalThis.localStorage || {
+    getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+    setItem: (key, value) => { memoryStorage.set(key, String(value)); },
+};
 
 /**
  * Get current settings from localStorage.
  */
 export function getSettings() {
     return {
-        provider: localStorage.getItem(LS_KEY_PROV) || DEFAULT_PROV,
-        openaiApiKey: localStorage.getItem(LS_KEY_API_OPENAI) || '',
-        openaiModel: localStorage.getItem(LS_KEY_MODEL_OPENAI) || DEFAULT_MODEL_OPENAI,
-        geminiApiKey: localStorage.getItem(LS_KEY_API_GEMINI) || '',
-        geminiModel: localStorage.getItem(LS_KEY_MODEL_GEMINI) || DEFAULT_MODEL_GEMINI,
-        generateThumbnail: localStorage.getItem(LS_KEY_GEN_THUMBNAIL) !== 'false', // Default true
+        provider: storage.getItem(LS_KEY_PROV) || DEFAULT_PROV,
+        openaiApiKey: storage.getItem(LS_KEY_API_OPENAI) || '',
+        openaiModel: storage.getItem(LS_KEY_MODEL_OPENAI) || openaiProvider.models[0],
+        geminiApiKey: storage.getItem(LS_KEY_API_GEMINI) || '',
+        geminiModel: storage.getItem(LS_KEY_MODEL_GEMINI) || geminiProvider.models[0],
+        anthropicApiKey: storage.getItem(LS_KEY_API_ANTHROPIC) || '',
+        anthropicModel: storage.getItem(LS_KEY_MODEL_ANTHROPIC) || anthropicProvider.models[0],
+        localBaseUrl: storage.getItem(LS_KEY_LOCAL_BASE_URL) || '',
+        localModel: storage.getItem(LS_KEY_LOCAL_MODEL) || '',
+        localApiKey: storage.getItem(LS_KEY_LOCAL_API_KEY) || '',
+        localJsonMode: storage.getItem(LS_KEY_LOCAL_JSON_MODE) !== 'false', // Default true
+        generateThumbnail: storage.getItem(LS_KEY_GEN_THUMBNAIL) !== 'false', // Default true
+        prefetchPolicy: PREFETCH_POLICIES.includes(storage.getItem(LS_KEY_PREFETCH_POLICY)) ? storage.getItem(LS_KEY_PREFETCH_POLICY) : DEFAULT_PREFETCH.policy,
+        prefetchDepth: Math.max(1, readNumber(LS_KEY_PREFETCH_DEPTH, DEFAULT_PREFETCH.depth)),
+        prefetchMaxCalls: readNumber(LS_KEY_PREFETCH_MAX_CALLS, DEFAULT_PREFETCH.maxCalls), // 0 = unlimited
+        prefetchMaxTokens: readNumber(LS_KEY_PREFETCH_MAX_TOKENS, DEFAULT_PREFETCH.maxTokens), // 0 = unlimited
+        pruneMaxDistance: readNumber(LS_KEY_PRUNE_MAX_DISTANCE, DEFAULT_PRUNE.maxDistance), // 0 = off
+        pruneMaxNodes: readNumber(LS_KEY_PRUNE_MAX_NODES, DEFAULT_PRUNE.maxNodes), // 0 = off
     };
 }
 
 /**
  * Save settings to localStorage.
  */
-export function saveSettings({ provider, openaiApiKey, openaiModel, geminiApiKey, geminiModel, generateThumbnail }) {
-    if (provider !== undefined) localStorage.setItem(LS_KEY_PROV, provider);
-    if (openaiApiKey !== undefined) localStorage.setItem(LS_KEY_API_OPENAI, openaiApiKey);
-    if (openaiModel !== undefined) localStorage.setItem(LS_KEY_MODEL_OPENAI, openaiModel);
-    if (geminiApiKey !== undefined) localStorage.setItem(LS_KEY_API_GEMINI, geminiApiKey);
-    if (geminiModel !== undefined) localStorage.setItem(LS_KEY_MODEL_GEMINI, geminiModel);
-    if (generateThumbnail !== undefined) localStorage.setItem(LS_KEY_GEN_THUMBNAIL, generateThumbnail);
+export function saveSettings({ provider, openaiApiKey, openaiModel, geminiApiKey, geminiModel, anthropicApiKey, anthropicModel, localBaseUrl, localModel, localApiKey, localJsonMode, generateThumbnail, prefetchPolicy, prefetchDepth, prefetchMaxCalls, prefetchMaxTokens, pruneMaxDistance, pruneMaxNodes }) {
+    if (provider !== undefined) storage.setItem(LS_KEY_PROV, provider);
+    if (openaiApiKey !== undefined) storage.setItem(LS_KEY_API_OPENAI, openaiApiKey);
+    if (openaiModel !== undefined) storage.setItem(LS_KEY_MODEL_OPENAI, openaiModel);
+    if (geminiApiKey !== undefined) storage.setItem(LS_KEY_API_GEMINI, geminiApiKey);
+    if (geminiModel !== undefined) storage.setItem(LS_KEY_MODEL_GEMINI, geminiModel);
+    if (anthropicApiKey !== undefined) storage.setItem(LS_KEY_API_ANTHROPIC, anthropicApiKey);
+    if (anthropicModel !== undefined) storage.setItem(LS_KEY_MODEL_ANTHROPIC, anthropicModel);
+    if (localBaseUrl !== undefined) storage.setItem(LS_KEY_LOCAL_BASE_URL, localBaseUrl);
+    if (localModel !== undefined) storage.setItem(LS_KEY_LOCAL_MODEL, localModel);
+    if (localApiKey !== undefined) storage.setItem(LS_KEY_LOCAL_API_KEY, localApiKey);
+    if (localJsonMode !== undefined) storage.setItem(LS_KEY_LOCAL_JSON_MODE, localJsonMode);
+    if (generateThumbnail !== undefined) storage.setItem(LS_KEY_GEN_THUMBNAIL, generateThumbnail);
+    if (prefetchPolicy !== undefined) storage.setItem(LS_KEY_PREFETCH_POLICY, prefetchPolicy);
+    if (prefetchDepth !== undefined) storage.setItem(LS_KEY_PREFETCH_DEPTH, prefetchDepth);
+    if (prefetchMaxCalls !== undefined) storage.setItem(LS_KEY_PREFETCH_MAX_CALLS, prefetchMaxCalls);
+    if (prefetchMaxTokens !== undefined) storage.setItem(LS_KEY_PREFETCH_MAX_TOKENS, prefetchMaxTokens);
+    if (pruneMaxDistance !== undefined) storage.setItem(LS_KEY_PRUNE_MAX_DISTANCE, pruneMaxDistance);
+    if (pruneMaxNodes !== undefined) storage.setItem(LS_KEY_PRUNE_MAX_NODES, pruneMaxNodes);
 }
 
 /**
- * Check if the application has at least one valid API key.
+ * Check if the application has at least one usable provider
+ * (an API key, a local base URL, or the offline mock selected).
  * @returns {boolean}
  */
 export function hasAnyApiKey() {
     const settings = getSettings();
-    return !!(settings.openaiApiKey || settings.geminiApiKey);
+    return listProviders().some((p) => p.isConfigured(settings));
 }
 
 /**
- * Call Chat Completions API.
- * 
+ * Resolve which adapter and model a call should use.
+ *
  * Logic:
- * 1. If opts.model belongs to a provider with a key, use that.
- * 2. If not, check if the other provider has a key. If so, fallback to its default model.
- * 3. Both are missing, return error.
+ * 1. An explicit opts.model is routed to the adapter that declares it.
+ *    Otherwise the provider selected in settings is used with its configured model.
+ * 2. If that adapter is not configured, fall back to the first configured adapter
+ *    (in registration order) with its default model. The mock never takes part.
+ * 3. Nothing configured → null.
  *
- * @param {Array<{role:string, content:string}>} messages
- * @param {Object} [options]
- * @param {boolean} [options.jsonMode=false]
- * @param {string}  [options.model] 
- * @param {number}  [options.temperature]
- * @returns {Promise<{ok:boolean, content?:string, usage?:Object, error?:string}>}
+ * @param {Object} settings
+ * @param {string} [model]
+ * @returns {{ provider: Object, model: string } | null}
  */
-export async function chatCompletion(messages, options = {}) {
-    const settings = getSettings();
-
-    // 1. Determine target provider and model
-    let targetProvider = settings.provider;
-    let targetModel = options.model;
-
-    if (!targetModel) {
-        // No explicit model requested -> use current provider's default
-        targetModel = (targetProvider === 'gemini') ? DEFAULT_MODEL_GEMINI : DEFAULT_MODEL_OPENAI;
-    } else {
-        // Explicit model requested -> detect provider from name
-        targetProvider = targetModel.startsWith('gemini') ? 'gemini' : 'openai';
-    }
-
-    let apiKey = (targetProvider === 'gemini') ? settings.geminiApiKey : settings.openaiApiKey;
-
-    // Fallback logic
-    if (!apiKey) {
-        if (targetProvider === 'gemini' && settings.openaiApiKey) {
-            targetProvider = 'openai';
-            targetModel = DEFAULT_MODEL_OPENAI;
-            apiKey = settings.openaiApiKey;
-            console.log(`[LLM Fallback] Gemini key missing. Falling back to OpenAI (${targetModel}).`);
-        } else if (targetProvider === 'openai' && settings.geminiApiKey) {
-            targetProvider = 'gemini';
-            targetModel = DEFAULT_MODEL_GEMINI;
-            apiKey = settings.geminiApiKey;
-            console.log(`[LLM Fallback] OpenAI key missing. Falling back to Gemini (${targetModel}).`);
-        } else {
-            return { ok: false, error: "API Key가 설정되지 않았습니다. 설정이나 초기화면에서 입력해주세요." };
-        }
+export function resolveProvider(settings, model) {
+    const requested = (model && findProviderForModel(model)) || getProvider(settings.provider) || getProvider(DEFAULT_PROV);
+    if (requested.isConfigured(settings)) {
+        return { provider: requested, model: (model && requested.models.includes(model)) ? model : requested.getDefaultModel(settings) };
     }
 
-    const finalOptions = { ...options, model: targetModel };
+    const fallback = listProviders().find((p) => !p.excludeFromFallback && p.isConfigured(settings));
+    if (!fallback) return null;
 
-    if (targetProvider === 'gemini') {
-        return await geminiChatCompletion(apiKey, settings, messages, finalOptions);
-    } else {
-        return await openaiChatCompletion(apiKey, settings, messages, finalOptions);
-    }
+    const fallbackModel = fallback.getDefaultModel(settings);
+    console.log(`[LLM Fallback] ${requested.name} is not configured. Falling back to ${fallback.name} (${fallbackModel}).`);
+    return { provider: fallback, model: fallbackModel };
 }
 
-async function openaiChatCompletion(apiKey, settings, messages, options) {
-    const temp = options.temperature ?? 1;
-    const body = {
-        model: options.model,
-        messages,
-    };
-
-    // Only include temperature when it's not the default (1).
-    // Some models (e.g. gpt-5-mini, o-series) reject non-default temperature.
-    if (temp !== 1) {
-        body.temperature = temp;
-    }
-
-    if (options.jsonMode) {
-        body.response_format = { type: 'json_object' };
-    }
-
-    // Debug: log request
-    console.group('%c[LLM Request]', 'color: #7aa2ff; font-weight: bold');
-    console.log('Model:', body.model);
-    console.log('Temperature:', body.temperature);
-    console.log('JSON Mode:', !!options.jsonMode);
-    console.log('Messages:', JSON.parse(JSON.stringify(messages)));
-    console.groupEnd();
-
-    try {
-        const res = await fetch(ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-            },
-            body: JSON.stringify(body),
-        });
-
-        if (!res.ok) {
-            const errBody = await res.text();
-            let errMsg = `API Error (${res.status})`;
-            try {
-                const errJson = JSON.parse(errBody);
-                errMsg = errJson.error?.message || errMsg;
-            } catch (_) { }
-            console.error('[LLM Error]', errMsg);
-            return { ok: false, error: errMsg };
-        }
-
-        const data = await res.json();
-        const content = data.choices?.[0]?.message?.content || '';
-        const usage = data.usage || null;
-
-        // Debug: log response
-        console.group('%c[LLM Response]', 'color: #66ff99; font-weight: bold');
-        console.log('Content:', content);
-        if (usage) {
-            console.log(`Tokens — prompt: ${usage.prompt_tokens}, completion: ${usage.completion_tokens}, total: ${usage.total_tokens}`);
-        }
-        console.groupEnd();
-
-        return { ok: true, content, usage };
-    } catch (err) {
-        console.error('[OpenAI Network Error]', err);
-        return { ok: false, error: `Network error: ${err.message}` };
-    }
-}
+const FALLBACK_CONTEXT_WINDOW = 8192;
 
 /**
- * Call Gemini API using fetch
+ * Context window of the model a call would use.
+ * @param {string} [model] — defaults to the model resolved from settings
+ * @returns {{ provider: string|null, model: string|null, contextWindow: number }}
  */
-async function geminiChatCompletion(apiKey, settings, messages, options) {
-    const model = options.model || settings.geminiModel;
-    const temp = options.temperature ?? settings.temperature;
-
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    // Map OpenAI messages to Gemini format
-    let systemInstruction = null;
-    const contents = [];
-
-    for (const msg of messages) {
-        if (msg.role === 'system') {
-            systemInstruction = { parts: [{ text: msg.content }] };
-        } else {
-            contents.push({
-                role: msg.role === 'assistant' ? 'model' : 'user',
-                parts: [{ text: msg.content }]
-            });
-        }
-    }
-
-    const body = {
-        contents,
-        generationConfig: {
-            temperature: temp,
-        }
+export function getContextWindow(model) {
+    const target = resolveProvider(getSettings(), model);
+    if (!target) return { provider: null, model: model || null, contextWindow: FALLBACK_CONTEXT_WINDOW };
+    const { provider, model: resolved } = target;
+    return {
+        provider: provider.id,
+        model: resolved,
+        contextWindow: provider.contextWindows?.[resolved] || provider.defaultContextWindow || FALLBACK_CONTEXT_WINDOW,
     };
+}
 
-    if (systemInstruction) {
-        body.systemInstruction = systemInstruction;
-    }
+/**
+ * Call Chat Completions through the resolved provider adapter.
+ *
+ * @param {Array<{role:string, content:string}>} messages
+ * @param {Object} [options]
+ * @param {boolean} [options.jsonMode=false]
+ * @param {'p1'|'p2'|'p3'|'summary'} [options.promptType] — which pipeline prompt is calling (used by the mock provider)
+ * @param {string}  [options.model] 
+ * @param {number}  [options.temperature]
+ * @param {(delta:string, content:string) => void} [options.onDelta] — if set, the response is
+ *        streamed over SSE and this is called for every chunk with the accumulated content so far
+ * @param {AbortSignal} [options.signal] — aborts the request; the result then has aborted: true
+ * @returns {Promise<{ok:boolean, content?:string, usage?:Object, model?:string, provider?:string, error?:string, aborted?:boolean}>}
+ *          model and provider name what actually served the call, for usage tracking
+ */
+export async function chatCompletion(messages, options = {}) {
+    const settings = getSettings();
+    const target = resolveProvider(settings, options.model);
 
-    if (options.jsonMode) {
-        body.generationConfig.responseMimeType = "application/json";
+    if (!target) {
+        return { ok: false, error: "API Key가 설정되지 않았습니다. 설정이나 초기화면에서 입력해주세요." };
     }
 
-    console.group('%c[Gemini Request]', 'color: #ba7aff; font-weight: bold');
-    console.log('Model:', model);
-    console.log('Temperature:', temp);
-    console.log('JSON Mode:', !!options.jsonMode);
-    console.groupEnd();
+    const { provider, model } = target;
+    const finalOptions = { ...options, model };
+    if (!provider.supportsStreaming) delete finalOptions.onDelta;
 
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    while (attempts < maxAttempts) {
-        attempts++;
-        try {
-            const res = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(body),
-            });
-
-            if (!res.ok) {
-                const errBody = await res.text();
-                // 429 is Rate Limit or Quota Exceeded, 503 is Service Unavailable
-                if ((res.status === 429 || res.status === 503) && attempts < maxAttempts) {
-                    console.warn(`[Gemini Rate Limit/Overload] ${res.status} received. Retrying in 4 seconds... (Attempt ${attempts}/${maxAttempts})`);
-                    await new Promise(r => setTimeout(r, 4000));
-                    continue; // Retry
-                }
-
-                let errMsg = `Gemini API Error (${res.status})`;
-                try {
-                    const errJson = JSON.parse(errBody);
-                    errMsg = errJson.error?.message || errMsg;
-                } catch (_) { }
-                console.error('[Gemini Error]', errMsg);
-                return { ok: false, error: errMsg };
-            }
-
-            const data = await res.json();
-            const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
-            const usage = data.usageMetadata ? {
-                prompt_tokens: data.usageMetadata.promptTokenCount,
-                completion_tokens: data.usageMetadata.candidatesTokenCount,
-                total_tokens: data.usageMetadata.totalTokenCount
-            } : null;
-
-            console.group('%c[Gemini Response]', 'color: #c98cff; font-weight: bold');
-            console.log('Content:', content);
-            if (usage) {
-                console.log(`Tokens — prompt: ${usage.prompt_tokens}, completion: ${usage.completion_tokens}, total: ${usage.total_tokens}`);
-            }
-            console.groupEnd();
-
-            return { ok: true, content, usage };
-        } catch (err) {
-            console.error('[Gemini Network Error]', err);
-            // Non-deterministic networks errors could be retried too, but let's stick to returning for now
-            return { ok: false, error: `Network error: ${err.message}` };
-        }
-    }
+    const result = await provider.complete({
+        apiKey: provider.getApiKey(settings),
+        settings,
+        messages,
+        options: finalOptions,
+    });
+    return { ...result, model: result.model || model, provider: provider.id };
 }
 
+const IMAGE_MODEL = 'gemini-2.5-flash-image';
+
 /**
  * Call Gemini Imagen 3 Generation API.
  * @param {string} prompt
- * @returns {Promise<{ok:boolean, base64?:string, error?:string}>}
+ * @returns {Promise<{ok:boolean, base64?:string, usage?:Object, model?:string, provider?:string, error?:string}>}
  */
 export async function geminiImageGeneration(prompt) {
     const settings = getSettings();
+    if (settings.provider === 'mock') return { ok: false, error: "Mock 제공자에서는 이미지를 생성하지 않습니다." };
     const apiKey = settings.geminiApiKey;
     if (!apiKey) return { ok: false, error: "API Key (Gemini)가 필요합니다." };
 
     // Endpoint for Gemini 2.5 Flash Image (Nano Banana)
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent?key=${apiKey}`;
+    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGE_MODEL}:generateContent?key=${apiKey}`;
 
     const body = {
         contents: [
@@ -308,7 +242,7 @@ export async function geminiImageGeneration(prompt) {
     };
 
     console.group('%c[Gemini Image Request]', 'color: #ff7af2; font-weight: bold');
-    console.log('Model: gemini-2.5-flash-image');
+    console.log(`Model: ${IMAGE_MODEL}`);
     console.log('Prompt:', prompt);
     console.groupEnd();
 
@@ -341,7 +275,7 @@ export async function geminiImageGeneration(prompt) {
         }
 
         console.log('%c[Gemini Image Success]', 'color: #ff99f2; font-weight: bold');
-        return { ok: true, base64 };
+        return { ok: true, base64, usage: { images: 1 }, model: IMAGE_MODEL, provider: 'gemini' };
     } catch (err) {
         console.error('[Gemini Image Network Error]', err);
         return { ok: false, error: `Network error: ${err.message}` };
@@ -0,0 +1,269 @@
+/**
+ * mockProvider.js — Offline, deterministic stand-in for the LLM providers
+ * @module llm/mockProvider
+ *
+ * Returns fixture responses for Prompt #1, #2 and #3 without any network access,
+ * so the whole flow (SetupWizard → createSession → progressTurn → ending) can be
+ * played and scripted without API keys. Selected with provider = 'mock'.
+ *
+ * Tests can queue scripted responses per prompt type with setMockScript();
+ * once a queue is empty the built-in fixtures take over again.
+ */
+
+const MOCK_MODEL = 'mock-narrator';
+
+// Feel like a real call in the browser, stay instant in Node scripts
+const DEFAULT_LATENCY_MS = typeof window === 'undefined' ? 0 : 300;
+
+/** @type {{ p1: Array, p2: Array, p3: Array, summary: Array }} */
+let script = { p1: [], p2: [], p3: [], summary: [] };
+let latencyMs = DEFAULT_LATENCY_MS;
+const callLog = [];
+
+/**
+ * Queue scripted responses. Each entry is either a response object/string,
+ * or a function (messages) => object|string evaluated at call time.
+ * @param {{ p1?: Array, p2?: Array, p3?: Array, summary?: Array }} next
+ * @param {Object} [opts]
+ * @param {number} [opts.latencyMs] — artificial delay per call
+ */
+export function setMockScript(next = {}, opts = {}) {
+    script = {
+        p1: [...(next.p1 || [])],
+        p2: [...(next.p2 || [])],
+        p3: [...(next.p3 || [])],
+        summary: [...(next.summary || [])],
+    };
+    if (opts.latencyMs !== undefined) latencyMs = opts.latencyMs;
+}
+
+/**
+ * Clear scripted responses, the call log and the latency override.
+ */
+export function resetMock() {
+    script = { p1: [], p2: [], p3: [], summary: [] };
+    latencyMs = DEFAULT_LATENCY_MS;
+    callLog.length = 0;
+}
+
+/**
+ * Calls received so far, oldest first.
+ * @returns {Array<{promptType: string, messages: Array, content: string}>}
+ */
+export function getMockCalls() {
+    return [...callLog];
+}
+
+/**
+ * Mock counterpart of chatCompletion(). Same return shape as the real providers.
+ * @param {Array<{role:string, content:string}>} messages
+ * @param {Object} [options]
+ * @param {'p1'|'p2'|'p3'|'summary'} [options.promptType]
+ * @param {(delta:string, content:string) => void} [options.onDelta]
+ * @param {AbortSignal} [options.signal] — checked after the artificial latency
+ * @returns {Promise<{ok:boolean, content?:string, usage?:Object, model?:string, error?:string, aborted?:boolean}>}
+ */
+export async function mockChatCompletion(messages, options = {}) {
+    const promptType = options.promptType || 'p3';
+
+    let response;
+    const queued = script[promptType]?.shift();
+    if (queued !== undefined) {
+        response = typeof queued === 'function' ? queued(messages) : queued;
+    } else if (promptType === 'p1') {
+        response = buildPrompt1Fixture();
+    } else if (promptType === 'p2') {
+        response = buildPrompt2Fixture();
+    } else if (promptType === 'summary') {
+        response = buildSummaryFixture(messages);
+    } else {
+        response = buildPrompt3Fixture(messages);
+    }
+
+    if (response && response.ok === false) return response;
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+    if (latencyMs > 0) await new Promise(r => setTimeout(r, latencyMs));
+    if (options.signal?.aborted) return { ok: false, aborted: true, error: 'Request aborted' };
+
+    if (options.onDelta) {
+        // Emit in small chunks so streaming consumers see a realistic partial stream
+        let streamed = '';
+        for (let i = 0; i < content.length; i += 24) {
+            const delta = content.slice(i, i + 24);
+            streamed += delta;
+            options.onDelta(delta, streamed);
+        }
+    }
+
+    callLog.push({ promptType, messages, content });
+
+    const promptChars = messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+    const usage = {
+        prompt_tokens: Math.ceil(promptChars / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil(promptChars / 4) + Math.ceil(content.length / 4),
+    };
+
+    console.log(`%c[Mock LLM] ${promptType} → ${content.length} chars`, 'color: #aaaaaa');
+    return { ok: true, content, usage, model: MOCK_MODEL };
+}
+
+/** @type {import('./providerRegistry.js').ProviderAdapter} */
+export const mockProvider = {
+    id: 'mock',
+    name: 'Mock (오프라인 개발용)',
+    models: [MOCK_MODEL],
+    defaultContextWindow: 32000,
+    authScheme: 'none',
+    supportsJsonMode: true,
+    supportsStreaming: true,
+    // Only used when explicitly selected; a missing key elsewhere never falls back to fixtures
+    excludeFromFallback: true,
+
+    getApiKey: () => '',
+    getDefaultModel: () => MOCK_MODEL,
+    isConfigured: (settings) => settings.provider === 'mock',
+
+    mapMessages: (messages) => ({ messages }),
+
+    complete: ({ messages, options }) => mockChatCompletion(messages, options),
+};
+
+// ─── Fixtures ──────────────────────────────────────────────────────
+
+function buildPrompt1Fixture() {
+    const select = (id, category, label, options) => ({ id, category, label, type: 'select', options, placeholder: '', required: true });
+    return {
+        _extractedKeywords: ['고립', '신호', '폭풍'],
+        title: '칠초마다 우는 등대',
+        questions: [
+            select('q1', 'vibe', '이 세계의 기술은 어느 시점에 머물러 있습니까?', ['진공관 무전기가 마지막 통신수단인 1950년대 해안', '위성이 끊긴 근미래의 버려진 관측기지']),
+            select('q2', 'vibe', '초자연적 현상은 어느 정도로 존재합니까?', ['설명되지 않는 신호 하나뿐인 극사실주의', '바다가 목소리를 흉내 내는 민담 수준의 기이함']),
+            select('q3', 'vibe', '이 해안을 지배하는 힘은 무엇입니까?', ['사고를 덮으려는 해운 조합', '모든 것을 삼키는 폭풍']),
+            select('q4', 'vibe', '이 세계를 무너뜨리는 근본 원인은 무엇입니까?', ['은폐된 과거의 조난 사고', '끝없이 줄어드는 연료와 식량']),
+            select('q5', 'situation', '지금 몸을 숨기고 있는 곳은 어디입니까?', ['녹슨 발전기 옆 등대 하부', '물이 차오르는 기록실']),
+            select('q6', 'situation', '당신이 내세우는 신분은 무엇입니까?', ['등대 기록관', '임시 무전 보조원']),
+            select('q7', 'situation', '방금 계획을 꼬이게 만든 사고는 무엇입니까?', ['예비 배터리가 바닷물에 잠겼다', '호출부호 장부를 잃어버렸다']),
+            select('q8', 'situation', '지금 함께 있는 동행자는 누구입니까?', ['말수가 적은 무전 기사', '부상당한 구조대원']),
+        ],
+    };
+}
+
+function buildPrompt2Fixture() {
+    return {
+        _storyStructurePlanning: { genreAnalysis: 'mock', verdict: 'TWIST', reasoning: 'Offline fixture.' },
+        title: '칠초마다 우는 등대',
+        publicWorld: '- [Atmosphere & Texture]: 폭풍 고립\n- [Absolute Rules/Taboos]: 신호를 끄면 구조도 끊긴다\n- [Societal State]: 낡은 해안 구조 체계',
+        hiddenPlot: '- [궁극적 진실]: 반복 신호는 과거 사고를 덮기 위한 자동 방송이다.\n- [국면 전환 트리거]: 신호 원점 확인 -> 기록실 진입 -> 부두의 대위와 대면.',
+        openingText: '폭풍은 사흘째 등대를 닫아걸었다.\n\n바다는 모든 구조 신호를 같은 목소리로 되돌려 보냈다.\n\n그리고 칠 초마다, 누군가 같은 문장을 반복했다.',
+        thumbnailDirection: 'Wide angle shot, lone lighthouse in a storm, desaturated teal, film grain.',
+        initialThemeColor: '#101820',
+        climaxThemeColor: '#030608',
+        accentColor: '#d7b46a',
+        entryLabel: '등대에 들어선다',
+        worldSchema: {
+            protagonist: { id: 'pc', name: '서해온', role: '등대 기록관', limitation: '정전이 길어지면 과거의 음성을 현재와 구분하지 못한다', startingLocationId: 'loc_lighthouse' },
+            startingTime: { day: 1, hour: 22 },
+            locations: [
+                { id: 'loc_lighthouse', name: '등대 하부', desc: '녹슨 발전기와 젖은 전선이 낮게 웅웅거린다.', connectedTo: ['loc_archive'] },
+                { id: 'loc_archive', name: '침수 기록실', desc: '바닷물이 무릎까지 차오르고 항해 일지가 떠다닌다.', connectedTo: ['loc_lighthouse', 'loc_pier'] },
+                { id: 'loc_pier', name: '검은 부두', desc: '안개 사이로 구조선의 불빛이 끊겼다 이어진다.', connectedTo: ['loc_archive'], openHours: { from: 20, to: 6 } },
+            ],
+            npcs: [
+                { id: 'npc_yunseo', name: '윤서', role: '무전 기사', initialLocationId: 'loc_lighthouse', personality: '짧게 말한다', motive: '구조 신호를 다시 잡으려 한다', secret: '삭제된 항해 일지를 읽었다' },
+                { id: 'npc_captain_han', name: '한 대위', role: '실종 구조대장', initialLocationId: 'loc_pier', personality: '명령조로 말한다', motive: '생존자를 모으려 한다', secret: '신호를 일부러 늦췄다' },
+            ],
+            items: [
+                { id: 'item_logbook', name: '젖은 항해 일지', desc: '마지막 페이지에 점멸 순서가 긁혀 있다.', initialLocationId: 'loc_lighthouse' },
+            ],
+            milestones: [
+                { id: 'ms1', phase: 'ACT1', trigger: 'turn 1', goal: '신호의 출처가 등대 내부임을 드러낸다', revealOrEscalation: '수신기가 같은 문장을 반복한다', requiredSchemaRefs: ['loc_lighthouse', 'npc_yunseo'], completedFlag: 'milestone_signal_origin_seen' },
+                { id: 'ms2', phase: 'ACT2', trigger: 'insight >= 2', goal: '삭제된 항해 일지를 확인한다', revealOrEscalation: '구조 지연 기록이 드러난다', requiredSchemaRefs: ['loc_archive', 'item_logbook'], completedFlag: 'milestone_archive_truth_seen' },
+                { id: 'ms3', phase: 'ACT3', trigger: 'tension >= 5', goal: '부두에서 한 대위와 대면한다', revealOrEscalation: '대위가 신호를 늦춘 이유를 말한다', requiredSchemaRefs: ['loc_pier', 'npc_captain_han'], completedFlag: 'milestone_captain_confronted' },
+                { id: 'ms4', phase: 'ACT3', trigger: 'turn 12', goal: '자동 방송을 멈춘다', revealOrEscalation: '등대가 침묵한다', requiredSchemaRefs: ['loc_lighthouse'], completedFlag: 'milestone_broadcast_stopped' },
+                { id: 'ms5', phase: 'RESOLUTION', trigger: 'insight >= 10', goal: '생존자를 부두로 보낸다', revealOrEscalation: '구조선이 응답한다', requiredSchemaRefs: ['loc_pier'], completedFlag: 'milestone_survivors_sent' },
+            ],
+            winConditions: [{
+                id: 'win1', desc: '신호의 출처를 밝혀 생존자를 부두로 보낸다', endingType: 'win',
+                when: { all: [{ flag: 'milestone_survivors_sent' }] },
+            }],
+            loseConditions: [{
+                id: 'lose1', desc: '반복 신호에 속아 등대 내부에 갇힌다', endingType: 'lose',
+                when: { all: [{ notFlag: 'milestone_broadcast_stopped' }, { location: 'loc_lighthouse' }, { npc: 'npc_yunseo', status: '실종' }] },
+            }],
+            clocks: [{
+                id: 'clock_flood', name: '기록실 침수', min: 0, max: 6, start: 0, triggerAt: 6,
+                effect: { type: 'directive', directive: '기록실이 완전히 잠겨 항해 일지를 더 이상 꺼낼 수 없다' },
+            }],
+        },
+    };
+}
+
+/**
+ * Build a Prompt #3 turn that follows the phase directives in the system prompt:
+ * normal turns gain one insight so the story reliably reaches its ending.
+ */
+function buildSummaryFixture(messages) {
+    const user = messages.find(m => m.role === 'user')?.content || '';
+    const turns = [...user.matchAll(/\[Turn (\d+)\]/g)].map((m) => m[1]);
+    return { summary: `${turns[0] || '?'}~${turns[turns.length - 1] || '?'}번째 장면 동안 이야기가 이어졌다.` };
+}
+
+function buildPrompt3Fixture(messages) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const user = messages.find(m => m.role === 'user')?.content || '';
+    const stateMatch = user.match(/## Current Game State\n([\s\S]*)$/);
+    let state = {};
+    try {
+        state = stateMatch ? JSON.parse(stateMatch[1]) : {};
+    } catch (_) { }
+
+    const turn = (state.turnCount || 0) + 1;
+    const actionMatch = user.match(/## Player Action\n([^\n]*)/);
+    const action = actionMatch ? actionMatch[1].trim() : '';
+
+    const base = {
+        directorNotes: { plotAlignment: 'mock', currentMilestone: 'mock', noveltyCheck: 'mock', narrativeRegister: '평서체', schemaInvolvement: 'None' },
+        logicalReasoning: 'Mock provider response.',
+        turnSummary: `${turn}번째 장면: ${action || '이야기가 움직였다'}.`,
+        statePatch: { addFlags: [`mock_turn_${turn}`], removeFlags: [], locationChange: null, timeAdvance: 1, npcStates: {} },
+        clockDelta: { tension_delta: 1, insight_delta: 1 },
+        tensionLevel: Math.min(10, turn),
+        isEnding: false,
+        endingType: '',
+        nodeTitle: `장면 ${turn}`,
+    };
+
+    if (system.includes('[PHASE: EPILOGUE')) {
+        return {
+            ...base,
+            text: '폭풍이 걷힌 해안에 구조선의 불빛이 닿았다.\n\n등대는 더 이상 같은 문장을 반복하지 않았다.',
+            statePatch: { ...base.statePatch, addFlags: [] },
+            clockDelta: { tension_delta: 0, insight_delta: 0 },
+            options: [],
+            isEnding: true,
+            endingType: 'win',
+            nodeTitle: '침묵한 등대',
+        };
+    }
+
+    if (system.includes('[PHASE: RESOLUTION')) {
+        return {
+            ...base,
+            text: '마지막 신호가 끊기자 정적이 등대를 채웠다.',
+            statePatch: { ...base.statePatch, addFlags: ['epilogue_ready'] },
+            clockDelta: { tension_delta: 0, insight_delta: 0 },
+            options: [{ id: 'opt_epilogue', text: '에필로그를 확인한다.' }],
+        };
+    }
+
+    return {
+        ...base,
+        text: `<<${turn}번째 호출이다.>> 윤서가 수신기를 두드렸다.\n\n${action ? `${action}. ` : ''}그 대가로 새로운 단서가 드러났다.`,
+        options: [
+            { id: `opt_${turn}_a`, text: `윤서에게 ${turn}번째 신호의 출처를 묻는다` },
+            { id: `opt_${turn}_b`, text: `기록실 문을 밀어 ${turn}번째 흔적을 확인한다` },
+        ],
+    };
+}
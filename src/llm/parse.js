@@ -8,6 +8,9 @@
  *   2. Strip ```json code fences
  *   3. Extract first { ... last }
  *   4. Remove trailing commas
+ *
+ * It also provides an incremental parser for streamed responses, which
+ * turns a still-growing JSON prefix into the most complete object it can.
  */
 
 /**
@@ -69,3 +72,150 @@ export function safeParseJSON(raw) {
 
     return { ok: false, raw, error: 'No JSON object found in response' };
 }
+
+/**
+ * Create an incremental parser for a JSON object that is still streaming in.
+ *
+ * Each push() scans only the new characters and keeps track of the last
+ * position where the prefix can be closed into valid JSON. value() closes
+ * that prefix (open strings, objects and arrays) and parses it, so a caller
+ * can read fields like `text` long before the final `}` arrives.
+ * Keys and numbers that are cut off mid-token are dropped until complete.
+ *
+ * @returns {{ push: (chunk: string) => any, value: () => any }}
+ */
+export function createPartialJSONParser() {
+    let buffer = '';
+    let started = false;   // skipped any prose/code fence before the first { or [
+    let pos = 0;           // next unscanned index in buffer
+    const stack = [];      // [{ type: 'object'|'array', expect: 'key'|'colon'|'value'|'comma' }]
+    let inString = false;
+    let stringIsKey = false;
+    let escaped = false;
+    let inLiteral = false; // number / true / false / null
+    let safeLen = 0;       // buffer.slice(0, safeLen) + safeClosers is valid JSON
+    let safeClosers = '';
+    let cached;
+    let dirty = true;
+
+    const closersFor = () => stack.slice().reverse().map((c) => (c.type === 'object' ? '}' : ']')).join('');
+
+    const markSafe = (len) => {
+        safeLen = len;
+        safeClosers = closersFor();
+    };
+
+    const afterValue = () => {
+        const top = stack[stack.length - 1];
+        if (top) top.expect = 'comma';
+    };
+
+    const endLiteral = (len) => {
+        inLiteral = false;
+        afterValue();
+        markSafe(len);
+    };
+
+    function scan() {
+        for (; pos < buffer.length; pos++) {
+            const ch = buffer[pos];
+
+            if (!started) {
+                if (ch !== '{' && ch !== '[') continue;
+                started = true;
+                buffer = buffer.slice(pos);
+                pos = 0;
+            }
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === '"') {
+                    inString = false;
+                    const top = stack[stack.length - 1];
+                    if (stringIsKey) {
+                        top.expect = 'colon';
+                    } else {
+                        afterValue();
+                        markSafe(pos + 1);
+                    }
+                }
+                continue;
+            }
+
+            if (inLiteral) {
+                if (/[\s,\]}]/.test(ch)) {
+                    endLiteral(pos);
+                } else {
+                    continue;
+                }
+            }
+
+            const top = stack[stack.length - 1];
+
+            if (ch === '{' || ch === '[') {
+                stack.push({ type: ch === '{' ? 'object' : 'array', expect: ch === '{' ? 'key' : 'value' });
+                markSafe(pos + 1);
+            } else if (ch === '}' || ch === ']') {
+                stack.pop();
+                afterValue();
+                markSafe(pos + 1);
+            } else if (ch === '"') {
+                inString = true;
+                stringIsKey = top?.type === 'object' && top.expect === 'key';
+            } else if (ch === ':') {
+                if (top) top.expect = 'value';
+            } else if (ch === ',') {
+                if (top) top.expect = top.type === 'object' ? 'key' : 'value';
+            } else if (!/\s/.test(ch)) {
+                inLiteral = true;
+            }
+        }
+    }
+
+    function value() {
+        if (!dirty) return cached;
+        dirty = false;
+        if (!started) return (cached = null);
+
+        const candidates = [];
+        if (inString && !stringIsKey) {
+            // Close a value string that is still streaming, minus any half-written escape
+            const partial = escaped ? buffer.slice(0, -1) : buffer.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+            candidates.push(partial + '"' + closersFor());
+        }
+        candidates.push(buffer.slice(0, safeLen) + safeClosers);
+
+        cached = null;
+        for (const candidate of candidates) {
+            try {
+                cached = JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+                break;
+            } catch (_) { }
+        }
+        return cached;
+    }
+
+    return {
+        push(chunk) {
+            if (!chunk) return value();
+            buffer += chunk;
+            dirty = true;
+            scan();
+            return value();
+        },
+        value,
+    };
+}
+
+/**
+ * Parse a (possibly truncated) JSON prefix in one shot.
+ * @param {string} raw
+ * @returns {any} the closed-off partial value, or null if nothing usable yet
+ */
+export function parsePartialJSON(raw) {
+    const parser = createPartialJSONParser();
+    return parser.push(raw || '');
+}
@@ -0,0 +1,91 @@
+/**
+ * pricing.js — Per-model price table and cost estimates
+ * @module llm/pricing
+ *
+ * Prices are list prices in USD per 1M tokens (images: per image), copied from
+ * the providers' pricing pages. Update the table when a model is added to an adapter.
+ * Estimates ignore cached-input discounts and batch pricing.
+ */
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} [input]  — USD per 1M prompt tokens
+ * @property {number} [output] — USD per 1M completion tokens
+ * @property {number} [image]  — USD per generated image
+ */
+
+/** @type {Object.<string, ModelPrice>} */
+export const PRICE_TABLE = {
+    // OpenAI
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'o3-mini': { input: 1.10, output: 4.40 },
+
+    // Gemini
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-3-flash-preview': { input: 0.50, output: 3.00 },
+    'gemini-2.5-flash-image': { image: 0.039 },
+
+    // Anthropic
+    'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+    'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+    'claude-opus-4-1': { input: 15.00, output: 75.00 },
+
+    // Offline
+    'mock-narrator': { input: 0, output: 0 },
+};
+
+// Self-hosted models cost nothing per token, whatever they are called
+const FREE_PROVIDERS = new Set(['local', 'mock']);
+
+/**
+ * Look up the price of a model.
+ * @param {string} model
+ * @param {string} [providerId]
+ * @returns {ModelPrice|null} null when the model is not in the table
+ */
+export function getModelPrice(model, providerId) {
+    if (FREE_PROVIDERS.has(providerId)) return { input: 0, output: 0, image: 0 };
+    return PRICE_TABLE[model] || null;
+}
+
+/**
+ * Estimate the cost of one call.
+ * @param {Object} call
+ * @param {string} call.model
+ * @param {string} [call.provider]
+ * @param {number} [call.promptTokens]
+ * @param {number} [call.completionTokens]
+ * @param {number} [call.images]
+ * @returns {number|null} USD, or null when the model has no price
+ */
+export function estimateCost({ model, provider, promptTokens = 0, completionTokens = 0, images = 0 }) {
+    const price = getModelPrice(model, provider);
+    if (!price) return null;
+    return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1_000_000
+        + images * (price.image || 0);
+}
+
+/**
+ * Format a USD amount for display, keeping small amounts readable.
+ * @param {number|null} usd
+ * @returns {string}
+ */
+export function formatCost(usd) {
+    if (usd === null || usd === undefined) return '—';
+    if (usd === 0) return '$0';
+    if (usd < 0.01) return `$${usd.toFixed(4)}`;
+    return `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Format a token count compactly (e.g. 45.2k, 1.3M).
+ * @param {number} tokens
+ * @returns {string}
+ */
+export function formatTokenCount(tokens) {
+    if (tokens >= 1_000_000) return `${(tokens / 1_000_000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+    return String(tokens || 0);
+}
@@ -0,0 +1,73 @@
+/**
+ * promptAssembler.js — Fits prompt sections into a token budget
+ * @module llm/promptAssembler
+ *
+ * A prompt is described as sections, each with a priority. When the estimated
+ * total is over budget, sections are cut starting from the lowest priority:
+ * a section with a shrink() gets a smaller version (trimmed or condensed),
+ * one without is dropped. Required sections are never touched.
+ */
+
+import { estimateTokens } from './tokens.js';
+
+/**
+ * @typedef {Object} PromptSection
+ * @property {string} id
+ * @property {string} text
+ * @property {number} [priority=0] — higher survives longer
+ * @property {boolean} [required] — never trimmed or dropped
+ * @property {(maxTokens: number) => string} [shrink] — a version of the text that fits maxTokens
+ *           (best effort); without it the section is dropped when it has to give way
+ */
+
+/**
+ * @typedef {Object} FittedSection
+ * @property {string} id
+ * @property {string} text
+ * @property {number} tokens
+ * @property {number} originalTokens
+ * @property {'full'|'trimmed'|'dropped'} status
+ */
+
+/**
+ * Cut sections down until their estimated total fits the budget.
+ * @param {PromptSection[]} sections
+ * @param {number} budget — tokens
+ * @returns {{ sections: FittedSection[], total: number, budget: number, overBudget: boolean }}
+ */
+export function fitSections(sections, budget) {
+    const rows = sections.map((section) => {
+        const tokens = estimateTokens(section.text);
+        return { ...section, priority: section.priority || 0, tokens, originalTokens: tokens, status: 'full' };
+    });
+    let total = rows.reduce((sum, row) => sum + row.tokens, 0);
+
+    const cuttable = rows
+        .filter((row) => !row.required && row.tokens > 0)
+        .sort((a, b) => a.priority - b.priority);
+
+    for (const row of cuttable) {
+        if (total <= budget) break;
+        const target = row.tokens - (total - budget);
+        const shrunk = row.shrink && target > 0 ? row.shrink(target) : '';
+        const shrunkTokens = estimateTokens(shrunk);
+
+        if (shrunk && shrunkTokens < row.tokens) {
+            row.text = shrunk;
+            row.status = 'trimmed';
+        } else {
+            row.text = '';
+            row.status = 'dropped';
+        }
+        const tokens = row.status === 'trimmed' ? shrunkTokens : 0;
+        total -= row.tokens - tokens;
+        row.tokens = tokens;
+    }
+
+    return {
+        sections: rows.map(({ id, text, tokens, originalTokens, status }) => ({ id, text, tokens, originalTokens, status })),
+        total,
+        budget,
+        overBudget: total > budget,
+    };
+}
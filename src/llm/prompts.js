@@ -3,10 +3,21 @@
  * @module llm/prompts
  */
 
-import { chatCompletion } from './apiClient.js';
-import { safeParseJSON } from './parse.js';
+import { chatCompletion, getContextWindow } from './apiClient.js';
+import { safeParseJSON, createPartialJSONParser } from './parse.js';
+import { validatePrompt3Response } from './responseSchema.js';
 import * as treeEngine from '../core/treeEngine.js';
 import { getNarrativePhaseKey } from '../core/narrativeEngine.js';
+import { getIncompleteMilestones } from '../core/milestoneEngine.js';
+import { getCarriedItems, getItemsAt, getItemsByNpc } from '../core/inventoryEngine.js';
+import { DIFFICULTY_LABELS, getStats } from '../core/skillCheckEngine.js';
+import { formatDisposition, getDisposition } from '../core/relationshipEngine.js';
+import { CUSTOM_CLOCK_MAX_DELTA, getCustomClocks } from '../core/clockEngine.js';
+import { MAX_TIME_ADVANCE, createInitialWorldTime, formatOpenHours, formatWorldTime, isLocationOpen } from '../core/worldTimeEngine.js';
+import { getChapters } from '../core/chapterEngine.js';
+import { collectHintNotes } from '../core/annotationEngine.js';
+import { estimateTokens, takeWithinBudget, truncateToTokens } from './tokens.js';
+import { fitSections } from './promptAssembler.js';
 
 // ─── Situation Question Pool (15 categories) ─────────────────────────
 
@@ -179,11 +190,12 @@ You MUST respond with ONLY a JSON object in this exact schema:
     { role: 'user', content: userBackground }
   ];
 
-  const result = await chatCompletion(messages, { jsonMode: true, temperature: 0.8 });
-  if (!result.ok) return result;
+  const result = await chatCompletion(messages, { jsonMode: true, temperature: 0.8, promptType: 'p1' });
+  const calls = [toCallRecord(result, 'p1')];
+  if (!result.ok) return { ...result, calls };
 
   const parsed = safeParseJSON(result.content);
-  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error}`, raw: parsed.raw };
+  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error}`, raw: parsed.raw, calls };
 
   // Inject mandatory options for select-type questions at the engine level
   if (Array.isArray(parsed.data.questions)) {
@@ -195,7 +207,7 @@ You MUST respond with ONLY a JSON object in this exact schema:
     });
   }
 
-  return { ok: true, data: parsed.data };
+  return { ok: true, data: parsed.data, calls };
 }
 
 
@@ -279,11 +291,18 @@ PART B: 서사 전개 프레임워크 (The Progression Framework) — 두 구조
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 GENERATE distinct, memorable Korean proper nouns for everything. NO generic placeholders.
 ${lengthGuidance}
-- protagonist: MUST include "startingLocationId" which matches exactly one location ID from the locations array.
-- locations: Follow the Target Story Length guidance above for count. Form a logical map. "connectedTo" MUST ONLY contain IDs that actually exist in this array.
+- protagonist: MUST include "startingLocationId" which matches exactly one location ID from the locations array. Optionally add "stats": 3-4 genre-fitting abilities ({ "id", "name" (Korean), "value" 0-5 }) that reflect the role and the limitation. Omit "stats" for stories where dice-based risk does not fit (e.g. quiet drama).
+- startingTime: The in-world moment the story opens, { "day": 1, "hour": 0-23 }. Match it to the prologue's mood (e.g. a storm at night → hour 22).
+- locations: Follow the Target Story Length guidance above for count. Form a logical map. "connectedTo" MUST ONLY contain IDs that actually exist in this array. Places that are only accessible at certain hours (a market, an office, a shrine sealed at night) may have "openHours": { "from": 0-23, "to": 0-23 } (from > to wraps past midnight). Omit it for places that are always accessible, and never close the starting location at the starting time.
 - npcs: Follow the Target Story Length guidance above for count. Each needs an "initialLocationId" matching one existing location ID, a "personality" (detailed persona, speech style, habits), a "motive" (public behavior), and a "secret" (hidden truth tied to the Hidden Plot). Spread NPCs across the map; do not place everyone in the starting location.
 - milestones (Min 5): Ordered, concrete narrative checkpoints that keep the story close to the synopsis while still allowing player choice. Each milestone needs "id", "phase" ("ACT1" | "ACT2" | "ACT3" | "RESOLUTION"), "trigger" (tension/insight/turn clue), "goal", "revealOrEscalation", "requiredSchemaRefs" (location/NPC/item IDs), and "completedFlag".
-- winConditions / loseConditions: Keep these as short terminal outcome references only; the ongoing story progression is controlled by "milestones".
+- winConditions / loseConditions: Terminal outcomes the ENGINE checks after every turn; the ongoing story progression is controlled by "milestones". Each needs "id", "desc", "endingType" ("win" | "lose" | or a more specific type such as "sacrifice", "escape"), and a machine-checkable "when" object with "all" and/or "any" arrays of tests:
+  - { "flag": "flagName" } / { "notFlag": "flagName" } — use milestone "completedFlag" values so the condition is reachable.
+  - { "clock": "tension" | "insight" | a custom clock id, "gte": number } (or "lte").
+  - { "location": "locationId" } — the protagonist is there.
+  - { "npc": "npcId", "status": "string" } — an NPC's state (optionally "location").
+  Win conditions should require the RESOLUTION milestone flag; lose conditions should describe a concrete failure (e.g. high tension at a deadly location). Use only IDs that exist in this schema.
+- clocks (optional, 0-3): Story-specific countdowns or pressure gauges next to the built-in tension/insight (e.g. oxygen running out, a ritual nearing completion, suspicion of the guards). Each needs "id" (prefix "clock_"), "name" (Korean), "min", "max" (at most 12 segments), "start", "triggerAt" (a value between min and max, away from start), and "effect": { "type": "directive", "directive": "what happens when it fills (Korean)" } or { "type": "ending", "endingType": "lose" | "win" | a specific type, "directive": "how the story ends (Korean)" }. Omit "clocks" when the story needs no extra pressure.
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 4. OPENING SCENE (openingText) - MACRO PROLOGUE FOCUS
@@ -327,7 +346,8 @@ Before outputting JSON, silently verify:
 3. Are all IDs in "connectedTo" real locations?
 4. Does every NPC "initialLocationId" EXACTLY match a location ID?
 5. Does "worldSchema.milestones" provide an ordered spine from ACT1 through RESOLUTION using real schema IDs?
-6. Does the "openingText" act as a MACRO PROLOGUE without explicitly starting the immediate physical action?
+6. Does every win/lose condition have a "when" clause built only from real flags, clocks, location IDs and NPC IDs?
+7. Does the "openingText" act as a MACRO PROLOGUE without explicitly starting the immediate physical action?
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 OUTPUT SCHEMA (STRICT JSON ONLY)
@@ -350,13 +370,15 @@ You MUST respond with ONLY a JSON object in this exact schema. Do NOT provide mu
   "accentColor": "string (HEX code)",
   "entryLabel": "string (Korean, 2-3 words. e.g., '모험을 시작합니다', '문이 열립니다')",
   "worldSchema": {
-    "protagonist": { "id": "pc", "name": "string", "role": "string", "limitation": "string", "startingLocationId": "string" },
-    "locations": [ { "id": "loc1", "name": "string", "desc": "string", "connectedTo": ["loc2"] } ],
+    "protagonist": { "id": "pc", "name": "string", "role": "string", "limitation": "string", "startingLocationId": "string", "stats": [ { "id": "wits", "name": "string", "value": 3 } ] },
+    "startingTime": { "day": 1, "hour": 21 },
+    "locations": [ { "id": "loc1", "name": "string", "desc": "string", "connectedTo": ["loc2"] }, { "id": "loc2", "name": "string", "desc": "string", "connectedTo": ["loc1"], "openHours": { "from": 9, "to": 18 } } ],
     "npcs": [ { "id": "npc1", "name": "string", "role": "string", "initialLocationId": "loc1", "personality": "string", "motive": "string", "secret": "string" } ],
     "items": [ { "id": "item1", "name": "string", "desc": "string", "initialLocationId": "loc1" } ],
     "milestones": [ { "id": "ms1", "phase": "ACT1", "trigger": "string", "goal": "string", "revealOrEscalation": "string", "requiredSchemaRefs": ["loc1", "npc1", "item1"], "completedFlag": "string" } ],
-    "winConditions": [ { "id": "win1", "desc": "string" } ],
-    "loseConditions": [ { "id": "lose1", "desc": "string" } ]
+    "winConditions": [ { "id": "win1", "desc": "string", "endingType": "win", "when": { "all": [ { "flag": "string" } ] } } ],
+    "loseConditions": [ { "id": "lose1", "desc": "string", "endingType": "lose", "when": { "all": [ { "clock": "tension", "gte": 8 }, { "location": "loc1" } ] } } ],
+    "clocks": [ { "id": "clock_alarm", "name": "string", "min": 0, "max": 6, "start": 0, "triggerAt": 6, "effect": { "type": "directive", "directive": "string" } } ]
   }
 }
 `
@@ -364,11 +386,12 @@ You MUST respond with ONLY a JSON object in this exact schema. Do NOT provide mu
     { role: 'user', content: `## 배경 컨셉\n${userBackground}\n\n## 상세 답변\n${answersText}` }
   ];
 
-  const result = await chatCompletion(messages, { jsonMode: true, temperature: 0.8 });
-  if (!result.ok) return result;
+  const result = await chatCompletion(messages, { jsonMode: true, temperature: 0.8, promptType: 'p2' });
+  const calls = [toCallRecord(result, 'p2')];
+  if (!result.ok) return { ...result, calls };
   const parsed = safeParseJSON(result.content);
-  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error}`, raw: parsed.raw };
-  return { ok: true, data: parsed.data };
+  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error}`, raw: parsed.raw, calls };
+  return { ok: true, data: parsed.data, calls };
 }
 
 
@@ -391,32 +414,93 @@ function getOpeningSentence(text) {
   return (match ? match[1] : compact.slice(0, 120)).trim();
 }
 
-function buildStoryContext(session, targetNodeId) {
+// Token budget for the story-so-far part of Prompt #3 (chapter summaries + ledger + recent scenes)
+const STORY_CONTEXT_TOKEN_BUDGET = 3000;
+const RECENT_SCENES_SHARE = 0.5;
+const MAX_RECENT_SCENES = 6;
+
+function formatSceneBlock(node) {
+  const selectedOpt = getSelectedOptionText(node) || (node.depth === 0 ? 'None (Start)' : 'None yet');
+  const turnLabel = node.depth === 0 ? "Prologue/Background" : node.depth;
+  const allOptions = (node.options || []).map(o => `- ${o.text}`).join('\n') || '- None';
+  return `[Turn ${turnLabel}]\nText: ${node.text || ''}\nOptions Provided:\n${allOptions}\nUser Choice: ${selectedOpt}\n\n`;
+}
+
+function formatChapterLine(chapter) {
+  return `[Turns ${chapter.fromDepth}–${chapter.toDepth} · ${chapter.act}] ${chapter.summary.text}`;
+}
+
+function formatLedgerLine(entry) {
+  return entry.depth ? `Turn ${entry.depth}: ${entry.text}` : `- ${entry.text}`;
+}
+
+/**
+ * Story-so-far context for Prompt #3, fitted into a token budget.
+ * Recent scenes come first (up to half the budget, at least one), then the
+ * ledger of turns no chapter summary covers yet, then chapter summaries —
+ * newest first in each section, so what gets dropped is always the oldest.
+ */
+function buildStoryContext(session, targetNodeId, budget = STORY_CONTEXT_TOKEN_BUDGET) {
   const path = treeEngine.getPathToRoot(session, targetNodeId);
-  if (path.length === 0) return { contextString: "", openingBlacklist: "" };
+  if (path.length === 0) return { contextString: "", openingBlacklist: "", contextUsage: null };
 
   const targetNode = session.nodesById[targetNodeId];
   const state = targetNode ? (targetNode.stateSnapshot || session.gameState) : session.gameState;
   const pathNodes = path.map((id) => session.nodesById[id]).filter(Boolean);
-  const summariesFromNodes = pathNodes
+
+  // 1. Recent scenes, newest first
+  const sceneCandidates = pathNodes.slice(-MAX_RECENT_SCENES).reverse();
+  const scenes = takeWithinBudget(sceneCandidates, Math.floor(budget * RECENT_SCENES_SHARE), formatSceneBlock);
+  if (scenes.taken.length === 0 && sceneCandidates.length > 0) {
+    scenes.taken.push(sceneCandidates[0]);
+    scenes.used = estimateTokens(formatSceneBlock(sceneCandidates[0]));
+  }
+  const recentNodes = scenes.taken.reverse();
+  const firstSceneDepth = recentNodes[0]?.depth ?? Infinity;
+
+  // 2. Ledger of turns before the recent scenes that no chapter summary covers
+  const summarizedChapters = getChapters(session, targetNodeId).filter((chapter) => chapter.summary);
+  const isCovered = (depth) => summarizedChapters.some((c) => depth >= c.fromDepth && depth <= c.toDepth);
+  const nodeLedger = pathNodes
     .filter((node) => node.depth > 0 && node.turnSummary)
-    .map((node) => node.turnSummary);
-  const ledger = (state?.eventLedger?.length ? state.eventLedger : summariesFromNodes).slice(-8);
-  const recentNodes = pathNodes.slice(-4);
+    .map((node) => ({ depth: node.depth, text: node.turnSummary }));
+  const ledgerSource = nodeLedger.length ? nodeLedger : (state?.eventLedger || []).map((text) => ({ depth: null, text }));
+  const uncovered = ledgerSource.filter((entry) => entry.depth === null || (entry.depth < firstSceneDepth && !isCovered(entry.depth)));
+  const ledger = takeWithinBudget([...uncovered].reverse(), budget - scenes.used, formatLedgerLine);
+  const ledgerEntries = ledger.taken.reverse();
+
+  // 3. Chapter summaries with whatever is left
+  const chapters = takeWithinBudget([...summarizedChapters].reverse(), budget - scenes.used - ledger.used, formatChapterLine);
+  const chapterEntries = chapters.taken.reverse();
+  const omittedChapters = summarizedChapters.length - chapterEntries.length;
+
+  let contextString = "";
+  if (summarizedChapters.length > 0) {
+    contextString += "## Story So Far (chapter summaries; established canon — never contradict these)\n";
+    if (omittedChapters > 0) contextString += `- (${omittedChapters} earlier chapter(s) omitted for length)\n`;
+    contextString += chapterEntries.map(formatChapterLine).join('\n');
+    contextString += "\n\n";
+  }
 
-  let contextString = "## Canon Ledger (causality only; do not rewrite these beats)\n";
-  contextString += ledger.length
-    ? ledger.map((summary, i) => `${i + 1}. ${summary}`).join('\n')
-    : "- No completed turn summaries yet.";
+  contextString += "## Canon Ledger (causality only; do not rewrite these beats)\n";
+  if (uncovered.length > ledgerEntries.length) contextString += `- (${uncovered.length - ledgerEntries.length} earlier turn(s) omitted for length)\n`;
+  contextString += ledgerEntries.length
+    ? ledgerEntries.map(formatLedgerLine).join('\n')
+    : "- No uncovered turn summaries.";
 
   contextString += "\n\n## Recent Scenes (immediate continuity only)\n";
   recentNodes.forEach((node) => {
-    const selectedOpt = getSelectedOptionText(node) || (node.depth === 0 ? 'None (Start)' : 'None yet');
-    const turnLabel = node.depth === 0 ? "Prologue/Background" : node.depth;
-    const allOptions = (node.options || []).map(o => `- ${o.text}`).join('\n') || '- None';
-    contextString += `[Turn ${turnLabel}]\nText: ${node.text || ''}\nOptions Provided:\n${allOptions}\nUser Choice: ${selectedOpt}\n\n`;
+    contextString += formatSceneBlock(node);
   });
 
+  const contextUsage = {
+    budget,
+    used: scenes.used + ledger.used + chapters.used,
+    scenes: { count: recentNodes.length, tokens: scenes.used },
+    ledger: { count: ledgerEntries.length, omitted: uncovered.length - ledgerEntries.length, tokens: ledger.used },
+    chapters: { count: chapterEntries.length, omitted: omittedChapters, tokens: chapters.used },
+  };
+
   const recentOpeningLines = pathNodes
     .filter((node) => node.depth > 0 && node.text)
     .map((node) => getOpeningSentence(node.text))
@@ -446,7 +530,7 @@ ${bannedActionPatterns.length ? bannedActionPatterns.map((s, i) => `${i + 1}. ${
 Your new turn must create a visible state change: new information, changed NPC status, changed location pressure, spent resource, irreversible cost, or unlocked route.`;
   }
 
-  return { contextString, openingBlacklist };
+  return { contextString, openingBlacklist, contextUsage };
 }
 
 function getWorldSchema(session) {
@@ -461,41 +545,41 @@ function getNpcLocation(npc, gameState) {
     || "Unknown";
 }
 
-function getIncompleteMilestones(worldSchema, gameState) {
-  const milestones = Array.isArray(worldSchema.milestones) ? worldSchema.milestones : [];
-  const flags = gameState.flags || {};
-  return milestones
-    .filter((m) => !m.completedFlag || !flags[m.completedFlag])
-    .sort((a, b) => {
-      const ao = Number(a.order ?? a.index ?? 0);
-      const bo = Number(b.order ?? b.index ?? 0);
-      return ao - bo;
-    });
-}
-
 /**
  * buildDynamicSchemaContext — Filter and format the world schema for the current turn.
  */
-function buildDynamicSchemaContext(session, targetNodeId) {
+function buildDynamicSchemaContext(session, targetNodeId, { maxFlags = Infinity } = {}) {
   const node = session.nodesById[targetNodeId];
   const gameState = node ? (node.stateSnapshot || session.gameState) : session.gameState;
   const worldSchema = getWorldSchema(session);
   const currentLocationId = gameState.location || worldSchema.protagonist?.startingLocationId || worldSchema.locations?.[0]?.id || '';
 
+  // 0. World Time
+  const worldTime = gameState.worldTime || createInitialWorldTime(worldSchema);
+  const timeString = `[WORLD TIME]\n- ${formatWorldTime(worldTime)}. Light, crowds and NPC routines MUST fit this hour. Do not jump to another time of day without \`statePatch.timeAdvance\`.`;
+
   // 1. Current Location
   const currentLoc = worldSchema.locations?.find(l => l.id === currentLocationId);
+  const closingNote = currentLoc && formatOpenHours(currentLoc)
+    ? `\n- Open hours: ${formatOpenHours(currentLoc)}${isLocationOpen(currentLoc, worldTime) ? '' : ' — CLOSED now; the protagonist is here after hours.'}`
+    : '';
   const locString = currentLoc
-    ? `[CURRENT LOCATION: ${currentLoc.name} (ID: ${currentLoc.id})]\n- ${currentLoc.desc}`
+    ? `[CURRENT LOCATION: ${currentLoc.name} (ID: ${currentLoc.id})]\n- ${currentLoc.desc}${closingNote}`
     : `[CURRENT LOCATION: Unknown (ID: ${currentLocationId || 'not-set'})]\n- If location is unknown, anchor the scene to protagonist.startingLocationId before inventing anything.`;
 
-  // 2. Visible Exits
+  // 2. Visible Exits — places closed at this hour stay listed but cannot be entered
   const connectedLocs = worldSchema.locations?.filter(l => currentLoc?.connectedTo?.includes(l.id)) || [];
   const exitsString = connectedLocs.length > 0
-    ? `[VISIBLE EXITS / PATHS]\n` + connectedLocs.map(l => `- ${l.name} (Move to ID: ${l.id})`).join('\n')
+    ? `[VISIBLE EXITS / PATHS]\n` + connectedLocs.map(l => isLocationOpen(l, worldTime)
+      ? `- ${l.name} (Move to ID: ${l.id})`
+      : `- ${l.name} (ID: ${l.id}) — CLOSED now (open ${formatOpenHours(l)})`).join('\n')
     : `[VISIBLE EXITS / PATHS]\n- None apparent. Do not invent a movement destination unless the current action unlocks it.`;
 
   // 3. Flags (Key Narrative Info)
-  const flagsString = `[ACTIVE FLAGS / KNOWLEDGE]\n- ${Object.keys(gameState.flags || {}).length > 0 ? Object.keys(gameState.flags).join(', ') : 'None.'}`;
+  const flagKeys = Object.keys(gameState.flags || {});
+  const shownFlags = flagKeys.slice(Math.max(0, flagKeys.length - maxFlags));
+  const hiddenFlagNote = shownFlags.length < flagKeys.length ? ` (+${flagKeys.length - shownFlags.length} older flags omitted)` : '';
+  const flagsString = `[ACTIVE FLAGS / KNOWLEDGE]\n- ${flagKeys.length > 0 ? `${shownFlags.join(', ')}${hiddenFlagNote}` : 'None.'}`;
 
   // 4. Arc Milestones
   const incompleteMilestones = getIncompleteMilestones(worldSchema, gameState);
@@ -510,26 +594,65 @@ function buildDynamicSchemaContext(session, targetNodeId) {
     const state = gameState.npcStates?.[npc.id] || {};
     const loc = getNpcLocation(npc, gameState);
     const status = state.status || npc.initialStatus || "일반 상태";
-    return { npc, loc, status, isHere: loc === currentLocationId };
+    return { npc, loc, status, npcState: state, isHere: loc === currentLocationId };
   });
 
+  // How the NPC feels about the protagonist and what they remember of them
+  const formatRelationship = (npcState) => {
+    const memories = (npcState.memory || []).slice(-3).map(m => `T${m.turn}: ${m.note}`);
+    return ` / [관계: ${formatDisposition(getDisposition(npcState))}]`
+      + (memories.length > 0 ? ` / [기억: ${memories.join(' · ')}]` : (npcState.met ? '' : ' / [첫 만남]'));
+  };
+
   const hereRows = npcRows.filter(row => row.isHere);
   const remoteRows = npcRows.filter(row => !row.isHere).slice(0, 6);
 
   const npcHereString = `[NPCS IN CURRENT LOCATION]\n` + (hereRows.length > 0
-    ? hereRows.map(({ npc, status }) => `- ${npc.name} (${npc.role}, ID: ${npc.id}) / [성격: ${npc.personality}] / [상태: ${status}] / Motive: '${npc.motive}' / Secret: '${npc.secret}'`).join('\n')
+    ? hereRows.map(({ npc, status, npcState }) => `- ${npc.name} (${npc.role}, ID: ${npc.id}) / [성격: ${npc.personality}] / [상태: ${status}]${formatRelationship(npcState)} / Motive: '${npc.motive}' / Secret: '${npc.secret}'`).join('\n')
     : '- None confirmed here. Do not force an NPC into the room unless the player action, current milestone, or visible exit logically brings them in.');
 
   const rosterString = `[KNOWN NPC ROSTER — OFFSCREEN CONTINUITY]\n` + (remoteRows.length > 0
     ? remoteRows.map(({ npc, loc, status }) => `- ${npc.name} (${npc.role}, ID: ${npc.id}) / Location: ${loc} / Status: ${status}`).join('\n')
     : '- No offscreen NPCs.');
 
-  const itemRows = (worldSchema.items || []).filter(item => item.initialLocationId === currentLocationId || item.locationId === currentLocationId);
-  const itemString = `[LOCAL ITEMS / OBJECTS]\n` + (itemRows.length > 0
-    ? itemRows.map(item => `- ${item.name} (ID: ${item.id}): ${item.desc}`).join('\n')
+  // 6. Items — carried ones are always in play; local ones only where they still lie
+  const carriedRows = getCarriedItems(worldSchema, gameState);
+  const carriedString = `[CARRIED ITEMS / INVENTORY]\n` + (carriedRows.length > 0
+    ? carriedRows.map(item => `- ${item.name} (ID: ${item.id}): ${item.desc}`).join('\n')
+    : '- Nothing. The protagonist cannot use an item they have not picked up.');
+
+  const itemRows = getItemsAt(worldSchema, gameState, currentLocationId);
+  const heldByNpc = getItemsByNpc(worldSchema, gameState);
+  const heldRows = hereRows.flatMap(({ npc }) => (heldByNpc[npc.id] || []).map(item => ({ item, npc })));
+  const itemString = `[LOCAL ITEMS / OBJECTS]\n` + (itemRows.length + heldRows.length > 0
+    ? [
+      ...itemRows.map(item => `- ${item.name} (ID: ${item.id}): ${item.desc}`),
+      ...heldRows.map(({ item, npc }) => `- ${item.name} (ID: ${item.id}) — held by ${npc.name}: ${item.desc}`),
+    ].join('\n')
     : '- None specified.');
 
-  return `${locString}\n\n${exitsString}\n\n${flagsString}\n\n${milestoneString}\n\n${npcHereString}\n\n${rosterString}\n\n${itemString}`;
+  // 7. Stats (optional RPG layer)
+  const stats = getStats(worldSchema);
+  const statsString = stats.length > 0
+    ? `\n\n[PROTAGONIST STATS — for option checks]\n` + stats.map(stat => `- ${stat.name} (ID: ${stat.id}): ${stat.value}`).join('\n')
+    : '';
+
+  // 8. Custom clocks (worldSchema.clocks)
+  const customClocks = getCustomClocks(worldSchema);
+  const clocksString = customClocks.length > 0
+    ? `\n\n[STORY CLOCKS]\n` + customClocks.map(clock => {
+      const value = Number.isFinite(gameState.clocks?.[clock.id]) ? gameState.clocks[clock.id] : clock.start;
+      const fired = (gameState.clockTriggers || []).some(trigger => trigger.id === clock.id);
+      const effect = clock.triggerAt === null
+        ? ''
+        : fired
+          ? ' / Already triggered'
+          : ` / At ${clock.triggerAt}: ${clock.effect?.directive || clock.effect?.type || 'trigger'}${clock.effect?.type === 'ending' ? ' (ENDS THE STORY)' : ''}`;
+      return `- ${clock.name} (ID: ${clock.id}): ${value} (range ${clock.min}..${clock.max})${effect}`;
+    }).join('\n')
+    : '';
+
+  return `${timeString}\n\n${locString}\n\n${exitsString}\n\n${flagsString}\n\n${carriedString}${statsString}${clocksString}\n\n${milestoneString}\n\n${npcHereString}\n\n${rosterString}\n\n${itemString}`;
 }
 
 const PHASE_ACT1_INITIAL = `
@@ -579,10 +702,143 @@ const PHASE_EPILOGUE = `
   2. 반드시 \`isEnding\`을 true 로 설정하고, \`endingType\`을 명시하여 게임을 완전히 종결하십시오.
 `;
 
-export function buildPrompt3Messages(session, selectedOption, targetNodeId = null) {
+/**
+ * Directive for a win/lose condition the engine has found satisfied.
+ * The ending is no longer the model's call: it must narrate this outcome.
+ * @param {{id:string, kind:string, endingType:string, desc:string}} condition
+ * @param {boolean} epilogue
+ * @returns {string}
+ */
+function buildEndingConditionDirective(condition, epilogue) {
+  const outcome = condition.kind === 'lose' ? '패배(LOSE)' : '승리(WIN)';
+  const lines = [
+    '',
+    `[ENDING CONDITION MET: ${condition.id}] — 엔진이 ${outcome} 조건의 충족을 확인했습니다.`,
+    `- 충족된 조건: ${condition.desc || condition.id}`,
+    '- 이 결과는 확정되었습니다. 다른 결말로 뒤집거나, 위기를 새로 만들어 결말을 미루지 마십시오.',
+  ];
+  if (epilogue) {
+    lines.push(`- \`endingType\`은 반드시 "${condition.endingType}"이어야 합니다.`);
+  } else {
+    lines.push('- 이 결과로 이어지는 직후의 장면을 묘사하고, 위 RESOLUTION 특수 룰을 그대로 따르십시오.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Directive for custom clocks that reached their threshold on this turn.
+ * Ending clocks are handled by buildEndingConditionDirective instead.
+ * @param {Object} worldSchema
+ * @param {Object} state
+ * @returns {string} '' when no directive clock fired this turn
+ */
+function buildClockTriggerDirective(worldSchema, state) {
+  const firedNow = (state.clockTriggers || []).filter(trigger => trigger.turn === state.turnCount).map(trigger => trigger.id);
+  const clocks = getCustomClocks(worldSchema)
+    .filter(clock => firedNow.includes(clock.id) && clock.effect?.type !== 'ending');
+  if (clocks.length === 0) return '';
+  const lines = clocks.map(clock => `[CLOCK TRIGGERED: ${clock.id}] — '${clock.name}' 시계가 ${clock.triggerAt}에 도달했습니다.\n- 이번 장면에서 반드시 일어나야 할 일: ${clock.effect?.directive || `${clock.name}의 한계가 현실이 된다`}`);
+  return `\n${lines.join('\n')}\n- 이 사건을 첫 문장부터 직접 보여주고, 선택지는 그 여파에 대응하게 하십시오.\n`;
+}
+
+/**
+ * Notes the player opted in as hints on the path to the scene being continued.
+ * Other annotations never reach the prompt.
+ * @param {Object} session
+ * @param {string} nodeId
+ * @returns {string} '' when there are no hint notes
+ */
+function buildPlayerHints(session, nodeId) {
+  const hints = collectHintNotes(session, nodeId);
+  if (hints.length === 0) return '';
+  const lines = hints.map(hint => `- ${hint.depth === 0 ? 'Prologue' : `#${hint.depth} ${hint.title}`}: ${hint.note}`);
+  return `[PLAYER HINTS — 플레이어가 직접 공유한 메모]
+${lines.join('\n')}
+- 규칙: 플레이어의 바람이나 메모일 뿐 이야기 속 사실이 아닙니다. 지금 장면에 자연스럽게 맞을 때만 반영하고, 본문에서 메모 자체를 언급하지 마십시오.`;
+}
+
+/**
+ * The engine's roll for the chosen option, stated as a fact the narrator must follow.
+ * @param {Object} check — see skillCheckEngine.rollSkillCheck
+ * @returns {string}
+ */
+function buildSkillCheckFact(check) {
+  const sign = check.modifier >= 0 ? '+' : '-';
+  const outcome = check.critical === 'success' ? '대성공 (자연 20)'
+    : check.critical === 'failure' ? '대실패 (자연 1)'
+      : check.success ? '성공' : '실패';
+  return `[SKILL CHECK — 엔진이 확정한 판정 결과]
+- 판정: ${check.statName} (ID: ${check.stat}) / 난이도: ${DIFFICULTY_LABELS[check.difficulty]} (목표 ${check.target})
+- 주사위: d20 = ${check.roll}, 보정 ${sign}${Math.abs(check.modifier)} → 합계 ${check.total}
+- 결과: ${outcome}
+- 규칙: 이 결과는 이미 확정되었습니다. 행동의 성패를 이 결과와 다르게 서술하지 마십시오. ${check.success ? '성공의 대가나 여지를 남겨도 좋지만, 행동 자체는 이루어져야 합니다.' : '실패의 대가(부상, 발각, 손실, 시간 지연 등)를 분명히 보여주십시오.'}`;
+}
+
+// Prompt #3 input budget: the model's context window minus room for the answer,
+// capped at a share of the window so long-context models are not billed for all of it.
+// Small windows keep at least PROMPT3_CAP_FLOOR of the cap, so they are only limited by the reserve.
+const PROMPT3_OUTPUT_RESERVE = 4096; // at most a quarter of the window
+const PROMPT3_INPUT_SHARE = 0.25;
+const PROMPT3_CAP_FLOOR = 8000;
+const PROMPT3_MIN_INPUT_TOKENS = 2000;
+
+/** @returns {{ budget: number, cap: number, reserve: number }} */
+function getPrompt3Budget(contextWindow) {
+  const reserve = Math.min(PROMPT3_OUTPUT_RESERVE, Math.floor(contextWindow / 4));
+  const cap = Math.max(PROMPT3_CAP_FLOOR, Math.floor(contextWindow * PROMPT3_INPUT_SHARE));
+  return { budget: Math.max(PROMPT3_MIN_INPUT_TOKENS, Math.min(cap, contextWindow - reserve)), cap, reserve };
+}
+
+/**
+ * Game state JSON cut down to maxTokens: the event ledger goes first (the story
+ * context already covers it), then the oldest flags, then NPC states.
+ */
+function compactStateJSON(state, maxTokens) {
+  const { eventLedger: _ledger, ...rest } = state;
+  let json = JSON.stringify(rest);
+  if (estimateTokens(json) <= maxTokens) return json;
+
+  // Keep the newest half of the flags, then a quarter, ... down to none
+  const flagKeys = Object.keys(rest.flags || {});
+  for (let keep = Math.floor(flagKeys.length / 2); ; keep = Math.floor(keep / 2)) {
+    const flags = Object.fromEntries(flagKeys.slice(flagKeys.length - keep).map((key) => [key, rest.flags[key]]));
+    json = JSON.stringify({ ...rest, flags, omittedFlagCount: flagKeys.length - keep });
+    if (estimateTokens(json) <= maxTokens) return json;
+    if (keep === 0) break;
+  }
+
+  const { npcStates: _npcs, ...core } = rest;
+  return JSON.stringify({ ...core, flags: {}, omittedFlagCount: flagKeys.length, npcStates: 'omitted for length' });
+}
+
+/** Schema context with fewer flags listed, then cut from the end (local items, then offscreen NPCs). */
+function shrinkSchemaContext(session, nodeId, maxTokens) {
+  const flagCount = Object.keys((session.nodesById[nodeId]?.stateSnapshot || session.gameState).flags || {}).length;
+  for (let maxFlags = Math.floor(flagCount / 2); ; maxFlags = Math.floor(maxFlags / 2)) {
+    const text = buildDynamicSchemaContext(session, nodeId, { maxFlags });
+    if (estimateTokens(text) <= maxTokens) return text;
+    if (maxFlags === 0) return truncateToTokens(text, maxTokens);
+  }
+}
+
+/**
+ * Build the Prompt #3 messages, fitted into the selected model's prompt budget.
+ * Sections are cut lowest priority first: publicWorld, the repetition blacklist,
+ * the player's hint notes, hiddenPlot, game state, story context, then schema
+ * context. The rules, phase directive and player action are always sent in full.
+ *
+ * @param {Object} session
+ * @param {Object|null} selectedOption
+ * @param {string|null} [targetNodeId]
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.skillCheck] — roll for the selected option, sent with the player action
+ * @returns {{ messages: Array<{role:string, content:string}>, report: Object }} report: per-section token sizes
+ */
+export function assemblePrompt3(session, selectedOption, targetNodeId = null, { skillCheck = null } = {}) {
   const effectiveNodeId = targetNodeId || session.currentNodeId;
   const node = session.nodesById[effectiveNodeId];
-  const { contextString: storyContext, openingBlacklist } = buildStoryContext(session, effectiveNodeId);
+  const { contextString: storyContext, openingBlacklist, contextUsage } = buildStoryContext(session, effectiveNodeId);
+  let storyContextUsage = contextUsage;
   const state = node ? (node.stateSnapshot || session.gameState) : session.gameState;
   const clocks = state.clocks || { tension: 0, insight: 0 };
 
@@ -596,10 +852,13 @@ export function buildPrompt3Messages(session, selectedOption, targetNodeId = nul
   let phaseMode = phaseKey;
   let currentPhasePrompt = PHASE_ACT1;
 
+  // 엔진이 확인한 승패 조건은 페이즈 판별보다 우선한다
+  const endingCondition = state.endingCondition || null;
+
   if (state.flags?.epilogue_ready) {
     phaseMode = "EPILOGUE";
     currentPhasePrompt = PHASE_EPILOGUE;
-  } else if (phaseMode === "ENDING") {
+  } else if (phaseMode === "ENDING" || endingCondition) {
     phaseMode = "RESOLUTION";
     currentPhasePrompt = PHASE_RESOLUTION;
   } else if (phaseMode === "ACT3") {
@@ -610,6 +869,19 @@ export function buildPrompt3Messages(session, selectedOption, targetNodeId = nul
     currentPhasePrompt = PHASE_ACT1_INITIAL;
   }
 
+  if (endingCondition) {
+    currentPhasePrompt += buildEndingConditionDirective(endingCondition, phaseMode === "EPILOGUE");
+  }
+  currentPhasePrompt += buildClockTriggerDirective(getWorldSchema(session), state);
+
+  // 스탯이 정의된 이야기에서만 선택지 판정(check)을 요구한다
+  const hasStats = getStats(getWorldSchema(session)).length > 0;
+  // 커스텀 시계가 있는 이야기에서만 clockDelta에 해당 키를 요구한다
+  const customClocks = getCustomClocks(getWorldSchema(session));
+  const customClockDelta = customClocks
+    .map(clock => `,\n    "${clock.id}": "number (-${CUSTOM_CLOCK_MAX_DELTA}..${CUSTOM_CLOCK_MAX_DELTA}, optional)"`)
+    .join('');
+
   // 동적 텍스트 분량 조절
   let lengthDirective = "";
   if (phaseMode === "EPILOGUE" || phaseMode === "RESOLUTION" || phaseMode === "ACT3") {
@@ -618,7 +890,8 @@ export function buildPrompt3Messages(session, selectedOption, targetNodeId = nul
     lengthDirective = "상황의 몰입을 돕기 위해 시각/청각적 묘사를 적극 활용하여 안정적인 1~3문단 분량(최소 200자 이상)을 서술하십시오. 너무 짧게 쓰지 마십시오.";
   }
 
-  const playerAction = selectedOption ? selectedOption.text : (session.synopsis?.entryLabel || "모험 시작");
+  const actionText = selectedOption ? selectedOption.text : (session.synopsis?.entryLabel || "모험 시작");
+  const playerAction = skillCheck ? `${actionText}\n\n${buildSkillCheckFact(skillCheck)}` : actionText;
   const dynamicSchemaContext = buildDynamicSchemaContext(session, effectiveNodeId);
 
   let dynamicRules = "";
@@ -637,7 +910,8 @@ NORMAL PLAY LOGIC: PROGRESS & ANTI-STALLING
 ────────────────────────────────────────
 - \`tension_delta\`: (+1 or -1) Increases when the situation becomes more urgent, dangerous, or high-stakes. Decreases during moments of reprieve or safety.
 - \`insight_delta\`: (+1) Increases when the player uncovers a piece of the [Hidden Plot] or gains crucial knowledge (Key Info).
-- ANTI-STALLING: If the player stalls, increase \`tension_delta\` by 1 and trigger an external crisis immediately.
+- ANTI-STALLING: If the player stalls, increase \`tension_delta\` by 1 and trigger an external crisis immediately.${customClocks.length > 0 ? `
+- STORY CLOCKS: Move a clock in [STORY CLOCKS] through \`clockDelta\` with its ID as the key (e.g. \`"${customClocks[0].id}": 1\`) only when the fiction visibly pushes it. The engine fires its effect at the threshold; never narrate that effect before it fires.` : ''}
 - ARC LOCK: The [NEXT ARC MILESTONE] is the story spine. The scene must visibly advance it, complicate it, or complete it. Do NOT replace the central conflict with a new unrelated mystery, villain, location, or lore system.
 - PLAYER AGENCY WITH GUARDRAILS: If the user choice moves away from the synopsis, honor the immediate action first, then bend consequences back toward the current milestone through a plausible cost, clue, NPC reaction, blocked route, or revealed dependency.
 - NO FAKE PROGRESS: A turn is invalid if it only restates danger, repeats atmosphere, or offers another version of the same investigation/combat/hiding loop without changing flags, NPC state, location pressure, insight, tension, or available routes.
@@ -647,6 +921,7 @@ DYNAMIC WORLD STATE UPDATES (CRITICAL)
 ────────────────────────────────────────
 - Use \`statePatch.npcStates\` to dynamically update the location and status of NPCs.
 - NPCs should act according to their \`personality\`, \`motive\`, and \`secret\`.
+- RELATIONSHIPS: Each NPC's [관계] (trust/fear/hostility, 0-10) and [기억] are how they see the protagonist. Their dialogue and willingness to help MUST match them. When the protagonist's action changes how an NPC sees them, emit \`statePatch.npcDisposition\` with deltas (-2..2) and a one-line Korean \`memory\` of what happened.
 
 ────────────────────────────────────────
 CHOICE SPECIFICITY & DIVERSITY (CRITICAL)
@@ -655,44 +930,47 @@ CHOICE SPECIFICITY & DIVERSITY (CRITICAL)
 - FORBIDDEN PASSIVE VERBS: NEVER use passive/stalling verbs like "주변을 둘러본다", "조사한다", "단서를 찾는다", "생각해본다". Force direct action or dialogue.
 - DIVERSITY & PROGRESS: Options MUST NOT simply repeat the same action style from the last turn. Every turn MUST introduce a fundamentally NEW tactical or narrative approach.
 - OPTION NOVELTY TEST: Compare against [RECENT REPETITION BLACKLIST]. Each option must differ in verb, target, risk, and expected consequence from the recent options.
-- ZERO ACTION-BIAS: Do NOT default to mindless violence or physical fighting unless the genre is explicitly an action game. For horror, mystery, or drama, enforce genre-appropriate choices like Persuade, Intimidate, Hide, Escape, Sabotage, Use Object, or Bribe.
+- ZERO ACTION-BIAS: Do NOT default to mindless violence or physical fighting unless the genre is explicitly an action game. For horror, mystery, or drama, enforce genre-appropriate choices like Persuade, Intimidate, Hide, Escape, Sabotage, Use Object, or Bribe.${hasStats ? `
+- SKILL CHECKS: Mark a RISKY option with \`check\`: the stat from [PROTAGONIST STATS] it relies on and a difficulty ("easy" | "normal" | "hard"). Safe or purely conversational options get no check. At most one option per turn should be "hard". The engine rolls the dice; never decide the outcome of a checked option in advance.` : ''}
 `;
   }
 
-  const systemPrompt = `You are a highly creative and adaptive interactive fiction writer and strict Game Master.
+  const renderSystemPrompt = (part) => `You are a highly creative and adaptive interactive fiction writer and strict Game Master.
 You are tasked with continuing a rich narrative based on the user's entire journey so far.
 
 ────────────────────────────────────────
 0. CURRENT NARRATIVE PHASE (ABSOLUTE PRIORITY)
 ────────────────────────────────────────
-${currentPhasePrompt}
-${lengthDirective}
+${part.phase}
 
 ────────────────────────────────────────
 1. MANDATORY SCHEMA INJECTION & INTERACTION RULES
 ────────────────────────────────────────
 Below is the physical reality of the current turn. You MUST follow these conditional rules based on the injected data:
 
-${dynamicSchemaContext}
+${part.schema}
 
 [CONDITIONAL INTERACTION RULES]
 - IF [NPCS IN CURRENT LOCATION] has one or more entries: You may make one of them speak or act, and at least one option should allow a direct response when it is dramatically useful.
 - IF [NPCS IN CURRENT LOCATION] is empty: Do NOT teleport an offscreen NPC into the scene unless the player action, visible exit, or [NEXT ARC MILESTONE] makes their arrival causally necessary.
-- IF the player attempts to move: They can ONLY move to locations listed in [VISIBLE EXITS]. If you provide a movement option, it must lead to one of these exact exits.
+- IF the player attempts to move: They can ONLY move to locations listed in [VISIBLE EXITS]. If you provide a movement option, it must lead to one of these exact exits. An exit marked CLOSED cannot be entered until its open hours, unless time passes first (\`timeAdvance\`) or the scene forces entry at a cost.
+- TIME: Set \`statePatch.timeAdvance\` to the whole hours this scene takes (0 for continuous action, 1-2 for a conversation or short walk, up to ${MAX_TIME_ADVANCE} for sleep or travel). Time never goes backwards.
 - IF the player uncovers important information: Set a descriptive flag in \`statePatch.addFlags\` to track this 'insight'.
 - IF the [NEXT ARC MILESTONE] is fulfilled this turn: add its exact completion flag to \`statePatch.addFlags\`.
+- IF the protagonist picks up an item from [LOCAL ITEMS / OBJECTS] or receives one: add its ID to \`statePatch.addItems\`. IF a carried item is used up, destroyed or lost: add its ID to \`statePatch.removeItems\`. IF an item is handed to an NPC or left somewhere: set \`statePatch.moveItem\` to { "itemId", "to": NPC ID or location ID }.
+- Only items in [CARRIED ITEMS / INVENTORY] can be used by the protagonist. Never invent item IDs.
 
 ────────────────────────────────────────
 2. CANON CONTINUITY & CREATIVE WRITING
 ────────────────────────────────────────
-[World Vibe]: ${session.synopsis.publicWorld || 'N/A'}
-[Hidden Plot]: ${session.synopsis.hiddenPlot || 'N/A'}
+[World Vibe]: ${part.publicWorld || 'N/A'}
+[Hidden Plot]: ${part.hiddenPlot || 'N/A'}
 
-- Creative Continuity: You are provided with a Canon Ledger plus Recent Scenes below. Use the ledger only for causality and the recent scenes only for immediate continuity. DO NOT summarize, repeat, or say "As you did X". Simply describe what happens NEXT in vivid detail based on the [User Choice] of the latest turn.
+- Creative Continuity: You are provided with chapter summaries (Story So Far), a Canon Ledger and Recent Scenes below. Facts in the chapter summaries are settled canon: never contradict them. Use the ledger only for causality and the recent scenes only for immediate continuity. DO NOT summarize, repeat, or say "As you did X". Simply describe what happens NEXT in vivid detail based on the [User Choice] of the latest turn.
 - Tone Consistency: Match the tone, style, and pacing established in the history.
 - Director's Cut: Before writing the text, use \`directorNotes\` to explicitly state the current milestone, how this turn advances or complicates it, and how the options avoid repeating recent action patterns.
 
-[Story Context]:\n${storyContext}
+[Story Context]:\n${part.storyContext}
 
 ────────────────────────────────────────
 3. STATE INTEGRITY (PATCH-BASED)
@@ -704,7 +982,7 @@ Evaluate the outcome logically. Explain it in \`logicalReasoning\` based on phas
 - DO NOT ECHO THE CHOICE: Do not re-state the [User Choice] in your text. Immediately show the REACTION or CONSEQUENCE of that choice, escalating the situation dramatically.
 - START-WITH-ACTION: 텍스트의 첫 문장은 예열 없이 **무조건 새로운 사건의 돌발, 외부 환경의 즉각적인 변화, 혹은 NPC의 새로운 대사/반응(Dialogue)**으로 거칠게 시작하십시오. 이전 상황을 반복 묘사하면 치명적입니다.
 - ATMOSPHERE ECONOMY (CRITICAL): 날씨, 빗소리, 조명, 냄새 등 배경 분위기 묘사는 이야기 전체를 통틀어 아껴서 사용하십시오. 동일한 배경 요소(예: "차가운 빗줄기")가 이전 3턴 내에 이미 등장했다면, 그것을 다시 첫 문장에 쓰는 것은 치명적인 오류입니다. 배경 묘사 대신 인물의 행동, 감정, 대화, 또는 새로운 사건으로 즉시 전환하십시오.
-${openingBlacklist}
+${part.blacklist}
 
 ${dynamicRules}
 
@@ -734,16 +1012,18 @@ OUTPUT SCHEMA (STRICT JSON ONLY)
   "text": "string (Paragraphs covering ONLY the NEW events. 이전 내용을 절대 반복/요약하지 말고 직후의 맹렬한 씬(Scene)만 액션으로 시작할 것. 주어 생략. Dialogue uses << >>. ${lengthDirective})",
   "turnSummary": "string (1-sentence concise Korean summary of this turn)",
   "statePatch": {
-    "addFlags": ["string"], "removeFlags": ["string"], "locationChange": "string or null",
-    "npcStates": { "npcId": { "location": "string", "status": "string" } }
+    "addFlags": ["string"], "removeFlags": ["string"], "locationChange": "string or null", "timeAdvance": "number (hours, 0-${MAX_TIME_ADVANCE})",
+    "addItems": ["itemId"], "removeItems": ["itemId"], "moveItem": { "itemId": "string", "to": "npcId or locationId" } or null,
+    "npcStates": { "npcId": { "location": "string", "status": "string" } },
+    "npcDisposition": { "npcId": { "trust": "number (-2..2)", "fear": "number (-2..2)", "hostility": "number (-2..2)", "memory": "string" } }
   },
   "clockDelta": {
     "tension_delta": "number (-1, 0, or 1)",
-    "insight_delta": "number (0 or 1)"
+    "insight_delta": "number (0 or 1)"${customClockDelta}
   },
   "tensionLevel": "number (1-10)",
   "options": [
-    { "id": "string", "text": "string" }
+    { "id": "string", "text": "string"${hasStats ? ', "check": { "stat": "statId", "difficulty": "easy | normal | hard" } (optional)' : ''} }
   ],
   "isEnding": "boolean",
   "endingType": "string (e.g., 'win', 'lose', 'neutral', 'sacrifice', 'escape', 'tragic_death', etc.)",
@@ -751,25 +1031,233 @@ OUTPUT SCHEMA (STRICT JSON ONLY)
 }
 `;
 
-  const messages = [
-    { role: 'system', content: systemPrompt },
+  const renderUserPrompt = (part) => `## Player Action\n${part.playerAction}${part.playerHints ? `\n\n## Player Hints\n${part.playerHints}` : ''}\n\n## Current Game State\n${part.state} `;
+
+  const parts = {
+    phase: `${currentPhasePrompt}\n${lengthDirective}`,
+    schema: dynamicSchemaContext,
+    publicWorld: session.synopsis.publicWorld || '',
+    hiddenPlot: session.synopsis.hiddenPlot || '',
+    storyContext,
+    blacklist: openingBlacklist,
+    playerAction,
+    playerHints: buildPlayerHints(session, effectiveNodeId),
+    state: JSON.stringify(state),
+  };
+  const emptyParts = Object.fromEntries(Object.keys(parts).map((key) => [key, '']));
+
+  const target = getContextWindow();
+  const { budget, cap, reserve } = getPrompt3Budget(target.contextWindow);
+  const fitted = fitSections([
+    { id: 'instructions', text: renderSystemPrompt(emptyParts) + renderUserPrompt(emptyParts), required: true },
+    { id: 'phase', text: parts.phase, required: true },
+    { id: 'playerAction', text: parts.playerAction, required: true },
+    { id: 'schema', text: parts.schema, priority: 80, shrink: (max) => shrinkSchemaContext(session, effectiveNodeId, max) },
     {
-      role: 'user',
-      content: `## Player Action\n${playerAction}\n\n## Current Game State\n${JSON.stringify(state)
-        } `
-    }
+      id: 'storyContext', text: parts.storyContext, priority: 70, shrink: (max) => {
+        const fitted = buildStoryContext(session, effectiveNodeId, max);
+        storyContextUsage = fitted.contextUsage;
+        return fitted.contextString;
+      },
+    },
+    { id: 'state', text: parts.state, priority: 60, shrink: (max) => compactStateJSON(state, max) },
+    { id: 'hiddenPlot', text: parts.hiddenPlot, priority: 50, shrink: (max) => truncateToTokens(parts.hiddenPlot, max) },
+    { id: 'playerHints', text: parts.playerHints, priority: 40 },
+    { id: 'blacklist', text: parts.blacklist, priority: 30 },
+    { id: 'publicWorld', text: parts.publicWorld, priority: 20, shrink: (max) => truncateToTokens(parts.publicWorld, max) },
+  ], budget);
+
+  const part = Object.fromEntries(fitted.sections.map((section) => [section.id, section.text]));
+  const messages = [
+    { role: 'system', content: renderSystemPrompt(part) },
+    { role: 'user', content: renderUserPrompt(part) },
   ];
 
-  return messages;
+  const report = {
+    provider: target.provider,
+    model: target.model,
+    contextWindow: target.contextWindow,
+    inputCap: cap,
+    outputReserve: reserve,
+    budget,
+    total: fitted.total,
+    overBudget: fitted.overBudget,
+    sections: fitted.sections.map(({ id, tokens, originalTokens, status }) => ({ id, tokens, originalTokens, status })),
+    // What the story context kept: scenes, ledger lines and chapter summaries
+    storyContext: part.storyContext ? storyContextUsage : null,
+  };
+
+  return { messages, report };
+}
+
+/**
+ * Prompt #3 messages only; see assemblePrompt3 for the size report.
+ * @returns {Array<{role:string, content:string}>}
+ */
+export function buildPrompt3Messages(session, selectedOption, targetNodeId = null, opts = {}) {
+  return assemblePrompt3(session, selectedOption, targetNodeId, opts).messages;
+}
+
+
+
+/**
+ * Parse and validate one raw Prompt #3 completion.
+ * @returns {{ ok: true, data: Object } | { ok: false, errors: string[], raw?: string }}
+ */
+function checkPrompt3Content(session, content) {
+  const parsed = safeParseJSON(content);
+  if (!parsed.ok) return { ok: false, errors: [`JSON 파싱 실패: ${parsed.error}`], raw: parsed.raw };
+  return validatePrompt3Response(parsed.data, getWorldSchema(session));
+}
+
+/**
+ * What a single chatCompletion call spent, for the session usage log.
+ * @returns {{promptType:string, provider:string|null, model:string|null, usage:Object|null}}
+ */
+export function toCallRecord(result, promptType) {
+  return {
+    promptType,
+    provider: result.provider || null,
+    model: result.model || null,
+    usage: result.usage || null,
+  };
+}
+
+function sumUsage(...usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.reduce((acc, u) => ({
+    prompt_tokens: acc.prompt_tokens + (u.prompt_tokens || 0),
+    completion_tokens: acc.completion_tokens + (u.completion_tokens || 0),
+    total_tokens: acc.total_tokens + (u.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+function buildRepairMessage(errors) {
+  return `Your previous response does not match the OUTPUT SCHEMA. Fix every problem below and return the COMPLETE corrected JSON object only (same scene, same story content, no commentary):
+${errors.map((e) => `- ${e}`).join('\n')}`;
 }
 
-export async function callPrompt3(session, selectedOption, targetNodeId = null) {
-  const messages = buildPrompt3Messages(session, selectedOption, targetNodeId);
-  const result = await chatCompletion(messages, { jsonMode: true });
-  if (!result.ok) return result;
+/**
+ * Call Prompt #3 for one turn.
+ *
+ * The response is validated against PROMPT3_RESPONSE_SCHEMA and the session's worldSchema.
+ * If it fails, one repair re-prompt listing the validation errors is sent before giving up.
+ *
+ * @param {Object} session
+ * @param {Object|null} selectedOption
+ * @param {string|null} [targetNodeId]
+ * @param {Object} [streamOpts]
+ * @param {(text: string) => void} [streamOpts.onText] — streams the response and reports the
+ *        partial \`text\` field every time it grows, before the rest of the JSON has arrived
+ *        (the repair re-prompt is streamed the same way)
+ * @param {() => void} [streamOpts.onRepair] — the streamed response was rejected and a repair
+ *        starts; text shown so far should be discarded
+ * @param {AbortSignal} [streamOpts.signal] — cancels the call (and the repair re-prompt)
+ * @param {Object|null} [streamOpts.skillCheck] — roll the engine made for selectedOption
+ * @returns {Promise<{ok:boolean, data?:Object, usage?:Object|null, calls?:Object[], error?:string, aborted?:boolean}>}
+ *          usage covers both calls when a repair was needed; calls has one record per request
+ */
+export async function callPrompt3(session, selectedOption, targetNodeId = null, { onText, onRepair, signal, skillCheck } = {}) {
+  const messages = buildPrompt3Messages(session, selectedOption, targetNodeId, { skillCheck });
+
+  // One parser per request: the repair streams a fresh JSON document
+  const completionOptions = () => {
+    const options = { jsonMode: true, promptType: 'p3', signal };
+    if (onText) {
+      const partial = createPartialJSONParser();
+      let lastText = '';
+      options.onDelta = (delta) => {
+        const text = partial.push(delta)?.text;
+        if (typeof text === 'string' && text !== lastText) {
+          lastText = text;
+          onText(text);
+        }
+      };
+    }
+    return options;
+  };
+
+  const result = await chatCompletion(messages, completionOptions());
+  const calls = [toCallRecord(result, 'p3')];
+  if (!result.ok) return { ...result, calls };
+  const first = checkPrompt3Content(session, result.content);
+  if (first.ok) return { ok: true, data: first.data, usage: result.usage || null, calls };
+
+  console.warn('[Prompt3] Response failed validation, requesting repair:', first.errors);
+  const repairMessages = [
+    ...messages,
+    { role: 'assistant', content: result.content },
+    { role: 'user', content: buildRepairMessage(first.errors) },
+  ];
+  onRepair?.();
+  const repair = await chatCompletion(repairMessages, completionOptions());
+  calls.push(toCallRecord(repair, 'p3'));
+  const usage = sumUsage(result.usage, repair.usage);
+  if (!repair.ok) return { ...repair, usage, calls };
+  const second = checkPrompt3Content(session, repair.content);
+  if (second.ok) return { ok: true, data: second.data, usage, calls };
+
+  return {
+    ok: false,
+    usage,
+    calls,
+    error: `응답 형식 검증 실패: ${second.errors.join('; ')}`,
+    raw: second.raw || repair.content,
+    validationErrors: second.errors,
+  };
+}
+
+// ─── Prompt #4: Chapter Summary (rolling context compression) ───────
+
+/**
+ * Compress one chapter of the story into a summary that later Prompt #3 calls
+ * receive instead of the chapter's raw turns.
+ *
+ * @param {Object} session
+ * @param {import('../core/chapterEngine.js').Chapter} chapter
+ * @param {Object} [opts]
+ * @param {string[]} [opts.previousSummaries] — earlier chapters on the same path, oldest first
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ok:boolean, data?:{summary:string}, calls?:Object[], error?:string}>}
+ */
+export async function callChapterSummary(session, chapter, { previousSummaries = [], signal } = {}) {
+  const turns = chapter.nodeIds
+    .map((id) => session.nodesById[id])
+    .filter(Boolean)
+    .map((node) => {
+      const parent = session.nodesById[node.parentId];
+      const choice = getSelectedOptionText(parent) || 'None';
+      return `[Turn ${node.depth}] Player choice: ${choice}\n${node.text || ''}`;
+    })
+    .join('\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You are the continuity editor of an interactive Korean story. Compress the chapter below into a summary that will REPLACE these turns in the narrator's memory.
+
+Rules:
+- Write in Korean, plain narrative past tense (~했다 style), 4-7 sentences, at most 600 characters.
+- Keep every fact later scenes could depend on: who did what, what was learned, promises and betrayals, injuries, items gained or lost, where each named NPC was left, locations opened or destroyed.
+- Keep names exactly as written. Do not invent anything. No commentary, no foreshadowing, no evaluation.
+
+Return JSON only: { "summary": "string" }`
+    },
+    {
+      role: 'user',
+      content: `## Story premise\n${session.synopsis?.publicWorld || ''}\n\n## Earlier chapters\n${previousSummaries.length ? previousSummaries.map((t, i) => `${i + 1}. ${t}`).join('\n') : '- None'}\n\n## Chapter to summarize (turns ${chapter.fromDepth}–${chapter.toDepth}, ${chapter.act})\n${turns}`
+    },
+  ];
+
+  const result = await chatCompletion(messages, { jsonMode: true, temperature: 0.2, promptType: 'summary', signal });
+  const calls = [toCallRecord(result, 'summary')];
+  if (!result.ok) return { ...result, calls };
   const parsed = safeParseJSON(result.content);
-  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error} `, raw: parsed.raw };
-  return { ok: true, data: parsed.data };
+  if (!parsed.ok) return { ok: false, error: `JSON 파싱 실패: ${parsed.error}`, raw: parsed.raw, calls };
+  const summary = typeof parsed.data?.summary === 'string' ? parsed.data.summary.trim() : '';
+  if (!summary) return { ok: false, error: '요약이 비어 있습니다.', raw: result.content, calls };
+  return { ok: true, data: { summary }, calls };
 }
 
 /**
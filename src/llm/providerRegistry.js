@@ -0,0 +1,63 @@
+/**
+ * providerRegistry.js — Pluggable LLM provider adapters
+ * @module llm/providerRegistry
+ *
+ * Every provider (OpenAI, Gemini, Anthropic, local OpenAI-compatible servers,
+ * the offline mock) registers one adapter. chatCompletion() picks an adapter
+ * by settings or by model name instead of hardcoding provider checks.
+ */
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id — stored in settings.provider
+ * @property {string} name — display name for SettingsModal
+ * @property {string[]} models — known model IDs; explicit model requests are routed by this list
+ * @property {'bearer'|'x-api-key'|'query-key'|'optional-bearer'|'none'} authScheme
+ * @property {boolean} supportsJsonMode — native JSON response mode
+ * @property {boolean} supportsStreaming
+ * @property {(settings: Object) => string} getApiKey
+ * @property {(settings: Object) => string} getDefaultModel
+ * @property {(settings: Object) => boolean} isConfigured — has what it needs to make a call
+ * @property {(messages: Array<{role:string, content:string}>) => Object} mapMessages — OpenAI-style messages → request fields
+ * @property {(ctx: {apiKey:string, settings:Object, messages:Array, options:Object}) => Promise<{ok:boolean, content?:string, usage?:Object, error?:string}>} complete
+ * @property {boolean} [excludeFromFallback] — never chosen automatically when another provider lacks a key
+ * @property {Object.<string, number>} [contextWindows] — context window in tokens per known model
+ * @property {number} [defaultContextWindow] — for models missing from contextWindows
+ */
+
+/** @type {Map<string, ProviderAdapter>} */
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider adapter.
+ * @param {ProviderAdapter} adapter
+ */
+export function registerProvider(adapter) {
+    providers.set(adapter.id, adapter);
+}
+
+/**
+ * @param {string} id
+ * @returns {ProviderAdapter|null}
+ */
+export function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+/**
+ * All registered adapters, in registration order.
+ * @returns {ProviderAdapter[]}
+ */
+export function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Find the adapter that declares a model ID.
+ * @param {string} model
+ * @returns {ProviderAdapter|null}
+ */
+export function findProviderForModel(model) {
+    if (!model) return null;
+    return listProviders().find((p) => p.models.includes(model)) || null;
+}
@@ -0,0 +1,141 @@
+/**
+ * anthropic.js — Anthropic Messages API adapter
+ * @module llm/providers/anthropic
+ *
+ * The Messages API has no JSON response mode, so JSON requests are steered
+ * by prefilling the assistant turn with "{" and re-attaching it to the output.
+ */
+
+import { readEventStream, readErrorMessage } from '../sse.js';
+
+const ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const MAX_TOKENS = 4096;
+const JSON_PREFILL = '{';
+
+/** @type {import('../providerRegistry.js').ProviderAdapter} */
+export const anthropicProvider = {
+    id: 'anthropic',
+    name: 'Anthropic Claude',
+    models: ['claude-haiku-4-5', 'claude-sonnet-4-5', 'claude-opus-4-1'],
+    defaultContextWindow: 200000,
+    authScheme: 'x-api-key',
+    supportsJsonMode: false,
+    supportsStreaming: true,
+
+    getApiKey: (settings) => settings.anthropicApiKey,
+    getDefaultModel: (settings) => settings.anthropicModel || 'claude-haiku-4-5',
+    isConfigured: (settings) => !!settings.anthropicApiKey,
+
+    /**
+     * Map OpenAI messages to the Messages API: system prompts move to the
+     * top-level `system` field, consecutive same-role turns are merged.
+     */
+    mapMessages(messages) {
+        const system = messages
+            .filter((m) => m.role === 'system')
+            .map((m) => m.content)
+            .join('\n\n');
+
+        const mapped = [];
+        for (const msg of messages) {
+            if (msg.role === 'system') continue;
+            const role = msg.role === 'assistant' ? 'assistant' : 'user';
+            const last = mapped[mapped.length - 1];
+            if (last && last.role === role) {
+                last.content += `\n\n${msg.content}`;
+            } else {
+                mapped.push({ role, content: msg.content });
+            }
+        }
+
+        return { system, messages: mapped };
+    },
+
+    async complete({ apiKey, settings, messages, options }) {
+        const model = options.model || this.getDefaultModel(settings);
+        const { system, messages: mapped } = this.mapMessages(messages);
+        const prefill = options.jsonMode ? JSON_PREFILL : '';
+
+        const body = {
+            model,
+            max_tokens: MAX_TOKENS,
+            messages: prefill ? [...mapped, { role: 'assistant', content: prefill }] : mapped,
+        };
+        if (system) body.system = system;
+        if (options.temperature !== undefined) body.temperature = Math.min(1, options.temperature);
+        if (options.onDelta) body.stream = true;
+
+        console.group('%c[Anthropic Request]', 'color: #e8a87c; font-weight: bold');
+        console.log('Model:', model);
+        console.log('Temperature:', body.temperature);
+        console.log('JSON Mode (prefill):', !!prefill);
+        console.log('Streaming:', !!options.onDelta);
+        console.groupEnd();
+
+        try {
+            const res = await fetch(ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': API_VERSION,
+                    // Required for calls made straight from the browser
+                    'anthropic-dangerous-direct-browser-access': 'true',
+                },
+                body: JSON.stringify(body),
+                signal: options.signal,
+            });
+
+            if (!res.ok) {
+                const errMsg = await readErrorMessage(res, `Anthropic API Error (${res.status})`);
+                console.error('[Anthropic Error]', errMsg);
+                return { ok: false, error: errMsg };
+            }
+
+            let content = prefill;
+            let inputTokens = 0;
+            let outputTokens = 0;
+
+            if (options.onDelta) {
+                if (prefill) options.onDelta(prefill, content);
+                await readEventStream(res, (event) => {
+                    if (event.type === 'message_start') {
+                        inputTokens = event.message?.usage?.input_tokens || 0;
+                        outputTokens = event.message?.usage?.output_tokens || 0;
+                    } else if (event.type === 'message_delta') {
+                        outputTokens = event.usage?.output_tokens ?? outputTokens;
+                    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                        content += event.delta.text;
+                        options.onDelta(event.delta.text, content);
+                    }
+                });
+            } else {
+                const data = await res.json();
+                content += (data.content || [])
+                    .filter((block) => block.type === 'text')
+                    .map((block) => block.text)
+                    .join('');
+                inputTokens = data.usage?.input_tokens || 0;
+                outputTokens = data.usage?.output_tokens || 0;
+            }
+
+            const usage = {
+                prompt_tokens: inputTokens,
+                completion_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens,
+            };
+
+            console.group('%c[Anthropic Response]', 'color: #f2c29b; font-weight: bold');
+            console.log('Content:', content);
+            console.log(`Tokens — prompt: ${usage.prompt_tokens}, completion: ${usage.completion_tokens}, total: ${usage.total_tokens}`);
+            console.groupEnd();
+
+            return { ok: true, content, usage };
+        } catch (err) {
+            if (err?.name === 'AbortError') return { ok: false, aborted: true, error: 'Request aborted' };
+            console.error('[Anthropic Network Error]', err);
+            return { ok: false, error: `Network error: ${err.message}` };
+        }
+    },
+};
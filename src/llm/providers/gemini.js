@@ -0,0 +1,145 @@
+/**
+ * gemini.js — Google Gemini generateContent adapter
+ * @module llm/providers/gemini
+ */
+
+import { readEventStream, readErrorMessage } from '../sse.js';
+
+/** @type {import('../providerRegistry.js').ProviderAdapter} */
+export const geminiProvider = {
+    id: 'gemini',
+    name: 'Google Gemini',
+    models: ['gemini-2.5-flash-lite', 'gemini-2.5-flash', 'gemini-3-flash-preview'],
+    defaultContextWindow: 1048576,
+    authScheme: 'query-key',
+    supportsJsonMode: true,
+    supportsStreaming: true,
+
+    getApiKey: (settings) => settings.geminiApiKey,
+    getDefaultModel: (settings) => settings.geminiModel || 'gemini-2.5-flash-lite',
+    isConfigured: (settings) => !!settings.geminiApiKey,
+
+    /**
+     * Map OpenAI messages to Gemini format: the system message becomes
+     * systemInstruction and assistant turns use the "model" role.
+     */
+    mapMessages(messages) {
+        let systemInstruction = null;
+        const contents = [];
+
+        for (const msg of messages) {
+            if (msg.role === 'system') {
+                systemInstruction = { parts: [{ text: msg.content }] };
+            } else {
+                contents.push({
+                    role: msg.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: msg.content }]
+                });
+            }
+        }
+
+        return { systemInstruction, contents };
+    },
+
+    async complete({ apiKey, settings, messages, options }) {
+        const model = options.model || this.getDefaultModel(settings);
+        const temp = options.temperature ?? settings.temperature;
+
+        // streamGenerateContent with alt=sse emits one GenerateContentResponse per SSE event
+        const endpoint = options.onDelta
+            ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+            : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+        const { systemInstruction, contents } = this.mapMessages(messages);
+
+        const body = {
+            contents,
+            generationConfig: {
+                temperature: temp,
+            }
+        };
+
+        if (systemInstruction) {
+            body.systemInstruction = systemInstruction;
+        }
+
+        if (options.jsonMode) {
+            body.generationConfig.responseMimeType = "application/json";
+        }
+
+        console.group('%c[Gemini Request]', 'color: #ba7aff; font-weight: bold');
+        console.log('Model:', model);
+        console.log('Temperature:', temp);
+        console.log('JSON Mode:', !!options.jsonMode);
+        console.log('Streaming:', !!options.onDelta);
+        console.groupEnd();
+
+        let attempts = 0;
+        const maxAttempts = 3;
+
+        while (attempts < maxAttempts) {
+            attempts++;
+            try {
+                const res = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(body),
+                    signal: options.signal,
+                });
+
+                if (!res.ok) {
+                    // 429 is Rate Limit or Quota Exceeded, 503 is Service Unavailable
+                    if ((res.status === 429 || res.status === 503) && attempts < maxAttempts) {
+                        console.warn(`[Gemini Rate Limit/Overload] ${res.status} received. Retrying in 4 seconds... (Attempt ${attempts}/${maxAttempts})`);
+                        await new Promise(r => setTimeout(r, 4000));
+                        if (options.signal?.aborted) return { ok: false, aborted: true, error: 'Request aborted' };
+                        continue; // Retry
+                    }
+
+                    const errMsg = await readErrorMessage(res, `Gemini API Error (${res.status})`);
+                    console.error('[Gemini Error]', errMsg);
+                    return { ok: false, error: errMsg };
+                }
+
+                let content = '';
+                let usageMetadata = null;
+
+                if (options.onDelta) {
+                    await readEventStream(res, (chunk) => {
+                        const delta = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
+                        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+                        if (!delta) return;
+                        content += delta;
+                        options.onDelta(delta, content);
+                    });
+                } else {
+                    const data = await res.json();
+                    content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+                    usageMetadata = data.usageMetadata || null;
+                }
+
+                const usage = usageMetadata ? {
+                    prompt_tokens: usageMetadata.promptTokenCount,
+                    completion_tokens: usageMetadata.candidatesTokenCount,
+                    total_tokens: usageMetadata.totalTokenCount
+                } : null;
+
+                console.group('%c[Gemini Response]', 'color: #c98cff; font-weight: bold');
+                console.log('Content:', content);
+                if (usage) {
+                    console.log(`Tokens — prompt: ${usage.prompt_tokens}, completion: ${usage.completion_tokens}, total: ${usage.total_tokens}`);
+                }
+                console.groupEnd();
+
+                return { ok: true, content, usage };
+            } catch (err) {
+                if (err?.name === 'AbortError') return { ok: false, aborted: true, error: 'Request aborted' };
+                console.error('[Gemini Network Error]', err);
+                // Non-deterministic networks errors could be retried too, but let's stick to returning for now
+                return { ok: false, error: `Network error: ${err.message}` };
+            }
+        }
+    },
+};
@@ -0,0 +1,132 @@
+/**
+ * openai.js — OpenAI Chat Completions adapter
+ * @module llm/providers/openai
+ *
+ * Also exports the request/stream helper shared with every
+ * OpenAI-compatible endpoint (see openaiCompatible.js).
+ */
+
+import { readEventStream, readErrorMessage } from '../sse.js';
+
+const ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+
+/**
+ * POST an OpenAI-style chat completion and normalize the result.
+ * @param {Object} params
+ * @param {string} params.endpoint — full /chat/completions URL
+ * @param {Object} params.headers — auth headers (Content-Type is added here)
+ * @param {Array} params.messages
+ * @param {Object} params.options — model, temperature, jsonMode, onDelta
+ * @param {boolean} [params.jsonMode] — whether to send response_format
+ * @param {string} [params.label='LLM'] — console log prefix
+ * @returns {Promise<{ok:boolean, content?:string, usage?:Object, error?:string}>}
+ */
+export async function openaiStyleCompletion({ endpoint, headers, messages, options, jsonMode, label = 'LLM' }) {
+    const temp = options.temperature ?? 1;
+    const body = {
+        model: options.model,
+        messages,
+    };
+
+    // Only include temperature when it's not the default (1).
+    // Some models (e.g. gpt-5-mini, o-series) reject non-default temperature.
+    if (temp !== 1) {
+        body.temperature = temp;
+    }
+
+    if (jsonMode) {
+        body.response_format = { type: 'json_object' };
+    }
+
+    if (options.onDelta) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+    }
+
+    // Debug: log request
+    console.group(`%c[${label} Request]`, 'color: #7aa2ff; font-weight: bold');
+    console.log('Model:', body.model);
+    console.log('Temperature:', body.temperature);
+    console.log('JSON Mode:', !!jsonMode);
+    console.log('Streaming:', !!options.onDelta);
+    console.log('Messages:', JSON.parse(JSON.stringify(messages)));
+    console.groupEnd();
+
+    try {
+        const res = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers,
+            },
+            body: JSON.stringify(body),
+            signal: options.signal,
+        });
+
+        if (!res.ok) {
+            const errMsg = await readErrorMessage(res, `API Error (${res.status})`);
+            console.error(`[${label} Error]`, errMsg);
+            return { ok: false, error: errMsg };
+        }
+
+        let content = '';
+        let usage = null;
+
+        if (options.onDelta) {
+            await readEventStream(res, (chunk) => {
+                const delta = chunk.choices?.[0]?.delta?.content || '';
+                if (chunk.usage) usage = chunk.usage;
+                if (!delta) return;
+                content += delta;
+                options.onDelta(delta, content);
+            });
+        } else {
+            const data = await res.json();
+            content = data.choices?.[0]?.message?.content || '';
+            usage = data.usage || null;
+        }
+
+        // Debug: log response
+        console.group(`%c[${label} Response]`, 'color: #66ff99; font-weight: bold');
+        console.log('Content:', content);
+        if (usage) {
+            console.log(`Tokens — prompt: ${usage.prompt_tokens}, completion: ${usage.completion_tokens}, total: ${usage.total_tokens}`);
+        }
+        console.groupEnd();
+
+        return { ok: true, content, usage };
+    } catch (err) {
+        if (err?.name === 'AbortError') return { ok: false, aborted: true, error: 'Request aborted' };
+        console.error(`[${label} Network Error]`, err);
+        return { ok: false, error: `Network error: ${err.message}` };
+    }
+}
+
+/** @type {import('../providerRegistry.js').ProviderAdapter} */
+export const openaiProvider = {
+    id: 'openai',
+    name: 'OpenAI',
+    models: ['gpt-4o-mini', 'gpt-4o', 'o3-mini'],
+    contextWindows: { 'gpt-4o-mini': 128000, 'gpt-4o': 128000, 'o3-mini': 200000 },
+    authScheme: 'bearer',
+    supportsJsonMode: true,
+    supportsStreaming: true,
+
+    getApiKey: (settings) => settings.openaiApiKey,
+    getDefaultModel: (settings) => settings.openaiModel || 'gpt-4o-mini',
+    isConfigured: (settings) => !!settings.openaiApiKey,
+
+    // OpenAI is the canonical message format
+    mapMessages: (messages) => ({ messages }),
+
+    complete({ apiKey, messages, options }) {
+        return openaiStyleCompletion({
+            endpoint: ENDPOINT,
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            messages: this.mapMessages(messages).messages,
+            options,
+            jsonMode: options.jsonMode,
+            label: 'LLM',
+        });
+    },
+};
@@ -0,0 +1,52 @@
+/**
+ * openaiCompatible.js — Adapter for any OpenAI-compatible base URL
+ * @module llm/providers/openaiCompatible
+ *
+ * Covers local servers such as llama.cpp (`http://localhost:8080/v1`),
+ * Ollama (`http://localhost:11434/v1`) and vLLM (`http://localhost:8000/v1`).
+ * The model name is free-form and the API key is optional.
+ */
+
+import { openaiStyleCompletion } from './openai.js';
+
+/**
+ * Join the configured base URL with the chat completions path.
+ * Accepts base URLs with or without a trailing slash or `/chat/completions`.
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function resolveChatEndpoint(baseUrl) {
+    const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+    if (trimmed.endsWith('/chat/completions')) return trimmed;
+    return `${trimmed}/chat/completions`;
+}
+
+/** @type {import('../providerRegistry.js').ProviderAdapter} */
+export const openaiCompatibleProvider = {
+    id: 'local',
+    name: 'OpenAI 호환 (로컬/자체 호스팅)',
+    // Model IDs are whatever the local server serves; never routed by name
+    models: [],
+    // Local servers often run with a small context (llama.cpp/Ollama default to 4k–8k)
+    defaultContextWindow: 8192,
+    authScheme: 'optional-bearer',
+    supportsJsonMode: true,
+    supportsStreaming: true,
+
+    getApiKey: (settings) => settings.localApiKey,
+    getDefaultModel: (settings) => settings.localModel || 'local-model',
+    isConfigured: (settings) => !!settings.localBaseUrl,
+
+    mapMessages: (messages) => ({ messages }),
+
+    complete({ apiKey, settings, messages, options }) {
+        return openaiStyleCompletion({
+            endpoint: resolveChatEndpoint(settings.localBaseUrl),
+            headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+            messages: this.mapMessages(messages).messages,
+            options,
+            jsonMode: options.jsonMode && settings.localJsonMode !== false,
+            label: 'Local LLM',
+        });
+    },
+};
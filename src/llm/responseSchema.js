@@ -0,0 +1,227 @@
+/**
+ * responseSchema.js — Declared response schema for Prompt #3 and its validator
+ * @module llm/responseSchema
+ *
+ * The schema is a small declarative tree of field specs:
+ *   { type, required, nullable, min, max, minLength, enum, minItems, maxItems, items, properties, values, ref, keyRef, closedKeys }
+ * `ref` (and `keyRef` for map keys) marks strings that must name an entity of the session's worldSchema
+ * ('location', 'npc', 'item', 'stat', 'clock', or 'holder' — anywhere an item can be moved to).
+ * A ref is only checked when the world declares entities of that kind, except for map keys
+ * under `closedKeys`, which must match even when the world declares none.
+ * Cross-field rules (option count vs. isEnding) live in validatePrompt3Response,
+ * since they cannot be expressed per field.
+ */
+
+import { INVENTORY } from '../core/inventoryEngine.js';
+import { CUSTOM_CLOCK_MAX_DELTA, getCustomClocks } from '../core/clockEngine.js';
+import { MAX_TIME_ADVANCE } from '../core/worldTimeEngine.js';
+
+export const MAX_OPTIONS = 3;
+
+export const PROMPT3_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        directorNotes: { type: 'object', nullable: true },
+        logicalReasoning: { type: 'string' },
+        text: { type: 'string', required: true, minLength: 1 },
+        turnSummary: { type: 'string' },
+        statePatch: {
+            type: 'object',
+            properties: {
+                addFlags: { type: 'array', items: { type: 'string' } },
+                removeFlags: { type: 'array', items: { type: 'string' } },
+                locationChange: { type: 'string', nullable: true, ref: 'location' },
+                timeAdvance: { type: 'integer', min: 0, max: MAX_TIME_ADVANCE },
+                npcDisposition: {
+                    type: 'object',
+                    keyRef: 'npc',
+                    values: {
+                        type: 'object',
+                        properties: {
+                            trust: { type: 'integer', min: -2, max: 2 },
+                            fear: { type: 'integer', min: -2, max: 2 },
+                            hostility: { type: 'integer', min: -2, max: 2 },
+                            memory: { type: 'string' },
+                        },
+                    },
+                },
+                addItems: { type: 'array', items: { type: 'string', ref: 'item' } },
+                removeItems: { type: 'array', items: { type: 'string', ref: 'item' } },
+                moveItem: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        itemId: { type: 'string', required: true, ref: 'item' },
+                        to: { type: 'string', required: true, ref: 'holder' },
+                    },
+                },
+                npcStates: {
+                    type: 'object',
+                    keyRef: 'npc',
+                    values: {
+                        type: 'object',
+                        properties: {
+                            location: { type: 'string', ref: 'location' },
+                            status: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+        clockDelta: {
+            type: 'object',
+            properties: {
+                tension_delta: { type: 'integer', min: -1, max: 1 },
+                insight_delta: { type: 'integer', min: 0, max: 1 },
+            },
+            // Custom clocks from worldSchema.clocks, keyed by their id. The built-in clocks
+            // only move through the *_delta keys above, within their own ranges.
+            keyRef: 'clock',
+            closedKeys: true,
+            values: { type: 'integer', min: -CUSTOM_CLOCK_MAX_DELTA, max: CUSTOM_CLOCK_MAX_DELTA },
+        },
+        tensionLevel: { type: 'number', min: 1, max: 10 },
+        options: {
+            type: 'array',
+            required: true,
+            maxItems: MAX_OPTIONS,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', required: true, minLength: 1 },
+                    text: { type: 'string', required: true, minLength: 1 },
+                    check: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            stat: { type: 'string', required: true, ref: 'stat' },
+                            difficulty: { type: 'string', required: true, enum: ['easy', 'normal', 'hard'] },
+                        },
+                    },
+                },
+            },
+        },
+        isEnding: { type: 'boolean', required: true },
+        endingType: { type: 'string', nullable: true },
+        nodeTitle: { type: 'string' },
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+function collectRefs(worldSchema) {
+    const ids = (list) => (Array.isArray(list) ? list.map((entry) => entry?.id).filter(Boolean) : []);
+    const location = new Set(ids(worldSchema?.locations));
+    const npc = new Set(ids(worldSchema?.npcs));
+    const customClocks = getCustomClocks(worldSchema);
+    return {
+        location,
+        npc,
+        item: new Set(ids(worldSchema?.items)),
+        stat: new Set(ids(worldSchema?.protagonist?.stats)),
+        // clockDelta keys besides the built-in *_delta properties: the story's own clocks
+        clock: new Set(customClocks.map((clock) => clock.id)),
+        // Where an item can be moved to: the inventory, a location or an NPC
+        holder: location.size + npc.size > 0 ? new Set([INVENTORY, ...location, ...npc]) : new Set(),
+    };
+}
+
+function checkRef(value, ref, refs, path, errors, closed = false) {
+    const known = refs[ref] || new Set();
+    // A world without declared entities of this kind cannot be checked against.
+    if ((known.size === 0 && !closed) || known.has(value)) return;
+    errors.push(`${path}: unknown ${ref} id "${value}" (allowed: ${[...known].join(', ') || 'none'})`);
+}
+
+function validateNode(value, spec, path, refs, errors) {
+    if (value === null && spec.nullable) return;
+    if (!matchesType(value, spec.type)) {
+        errors.push(`${path}: expected ${spec.type}${spec.nullable ? ' or null' : ''}, got ${typeOf(value)}`);
+        return;
+    }
+
+    if (spec.type === 'string') {
+        if (spec.minLength && value.trim().length < spec.minLength) errors.push(`${path}: must not be empty`);
+        if (spec.enum && !spec.enum.includes(value)) errors.push(`${path}: must be one of ${spec.enum.join(', ')}, got "${value}"`);
+        if (spec.ref) checkRef(value, spec.ref, refs, path, errors);
+    }
+
+    if (spec.type === 'number' || spec.type === 'integer') {
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            errors.push(`${path}: ${value} is out of range [${spec.min}, ${spec.max}]`);
+        }
+    }
+
+    if (spec.type === 'array') {
+        if (spec.minItems !== undefined && value.length < spec.minItems) errors.push(`${path}: needs at least ${spec.minItems} item(s), got ${value.length}`);
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) errors.push(`${path}: allows at most ${spec.maxItems} item(s), got ${value.length}`);
+        if (spec.items) value.forEach((item, i) => validateNode(item, spec.items, `${path}[${i}]`, refs, errors));
+    }
+
+    if (spec.type === 'object') {
+        for (const [key, childSpec] of Object.entries(spec.properties || {})) {
+            const child = value[key];
+            if (child === undefined) {
+                if (childSpec.required) errors.push(`${path}.${key}: is required`);
+                continue;
+            }
+            validateNode(child, childSpec, `${path}.${key}`, refs, errors);
+        }
+        if (spec.values) {
+            for (const [key, child] of Object.entries(value)) {
+                // Declared properties were already checked against their own spec
+                if (spec.properties && key in spec.properties) continue;
+                if (spec.keyRef) checkRef(key, spec.keyRef, refs, `${path} key`, errors, spec.closedKeys);
+                validateNode(child, spec.values, `${path}.${key}`, refs, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a parsed Prompt #3 response against PROMPT3_RESPONSE_SCHEMA and the world it plays in.
+ *
+ * On top of the per-field schema:
+ *   - a non-ending turn must offer 1..MAX_OPTIONS options, an ending turn none
+ *   - option ids must be unique within the turn
+ *   - an ending must name its endingType
+ *
+ * @param {any} data — parsed response
+ * @param {Object|null} worldSchema — used for location/NPC/item id checks
+ * @returns {{ ok: true, data: Object } | { ok: false, errors: string[] }}
+ */
+export function validatePrompt3Response(data, worldSchema = null) {
+    const errors = [];
+    validateNode(data, PROMPT3_RESPONSE_SCHEMA, '$', collectRefs(worldSchema), errors);
+
+    const options = data?.options;
+    if (Array.isArray(options)) {
+        if (!data.isEnding && options.length === 0) {
+            errors.push('$.options: a non-ending turn needs at least 1 option');
+        }
+        if (data.isEnding && options.length > 0) {
+            errors.push('$.options: must be an empty array when isEnding is true');
+        }
+        if (data.isEnding && !data.endingType) {
+            errors.push('$.endingType: is required when isEnding is true');
+        }
+        const seen = new Set();
+        options.forEach((opt, i) => {
+            if (!opt?.id) return;
+            if (seen.has(opt.id)) errors.push(`$.options[${i}].id: duplicate option id "${opt.id}"`);
+            seen.add(opt.id);
+        });
+    }
+
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, data };
+}
@@ -0,0 +1,62 @@
+/**
+ * sse.js — Server-sent-event reader for streamed LLM responses
+ * @module llm/sse
+ */
+
+/**
+ * Read a server-sent-event response body line by line.
+ * Calls onData with every parsed `data:` JSON payload; `[DONE]` and
+ * unparseable keep-alive lines are skipped.
+ * @param {Response} res
+ * @param {(data: Object) => void} onData
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(res, onData) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        let data;
+        try {
+            data = JSON.parse(payload);
+        } catch (_) {
+            return;
+        }
+        onData(data);
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let newlineIdx;
+        while ((newlineIdx = buffer.indexOf('\n')) !== -1) {
+            flushLine(buffer.slice(0, newlineIdx).replace(/\r$/, ''));
+            buffer = buffer.slice(newlineIdx + 1);
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) flushLine(buffer.replace(/\r$/, ''));
+}
+
+/**
+ * Read a non-OK response body and pull out the provider's error message.
+ * @param {Response} res
+ * @param {string} fallback — used when the body has no `error.message`
+ * @returns {Promise<string>}
+ */
+export async function readErrorMessage(res, fallback) {
+    const errBody = await res.text();
+    try {
+        const errJson = JSON.parse(errBody);
+        return errJson.error?.message || fallback;
+    } catch (_) {
+        return fallback;
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * tokens.js — Rough token estimates for prompt budgeting
+ * @module llm/tokens
+ *
+ * No tokenizer ships with the app, so sizes are estimated from characters:
+ * about 4 ASCII characters per token, and Hangul/CJK at roughly 1.5 characters
+ * per token across the providers we use. Estimates lean high on purpose.
+ */
+
+/**
+ * Estimate how many tokens a text costs.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    let other = 0;
+    for (const ch of String(text)) {
+        if (ch.charCodeAt(0) < 128) ascii++;
+        else other++;
+    }
+    return Math.ceil(ascii / 4 + other / 1.5);
+}
+
+/**
+ * Take items in order while their estimated size fits the budget.
+ * Stops at the first item that does not fit, so the result stays contiguous.
+ *
+ * @template T
+ * @param {T[]} items — in priority order
+ * @param {number} budget — tokens
+ * @param {(item: T) => string} toText
+ * @returns {{ taken: T[], used: number }}
+ */
+export function takeWithinBudget(items, budget, toText) {
+    const taken = [];
+    let used = 0;
+    for (const item of items) {
+        const cost = estimateTokens(toText(item));
+        if (used + cost > budget) break;
+        taken.push(item);
+        used += cost;
+    }
+    return { taken, used };
+}
+
+/**
+ * Cut text down to roughly maxTokens, preferring a line or sentence boundary.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [marker=' …(omitted for length)']
+ * @returns {string} '' when not even a short prefix fits
+ */
+export function truncateToTokens(text, maxTokens, marker = ' …(omitted for length)') {
+    if (!text || estimateTokens(text) <= maxTokens) return text || '';
+    const room = maxTokens - estimateTokens(marker);
+    if (room <= 0) return '';
+
+    // Binary search the longest prefix that fits, then back off to a boundary
+    let lo = 0;
+    let hi = text.length;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (estimateTokens(text.slice(0, mid)) <= room) lo = mid;
+        else hi = mid - 1;
+    }
+    const prefix = text.slice(0, lo);
+    const boundary = Math.max(prefix.lastIndexOf('\n'), prefix.search(/[.!?。！？][^.!?。！？]*$/) + 1);
+    const cut = boundary > lo * 0.5 ? prefix.slice(0, boundary) : prefix;
+    return cut.trimEnd() ? `${cut.trimEnd()}${marker}` : '';
+}
@@ -3,6 +3,8 @@
  * @module storage/kvdb
  *
  * DB: "keyval-store", version 1, single object store "keyval"
+ * Keys are namespaced strings ("session:<id>", "node:<id>:<nodeId>", ...);
+ * getByPrefix() reads one namespace with a key range instead of a full scan.
  */
 
 const DB_NAME = 'narrive';
@@ -88,3 +90,41 @@ export function del(key) {
 export function keys() {
     return withStore('readonly', (store) => store.getAllKeys());
 }
+
+/**
+ * Get every entry whose key starts with the given prefix.
+ * @param {string} prefix
+ * @returns {Promise<Array<{key: string, value: any}>>}
+ */
+export async function getByPrefix(prefix) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readonly');
+        const store = tx.objectStore(STORE_NAME);
+        const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+        const keysReq = store.getAllKeys(range);
+        const valuesReq = store.getAll(range);
+        tx.oncomplete = () => resolve(keysReq.result.map((key, i) => ({ key, value: valuesReq.result[i] })));
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Apply several puts and deletes in one transaction (all or nothing).
+ * @param {Array<[string, any]>} puts — [key, value] pairs
+ * @param {string[]} [dels]
+ * @returns {Promise<void>}
+ */
+export async function batch(puts, dels = []) {
+    if (puts.length === 0 && dels.length === 0) return;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        puts.forEach(([key, value]) => store.put(value, key));
+        dels.forEach((key) => store.delete(key));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
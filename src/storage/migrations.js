@@ -0,0 +1,260 @@
+/**
+ * migrations.js — GameSessionBlob schema versions and upgrade pipeline
+ * @module storage/migrations
+ *
+ * Every blob carries `schemaVersion`. Blobs saved before versioning existed
+ * count as version 0. On load, each migration whose version is above the
+ * blob's runs in order, so a blob from any older release is upgraded
+ * step by step to CURRENT_SCHEMA_VERSION.
+ *
+ * To change the blob shape: append a migration with the next version number
+ * and bump nothing else — CURRENT_SCHEMA_VERSION follows the list.
+ */
+
+import { recordMilestones } from '../core/milestoneEngine.js';
+import { createInitialItemLocations } from '../core/inventoryEngine.js';
+import { createRngSeed } from '../core/skillCheckEngine.js';
+import { createInitialWorldTime } from '../core/worldTimeEngine.js';
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Every stateSnapshot in the blob, plus the live gameState. */
+function eachState(blob, fn) {
+    if (isPlainObject(blob.gameState)) fn(blob.gameState);
+    Object.values(blob.nodesById).forEach((node) => {
+        if (isPlainObject(node?.stateSnapshot)) fn(node.stateSnapshot);
+    });
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version — schemaVersion the blob has after this step
+ * @property {string} description
+ * @property {(blob: Object) => void} up — mutates the blob in place
+ */
+
+/** @type {Migration[]} */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'worldSchema lives on both session and synopsis',
+        up(blob) {
+            blob.synopsis = isPlainObject(blob.synopsis) ? blob.synopsis : {};
+            const worldSchema = blob.worldSchema || blob.synopsis.worldSchema || null;
+            blob.worldSchema = worldSchema;
+            blob.synopsis.worldSchema = worldSchema;
+        },
+    },
+    {
+        version: 2,
+        description: 'inventory was removed from the game state',
+        up(blob) {
+            eachState(blob, (state) => {
+                delete state.inventory;
+                delete state.items;
+            });
+        },
+    },
+    {
+        version: 3,
+        description: 'game state tracks npcStates and both clocks',
+        up(blob) {
+            const npcs = Array.isArray(blob.worldSchema?.npcs) ? blob.worldSchema.npcs : [];
+            eachState(blob, (state) => {
+                if (!isPlainObject(state.npcStates)) {
+                    state.npcStates = {};
+                    npcs.forEach((npc) => {
+                        if (!npc?.id) return;
+                        state.npcStates[npc.id] = {
+                            location: npc.initialLocationId || npc.startingLocationId || npc.locationId || '',
+                            status: npc.initialStatus || '대기 중',
+                        };
+                    });
+                }
+                state.clocks = { tension: 0, insight: 0, ...(isPlainObject(state.clocks) ? state.clocks : {}) };
+            });
+        },
+    },
+    {
+        version: 4,
+        description: 'fields StoryView relies on are always present',
+        up(blob) {
+            if (!Array.isArray(blob.edges)) blob.edges = [];
+            blob.synopsis.storyLength = blob.synopsis.storyLength || '중편';
+            blob.llm = isPlainObject(blob.llm) ? blob.llm : {};
+            blob.themeColor = {
+                initialThemeColor: '#0f111a',
+                climaxThemeColor: '#000000',
+                accentColor: '#ff9e80',
+                ...(isPlainObject(blob.themeColor) ? blob.themeColor : {}),
+            };
+
+            if (!blob.nodesById[blob.currentNodeId]) blob.currentNodeId = blob.rootNodeId;
+            if (!isPlainObject(blob.gameState)) {
+                blob.gameState = { ...(blob.nodesById[blob.currentNodeId].stateSnapshot || {}) };
+            }
+
+            Object.values(blob.nodesById).forEach((node) => {
+                if (!Array.isArray(node.options)) node.options = [];
+                if (!isPlainObject(node.meta)) node.meta = {};
+                if (typeof node.text !== 'string') node.text = '';
+                if (!isPlainObject(node.stateSnapshot)) node.stateSnapshot = { ...blob.gameState };
+                node.isEnding = !!node.isEnding;
+                node.visited = node.visited !== false;
+            });
+
+            eachState(blob, (state) => {
+                if (typeof state.location !== 'string') state.location = '';
+                if (!isPlainObject(state.flags)) state.flags = {};
+                if (!Array.isArray(state.eventLedger)) state.eventLedger = [];
+                if (!isPlainObject(state.clocks)) state.clocks = { tension: 0, insight: 0 };
+                if (!isPlainObject(state.npcStates)) state.npcStates = {};
+                if (typeof state.turnCount !== 'number') state.turnCount = 0;
+                if (typeof state.tensionLevel !== 'number') state.tensionLevel = 1;
+            });
+        },
+    },
+    {
+        version: 5,
+        description: 'session tracks prefetch spending',
+        up(blob) {
+            const usage = isPlainObject(blob.prefetchUsage) ? blob.prefetchUsage : {};
+            blob.prefetchUsage = {
+                calls: Number(usage.calls) || 0,
+                tokens: Number(usage.tokens) || 0,
+            };
+        },
+    },
+    {
+        version: 6,
+        description: 'session keeps a usage log of its LLM calls',
+        up(blob) {
+            if (!Array.isArray(blob.usageLog)) blob.usageLog = [];
+        },
+    },
+    {
+        version: 7,
+        description: 'state snapshots log when each milestone was completed',
+        up(blob) {
+            // Parents before children, so each node extends its parent's log
+            const nodes = Object.values(blob.nodesById)
+                .filter((node) => isPlainObject(node?.stateSnapshot))
+                .sort((a, b) => (a.depth || 0) - (b.depth || 0));
+            nodes.forEach((node) => {
+                const parentLog = blob.nodesById[node.parentId]?.stateSnapshot?.milestoneLog || [];
+                node.stateSnapshot.milestoneLog = recordMilestones(blob.worldSchema, { ...node.stateSnapshot, milestoneLog: parentLog }, node.id);
+            });
+            if (isPlainObject(blob.gameState)) {
+                blob.gameState.milestoneLog = [...(blob.nodesById[blob.currentNodeId]?.stateSnapshot?.milestoneLog || [])];
+            }
+        },
+    },
+    {
+        version: 8,
+        description: 'game state tracks where each item is',
+        up(blob) {
+            // Older turns could not move items, so every item is still where the schema put it
+            eachState(blob, (state) => {
+                if (!isPlainObject(state.itemLocations)) state.itemLocations = createInitialItemLocations(blob.worldSchema);
+            });
+        },
+    },
+    {
+        version: 9,
+        description: 'session has a seed for skill check dice',
+        up(blob) {
+            if (!Number.isInteger(blob.rngSeed)) blob.rngSeed = createRngSeed();
+        },
+    },
+    {
+        version: 10,
+        description: 'game state tracks the in-world day and hour',
+        up(blob) {
+            // Older turns never advanced time, so the whole story stays at its starting time
+            eachState(blob, (state) => {
+                if (!isPlainObject(state.worldTime)) state.worldTime = createInitialWorldTime(blob.worldSchema);
+            });
+        },
+    },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a stored session blob to CURRENT_SCHEMA_VERSION.
+ * The input is never mutated; a failed migration leaves nothing half-applied.
+ *
+ * @param {any} blob — as read from storage
+ * @returns {{ ok: true, session: Object, fromVersion: number, migrated: boolean } | { ok: false, error: string }}
+ */
+export function migrateSession(blob) {
+    if (!isPlainObject(blob) || !isPlainObject(blob.nodesById) || !blob.rootNodeId) {
+        return { ok: false, error: '세션 데이터가 손상되어 불러올 수 없습니다. (nodesById/rootNodeId 없음)' };
+    }
+    if (!blob.nodesById[blob.rootNodeId]) {
+        return { ok: false, error: '세션 데이터가 손상되어 불러올 수 없습니다. (루트 노드 없음)' };
+    }
+
+    const fromVersion = blob.schemaVersion ?? 0;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        return { ok: false, error: `알 수 없는 세션 형식 버전입니다: ${String(blob.schemaVersion)}` };
+    }
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        return {
+            ok: false,
+            error: `이 세션은 더 새로운 버전(v${fromVersion})에서 저장되었습니다. 이 앱은 v${CURRENT_SCHEMA_VERSION}까지 지원합니다.`,
+        };
+    }
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { ok: true, session: blob, fromVersion, migrated: false };
+    }
+
+    const session = structuredClone(blob);
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        try {
+            migration.up(session);
+        } catch (err) {
+            return {
+                ok: false,
+                error: `세션을 v${migration.version}(${migration.description})으로 변환하지 못했습니다: ${err?.message || err}`,
+            };
+        }
+        session.schemaVersion = migration.version;
+    }
+
+    return { ok: true, session, fromVersion, migrated: true };
+}
+
+/**
+ * Check that a current-schema session hangs together as a tree: the current node
+ * exists, every parentId resolves, and every edge (and take) points at stored nodes.
+ * Used on imports, where a hand-edited or truncated file would otherwise be saved
+ * and break the story view on load.
+ *
+ * @param {Object} session — as returned by migrateSession
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export function checkSessionStructure(session) {
+    const broken = (detail) => ({ ok: false, error: `세션 데이터가 손상되어 불러올 수 없습니다. (${detail})` });
+    const nodes = session.nodesById;
+
+    if (!nodes[session.currentNodeId]) return broken(`현재 노드 없음: ${String(session.currentNodeId)}`);
+    for (const [id, node] of Object.entries(nodes)) {
+        if (!isPlainObject(node)) return broken(`노드 형식 오류: ${id}`);
+        if (node.parentId && !nodes[node.parentId]) return broken(`부모 노드 없음: ${id} → ${node.parentId}`);
+    }
+
+    if (!Array.isArray(session.edges)) return broken('edges 없음');
+    for (const edge of session.edges) {
+        if (!isPlainObject(edge) || !nodes[edge.from] || !nodes[edge.to]) {
+            return broken(`잘못된 연결: ${edge?.from} → ${edge?.to}`);
+        }
+        if (edge.takes !== undefined && (!Array.isArray(edge.takes) || edge.takes.some((id) => !nodes[id]))) {
+            return broken(`잘못된 테이크 목록: ${edge.from} → ${edge.to}`);
+        }
+    }
+    return { ok: true };
+}
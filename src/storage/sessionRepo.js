@@ -2,71 +2,232 @@
  * sessionRepo.js — Session persistence (IndexedDB KV)
  * @module storage/sessionRepo
  *
- * Keys:
+ * A session is split across keys so a save only writes what changed:
+ *   "meta:<id>"               → SessionMeta { id, title, createdAt, updatedAt, hasThumbnail, usage }
+ *   "session:<id>"            → session head: the blob without nodesById, edges and thumbnail
+ *   "node:<id>:<nodeId>"      → one StoryNode
+ *   "edges:<id>"              → edges array
+ *   "asset:<id>:thumbnail"    → base64 thumbnail
+ *   "search:<id>"             → search index (core/searchEngine), written when it changed
+ *
+ * Legacy layout (still readable, converted on the next save):
  *   "index:sessions"  → { [sessionId]: SessionMeta }
- *   "session:<id>"     → GameSessionBlob
+ *   "session:<id>"     → full GameSessionBlob
+ *
+ * The repo remembers what it last wrote for each session it loaded or saved,
+ * and saveSession() diffs against that: unchanged nodes, edges and thumbnail
+ * are skipped, removed nodes are deleted.
  */
 
 import * as kv from './kvdb.js';
+import { summarizeUsage } from '../core/usageTracker.js';
+import { getSearchIndex, serializeSearchIndex } from '../core/searchEngine.js';
 
-const INDEX_KEY = 'index:sessions';
+const LEGACY_INDEX_KEY = 'index:sessions';
 const ACTIVE_SESSION_KEY = 'active:sessionId';
+const SPLIT_LAYOUT = 2;
 
+const metaKey = (id) => `meta:${id}`;
+const headKey = (id) => `session:${id}`;
+const nodePrefix = (id) => `node:${id}:`;
+const edgesKey = (id) => `edges:${id}`;
+const thumbnailKey = (id) => `asset:${id}:thumbnail`;
+const searchKey = (id) => `search:${id}`;
 
 /**
- * Get the sessions index map, creating it if missing.
+ * What was last persisted per session, as serialized strings for cheap comparison.
+ * @type {Map<string, { nodes: Map<string, string>, edges: string, thumbnail: string|null }>}
+ */
+const written = new Map();
+
+/**
+ * Get the legacy sessions index map.
  * @returns {Promise<Object.<string, {id:string, title:string, updatedAt:number}>>}
  */
-async function getIndex() {
-    return (await kv.get(INDEX_KEY)) || {};
+async function getLegacyIndex() {
+    return (await kv.get(LEGACY_INDEX_KEY)) || {};
 }
 
 /**
  * List all session metas, sorted by updatedAt desc.
- * @returns {Promise<Array<{id:string, title:string, updatedAt:number}>>}
+ * @returns {Promise<Array<{id:string, title:string, updatedAt:number, thumbnailBase64:string|null}>>}
  */
 export async function listSessions() {
-    const index = await getIndex();
-    return Object.values(index).sort((a, b) => b.updatedAt - a.updatedAt);
+    const metas = { ...(await getLegacyIndex()) };
+    const entries = await kv.getByPrefix('meta:');
+    entries.forEach(({ value }) => { metas[value.id] = value; });
+
+    const list = await Promise.all(Object.values(metas).map(async (meta) => {
+        if (!meta.hasThumbnail) return { ...meta, thumbnailBase64: meta.thumbnailBase64 || null };
+        return { ...meta, thumbnailBase64: (await kv.get(thumbnailKey(meta.id))) || null };
+    }));
+    return list.sort((a, b) => b.updatedAt - a.updatedAt);
 }
 
 /**
- * Get a full session blob by ID.
+ * Get a full session blob by ID, reassembled from its keys.
  * @param {string} id
  * @returns {Promise<Object|undefined>}
  */
 export async function getSession(id) {
-    return kv.get(`session:${id}`);
+    const head = await kv.get(headKey(id));
+    if (!head) return undefined;
+
+    // Legacy monolithic blob: returned as is, split up by the next save
+    if (head.storageLayout !== SPLIT_LAYOUT) return head;
+
+    const [nodeEntries, edges, thumbnail] = await Promise.all([
+        kv.getByPrefix(nodePrefix(id)),
+        kv.get(edgesKey(id)),
+        kv.get(thumbnailKey(id)),
+    ]);
+
+    const { storageLayout: _layout, ...rest } = head;
+    const blob = {
+        ...rest,
+        nodesById: Object.fromEntries(nodeEntries.map(({ value }) => [value.id, value])),
+        edges: edges || [],
+        thumbnailBase64: thumbnail || null,
+    };
+
+    written.set(id, {
+        nodes: new Map(Object.values(blob.nodesById).map((node) => [node.id, JSON.stringify(node)])),
+        edges: JSON.stringify(blob.edges),
+        thumbnail: blob.thumbnailBase64,
+    });
+
+    return blob;
+}
+
+/** Usage totals shown on session cards, so listing does not load whole sessions. */
+function summarizeMetaUsage(usageLog) {
+    const { total } = summarizeUsage(usageLog);
+    return { calls: total.calls, totalTokens: total.totalTokens, costUsd: total.costUsd, unpricedCalls: total.unpricedCalls };
 }
 
 /**
- * Save a session blob and update the index.
+ * Work out the key writes for saving a blob, given what was last written.
+ * Pure: does not touch storage.
+ *
  * @param {Object} blob — full GameSessionBlob
+ * @param {{ nodes: Map<string, string>, edges: string, thumbnail: string|null } | undefined} previous
+ * @returns {{ puts: Array<[string, any]>, dels: string[], next: Object, dirtyNodeIds: string[] }}
  */
-export async function saveSession(blob) {
-    // Update index entry
-    const index = await getIndex();
-    index[blob.id] = {
-        id: blob.id,
+export function planSessionWrite(blob, previous) {
+    const { id } = blob;
+    const { nodesById, edges, thumbnailBase64, ...head } = blob;
+    const puts = [];
+    const dels = [];
+    const dirtyNodeIds = [];
+
+    const nodes = new Map();
+    for (const node of Object.values(nodesById)) {
+        const serialized = JSON.stringify(node);
+        nodes.set(node.id, serialized);
+        if (previous?.nodes.get(node.id) !== serialized) {
+            puts.push([`${nodePrefix(id)}${node.id}`, node]);
+            dirtyNodeIds.push(node.id);
+        }
+    }
+    previous?.nodes.forEach((_, nodeId) => {
+        if (!nodes.has(nodeId)) dels.push(`${nodePrefix(id)}${nodeId}`);
+    });
+
+    const edgesSerialized = JSON.stringify(edges || []);
+    if (previous?.edges !== edgesSerialized) puts.push([edgesKey(id), edges || []]);
+
+    const thumbnail = thumbnailBase64 || null;
+    if (!previous || previous.thumbnail !== thumbnail) {
+        if (thumbnail) {
+            puts.push([thumbnailKey(id), thumbnail]);
+        } else if (previous) {
+            dels.push(thumbnailKey(id));
+        }
+    }
+
+    puts.push([headKey(id), { ...head, storageLayout: SPLIT_LAYOUT }]);
+    puts.push([metaKey(id), {
+        id,
         title: blob.title,
         createdAt: blob.createdAt,
         updatedAt: blob.updatedAt,
-        thumbnailBase64: blob.thumbnailBase64 || null,
-    };
-    await kv.put(INDEX_KEY, index);
-    await kv.put(`session:${blob.id}`, blob);
+        hasThumbnail: !!thumbnail,
+        usage: summarizeMetaUsage(blob.usageLog),
+    }]);
+
+    return { puts, dels, next: { nodes, edges: edgesSerialized, thumbnail }, dirtyNodeIds };
 }
 
 /**
- * Delete a session and remove from index.
+ * Save a session blob, writing only the parts that changed since the last save.
+ * @param {Object} blob — full GameSessionBlob
+ */
+export async function saveSession(blob) {
+    const previous = written.get(blob.id);
+    const { puts, dels, next } = planSessionWrite(blob, previous);
+
+    // First save in this layout: drop any legacy index entry for the session
+    if (!previous) {
+        const legacyIndex = await getLegacyIndex();
+        if (legacyIndex[blob.id]) {
+            delete legacyIndex[blob.id];
+            puts.push([LEGACY_INDEX_KEY, legacyIndex]);
+        }
+    }
+
+    // Cleared before the write so nodes indexed while it is in flight stay dirty
+    const searchIndex = getSearchIndex(blob);
+    const writeSearchIndex = searchIndex.dirty;
+    if (writeSearchIndex) {
+        puts.push([searchKey(blob.id), serializeSearchIndex(searchIndex)]);
+        searchIndex.dirty = false;
+    }
+
+    try {
+        await kv.batch(puts, dels);
+    } catch (e) {
+        if (writeSearchIndex) searchIndex.dirty = true;
+        throw e;
+    }
+    written.set(blob.id, next);
+}
+
+/**
+ * Get the stored search index of a session without loading the session.
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getStoredSearchIndex(id) {
+    return kv.get(searchKey(id));
+}
+
+/**
+ * Store a session's search index on its own, without touching the session.
+ * @param {string} sessionId
+ * @param {{ version: number, docs: Object, dirty: boolean }} index — as built by core/searchEngine
+ */
+export async function saveSearchIndex(sessionId, index) {
+    await kv.put(searchKey(sessionId), serializeSearchIndex(index));
+    index.dirty = false;
+}
+
+/**
+ * Delete a session and every key that belongs to it.
  * @param {string} id
  */
 export async function deleteSession(id) {
-    const index = await getIndex();
-    delete index[id];
-    await kv.put(INDEX_KEY, index);
-    await kv.del(`session:${id}`);
+    const nodeKeys = (await kv.getByPrefix(nodePrefix(id))).map(({ key }) => key);
+    const puts = [];
+    const legacyIndex = await getLegacyIndex();
+    if (legacyIndex[id]) {
+        delete legacyIndex[id];
+        puts.push([LEGACY_INDEX_KEY, legacyIndex]);
+    }
+
+    await kv.batch(puts, [metaKey(id), headKey(id), edgesKey(id), thumbnailKey(id), searchKey(id), ...nodeKeys]);
+    written.delete(id);
 }
+
 /**
  * Get the ID of the last active session.
  * @returns {Promise<string|null>}
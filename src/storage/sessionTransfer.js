@@ -0,0 +1,137 @@
+/**
+ * sessionTransfer.js — Portable .narrive.json session files
+ * @module storage/sessionTransfer
+ *
+ * File shapes:
+ *   single session → { format: "narrive.session", formatVersion, exportedAt, session }
+ *   backup         → { format: "narrive.backup",  formatVersion, exportedAt, sessions: [...] }
+ *
+ * Sessions are exported exactly as stored (thumbnail and the whole tree included,
+ * with the player's bookmarks and notes on its nodes);
+ * imports go through migrateSession, so files from older releases are upgraded,
+ * and checkSessionStructure, so a broken tree is rejected instead of stored.
+ */
+
+import * as repo from './sessionRepo.js';
+import { checkSessionStructure, migrateSession } from './migrations.js';
+import { generateId } from '../core/id.js';
+
+export const FILE_EXTENSION = '.narrive.json';
+const SESSION_FORMAT = 'narrive.session';
+const BACKUP_FORMAT = 'narrive.backup';
+const FORMAT_VERSION = 1;
+
+function toFileStem(title) {
+    const stem = String(title || 'session')
+        .trim()
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, '_')
+        .slice(0, 60);
+    return stem || 'session';
+}
+
+function toDateStamp(ts) {
+    return new Date(ts).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Build the export file for one stored session.
+ * @param {string} id
+ * @returns {Promise<{ok:boolean, filename?:string, content?:string, error?:string}>}
+ */
+export async function exportSession(id) {
+    const blob = await repo.getSession(id);
+    if (!blob) return { ok: false, error: '세션을 찾을 수 없습니다.' };
+
+    const file = { format: SESSION_FORMAT, formatVersion: FORMAT_VERSION, exportedAt: Date.now(), session: blob };
+    return { ok: true, filename: `${toFileStem(blob.title)}${FILE_EXTENSION}`, content: JSON.stringify(file) };
+}
+
+/**
+ * Build a backup file holding every stored session.
+ * @returns {Promise<{ok:boolean, filename?:string, content?:string, count?:number, error?:string}>}
+ */
+export async function exportAllSessions() {
+    const metas = await repo.listSessions();
+    const sessions = (await Promise.all(metas.map((m) => repo.getSession(m.id)))).filter(Boolean);
+    if (sessions.length === 0) return { ok: false, error: '내보낼 세션이 없습니다.' };
+
+    const exportedAt = Date.now();
+    const file = { format: BACKUP_FORMAT, formatVersion: FORMAT_VERSION, exportedAt, sessions };
+    return {
+        ok: true,
+        filename: `narrive-backup-${toDateStamp(exportedAt)}${FILE_EXTENSION}`,
+        content: JSON.stringify(file),
+        count: sessions.length,
+    };
+}
+
+/**
+ * Read the session blobs out of an export file's text.
+ * Accepts single-session files, backups, and a bare session blob.
+ * @param {string} text
+ * @returns {{ ok: true, sessions: Object[] } | { ok: false, error: string }}
+ */
+export function parseSessionFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { ok: false, error: `JSON 형식이 아닙니다: ${err.message}` };
+    }
+    if (!data || typeof data !== 'object') return { ok: false, error: '알 수 없는 파일 형식입니다.' };
+
+    if (data.format === SESSION_FORMAT || data.format === BACKUP_FORMAT) {
+        if (data.formatVersion > FORMAT_VERSION) {
+            return { ok: false, error: `더 새로운 버전의 파일입니다 (format v${data.formatVersion}).` };
+        }
+        const sessions = data.format === SESSION_FORMAT ? [data.session] : data.sessions;
+        if (!Array.isArray(sessions) || sessions.length === 0) return { ok: false, error: '파일에 세션이 없습니다.' };
+        return { ok: true, sessions };
+    }
+
+    if (data.nodesById && data.rootNodeId) return { ok: true, sessions: [data] };
+    return { ok: false, error: '알 수 없는 파일 형식입니다.' };
+}
+
+/**
+ * Validate and store the sessions of one export file.
+ * Each session is migrated to the current schema; one whose ID is already
+ * taken gets a new ID. Invalid sessions are skipped and reported.
+ *
+ * @param {string} text — file contents
+ * @returns {Promise<{ok:boolean, imported?:Array<{id:string, title:string, renamed:boolean}>, failed?:Array<{title:string, error:string}>, error?:string}>}
+ */
+export async function importSessionFile(text) {
+    const parsed = parseSessionFile(text);
+    if (!parsed.ok) return parsed;
+
+    const takenIds = new Set((await repo.listSessions()).map((m) => m.id));
+    const imported = [];
+    const failed = [];
+
+    for (const raw of parsed.sessions) {
+        const title = raw?.title || '(제목 없음)';
+        const migrated = migrateSession(raw);
+        if (!migrated.ok) {
+            failed.push({ title, error: migrated.error });
+            continue;
+        }
+        const structure = checkSessionStructure(migrated.session);
+        if (!structure.ok) {
+            failed.push({ title, error: structure.error });
+            continue;
+        }
+
+        // migrateSession returns the input untouched when already current; never store the caller's object
+        const session = migrated.migrated ? migrated.session : structuredClone(migrated.session);
+        const renamed = !session.id || takenIds.has(session.id);
+        if (renamed) session.id = generateId();
+        takenIds.add(session.id);
+
+        await repo.saveSession(session);
+        imported.push({ id: session.id, title, renamed });
+    }
+
+    return { ok: imported.length > 0, imported, failed, error: imported.length === 0 ? failed[0]?.error : undefined };
+}
@@ -41,6 +41,10 @@ export function renderAuthView(container, onComplete) {
                     시작하기
                 </button>
                 
+                <button class="btn btn-ghost" id="btn-auth-mock" style="width: 100%; margin-top: 8px; font-size: 13px;">
+                    키 없이 오프라인 모드(Mock)로 둘러보기
+                </button>
+
                 <p style="font-size: 12px; color: var(--text-secondary); margin-top: 16px; opacity: 0.6;">입력하신 키는 브라우저 로컬 저장소에만 안전하게 보관됩니다.</p>
             </div>
         </div>
@@ -71,4 +75,10 @@ export function renderAuthView(container, onComplete) {
         // Brief delay for visual feedback
         setTimeout(onComplete, 800);
     });
+
+    container.querySelector('#btn-auth-mock').addEventListener('click', () => {
+        saveSettings({ provider: 'mock' });
+        showToast('오프라인 모드로 시작합니다.', 'info');
+        setTimeout(onComplete, 300);
+    });
 }
@@ -0,0 +1,68 @@
+/**
+ * BookmarksPanel.js — Right sidebar: the player's bookmarked and annotated scenes
+ * @module ui/components/BookmarksPanel
+ *
+ * Lists every node with a bookmark or a note, on any branch, in story order.
+ * Clicking an entry jumps to the scene like a TreeNav click.
+ */
+
+import { listAnnotatedNodes } from '../../core/annotationEngine.js';
+
+/**
+ * Render the bookmarks panel. Hidden when the session has no annotations.
+ * @param {Object} params
+ * @param {HTMLElement} params.container — #bookmarks-content
+ * @param {Object|null} params.session — current GameSessionBlob
+ * @param {Function} params.onNodeClick — (nodeId) => void
+ */
+export function renderBookmarksPanel({ container, session, onNodeClick }) {
+    const wasOpen = container.querySelector('details')?.open ?? true;
+    container.innerHTML = '';
+
+    const entries = session ? listAnnotatedNodes(session) : [];
+    container.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) return;
+
+    const details = document.createElement('details');
+    details.className = 'bookmarks';
+    details.open = wasOpen;
+
+    const summary = document.createElement('summary');
+    summary.className = 'bookmarks__summary';
+    summary.textContent = `북마크 · 메모 (${entries.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'bookmarks__list';
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.className = 'bookmarks__item';
+        if (entry.nodeId === session.currentNodeId) item.classList.add('bookmarks__item--current');
+        if (!entry.isOnActivePath) item.classList.add('bookmarks__item--off-path');
+        item.title = entry.isOnActivePath ? entry.title : `${entry.title} (다른 분기)`;
+
+        const head = document.createElement('div');
+        head.className = 'bookmarks__head';
+        head.innerHTML = `${entry.bookmarked ? '<i class="fa-solid fa-bookmark"></i>' : '<i class="fa-solid fa-note-sticky"></i>'}<span class="bookmarks__step">${entry.depth === 0 ? 'P' : entry.depth}</span>`;
+        const title = document.createElement('span');
+        title.className = 'bookmarks__title';
+        title.textContent = entry.title;
+        head.appendChild(title);
+        item.appendChild(head);
+
+        if (entry.note) {
+            const note = document.createElement('div');
+            note.className = 'bookmarks__note';
+            note.textContent = entry.hint ? `[힌트] ${entry.note}` : entry.note;
+            item.appendChild(note);
+        }
+
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onNodeClick(entry.nodeId);
+        });
+        list.appendChild(item);
+    });
+    details.appendChild(list);
+    container.appendChild(details);
+}
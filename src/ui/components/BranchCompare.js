@@ -0,0 +1,152 @@
+/**
+ * BranchCompare.js — Two branches side by side, from their fork
+ * @module ui/components/BranchCompare
+ *
+ * Shows the scenes of both branches in parallel columns, depth by depth,
+ * with the state difference (location, flags, clocks, NPCs) under each pair.
+ */
+
+import { buildBranchComparison } from '../../core/compareEngine.js';
+import { formatStoryText } from './StoryView.js';
+
+/**
+ * Open the comparison modal.
+ * @param {Object} params
+ * @param {HTMLElement} params.modalRoot
+ * @param {Object} params.session — current GameSessionBlob
+ * @param {string} params.nodeIdA
+ * @param {string} params.nodeIdB
+ * @param {Function} params.onNodeClick — (nodeId) => void, called after the modal closes
+ * @returns {{ok:boolean, error?:string}}
+ */
+export function openBranchCompare({ modalRoot, session, nodeIdA, nodeIdB, onNodeClick }) {
+  const comparison = buildBranchComparison(session, nodeIdA, nodeIdB);
+  if (!comparison.ok) return comparison;
+
+  const fork = session.nodesById[comparison.forkId];
+  const leafA = session.nodesById[nodeIdA];
+  const leafB = session.nodesById[nodeIdB];
+  const locationNames = Object.fromEntries((session.worldSchema?.locations || []).map((loc) => [loc.id, loc.name || loc.id]));
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+
+  const modal = document.createElement('div');
+  modal.className = 'modal branch-compare';
+  modal.innerHTML = `
+    <div class="branch-compare__header">
+      <h2 class="modal__title"><span><i class="fa-solid fa-code-compare"></i></span> 분기 비교</h2>
+      <button class="icon-btn" data-action="close" title="닫기" aria-label="닫기"><i class="fa-solid fa-xmark"></i></button>
+    </div>
+    <div class="branch-compare__fork">갈림길: ${escapeHTML(sceneLabel(fork))}</div>
+    <div class="branch-compare__columns branch-compare__heads">
+      ${renderColumnHead(leafA, 'A')}
+      ${renderColumnHead(leafB, 'B')}
+    </div>
+    <div class="branch-compare__body">
+      ${comparison.rows.map((row) => renderRow(row, session, locationNames)).join('')}
+    </div>
+  `;
+
+  overlay.appendChild(modal);
+  modalRoot.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown);
+  };
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+  document.addEventListener('keydown', onKeydown);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  modal.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+    close();
+    if (target.dataset.action === 'goto') onNodeClick(target.dataset.nodeId);
+  });
+
+  return { ok: true };
+}
+
+function sceneLabel(node) {
+  return node.depth === 0 ? 'Prologue' : `#${node.depth} ${node.meta?.title || `Turn ${node.depth}`}`;
+}
+
+function renderColumnHead(leaf, side) {
+  const ending = leaf.isEnding ? `<span class="branch-compare__ending">결말 · ${escapeHTML(leaf.meta?.endingType || 'neutral')}</span>` : '';
+  return `
+    <div class="branch-compare__head">
+      <span class="branch-compare__side">${side}</span>
+      <span class="branch-compare__leaf">${escapeHTML(sceneLabel(leaf))}</span>
+      ${ending}
+      <button class="btn btn-secondary branch-compare__goto" data-action="goto" data-node-id="${leaf.id}">이 분기로 이동</button>
+    </div>
+  `;
+}
+
+function renderScene(node, choice, session) {
+  if (!node) return '<div class="branch-compare__scene branch-compare__scene--empty">이 분기는 여기서 끝났습니다</div>';
+  return `
+    <div class="branch-compare__scene">
+      ${choice ? `<div class="branch-compare__choice">▸ ${escapeHTML(choice)}</div>` : ''}
+      <div class="branch-compare__title">${escapeHTML(sceneLabel(node))}${node.visited ? '' : ' <span class="branch-compare__unread">미리 생성됨</span>'}</div>
+      <div class="branch-compare__text story-text">${formatStoryText(node.text || '', session.worldSchema)}</div>
+    </div>
+  `;
+}
+
+function formatNpcState(state, locationNames) {
+  if (!state) return '—';
+  return [state.location ? locationNames[state.location] || state.location : null, state.status].filter(Boolean).join(', ') || '—';
+}
+
+function renderDiff(diff, locationNames) {
+  if (diff.same) return '<div class="branch-compare__diff branch-compare__diff--same">상태 차이 없음</div>';
+
+  const lines = [];
+  if (diff.location) {
+    const name = (id) => (id ? locationNames[id] || id : '—');
+    lines.push(['위치', escapeHTML(name(diff.location.a)), escapeHTML(name(diff.location.b))]);
+  }
+  if (diff.flagsOnlyA.length || diff.flagsOnlyB.length) {
+    const flags = (list) => (list.length ? list.map((flag) => `<code>${escapeHTML(flag)}</code>`).join(' ') : '—');
+    lines.push(['플래그', flags(diff.flagsOnlyA), flags(diff.flagsOnlyB)]);
+  }
+  diff.clocks.forEach((clock) => {
+    lines.push([escapeHTML(clock.name), String(clock.a), String(clock.b)]);
+  });
+  diff.npcs.forEach((npc) => {
+    lines.push([escapeHTML(npc.name), escapeHTML(formatNpcState(npc.a, locationNames)), escapeHTML(formatNpcState(npc.b, locationNames))]);
+  });
+
+  return `
+    <table class="branch-compare__diff">
+      <thead><tr><th>상태 차이</th><th>A</th><th>B</th></tr></thead>
+      <tbody>${lines.map(([label, a, b]) => `<tr><th>${label}</th><td>${a}</td><td>${b}</td></tr>`).join('')}</tbody>
+    </table>
+  `;
+}
+
+function renderRow(row, session, locationNames) {
+  return `
+    <section class="branch-compare__row">
+      <div class="branch-compare__depth">Page #${row.depth}</div>
+      <div class="branch-compare__columns">
+        ${renderScene(row.a, row.choiceA, session)}
+        ${renderScene(row.b, row.choiceB, session)}
+      </div>
+      ${renderDiff(row.diff, locationNames)}
+    </section>
+  `;
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
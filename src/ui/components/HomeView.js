@@ -4,6 +4,9 @@
  */
 
 import { getBrandIconHtml } from './BrandIcon.js';
+import { enableFileDrop, pickFiles } from '../fileIO.js';
+import { FILE_EXTENSION } from '../../storage/sessionTransfer.js';
+import { formatCost, formatTokenCount } from '../../llm/pricing.js';
 
 /**
  * Render the Home View into the container.
@@ -14,8 +17,11 @@ import { getBrandIconHtml } from './BrandIcon.js';
  * @param {Function} params.onNewGame
  * @param {Function} params.onLoadSession
  * @param {Function} params.onDeleteSession
+ * @param {Function} params.onExportSession — (sessionId) => void
+ * @param {Function} params.onExportAll — () => void
+ * @param {Function} params.onImportFiles — (files: File[]) => void
  */
-export function renderHomeView({ container, sessions, lastActiveId, onNewGame, onLoadSession, onDeleteSession }) {
+export function renderHomeView({ container, sessions, lastActiveId, onNewGame, onLoadSession, onDeleteSession, onExportSession, onExportAll, onImportFiles }) {
     const activeSession = lastActiveId ? sessions.find(s => s.id === lastActiveId) : null;
     const recentSessions = sessions.filter(s => s.id !== lastActiveId);
 
@@ -33,6 +39,17 @@ export function renderHomeView({ container, sessions, lastActiveId, onNewGame, o
                         <i class="fa-solid fa-plus"></i> 새로운 모험 시작하기
                     </button>
                 </div>
+                <div class="home-hero__transfer">
+                    <button class="btn btn-secondary" id="home-import">
+                        <i class="fa-solid fa-file-import"></i> 가져오기
+                    </button>
+                    ${sessions.length > 0 ? `
+                        <button class="btn btn-secondary" id="home-export-all">
+                            <i class="fa-solid fa-box-archive"></i> 전체 백업
+                        </button>
+                    ` : ''}
+                    <span class="home-hero__transfer-hint">${FILE_EXTENSION} 파일을 여기로 끌어다 놓아도 됩니다</span>
+                </div>
             </header>
 
             <div class="home-content">
@@ -66,12 +83,25 @@ export function renderHomeView({ container, sessions, lastActiveId, onNewGame, o
     // Event Listeners
     container.querySelector('#home-new-game').addEventListener('click', onNewGame);
 
+    container.querySelector('#home-import').addEventListener('click', async () => {
+        const files = await pickFiles({ accept: `${FILE_EXTENSION},.json,application/json` });
+        if (files.length > 0) onImportFiles(files);
+    });
+    const exportAllBtn = container.querySelector('#home-export-all');
+    if (exportAllBtn) exportAllBtn.addEventListener('click', onExportAll);
+    enableFileDrop(container.querySelector('.home-view'), onImportFiles);
+
     container.querySelectorAll('.home-card').forEach(card => {
         card.addEventListener('click', (e) => {
-            if (e.target.closest('.home-card__delete')) return;
+            if (e.target.closest('.home-card__delete') || e.target.closest('.home-card__export')) return;
             onLoadSession(card.dataset.sessionId);
         });
 
+        card.querySelector('.home-card__export').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onExportSession(card.dataset.sessionId);
+        });
+
         const deleteBtn = card.querySelector('.home-card__delete');
         if (deleteBtn) {
             deleteBtn.addEventListener('click', (e) => {
@@ -102,7 +132,11 @@ function renderSessionCard(session, isActive) {
             <div class="home-card__content">
                 <div class="home-card__title">${escapeHTML(session.title)}</div>
                 <div class="home-card__date">${date}</div>
+                ${renderUsage(session.usage)}
             </div>
+            <button class="home-card__export tooltip" data-tooltip="내보내기" aria-label="내보내기">
+                <i class="fa-solid fa-file-export"></i>
+            </button>
             <button class="home-card__delete tooltip" data-tooltip="삭제" aria-label="삭제">
                 <i class="fa-solid fa-trash-can"></i>
             </button>
@@ -110,6 +144,16 @@ function renderSessionCard(session, isActive) {
     `;
 }
 
+function renderUsage(usage) {
+    if (!usage?.calls) return '';
+    const cost = usage.unpricedCalls === usage.calls ? '—' : `${usage.unpricedCalls ? '≥ ' : ''}${formatCost(usage.costUsd)}`;
+    return `
+        <div class="home-card__usage" title="LLM 호출 ${usage.calls}회">
+            <i class="fa-solid fa-coins"></i> ${cost} · ${formatTokenCount(usage.totalTokens)} 토큰
+        </div>
+    `;
+}
+
 function escapeHTML(str) {
     const div = document.createElement('div');
     div.textContent = str;
@@ -6,6 +6,8 @@
 import { formatDate } from '../../core/time.js';
 import { getBrandIconHtml } from './BrandIcon.js';
 import { getSettings, hasAnyApiKey } from '../../llm/apiClient.js';
+import { enableFileDrop, pickFiles } from '../fileIO.js';
+import { FILE_EXTENSION } from '../../storage/sessionTransfer.js';
 
 /**
  * Render the save list UI.
@@ -17,8 +19,11 @@ import { getSettings, hasAnyApiKey } from '../../llm/apiClient.js';
  * @param {Function} params.onNewGame
  * @param {Function} params.onLoadSession — (sessionId) => void
  * @param {Function} params.onDeleteSession — (sessionId) => void
+ * @param {Function} params.onExportSession — (sessionId) => void
+ * @param {Function} params.onExportAll — () => void
+ * @param {Function} params.onImportFiles — (files: File[]) => void
  */
-export function renderSaveList({ headerEl, bodyEl, sessions, activeSessionId, onNewGame, onLoadSession, onDeleteSession }) {
+export function renderSaveList({ headerEl, bodyEl, sessions, activeSessionId, onNewGame, onLoadSession, onDeleteSession, onExportSession, onExportAll, onImportFiles }) {
   // Header: new game button
   const apiKeySet = hasAnyApiKey();
   headerEl.innerHTML = `
@@ -26,11 +31,25 @@ export function renderSaveList({ headerEl, bodyEl, sessions, activeSessionId, on
             title="${apiKeySet ? '새 게임 시작' : 'API Key를 먼저 설정해주세요'}">
       ${getBrandIconHtml({ size: 18, className: 'brand-logo--inline' })}새 게임
     </button>
+    <div class="savelist-transfer">
+      <button class="btn btn-ghost" id="btn-import-sessions" title="${FILE_EXTENSION} 파일 가져오기">
+        <i class="fa-solid fa-file-import"></i> 가져오기
+      </button>
+      <button class="btn btn-ghost" id="btn-export-all" title="모든 세션을 하나의 백업 파일로 내보내기" ${sessions.length > 0 ? '' : 'disabled'}>
+        <i class="fa-solid fa-box-archive"></i> 전체 백업
+      </button>
+    </div>
   `;
 
   headerEl.querySelector('#btn-new-game').addEventListener('click', () => {
     if (apiKeySet) onNewGame();
   });
+  headerEl.querySelector('#btn-import-sessions').addEventListener('click', async () => {
+    const files = await pickFiles({ accept: `${FILE_EXTENSION},.json,application/json` });
+    if (files.length > 0) onImportFiles(files);
+  });
+  headerEl.querySelector('#btn-export-all').addEventListener('click', onExportAll);
+  enableFileDrop(bodyEl, onImportFiles);
 
   // Body: session cards
   if (sessions.length === 0) {
@@ -54,7 +73,7 @@ export function renderSaveList({ headerEl, bodyEl, sessions, activeSessionId, on
       <div class="session-card__menu-wrap">
         <button class="icon-btn-small btn-session-menu" aria-label="메뉴"><i class="fa-solid fa-ellipsis-vertical"></i></button>
         <div class="session-menu-dropdown">
-           <button class="dropdown-item" disabled>공유 (준비중)</button>
+           <button class="dropdown-item option-export" data-export-id="${s.id}">내보내기</button>
            <button class="dropdown-item" disabled>공개 (준비중)</button>
            <button class="dropdown-item option-delete" data-delete-id="${s.id}">삭제</button>
         </div>
@@ -92,6 +111,15 @@ export function renderSaveList({ headerEl, bodyEl, sessions, activeSessionId, on
       }
     }
 
+    // Export
+    const exportBtn = e.target.closest('.option-export');
+    if (exportBtn) {
+      e.stopPropagation();
+      exportBtn.closest('.session-menu-dropdown').classList.remove('session-menu-dropdown--open');
+      onExportSession(exportBtn.dataset.exportId);
+      return;
+    }
+
     // Delete
     const deleteBtn = e.target.closest('.option-delete');
     if (deleteBtn) {
@@ -0,0 +1,136 @@
+/**
+ * SearchModal.js — Full-text search over past scenes
+ * @module ui/components/SearchModal
+ *
+ * Searches the current session, or every saved session, through
+ * sessionManager.searchSessions and jumps to the chosen node.
+ */
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+/**
+ * Open the search modal.
+ * @param {Object} params
+ * @param {HTMLElement} params.modalRoot
+ * @param {Function} params.onSearch — (query, { allSessions }) => Promise<hit[]>
+ * @param {Function} params.onSelect — (hit) => void, called after the modal closes
+ * @param {string|null} params.currentSessionId
+ */
+export function openSearchModal({ modalRoot, onSearch, onSelect, currentSessionId }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+
+  overlay.innerHTML = `
+    <div class="modal search-modal">
+      <h2 class="modal__title"><span><i class="fa-solid fa-magnifying-glass"></i></span> 장면 검색</h2>
+      <input class="input" type="search" id="search-query" placeholder="본문, 요약, 선택지, 제목에서 검색" autocomplete="off" />
+      <label class="checkbox-wrap search-modal__scope">
+        <input type="checkbox" id="search-all-sessions" />
+        <span>모든 세션에서 검색</span>
+      </label>
+      <div class="search-modal__status" id="search-status"></div>
+      <ul class="search-results" id="search-results"></ul>
+    </div>
+  `;
+
+  modalRoot.appendChild(overlay);
+
+  const input = overlay.querySelector('#search-query');
+  const allSessionsBox = overlay.querySelector('#search-all-sessions');
+  const statusEl = overlay.querySelector('#search-status');
+  const listEl = overlay.querySelector('#search-results');
+
+  let hits = [];
+  let timer = null;
+  let requestSeq = 0;
+
+  async function runSearch() {
+    const query = input.value.trim();
+    const seq = ++requestSeq;
+    if (!query) {
+      hits = [];
+      statusEl.textContent = '';
+      listEl.innerHTML = '';
+      return;
+    }
+
+    statusEl.textContent = '검색 중…';
+    const results = await onSearch(query, { allSessions: allSessionsBox.checked });
+    if (seq !== requestSeq) return; // a newer query is already running
+
+    hits = results;
+    statusEl.textContent = hits.length > 0 ? `${hits.length}개 장면` : '일치하는 장면이 없습니다.';
+    listEl.innerHTML = hits.map((hit, i) => renderHit(hit, i, query, hit.sessionId !== currentSessionId)).join('');
+  }
+
+  function scheduleSearch() {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+  }
+
+  const close = () => {
+    if (timer) clearTimeout(timer);
+    requestSeq++;
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown);
+  };
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+  document.addEventListener('keydown', onKeydown);
+
+  input.addEventListener('input', scheduleSearch);
+  allSessionsBox.addEventListener('change', runSearch);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && hits.length > 0) {
+      close();
+      onSelect(hits[0]);
+    }
+  });
+
+  listEl.addEventListener('click', (e) => {
+    const item = e.target.closest('.search-result');
+    if (!item) return;
+    const hit = hits[Number(item.dataset.index)];
+    close();
+    onSelect(hit);
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  input.focus();
+}
+
+function renderHit(hit, index, query, showSession) {
+  const title = hit.depth === 0 ? hit.title : `#${hit.depth} ${hit.title}`;
+  return `
+    <li class="search-result" data-index="${index}">
+      <div class="search-result__title">
+        ${highlight(title, query)}
+        ${showSession ? `<span class="search-result__session">${escapeHTML(hit.sessionTitle || '')}</span>` : ''}
+      </div>
+      <div class="search-result__snippet">${highlight(hit.snippet, query)}</div>
+    </li>
+  `;
+}
+
+/** Escape text and wrap each query word in <mark>. */
+function highlight(text, query) {
+  const words = query.split(/\s+/).filter(Boolean).map((word) => escapeRegExp(escapeHTML(word)));
+  const html = escapeHTML(text);
+  if (words.length === 0) return html;
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  return html.replace(pattern, '<mark>$1</mark>');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
@@ -1,9 +1,11 @@
 /**
- * SettingsModal.js — Settings modal for API key
+ * SettingsModal.js — Settings modal for providers, API keys and models
  * @module ui/components/SettingsModal
  */
 
 import { getSettings, saveSettings } from '../../llm/apiClient.js';
+import { listProviders } from '../../llm/providerRegistry.js';
+import { anthropicProvider } from '../../llm/providers/anthropic.js';
 import { showToast } from './Toast.js';
 
 /**
@@ -25,9 +27,11 @@ export function openSettingsModal(modalRoot, onClose) {
       <div class="form-group">
         <label class="label" for="settings-provider">기본 제공자 (Default Provider)</label>
         <select class="select" id="settings-provider">
-          <option value="gemini" ${settings.provider === 'gemini' ? 'selected' : ''}>Google Gemini</option>
-          <option value="openai" ${settings.provider === 'openai' ? 'selected' : ''}>OpenAI</option>
+          ${listProviders().map(p => `<option value="${p.id}" ${settings.provider === p.id ? 'selected' : ''}>${p.name}</option>`).join('')}
         </select>
+        <p style="font-size: 12px; color: var(--text-muted); margin-top: 6px;">
+          Mock은 네트워크와 API 키 없이 고정된 응답으로 전체 흐름을 재생합니다.
+        </p>
       </div>
 
       <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px;">
@@ -60,6 +64,41 @@ export function openSettingsModal(modalRoot, onClose) {
         </select>
       </div>
 
+      <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px;">
+        <label class="label" for="settings-anthropic-key">Anthropic API Key</label>
+        <input class="input" type="password" id="settings-anthropic-key" 
+               value="${settings.anthropicApiKey || ''}" placeholder="Anthropic API 키" autocomplete="off" />
+      </div>
+
+      <div class="form-group">
+        <label class="label" for="settings-anthropic-model">Anthropic Model</label>
+        <select class="select" id="settings-anthropic-model">
+          ${anthropicProvider.models.map((m, i) => `<option value="${m}" ${settings.anthropicModel === m ? 'selected' : ''}>${m}${i === 0 ? ' (Default)' : ''}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px;">
+        <label class="label" for="settings-local-url">OpenAI 호환 Base URL (llama.cpp / Ollama / vLLM)</label>
+        <input class="input" type="text" id="settings-local-url" 
+               value="${settings.localBaseUrl || ''}" placeholder="http://localhost:11434/v1" autocomplete="off" />
+      </div>
+
+      <div class="form-group">
+        <label class="label" for="settings-local-model">로컬 모델 이름</label>
+        <input class="input" type="text" id="settings-local-model" 
+               value="${settings.localModel || ''}" placeholder="예: llama3.1:8b" autocomplete="off" />
+      </div>
+
+      <div class="form-group">
+        <label class="label" for="settings-local-key">로컬 API Key (선택)</label>
+        <input class="input" type="password" id="settings-local-key" 
+               value="${settings.localApiKey || ''}" placeholder="필요한 서버만 입력" autocomplete="off" />
+        <label class="label" style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin-top: 10px;">
+          <input type="checkbox" id="settings-local-json" ${settings.localJsonMode ? 'checked' : ''} style="width: 18px; height: 18px;" />
+          <span>JSON 모드 사용 (response_format 미지원 서버는 해제)</span>
+        </label>
+      </div>
+
       <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px;">
         <label class="label" style="display: flex; align-items: center; gap: 10px; cursor: pointer;">
           <input type="checkbox" id="settings-gen-thumbnail" ${settings.generateThumbnail ? 'checked' : ''} style="width: 18px; height: 18px;" />
@@ -70,6 +109,50 @@ export function openSettingsModal(modalRoot, onClose) {
         </p>
       </div>
 
+      <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px;">
+        <label class="label" for="settings-prefetch-policy">미리 생성 (Prefetch)</label>
+        <select class="select" id="settings-prefetch-policy">
+          <option value="none" ${settings.prefetchPolicy === 'none' ? 'selected' : ''}>사용 안 함</option>
+          <option value="current" ${settings.prefetchPolicy === 'current' ? 'selected' : ''}>현재 장면의 선택지만 (Default)</option>
+          <option value="deep" ${settings.prefetchPolicy === 'deep' ? 'selected' : ''}>가장 유력한 경로를 N단계까지</option>
+        </select>
+        <p style="font-size: 12px; color: var(--text-muted); margin-top: 6px;">
+          다음 장면을 미리 생성해 대기 시간을 줄입니다. 다른 장면으로 이동하면 진행 중인 미리 생성은 취소됩니다.
+        </p>
+      </div>
+
+      <div class="form-group" style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px;">
+        <div>
+          <label class="label" for="settings-prefetch-depth">깊이 (N)</label>
+          <input class="input" type="number" min="1" max="5" id="settings-prefetch-depth" value="${settings.prefetchDepth}" />
+        </div>
+        <div>
+          <label class="label" for="settings-prefetch-calls">세션당 최대 호출</label>
+          <input class="input" type="number" min="0" id="settings-prefetch-calls" value="${settings.prefetchMaxCalls}" />
+        </div>
+        <div>
+          <label class="label" for="settings-prefetch-tokens">세션당 최대 토큰</label>
+          <input class="input" type="number" min="0" step="1000" id="settings-prefetch-tokens" value="${settings.prefetchMaxTokens}" />
+        </div>
+      </div>
+      <p style="font-size: 12px; color: var(--text-muted); margin-top: -6px;">예산을 0으로 두면 제한하지 않습니다.</p>
+
+      <div class="form-group" style="border-top: 1px solid var(--border); padding-top: 20px; margin-top: 20px; display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px;">
+        <div>
+          <label class="label" for="settings-prune-distance">정리 거리</label>
+          <input class="input" type="number" min="0" id="settings-prune-distance" value="${settings.pruneMaxDistance}" />
+        </div>
+        <div>
+          <label class="label" for="settings-prune-nodes">세션당 최대 장면 수</label>
+          <input class="input" type="number" min="0" step="50" id="settings-prune-nodes" value="${settings.pruneMaxNodes}" />
+        </div>
+      </div>
+      <p style="font-size: 12px; color: var(--text-muted); margin-top: -6px;">
+        읽지 않은 미리 생성 장면 중 최대 장면 수를 넘긴 만큼은 미리 생성이 끝날 때마다 자동으로 정리합니다.
+        정리 버튼을 누르면 현재 장면에서 정리 거리보다 멀어진 장면도 함께 정리합니다.
+        읽은 장면, 북마크·메모한 장면, 결말은 지우지 않습니다. 0으로 두면 해당 기준을 끕니다.
+      </p>
+
       <div class="modal__footer">
         <button class="btn btn-secondary" id="settings-cancel">취소</button>
         <button class="btn btn-primary" id="settings-save">저장</button>
@@ -113,9 +196,27 @@ export function openSettingsModal(modalRoot, onClose) {
     const geminiModel = geminiModelSelect.value;
     const openaiApiKey = openaiInput.value.trim();
     const openaiModel = openaiModelSelect.value;
+    const anthropicApiKey = overlay.querySelector('#settings-anthropic-key').value.trim();
+    const anthropicModel = overlay.querySelector('#settings-anthropic-model').value;
+    const localBaseUrl = overlay.querySelector('#settings-local-url').value.trim();
+    const localModel = overlay.querySelector('#settings-local-model').value.trim();
+    const localApiKey = overlay.querySelector('#settings-local-key').value.trim();
+    const localJsonMode = overlay.querySelector('#settings-local-json').checked;
     const generateThumbnail = overlay.querySelector('#settings-gen-thumbnail').checked;
-
-    saveSettings({ provider, geminiApiKey, geminiModel, openaiApiKey, openaiModel, generateThumbnail });
+    const prefetchPolicy = overlay.querySelector('#settings-prefetch-policy').value;
+    const readCount = (id, min) => Math.max(min, Math.floor(Number(overlay.querySelector(id).value) || 0));
+    const prefetchDepth = readCount('#settings-prefetch-depth', 1);
+    const prefetchMaxCalls = readCount('#settings-prefetch-calls', 0);
+    const prefetchMaxTokens = readCount('#settings-prefetch-tokens', 0);
+    const pruneMaxDistance = readCount('#settings-prune-distance', 0);
+    const pruneMaxNodes = readCount('#settings-prune-nodes', 0);
+
+    saveSettings({
+      provider, geminiApiKey, geminiModel, openaiApiKey, openaiModel,
+      anthropicApiKey, anthropicModel, localBaseUrl, localModel, localApiKey, localJsonMode,
+      generateThumbnail, prefetchPolicy, prefetchDepth, prefetchMaxCalls, prefetchMaxTokens,
+      pruneMaxDistance, pruneMaxNodes,
+    });
     showToast('설정이 저장되었습니다.', 'success');
     close();
   });
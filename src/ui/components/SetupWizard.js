@@ -6,7 +6,8 @@
  * Step 2: User fills form → calls Prompt #2 → gets synopsis/opening/theme
  */
 
-import { callPrompt1, callPrompt2 } from '../../llm/prompts.js';
+import { callPrompt1, callPrompt2, toCallRecord } from '../../llm/prompts.js';
+import { createUsageEntry } from '../../core/usageTracker.js';
 import { renderForm } from './FormRenderer.js';
 import { showToast } from './Toast.js';
 import { getRandomSeeds } from '../../core/seedManager.js';
@@ -21,6 +22,15 @@ export function renderSetupWizard({ container, onComplete, onCancel }) {
   let formInstance = null;
   let currentSchema = null;
   let accumulatedValues = {};
+  // Usage of every call made in the wizard, handed to the session it creates
+  const usageLog = [];
+
+  function trackUsage(calls) {
+    (calls || []).forEach((call) => {
+      const entry = createUsageEntry(call, 'direct');
+      if (entry) usageLog.push(entry);
+    });
+  }
 
   // Pagination state
   let sessionSeeds = [];
@@ -172,6 +182,7 @@ export function renderSetupWizard({ container, onComplete, onCancel }) {
 
     loadingManager.startLoading('p1_init', { theme: userBackground.slice(0, 15) });
     const result = await callPrompt1(userBackground);
+    trackUsage(result.calls);
 
     if (!result.ok) {
       loadingManager.stopLoading("심연을 들여다보는 데 실패했습니다.");
@@ -257,6 +268,7 @@ export function renderSetupWizard({ container, onComplete, onCancel }) {
     const storyLength = rawLength.split(' ')[0]; // Extract "단편", "중편", "장편"
 
     const synopsisResult = await callPrompt2(userBackground, accumulatedValues, storyLength);
+    trackUsage(synopsisResult.calls);
 
     if (!synopsisResult.ok) {
       loadingManager.stopLoading("운명의 실을 잇는 데 실패했습니다.");
@@ -275,6 +287,7 @@ export function renderSetupWizard({ container, onComplete, onCancel }) {
       // Pass the newly generated story context and visual direction to the image prompt
       const imagePrompt = generateImagePrompt(userBackground, accumulatedValues, data.publicWorld, data.openingText, data.thumbnailDirection);
       const imageResult = await geminiImageGeneration(imagePrompt);
+      trackUsage([toCallRecord(imageResult, 'image')]);
 
       if (imageResult.ok) {
         thumbnailBase64 = imageResult.base64;
@@ -294,6 +307,7 @@ export function renderSetupWizard({ container, onComplete, onCancel }) {
       worldSchema: data.worldSchema || null,
       storyLength,
       thumbnailBase64, // Pass thumbnail
+      usageLog,
     });
   }
 
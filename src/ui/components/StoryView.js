@@ -7,12 +7,26 @@
  * - Shows previously selected option with badge when rolling back
  * - Inline loading: shows spinner in badge area of clicked option
  * - Streaming text reveal: words appear one-by-one with fade-in
+ * - Live streaming turn: Prompt #3 text is shown while the response is still arriving
+ * - Take controls: regenerate a scene, flip between its takes, discard a take
+ * - Annotations: bookmark a scene or leave a note on it (optionally shared as an LLM hint)
  */
 
-import { getPathToRoot } from '../../core/treeEngine.js';
+import { getChild, getPathToRoot, getTakes } from '../../core/treeEngine.js';
 import { getBrandIconHtml } from './BrandIcon.js';
 import { getNarrativePhaseLabel, getNarrativePhaseKey } from '../../core/narrativeEngine.js';
-import { addCustomOption, getPrefetchSnapshot, prefetchOption } from '../../core/gameEngine.js';
+import { addCustomOption, getPrefetchSnapshot, getPrefetchUsage, prefetchOption } from '../../core/gameEngine.js';
+import { getSettings } from '../../llm/apiClient.js';
+import { summarizeUsage } from '../../core/usageTracker.js';
+import { formatCost } from '../../llm/pricing.js';
+import { assemblePrompt3 } from '../../llm/prompts.js';
+import { getMilestoneProgress } from '../../core/milestoneEngine.js';
+import { getCarriedItems, getItemsAt } from '../../core/inventoryEngine.js';
+import { DIFFICULTY_LABELS, getStats, rollSkillCheck } from '../../core/skillCheckEngine.js';
+import { DISPOSITION_KEYS, DISPOSITION_LABELS, DISPOSITION_MAX, getDisposition, getMetNpcs } from '../../core/relationshipEngine.js';
+import { getCustomClocks } from '../../core/clockEngine.js';
+import { createInitialWorldTime, formatWorldTime } from '../../core/worldTimeEngine.js';
+import { NOTE_MAX_LENGTH, getAnnotation } from '../../core/annotationEngine.js';
 
 // ─── Configurable Timing ─────────────────────────────────────────
 const STREAM_WORD_DELAY_MS = 35;   // delay between each word appearing
@@ -29,8 +43,10 @@ const STREAM_BREAK_DELAY_MS = 300;  // delay between parts (header -> text -> op
  * @param {Object} params.session — current GameSessionBlob
  * @param {Function} params.onOptionSelect — (optionId, customText?) => void
  * @param {boolean} [params.skipStreaming=false] — if true, show text instantly
+ * @param {Object} [params.takeHandlers] — { onReroll(nodeId), onSwitchTake(nodeId), onDiscardTake(nodeId) }
+ * @param {Object} [params.annotationHandlers] — { onToggleBookmark(nodeId), onSaveNote(nodeId, note, { hint }) }
  */
-export function renderStoryView({ container, session, onOptionSelect, skipStreaming = false }) {
+export function renderStoryView({ container, session, onOptionSelect, skipStreaming = false, takeHandlers = null, annotationHandlers = null }) {
   if (!session) {
     renderWelcome(container);
     return;
@@ -99,6 +115,11 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
     }
   }
 
+  if (syncIndex === activePath.length && currentNode && !currentNode.isEnding) {
+    const lastTurn = existingTurns[syncIndex - 1];
+    if (lastTurn) appendStateBar(container, lastTurn, session, currentNode);
+  }
+
   // 2. Append new turns that are in the active path but not in the DOM
   for (let i = syncIndex; i < activePath.length; i++) {
     const nodeId = activePath[i];
@@ -118,20 +139,27 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
     const headerTextContainer = document.createElement('span');
     headerEl.appendChild(headerTextContainer);
 
-    const stateText = buildDebugStateText(session, node);
-
     const debugEl = document.createElement('div');
     debugEl.className = 'debug-state-trigger';
     debugEl.style.cssText = 'font-size: 11px; opacity: 0.4; cursor: pointer; border: 1px solid currentColor; padding: 2px 6px; border-radius: 4px;';
     debugEl.textContent = 'debug';
     debugEl.addEventListener('click', () => {
-      openDebugModal(stateText);
+      openDebugModal(buildDebugStateText(session, node));
     });
-    headerEl.appendChild(debugEl);
+
+    const headerActions = document.createElement('div');
+    headerActions.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+    const annotationControls = buildAnnotationControls(node, annotationHandlers);
+    if (annotationControls) headerActions.appendChild(annotationControls);
+    const takeControls = buildTakeControls(session, node, takeHandlers);
+    if (takeControls) headerActions.appendChild(takeControls);
+    headerActions.appendChild(debugEl);
+    headerEl.appendChild(headerActions);
 
     // Standard turn setup
     if (!node.isEnding) {
       turnEl.appendChild(headerEl); // Header comes first
+      syncAnnotation(turnEl, node);
 
       // Thumbnail comes after header if it exists (Prologue only)
       if (node.depth === 0 && session.thumbnailBase64) {
@@ -141,6 +169,8 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
         turnEl.appendChild(thumbContainer);
       }
 
+      if (node.skillCheck) turnEl.appendChild(buildSkillCheckResult(node.skillCheck));
+
       const textEl = document.createElement('div');
       textEl.className = 'story-text';
       turnEl.appendChild(textEl);
@@ -167,7 +197,9 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
     const currentLocation = node.stateSnapshot?.location;
     const hasLocationChanged = (currentLocation && currentLocation !== lastLocation);
     const locationStr = hasLocationChanged ? ` @ ${currentLocation}` : '';
-    const headerText = `${turnLabel}. ${title}${locationStr}`;
+    // The prologue says when the story opens; later turns show the time in the state bar
+    const timeStr = node.depth === 0 ? ` · ${formatWorldTime(getWorldTime(session, node.stateSnapshot))}` : '';
+    const headerText = `${turnLabel}. ${title}${locationStr}${timeStr}`;
 
     // Update lastLocation for next turn
     lastLocation = currentLocation;
@@ -195,7 +227,7 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
 
         // Content
         if (node.isEnding) {
-          await renderEnding(turnEl, node, false, session);
+          await renderEnding(turnEl, node, false, session, takeHandlers, annotationHandlers);
         } else {
           const textEl = turnEl.querySelector('.story-text');
           await streamText(textEl, node.text, session.worldSchema);
@@ -209,7 +241,7 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
     } else {
       // Instant render
       if (node.isEnding) {
-        renderEnding(turnEl, node, true, session);
+        renderEnding(turnEl, node, true, session, takeHandlers, annotationHandlers);
       } else {
         const textEl = turnEl.querySelector('.story-text');
         headerTextContainer.textContent = headerText;
@@ -229,6 +261,63 @@ export function renderStoryView({ container, session, onOptionSelect, skipStream
   }
 }
 
+/**
+ * Create a placeholder turn that shows Prompt #3 text while it is still streaming.
+ * The element is only inserted on the first update(), so cached/prefetched
+ * turns never flash an empty placeholder. After remove(), the next update()
+ * mounts a fresh placeholder (used when a rejected response is repaired).
+ * @param {HTMLElement} container — #story-container
+ * @param {Object} session
+ * @param {number} [depth] — page number to show; defaults to the turn after the current node
+ * @returns {{ update: (text: string) => void, hasText: () => boolean, remove: () => void }}
+ */
+export function createStreamingTurn(container, session, depth = null) {
+  let turnEl = null;
+  let textEl = null;
+
+  function mount() {
+    const currentNode = session.nodesById[session.currentNodeId];
+
+    turnEl = document.createElement('div');
+    turnEl.className = 'story-turn story-turn--streaming';
+    turnEl.style.cssText = 'margin-bottom: 32px;';
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'story-turn__header';
+    headerEl.style.cssText = 'font-size: 16px; opacity: 0.5; margin-bottom: 12px; padding-top: 12px; font-weight: 500;';
+    headerEl.textContent = `Page #${depth ?? (currentNode?.depth || 0) + 1}.`;
+    turnEl.appendChild(headerEl);
+
+    textEl = document.createElement('div');
+    textEl.className = 'story-text';
+    turnEl.appendChild(textEl);
+
+    const spacer = container.querySelector('.scroll-spacer');
+    if (spacer) {
+      container.insertBefore(turnEl, spacer);
+    } else {
+      container.appendChild(turnEl);
+    }
+    setScrollSpacer(container);
+    turnEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  return {
+    update(text) {
+      if (!turnEl) mount();
+      textEl.innerHTML = formatStoryText(text, session.worldSchema);
+    },
+    hasText() {
+      return !!turnEl;
+    },
+    remove() {
+      if (turnEl) turnEl.remove();
+      turnEl = null;
+      textEl = null;
+    },
+  };
+}
+
 /**
  * Set the scroll spacer to full viewport height.
  * Called once before scrollIntoView so the element can reach the top.
@@ -271,7 +360,7 @@ function attachOptions(container, turnEl, node, session, onOptionSelect, instant
   optList.className = 'options-list';
   buildOptions(optList, node, session, onOptionSelect, instant);
   turnEl.appendChild(optList);
-  // appendStateBar(turnEl, session);
+  appendStateBar(container, turnEl, session, node);
 }
 
 function escapeRegExp(str) {
@@ -553,6 +642,14 @@ function buildOptions(optList, node, session, onOptionSelect, instant) {
     textSpan.textContent = opt.text.replace(/<<([^>]+)>>/g, '"$1"');
     btn.appendChild(textSpan);
 
+    const checkLabel = formatOptionCheck(opt, session);
+    if (checkLabel) {
+      const checkSpan = document.createElement('span');
+      checkSpan.className = 'option-btn__check';
+      checkSpan.textContent = checkLabel;
+      btn.appendChild(checkSpan);
+    }
+
     // Badge area (shows "이전 선택" or loading spinner)
     const badge = document.createElement('span');
     badge.className = 'option-btn__badge';
@@ -624,8 +721,11 @@ function buildActionTriggerButton(optList, node, session, onOptionSelect, instan
     openActionModal((text) => {
       const newOptionId = addCustomOption(session, node.id, text);
       if (newOptionId) {
-        // Trigger prefetch for the new custom option
-        prefetchOption(session, node.id, newOptionId);
+        // Trigger prefetch for the new custom option, unless prefetching is off
+        const settings = getSettings();
+        if (settings.prefetchPolicy !== 'none') {
+          prefetchOption(session, node.id, newOptionId, { maxCalls: settings.prefetchMaxCalls, maxTokens: settings.prefetchMaxTokens });
+        }
         // Re-render only the options list for this turn immediately
         optList.innerHTML = '';
         buildOptions(optList, node, session, onOptionSelect, true);
@@ -709,9 +809,8 @@ function getVisibleExits(schema, location) {
     .map((candidate) => ({ id: candidate.id, name: candidate.name }));
 }
 
-function getLocalItems(schema, locationId) {
-  return (schema?.items || [])
-    .filter((item) => item.initialLocationId === locationId || item.locationId === locationId)
+function getLocalItems(schema, state) {
+  return getItemsAt(schema, state, state.location)
     .map((item) => ({ id: item.id, name: item.name, desc: item.desc }));
 }
 
@@ -726,22 +825,67 @@ function getNpcDebugRows(schema, state, locationId) {
       location,
       isHere: location === locationId,
       status: npcState.status || npc.initialStatus || null,
+      met: !!npcState.met,
+      disposition: getDisposition(npcState),
+      memory: npcState.memory || [],
       motive: npc.motive || null,
       secret: npc.secret || null,
     };
   });
 }
 
-function getNextMilestone(schema, state) {
-  const flags = state.flags || {};
-  return (schema?.milestones || [])
-    .filter((milestone) => !milestone.completedFlag || !flags[milestone.completedFlag])
-    .sort((a, b) => Number(a.order ?? a.index ?? 0) - Number(b.order ?? b.index ?? 0))[0] || null;
+function buildMilestoneDebug(schema, state) {
+  const progress = getMilestoneProgress(schema, state);
+  return {
+    chapter: `${progress.chapter}/${progress.total}`,
+    completed: progress.completed,
+    next: progress.next,
+    skipped: progress.milestones.filter((m) => m.status === 'skipped').map((m) => m.id),
+    outOfOrder: progress.milestones.filter((m) => m.outOfOrder).map((m) => m.id),
+    log: progress.milestones.filter((m) => m.completedAt).map((m) => ({ id: m.id, ...m.completedAt })),
+  };
 }
 
-function getCachedChild(session, nodeId, optionId) {
-  const edge = (session.edges || []).find((candidate) => candidate.from === nodeId && candidate.optionId === optionId);
-  return edge ? session.nodesById?.[edge.to] || null : null;
+// Section sizes of the Prompt #3 that continues from this node (estimated tokens)
+function buildPromptDebug(session, node) {
+  if (node.isEnding) return null;
+  const option = (node.options || []).find((o) => o.id === node.selectedOptionId) || node.options?.[0] || null;
+  const { report } = assemblePrompt3(session, option, node.id, { skillCheck: rollSkillCheck(session, node.id, option) });
+  return {
+    model: report.model,
+    contextWindow: report.contextWindow,
+    inputCap: report.inputCap,
+    outputReserve: report.outputReserve,
+    budget: report.budget,
+    total: report.total,
+    overBudget: report.overBudget,
+    sections: Object.fromEntries(report.sections.map((section) => [
+      section.id,
+      section.status === 'full' ? section.tokens : `${section.tokens} (${section.status}, was ${section.originalTokens})`,
+    ])),
+    storyContext: report.storyContext,
+  };
+}
+
+function buildUsageDebug(session) {
+  const summary = summarizeUsage(session.usageLog);
+  const compact = (totals) => ({
+    calls: totals.calls,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    totalTokens: totals.totalTokens,
+    ...(totals.images ? { images: totals.images } : {}),
+    cost: formatCost(totals.costUsd),
+    ...(totals.unpricedCalls ? { unpricedCalls: totals.unpricedCalls } : {}),
+  });
+  const compactAll = (group) => Object.fromEntries(Object.entries(group).map(([key, totals]) => [key, compact(totals)]));
+
+  return {
+    total: compact(summary.total),
+    bySource: compactAll(summary.bySource),
+    byPromptType: compactAll(summary.byPromptType),
+    byModel: compactAll(summary.byModel),
+  };
 }
 
 function buildDebugStateText(session, node) {
@@ -755,6 +899,7 @@ function buildDebugStateText(session, node) {
   const location = getCurrentLocation(schema, state.location);
   const npcRows = getNpcDebugRows(schema, state, state.location);
   const prefetch = getPrefetchSnapshot(session, node.id);
+  const settings = getSettings();
 
   const snapshot = {
     session: {
@@ -762,6 +907,16 @@ function buildDebugStateText(session, node) {
       storyLength,
       currentNodeId: session.currentNodeId,
     },
+    prefetch: {
+      policy: settings.prefetchPolicy,
+      depth: settings.prefetchPolicy === 'deep' ? settings.prefetchDepth : null,
+      usage: { ...getPrefetchUsage(session) },
+      budget: {
+        maxCalls: settings.prefetchMaxCalls || null,
+        maxTokens: settings.prefetchMaxTokens || null,
+      },
+    },
+    usage: buildUsageDebug(session),
     node: {
       id: node.id,
       parentId: node.parentId,
@@ -777,11 +932,14 @@ function buildDebugStateText(session, node) {
       key: phaseKey,
       label: phaseLabel,
       turnCount: state.turnCount || 0,
+      worldTime: getWorldTime(session, state),
       tensionLevel: state.tensionLevel || null,
       clocks: {
+        ...clocks,
         tension: clocks.tension || 0,
         insight: clocks.insight || 0,
       },
+      clockTriggers: state.clockTriggers || [],
     },
     location: location ? {
       id: location.id,
@@ -794,7 +952,8 @@ function buildDebugStateText(session, node) {
       visibleExits: [],
     },
     localScene: {
-      items: getLocalItems(schema, state.location),
+      items: getLocalItems(schema, state),
+      inventory: getCarriedItems(schema, state).map((item) => item.id),
       npcsHere: npcRows.filter((npc) => npc.isHere),
       npcsOffscreen: npcRows.filter((npc) => !npc.isHere),
     },
@@ -802,12 +961,14 @@ function buildDebugStateText(session, node) {
       turnSummary: node.turnSummary || null,
       logicalReasoning: node.logicalReasoning || null,
       directorNotes: node.directorNotes || null,
-      nextMilestone: getNextMilestone(schema, state),
+      skillCheck: node.skillCheck || null,
+      chapterSummary: node.chapterSummary || null,
+      milestones: buildMilestoneDebug(schema, state),
       recentLedger: (state.eventLedger || []).slice(-6),
       flags: Object.keys(state.flags || {}),
     },
     options: (node.options || []).map((option) => {
-      const child = getCachedChild(session, node.id, option.id);
+      const child = getChild(session, node.id, option.id);
       const prefetchRow = prefetch.find((row) => row.optionId === option.id);
       return {
         id: option.id,
@@ -824,6 +985,7 @@ function buildDebugStateText(session, node) {
       clocks: liveState.clocks || {},
       flags: Object.keys(liveState.flags || {}),
     },
+    nextPrompt: buildPromptDebug(session, node),
   };
 
   return JSON.stringify(snapshot, null, 2);
@@ -866,6 +1028,179 @@ function openDebugModal(content) {
   window.addEventListener('keydown', (e) => { if (e.key === 'Escape') close(); }, { once: true });
 }
 
+/**
+ * Header controls for regenerating a scene and moving between its takes.
+ * The prologue has no parent edge, so it gets none.
+ * @returns {HTMLElement|null}
+ */
+function buildTakeControls(session, node, takeHandlers) {
+  if (!takeHandlers || !node.parentId) return null;
+
+  const takes = getTakes(session, node.id);
+  const index = takes.indexOf(node.id);
+
+  const wrap = document.createElement('div');
+  wrap.className = 'take-controls';
+  wrap.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 11px;';
+
+  const makeBtn = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'take-controls__btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      wrap.querySelectorAll('button').forEach(b => { b.disabled = true; });
+      onClick();
+    });
+    return btn;
+  };
+
+  if (takes.length > 1) {
+    const prev = makeBtn('‹', '이전 테이크', () => takeHandlers.onSwitchTake(takes[index - 1]));
+    prev.disabled = index <= 0;
+    const next = makeBtn('›', '다음 테이크', () => takeHandlers.onSwitchTake(takes[index + 1]));
+    next.disabled = index >= takes.length - 1;
+
+    const counter = document.createElement('span');
+    counter.className = 'take-controls__counter';
+    counter.textContent = `${index + 1}/${takes.length}`;
+
+    wrap.appendChild(prev);
+    wrap.appendChild(counter);
+    wrap.appendChild(next);
+    wrap.appendChild(makeBtn('버리기', '이 테이크와 그 이후 전개를 삭제합니다', () => takeHandlers.onDiscardTake(node.id)));
+  }
+
+  wrap.appendChild(makeBtn('↻ 다시 쓰기', '이 장면을 새로 생성합니다 (기존 버전은 테이크로 보관)', () => takeHandlers.onReroll(node.id)));
+  return wrap;
+}
+
+function buildAnnotationControls(node, annotationHandlers) {
+  if (!annotationHandlers) return null;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'annotation-controls';
+
+  const bookmarkBtn = document.createElement('button');
+  bookmarkBtn.type = 'button';
+  bookmarkBtn.className = 'annotation-controls__btn';
+  bookmarkBtn.dataset.action = 'bookmark';
+  bookmarkBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    annotationHandlers.onToggleBookmark(node.id);
+  });
+
+  const noteBtn = document.createElement('button');
+  noteBtn.type = 'button';
+  noteBtn.className = 'annotation-controls__btn';
+  noteBtn.dataset.action = 'note';
+  noteBtn.innerHTML = '<i class="fa-regular fa-note-sticky"></i>';
+  noteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openNoteModal(getAnnotation(node), (note, hint) => annotationHandlers.onSaveNote(node.id, note, { hint }));
+  });
+
+  wrap.appendChild(bookmarkBtn);
+  wrap.appendChild(noteBtn);
+  return wrap;
+}
+
+/**
+ * Bring a turn's bookmark button and note line in line with node.annotation.
+ * @param {HTMLElement} turnEl — .story-turn
+ * @param {Object} node
+ */
+function syncAnnotation(turnEl, node) {
+  const annotation = getAnnotation(node);
+
+  const bookmarkBtn = turnEl.querySelector('.annotation-controls__btn[data-action="bookmark"]');
+  if (bookmarkBtn) {
+    bookmarkBtn.classList.toggle('annotation-controls__btn--on', annotation.bookmarked);
+    bookmarkBtn.innerHTML = `<i class="fa-${annotation.bookmarked ? 'solid' : 'regular'} fa-bookmark"></i>`;
+    bookmarkBtn.title = annotation.bookmarked ? '북마크 해제' : '북마크';
+  }
+  const noteBtn = turnEl.querySelector('.annotation-controls__btn[data-action="note"]');
+  if (noteBtn) {
+    noteBtn.classList.toggle('annotation-controls__btn--on', !!annotation.note);
+    noteBtn.title = annotation.note ? '메모 수정' : '메모 남기기';
+  }
+
+  turnEl.querySelector('.story-turn__note')?.remove();
+  if (!annotation.note) return;
+  const anchor = turnEl.querySelector('.story-turn__header, .ending-container__actions');
+  if (!anchor) return;
+
+  const noteEl = document.createElement('div');
+  noteEl.className = 'story-turn__note';
+  noteEl.innerHTML = `<i class="fa-solid fa-note-sticky"></i><span>${escapeHTML(annotation.note)}</span>${annotation.hint ? '<span class="story-turn__note-hint" title="다음 장면을 쓸 때 AI에게 전달됩니다">힌트</span>' : ''}`;
+  anchor.after(noteEl);
+}
+
+/**
+ * Update bookmark and note markers on turns already on screen.
+ * @param {HTMLElement} container — #story-container
+ * @param {Object} session
+ */
+export function refreshAnnotations(container, session) {
+  container.querySelectorAll('.story-turn[data-node-id]').forEach((turnEl) => {
+    const node = session.nodesById[turnEl.dataset.nodeId];
+    if (node) syncAnnotation(turnEl, node);
+  });
+}
+
+function openNoteModal(annotation, onSave) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+
+  const modal = document.createElement('div');
+  modal.className = 'modal note-modal';
+
+  modal.innerHTML = `
+    <div class="modal__header">장면 메모</div>
+    <div class="modal__body">
+      <textarea class="action-modal__input note-modal__input" maxlength="${NOTE_MAX_LENGTH}" placeholder="나중에 참고할 메모 (예: 여기서 다른 문도 열어 보기)"></textarea>
+      <label class="checkbox-wrap note-modal__hint">
+        <input type="checkbox" />
+        <span>힌트로 AI에게 전달 — 이후 장면을 쓸 때 이 메모를 참고합니다</span>
+      </label>
+      <p class="note-modal__privacy">체크하지 않은 메모는 AI에게 보내지 않습니다.</p>
+    </div>
+    <div class="modal__footer">
+      ${annotation.note ? '<button class="btn btn-secondary btn-delete">삭제</button>' : ''}
+      <button class="btn btn-secondary btn-cancel">취소</button>
+      <button class="btn btn-primary btn-confirm">저장</button>
+    </div>
+  `;
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  const input = modal.querySelector('.note-modal__input');
+  const hintBox = modal.querySelector('.note-modal__hint input');
+  input.value = annotation.note;
+  hintBox.checked = annotation.hint;
+
+  const close = () => overlay.remove();
+
+  modal.querySelector('.btn-cancel').addEventListener('click', close);
+  modal.querySelector('.btn-delete')?.addEventListener('click', () => {
+    onSave('', false);
+    close();
+  });
+  modal.querySelector('.btn-confirm').addEventListener('click', () => {
+    onSave(input.value, hintBox.checked);
+    close();
+  });
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  });
+
+  setTimeout(() => input.focus(), 50);
+}
+
 /**
  * Set a specific option button to loading state:
  * show a small spinner in the badge area, disable all buttons.
@@ -892,24 +1227,162 @@ function setOptionLoading(activeBtn, optList) {
   activeBtn.classList.add('option-btn--loading');
 }
 
+// "🎲 기지 · 어려움" for options the engine will roll for
+function formatOptionCheck(option, session) {
+  if (!option.check?.stat) return '';
+  const stat = getStats(session.worldSchema).find((s) => s.id === option.check.stat);
+  if (!stat) return '';
+  return `🎲 ${stat.name} · ${DIFFICULTY_LABELS[option.check.difficulty] || DIFFICULTY_LABELS.normal}`;
+}
+
+function buildSkillCheckResult(check) {
+  const el = document.createElement('div');
+  el.className = `skill-check-result ${check.success ? 'skill-check-result--success' : 'skill-check-result--failure'}`;
+  const outcome = check.critical === 'success' ? '대성공' : check.critical === 'failure' ? '대실패' : check.success ? '성공' : '실패';
+  const sign = check.modifier >= 0 ? '+' : '-';
+  el.textContent = `🎲 ${check.statName} 판정 — ${check.roll} ${sign} ${Math.abs(check.modifier)} = ${check.total} (목표 ${check.target}) → ${outcome}`;
+  return el;
+}
+
+// Sessions that never tracked time stay at the schema's starting time
+function getWorldTime(session, state) {
+  return state?.worldTime || createInitialWorldTime(session.worldSchema || session.synopsis?.worldSchema);
+}
+
 /**
- * Append the state info bar if applicable.
+ * Append the state info bar under a turn. Only the latest turn carries it.
+ * Chapter progress counts milestones only, so it never spoils what comes next.
  */
-function appendStateBar(container, session) {
-  const state = session.gameState;
-  if (state.location || state.turnCount >= 0) {
-    const stateBar = document.createElement('div');
-    stateBar.className = 'state-bar';
-    stateBar.style.cssText = 'margin-top: 32px; padding-top: 16px; border-top: 1px solid var(--border); font-size: 12px; color: var(--text-muted);';
-    const parts = [];
-    if (state.location) parts.push(`📍 ${state.location}`);
-    parts.push(`Turn ${state.turnCount}`);
-
-    // tension/insight가 있으면 디버그용으로 살짝 보여줄 수도 있지만, 일단 심플하게 유지합니다.
-
-    stateBar.textContent = parts.join('  •  ');
-    container.appendChild(stateBar);
+function appendStateBar(container, turnEl, session, node) {
+  container.querySelectorAll('.state-bar').forEach((el) => el.remove());
+  const state = node.stateSnapshot || session.gameState;
+  const schema = session.worldSchema || session.synopsis?.worldSchema || {};
+
+  const stateBar = document.createElement('div');
+  stateBar.className = 'state-bar';
+  const parts = [];
+  const location = getCurrentLocation(schema, state.location);
+  if (state.location) parts.push(`📍 ${location?.name || state.location}`);
+  parts.push(`🕰 ${formatWorldTime(getWorldTime(session, state))}`);
+  parts.push(`Turn ${state.turnCount || 0}`);
+
+  const progress = getMilestoneProgress(schema, state);
+  if (progress.total > 0) parts.push(`Chapter ${progress.chapter} / ${progress.total}`);
+
+  const summary = document.createElement('div');
+  summary.textContent = parts.join('  •  ');
+  stateBar.appendChild(summary);
+  const customClocks = getCustomClocks(schema);
+  if (customClocks.length > 0) stateBar.appendChild(buildClockPanel(customClocks, state));
+  stateBar.appendChild(buildInventoryPanel(getCarriedItems(schema, state)));
+  const relationships = getMetNpcs(schema, state);
+  if (relationships.length > 0) stateBar.appendChild(buildRelationshipPanel(relationships));
+  turnEl.appendChild(stateBar);
+}
+
+// One segmented bar per custom clock; the threshold segment is outlined
+function buildClockPanel(customClocks, state) {
+  const panel = document.createElement('div');
+  panel.className = 'clock-panel';
+  const fired = (state.clockTriggers || []).map((trigger) => trigger.id);
+
+  customClocks.forEach((clock) => {
+    const value = Number.isFinite(state.clocks?.[clock.id]) ? state.clocks[clock.id] : clock.start;
+    const meter = document.createElement('div');
+    meter.className = `clock-meter${fired.includes(clock.id) ? ' clock-meter--fired' : ''}`;
+    meter.title = `${clock.name} ${value} / ${clock.max}${clock.effect?.directive ? ` — ${clock.effect.directive}` : ''}`;
+
+    const label = document.createElement('span');
+    label.className = 'clock-meter__label';
+    label.textContent = clock.name;
+    meter.appendChild(label);
+
+    const track = document.createElement('span');
+    track.className = 'clock-meter__track';
+    // A countdown (triggerAt below start) fires when the segment above the threshold empties
+    const triggerStep = clock.triggerAt !== null && clock.triggerAt < clock.start ? clock.triggerAt + 1 : clock.triggerAt;
+    for (let step = clock.min + 1; step <= clock.max; step++) {
+      const segment = document.createElement('span');
+      segment.className = 'clock-segment';
+      if (step <= value) segment.classList.add('clock-segment--filled');
+      if (step === triggerStep) segment.classList.add('clock-segment--trigger');
+      track.appendChild(segment);
+    }
+    meter.appendChild(track);
+    panel.appendChild(meter);
+  });
+
+  return panel;
+}
+
+// Collapsible list of met NPCs with a bar per disposition value
+function buildRelationshipPanel(relationships) {
+  const panel = document.createElement('details');
+  panel.className = 'relationship-panel';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `👥 관계 (${relationships.length})`;
+  panel.appendChild(summary);
+
+  relationships.forEach(({ npc, disposition, memory }) => {
+    const row = document.createElement('div');
+    row.className = 'relationship-row';
+
+    const name = document.createElement('div');
+    name.className = 'relationship-row__name';
+    name.textContent = npc.name || npc.id;
+    const lastMemory = memory[memory.length - 1];
+    if (lastMemory) name.title = lastMemory.note;
+    row.appendChild(name);
+
+    DISPOSITION_KEYS.forEach((key) => {
+      const meter = document.createElement('div');
+      meter.className = `relationship-meter relationship-meter--${key}`;
+      meter.title = `${DISPOSITION_LABELS[key]} ${disposition[key]} / ${DISPOSITION_MAX}`;
+      const label = document.createElement('span');
+      label.className = 'relationship-meter__label';
+      label.textContent = DISPOSITION_LABELS[key];
+      const track = document.createElement('span');
+      track.className = 'relationship-meter__track';
+      const fill = document.createElement('span');
+      fill.className = 'relationship-meter__fill';
+      fill.style.width = `${(disposition[key] / DISPOSITION_MAX) * 100}%`;
+      track.appendChild(fill);
+      meter.appendChild(label);
+      meter.appendChild(track);
+      row.appendChild(meter);
+    });
+
+    panel.appendChild(row);
+  });
+  return panel;
+}
+
+function buildInventoryPanel(items) {
+  const panel = document.createElement('div');
+  panel.className = 'inventory-panel';
+
+  const label = document.createElement('span');
+  label.className = 'inventory-panel__label';
+  label.textContent = '🎒 소지품';
+  panel.appendChild(label);
+
+  if (items.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'inventory-panel__empty';
+    empty.textContent = '없음';
+    panel.appendChild(empty);
+    return panel;
   }
+
+  items.forEach((item) => {
+    const chip = document.createElement('span');
+    chip.className = 'inventory-chip';
+    chip.textContent = item.name || item.id;
+    if (item.desc) chip.title = item.desc;
+    panel.appendChild(chip);
+  });
+  return panel;
 }
 
 /**
@@ -962,7 +1435,7 @@ function renderWelcome(container) {
 /**
  * Render the ending screen with optional streaming.
  */
-async function renderEnding(container, node, skipStreaming, session) {
+async function renderEnding(container, node, skipStreaming, session, takeHandlers, annotationHandlers) {
   const endingType = (node.meta && node.meta.endingType) || 'neutral';
 
   // Map internal types to display labels and CSS classes
@@ -984,7 +1457,13 @@ async function renderEnding(container, node, skipStreaming, session) {
 
   // Include Debug in the ending row to be compact
   const debugWrap = document.createElement('div');
-  debugWrap.style.cssText = 'display: flex; justify-content: flex-end; margin-bottom: 8px;';
+  debugWrap.className = 'ending-container__actions';
+  debugWrap.style.cssText = 'display: flex; justify-content: flex-end; align-items: center; gap: 8px; margin-bottom: 8px;';
+
+  const annotationControls = buildAnnotationControls(node, annotationHandlers);
+  if (annotationControls) debugWrap.appendChild(annotationControls);
+  const takeControls = buildTakeControls(session, node, takeHandlers);
+  if (takeControls) debugWrap.appendChild(takeControls);
 
   const debugEl = document.createElement('div');
   debugEl.className = 'debug-state-trigger';
@@ -1007,6 +1486,7 @@ async function renderEnding(container, node, skipStreaming, session) {
   endingDiv.appendChild(hintEl);
 
   container.appendChild(endingDiv);
+  syncAnnotation(container, node);
 
   if (skipStreaming) {
     textEl.innerHTML = formatStoryText(node.text, null);
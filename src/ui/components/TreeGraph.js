@@ -0,0 +1,338 @@
+/**
+ * TreeGraph.js — Zoomable, pannable SVG graph of the whole story tree
+ * @module ui/components/TreeGraph
+ *
+ * Unlike TreeNav, which follows the active path, the graph draws every node
+ * from treeEngine.buildTreeViewModel: prefetched scenes, inactive takes,
+ * endings and dead ends. Depth runs left to right; nodes are colored by
+ * narrative phase. Clicking a node rolls the story back (or forward) to it;
+ * in compare mode, picking two nodes opens their branches side by side.
+ */
+
+import { buildTreeViewModel } from '../../core/treeEngine.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const GRAPH_LAYOUT = { columnWidth: 150, rowHeight: 40, nodeRadius: 8, padding: 40 };
+
+const MIN_SCALE = 0.15;
+const MAX_SCALE = 3;
+
+const PHASE_LABELS = { ACT1: '발단', ACT2: '전개', ACT3: '절정', ENDING: '결말' };
+
+/**
+ * Place every node of the view model: x by depth, y by leaf order,
+ * parents centered over their children.
+ * @param {Object|null} model — buildTreeViewModel result
+ * @returns {{ nodes: Array<Object>, links: Array<{from:Object, to:Object}>, width: number, height: number }}
+ */
+export function layoutTreeGraph(model) {
+    const nodes = [];
+    const links = [];
+    if (!model) return { nodes, links, width: 0, height: 0 };
+
+    const { columnWidth, rowHeight, padding } = GRAPH_LAYOUT;
+    let nextRow = 0;
+    let maxDepth = 0;
+
+    function place(item) {
+        const placedChildren = item.children.map(place);
+        const row = placedChildren.length > 0
+            ? (placedChildren[0].row + placedChildren[placedChildren.length - 1].row) / 2
+            : nextRow++;
+        const placed = { ...item, row, x: padding + item.depth * columnWidth, y: padding + row * rowHeight };
+        placedChildren.forEach((child) => links.push({ from: placed, to: child }));
+        nodes.push(placed);
+        maxDepth = Math.max(maxDepth, item.depth);
+        return placed;
+    }
+    place(model);
+
+    return {
+        nodes,
+        links,
+        width: padding * 2 + maxDepth * columnWidth + columnWidth,
+        height: padding * 2 + Math.max(0, nextRow - 1) * rowHeight,
+    };
+}
+
+/**
+ * Counts for the graph header.
+ * @param {Array<Object>} nodes — layoutTreeGraph nodes
+ * @returns {{ scenes: number, endings: number, deadEnds: number, prefetched: number }}
+ */
+export function summarizeTreeGraph(nodes) {
+    return {
+        scenes: nodes.length,
+        endings: nodes.filter((n) => n.isEnding).length,
+        deadEnds: nodes.filter((n) => n.isDeadEnd).length,
+        prefetched: nodes.filter((n) => !n.visited).length,
+    };
+}
+
+function svgEl(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+function truncate(str, max) {
+    return str.length > max ? str.slice(0, max) + '…' : str;
+}
+
+function describeNode(node) {
+    const status = [
+        node.isCurrent ? '현재 위치' : null,
+        node.visited ? null : '미리 생성됨 (아직 읽지 않음)',
+        node.isActiveTake ? null : '다른 테이크',
+        node.isEnding ? `결말${node.endingType ? ` (${node.endingType})` : ''}` : null,
+        node.isDeadEnd ? '막다른 길' : null,
+    ].filter(Boolean);
+    const title = node.depth === 0 ? 'Prologue' : `#${node.depth} ${node.title}`;
+    return [title, node.optionText ? `선택: ${node.optionText}` : null, `${PHASE_LABELS[node.phase] || node.phase}${status.length ? ` · ${status.join(' · ')}` : ''}`]
+        .filter(Boolean)
+        .join('\n');
+}
+
+function renderLink(link) {
+    const { from, to } = link;
+    const midX = (from.x + to.x) / 2;
+    const classes = ['tree-graph__link'];
+    if (from.isOnActivePath && to.isOnActivePath) classes.push('tree-graph__link--active');
+    if (!to.visited || !to.isActiveTake) classes.push('tree-graph__link--faint');
+    return svgEl('path', {
+        class: classes.join(' '),
+        d: `M ${from.x} ${from.y} C ${midX} ${from.y}, ${midX} ${to.y}, ${to.x} ${to.y}`,
+    });
+}
+
+function renderNode(node) {
+    const r = GRAPH_LAYOUT.nodeRadius;
+    // Endings always carry the ENDING phase, so tree-graph__node--ending marks them too
+    const classes = ['tree-graph__node', `tree-graph__node--${node.phase.toLowerCase()}`];
+    if (node.isCurrent) classes.push('tree-graph__node--current');
+    if (!node.visited) classes.push('tree-graph__node--prefetched');
+    if (!node.isActiveTake) classes.push('tree-graph__node--inactive-take');
+    if (node.isDeadEnd) classes.push('tree-graph__node--dead-end');
+
+    const g = svgEl('g', { class: classes.join(' '), transform: `translate(${node.x}, ${node.y})` });
+    g.dataset.nodeId = node.id;
+
+    const title = svgEl('title');
+    title.textContent = describeNode(node);
+    g.appendChild(title);
+
+    if (node.isCurrent) g.appendChild(svgEl('circle', { class: 'tree-graph__halo', r: r + 5 }));
+    // Endings are diamonds so their clusters stand out
+    g.appendChild(node.isEnding
+        ? svgEl('rect', { class: 'tree-graph__shape', x: -r, y: -r, width: r * 2, height: r * 2, transform: 'rotate(45)' })
+        : svgEl('circle', { class: 'tree-graph__shape', r }));
+    if (node.isDeadEnd) {
+        g.appendChild(svgEl('path', { class: 'tree-graph__dead-mark', d: `M ${r + 4} -4 l 8 8 m 0 -8 l -8 8` }));
+    }
+
+    const label = svgEl('text', { class: 'tree-graph__label', x: 0, y: r + 14 });
+    label.textContent = node.depth === 0 ? 'Prologue' : truncate(node.title, 10);
+    g.appendChild(label);
+
+    return g;
+}
+
+function buildLegend() {
+    const legend = document.createElement('div');
+    legend.className = 'tree-graph-legend';
+    const items = [
+        ...Object.entries(PHASE_LABELS).map(([key, label]) => [`tree-graph-legend__swatch--${key.toLowerCase()}`, label]),
+        ['tree-graph-legend__swatch--current', '현재'],
+        ['tree-graph-legend__swatch--prefetched', '미리 생성'],
+        ['tree-graph-legend__swatch--dead-end', '막다른 길'],
+        ['tree-graph-legend__swatch--inactive-take', '다른 테이크'],
+    ];
+    items.forEach(([swatchClass, label]) => {
+        const item = document.createElement('span');
+        item.className = 'tree-graph-legend__item';
+        const swatch = document.createElement('span');
+        swatch.className = `tree-graph-legend__swatch ${swatchClass}`;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(label));
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+function formatGraphSummary(graph) {
+    const counts = summarizeTreeGraph(graph.nodes);
+    return `장면 ${counts.scenes}개 · 결말 ${counts.endings}개 · 막다른 길 ${counts.deadEnds}개 · 미리 생성 ${counts.prefetched}개`;
+}
+
+/**
+ * Open the story graph in a modal.
+ * @param {Object} params
+ * @param {HTMLElement} params.modalRoot
+ * @param {Object} params.session — current GameSessionBlob
+ * @param {Function} params.onNodeClick — (nodeId) => void, called after the modal closes
+ * @param {Function} [params.onCompare] — (nodeIdA, nodeIdB) => void, called after the modal closes;
+ *   the compare control is only shown when given
+ * @returns {{ refresh: Function, close: Function }} refresh redraws the graph after the tree
+ *   changed underneath it (e.g. pruning), keeping pan and zoom
+ */
+export function openTreeGraph({ modalRoot, session, onNodeClick, onCompare = null }) {
+    let graph = layoutTreeGraph(buildTreeViewModel(session));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal tree-graph-modal';
+    modal.innerHTML = `
+        <div class="tree-graph-modal__header">
+            <h2 class="modal__title"><span><i class="fa-solid fa-diagram-project"></i></span> 스토리 그래프</h2>
+            <div class="tree-graph-modal__controls">
+                ${onCompare ? '<button class="icon-btn" data-action="compare" title="두 분기 비교" aria-label="두 분기 비교"><i class="fa-solid fa-code-compare"></i></button>' : ''}
+                <button class="icon-btn" data-action="zoom-in" title="확대" aria-label="확대"><i class="fa-solid fa-plus"></i></button>
+                <button class="icon-btn" data-action="zoom-out" title="축소" aria-label="축소"><i class="fa-solid fa-minus"></i></button>
+                <button class="icon-btn" data-action="fit" title="전체 보기" aria-label="전체 보기"><i class="fa-solid fa-expand"></i></button>
+                <button class="icon-btn" data-action="close" title="닫기" aria-label="닫기"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+        </div>
+        <div class="tree-graph-modal__summary">${formatGraphSummary(graph)}</div>
+    `;
+    modal.appendChild(buildLegend());
+
+    const svg = svgEl('svg', { class: 'tree-graph' });
+    const viewport = svgEl('g');
+    graph.links.forEach((link) => viewport.appendChild(renderLink(link)));
+    graph.nodes.forEach((node) => viewport.appendChild(renderNode(node)));
+    svg.appendChild(viewport);
+    modal.appendChild(svg);
+
+    overlay.appendChild(modal);
+    modalRoot.appendChild(overlay);
+
+    // ─── Pan & zoom ──────────────────────────────────────────────
+    const view = { x: 0, y: 0, scale: 1 };
+    const apply = () => viewport.setAttribute('transform', `translate(${view.x}, ${view.y}) scale(${view.scale})`);
+
+    function zoomAt(factor, cx, cy) {
+        const scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, view.scale * factor));
+        view.x = cx - ((cx - view.x) * scale) / view.scale;
+        view.y = cy - ((cy - view.y) * scale) / view.scale;
+        view.scale = scale;
+        apply();
+    }
+
+    function fit() {
+        const { width, height } = svg.getBoundingClientRect();
+        view.scale = Math.max(MIN_SCALE, Math.min(1.5, width / graph.width, height / graph.height));
+        view.x = (width - graph.width * view.scale) / 2;
+        view.y = (height - graph.height * view.scale) / 2;
+        apply();
+    }
+
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        zoomAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+        drag = { startX: e.clientX, startY: e.clientY, x: view.x, y: view.y, moved: false };
+        svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        view.x = drag.x + dx;
+        view.y = drag.y + dy;
+        apply();
+    });
+    svg.addEventListener('pointerup', (e) => {
+        if (!drag) return;
+        svg.releasePointerCapture(e.pointerId);
+        // Pointer capture retargets the click to the svg, so pick the node under the pointer here
+        const wasDrag = drag.moved;
+        drag = null;
+        if (wasDrag) return;
+        const nodeEl = document.elementFromPoint(e.clientX, e.clientY)?.closest('.tree-graph__node');
+        if (!nodeEl) return;
+        if (compare) {
+            pickForCompare(nodeEl);
+            return;
+        }
+        close();
+        onNodeClick(nodeEl.dataset.nodeId);
+    });
+
+    // ─── Compare mode ────────────────────────────────────────────
+    const summaryEl = modal.querySelector('.tree-graph-modal__summary');
+    let summaryText = summaryEl.textContent;
+    let compare = null; // { picked: nodeId|null } while choosing two nodes
+
+    function setCompareMode(on) {
+        compare = on ? { picked: null } : null;
+        modal.querySelector('[data-action="compare"]')?.classList.toggle('icon-btn--active', on);
+        svg.querySelectorAll('.tree-graph__node--picked').forEach((el) => el.classList.remove('tree-graph__node--picked'));
+        summaryEl.textContent = on ? '비교할 장면을 두 개 고르세요 (1/2)' : summaryText;
+    }
+
+    function pickForCompare(nodeEl) {
+        const nodeId = nodeEl.dataset.nodeId;
+        if (!compare.picked || compare.picked === nodeId) {
+            setCompareMode(true);
+            compare.picked = nodeId;
+            nodeEl.classList.add('tree-graph__node--picked');
+            summaryEl.textContent = '비교할 장면을 두 개 고르세요 (2/2)';
+            return;
+        }
+        const first = compare.picked;
+        close();
+        onCompare(first, nodeId);
+    }
+
+    // ─── Controls ────────────────────────────────────────────────
+    const close = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', onKeydown);
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', onKeydown);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    modal.querySelector('.tree-graph-modal__controls').addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const { width, height } = svg.getBoundingClientRect();
+        if (action === 'zoom-in') zoomAt(1.25, width / 2, height / 2);
+        if (action === 'zoom-out') zoomAt(1 / 1.25, width / 2, height / 2);
+        if (action === 'fit') fit();
+        if (action === 'compare') setCompareMode(!compare);
+        if (action === 'close') close();
+    });
+
+    function refresh() {
+        if (!overlay.isConnected) return;
+        graph = layoutTreeGraph(buildTreeViewModel(session));
+        viewport.replaceChildren(...graph.links.map((link) => renderLink(link)), ...graph.nodes.map((node) => renderNode(node)));
+        summaryText = formatGraphSummary(graph);
+        if (!compare) {
+            summaryEl.textContent = summaryText;
+            return;
+        }
+        // Stay in compare mode; keep the first pick unless it was removed
+        const pickedEl = compare.picked ? svg.querySelector(`.tree-graph__node[data-node-id="${compare.picked}"]`) : null;
+        if (pickedEl) {
+            pickedEl.classList.add('tree-graph__node--picked');
+        } else {
+            setCompareMode(true);
+        }
+    }
+
+    fit();
+    return { refresh, close };
+}
@@ -4,10 +4,12 @@
  *
  * Displays a flat (non-indented) list of story nodes.
  * Branches are shown inline with a branch indicator and collapsed by default.
+ * Bookmarked and annotated nodes get a marker after their title.
  */
 
-import { getPathToRoot } from '../../core/treeEngine.js';
+import { getChildren, getPathToRoot } from '../../core/treeEngine.js';
 import { getBrandIconHtml } from './BrandIcon.js';
+import { getAnnotation } from '../../core/annotationEngine.js';
 
 /**
  * Render the tree navigation (linear, no indent).
@@ -59,11 +61,9 @@ function renderLinearPath(container, session, startNodeId, activePathSet, onNode
         if (!node) break;
 
         // Get children of this node
-        let childEdges = session.edges.filter(e => e.from === currentId);
-        childEdges = childEdges.filter(e => {
-            const childNode = session.nodesById[e.to];
-            return childNode && (childNode.visited || activePathSet.has(e.to));
-        });
+        const childEdges = getChildren(session, currentId)
+            .filter(({ node: childNode }) => childNode && (childNode.visited || activePathSet.has(childNode.id)))
+            .map(({ optionId, node: childNode }) => ({ optionId, to: childNode.id }));
         const isCurrent = session.currentNodeId === currentId;
         const isOnActivePath = activePathSet.has(currentId);
 
@@ -86,6 +86,18 @@ function renderLinearPath(container, session, startNodeId, activePathSet, onNode
         nodeEl.appendChild(stepNum);
         nodeEl.appendChild(titleEl);
         nodeEl.title = titleEl.textContent;
+
+        const annotation = getAnnotation(node);
+        if (annotation.bookmarked || annotation.note) {
+            const marks = document.createElement('span');
+            marks.className = 'tree-node__marks';
+            marks.innerHTML = [
+                annotation.bookmarked ? '<i class="fa-solid fa-bookmark"></i>' : '',
+                annotation.note ? '<i class="fa-solid fa-note-sticky"></i>' : '',
+            ].join('');
+            nodeEl.appendChild(marks);
+            if (annotation.note) nodeEl.title += `\n메모: ${annotation.note}`;
+        }
         nodeEl.dataset.nodeId = currentId;
 
         nodeEl.addEventListener('click', ((id) => (e) => {
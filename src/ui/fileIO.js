@@ -0,0 +1,65 @@
+/**
+ * fileIO.js — Browser file download, picker and drag-and-drop helpers
+ * @module ui/fileIO
+ */
+
+/**
+ * Offer text content as a file download.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [mimeType='application/json']
+ */
+export function downloadTextFile(filename, content, mimeType = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open the native file picker.
+ * @param {Object} [opts]
+ * @param {string} [opts.accept]
+ * @param {boolean} [opts.multiple=true]
+ * @returns {Promise<File[]>} empty if the user cancelled
+ */
+export function pickFiles({ accept = '', multiple = true } = {}) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.addEventListener('change', () => resolve(Array.from(input.files || [])));
+    input.addEventListener('cancel', () => resolve([]));
+    input.click();
+  });
+}
+
+/**
+ * Make an element accept dropped files. Adds `is-drop-target` while dragging over it.
+ * Uses on* properties so re-rendering the same element never stacks listeners.
+ * @param {HTMLElement} el
+ * @param {(files: File[]) => void} onFiles
+ */
+export function enableFileDrop(el, onFiles) {
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  el.ondragover = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    el.classList.add('is-drop-target');
+  };
+  el.ondragleave = (e) => {
+    if (!el.contains(e.relatedTarget)) el.classList.remove('is-drop-target');
+  };
+  el.ondrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    el.classList.remove('is-drop-target');
+    onFiles(Array.from(e.dataTransfer.files));
+  };
+}
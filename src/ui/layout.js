@@ -38,7 +38,15 @@ export function createLayout({ onTitleClick } = {}) {
         </div>
       </main>
       <aside class="panel-right" id="panel-right">
-        <div class="panel-right__header">스토리 트리</div>
+        <div class="panel-right__header">
+          <span>스토리 트리</span>
+          <div class="panel-right__actions">
+            <button class="icon-btn-small" id="btn-tree-prune" title="읽지 않은 미리 생성 장면 정리" aria-label="읽지 않은 미리 생성 장면 정리"><i class="fa-solid fa-broom"></i></button>
+            <button class="icon-btn-small" id="btn-tree-search" title="장면 검색" aria-label="장면 검색"><i class="fa-solid fa-magnifying-glass"></i></button>
+            <button class="icon-btn-small" id="btn-tree-graph" title="전체 그래프 보기" aria-label="전체 그래프 보기"><i class="fa-solid fa-diagram-project"></i></button>
+          </div>
+        </div>
+        <div class="panel-right__bookmarks hidden" id="bookmarks-content"></div>
         <div class="panel-right__content" id="tree-content"></div>
       </aside>
     <div id="modal-root"></div>
@@ -165,6 +173,10 @@ export function createLayout({ onTitleClick } = {}) {
     storyContainer: document.getElementById('story-container'),
     jsonViewerContainer: document.getElementById('json-viewer-container'),
     treeContent: document.getElementById('tree-content'),
+    bookmarksContent: document.getElementById('bookmarks-content'),
+    btnTreeGraph: document.getElementById('btn-tree-graph'),
+    btnTreeSearch: document.getElementById('btn-tree-search'),
+    btnTreePrune: document.getElementById('btn-tree-prune'),
     modalRoot: document.getElementById('modal-root'),
     toastContainer: document.getElementById('toast-container'),
     btnSettings: document.getElementById('btn-settings'),